@@ -0,0 +1,116 @@
+const express = require("express");
+const cors = require("cors");
+const bodyParser = require("body-parser");
+const path = require("path");
+
+const { createApiRateLimit } = require("./middleware/rateLimit");
+const { createRequireAuth } = require("./middleware/auth");
+const { createLoginThrottle } = require("./services/auth");
+const createAuthRoutes = require("./routes/auth");
+const createAdminRoutes = require("./routes/admin");
+const createPalletRoutes = require("./routes/pallets");
+const createLocationRoutes = require("./routes/locations");
+const createCountRoutes = require("./routes/counts");
+const createOrderRoutes = require("./routes/orders");
+const createAsnRoutes = require("./routes/asns");
+const createProductRoutes = require("./routes/products");
+const createCustomerRoutes = require("./routes/customers");
+const createSettingsRoutes = require("./routes/settings");
+const createInvoiceRoutes = require("./routes/invoices");
+const createImportRoutes = require("./routes/imports");
+const createLabelRoutes = require("./routes/labels");
+const createPalletIdRoutes = require("./routes/palletIds");
+
+// Builds the Express app around an open Database. server.js owns the network
+// listeners, Socket.IO and process lifecycle; everything request-shaped is here
+// so it can be booted against a throwaway database.
+function createApp({
+  db,
+  settings,
+  sheets,
+  broadcastInventoryChange = () => {},
+  corsOrigins = [],
+  trustProxy = true,
+  rateLimit = { windowMs: 60000, max: 600 },
+  loginLimit = { windowMs: 900000, maxAttempts: 5, blockMs: 900000 },
+  backupDir = path.join(__dirname, "backups"),
+  httpsRedirectPort = null,
+}) {
+  const app = express();
+  const ctx = {
+    db,
+    settings,
+    sheets,
+    broadcastInventoryChange,
+    backupDir,
+    loginThrottle: createLoginThrottle(loginLimit),
+  };
+
+  // Middleware
+  if (trustProxy) app.set("trust proxy", 1);
+
+  app.use(
+    cors(
+      corsOrigins.length
+        ? {
+            origin(origin, cb) {
+              // allow non-browser clients/no-origin requests
+              if (!origin) return cb(null, true);
+              if (corsOrigins.includes(origin)) return cb(null, true);
+              return cb(new Error("CORS origin denied"));
+            },
+          }
+        : undefined
+    )
+  );
+  app.use(bodyParser.json());
+  app.use((req, res, next) => {
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("X-Frame-Options", "DENY");
+    res.setHeader("Referrer-Policy", "no-referrer");
+    res.setHeader("Permissions-Policy", "camera=(self)");
+    res.setHeader("Cross-Origin-Opener-Policy", "same-origin");
+    res.setHeader("Cross-Origin-Resource-Policy", "same-origin");
+    next();
+  });
+  app.use(express.static(path.join(__dirname, "public")));
+
+  app.use("/api", createApiRateLimit(rateLimit));
+
+  // Everything under /api except login needs a session (or shared mode)
+  const requireAuth = createRequireAuth(ctx);
+  app.use("/api", (req, res, next) => {
+    if (req.path === "/auth/login") return next();
+    return requireAuth(req, res, next);
+  });
+
+  app.use("/api", createAuthRoutes(ctx));
+  app.use("/api", createAdminRoutes(ctx));
+  app.use("/api", createPalletRoutes(ctx));
+  app.use("/api", createLocationRoutes(ctx));
+  app.use("/api", createCountRoutes(ctx));
+  app.use("/api", createOrderRoutes(ctx));
+  app.use("/api", createAsnRoutes(ctx));
+  app.use("/api", createProductRoutes(ctx));
+  app.use("/api", createCustomerRoutes(ctx));
+  app.use("/api", createSettingsRoutes(ctx));
+  app.use("/api", createInvoiceRoutes(ctx));
+  app.use("/api", createImportRoutes(ctx));
+  app.use("/api", createLabelRoutes(ctx));
+  app.use("/api", createPalletIdRoutes(ctx));
+
+  // Redirect HTTP -> HTTPS if SSL exists
+  if (httpsRedirectPort) {
+    app.use((req, res, next) => {
+      if (!req.secure) {
+        const host = req.headers.host ? req.headers.host.split(":")[0] : req.hostname;
+        return res.redirect(301, `https://${host}:${httpsRedirectPort}${req.originalUrl}`);
+      }
+      next();
+    });
+  }
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,95 @@
+const sqlite3 = require("sqlite3").verbose();
+
+function wrapConnection(raw) {
+  return {
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        raw.run(sql, params, function onRun(err) {
+          if (err) return reject(err);
+          return resolve({ changes: this.changes, lastID: this.lastID });
+        });
+      });
+    },
+    get(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        raw.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+      });
+    },
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        raw.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+      });
+    },
+  };
+}
+
+// Promise wrapper around one sqlite3 connection.
+//
+// A connection has a single transaction scope, so transactions are queued and
+// plain queries wait for the running one to finish rather than landing inside
+// it. Code running in transaction(fn) must use the handle passed to fn; calling
+// back into the Database from there would wait on itself.
+class Database {
+  constructor(raw, filename) {
+    this.raw = raw;
+    this.filename = filename;
+    this._conn = wrapConnection(raw);
+    this._idle = Promise.resolve();
+  }
+
+  static open(filename) {
+    return new Promise((resolve, reject) => {
+      const raw = new sqlite3.Database(filename, (err) => {
+        if (err) return reject(err);
+        return resolve(new Database(raw, filename));
+      });
+    });
+  }
+
+  async run(sql, params) {
+    await this._idle;
+    return this._conn.run(sql, params);
+  }
+
+  async get(sql, params) {
+    await this._idle;
+    return this._conn.get(sql, params);
+  }
+
+  async all(sql, params) {
+    await this._idle;
+    return this._conn.all(sql, params);
+  }
+
+  transaction(fn) {
+    const previous = this._idle;
+    let release;
+    this._idle = new Promise((resolve) => {
+      release = resolve;
+    });
+
+    return previous.then(async () => {
+      try {
+        await this._conn.run("BEGIN IMMEDIATE");
+        try {
+          const result = await fn(this._conn);
+          await this._conn.run("COMMIT");
+          return result;
+        } catch (err) {
+          await this._conn.run("ROLLBACK").catch(() => {});
+          throw err;
+        }
+      } finally {
+        release();
+      }
+    });
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      this.raw.close((err) => (err ? reject(err) : resolve()));
+    });
+  }
+}
+
+module.exports = { Database };
@@ -0,0 +1,139 @@
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE_RE = /^(\d+)_([\w-]+)\.js$/;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const seen = new Map();
+  return fs
+    .readdirSync(dir)
+    .filter((file) => MIGRATION_FILE_RE.test(file))
+    .map((file) => {
+      const version = Number(file.match(MIGRATION_FILE_RE)[1]);
+      const name = file.replace(/\.js$/, "");
+      if (seen.has(version)) {
+        throw new Error(`Duplicate migration version ${version}: ${seen.get(version)} and ${name}`);
+      }
+      seen.set(version, name);
+
+      const mod = require(path.join(dir, file));
+      if (typeof mod.up !== "function") throw new Error(`Migration ${name} does not export up()`);
+      return { version, name, up: mod.up };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+function oneLine(sql) {
+  return String(sql || "").replace(/\s+/g, " ").trim();
+}
+
+// Helpers handed to each migration's up(), bound to the transaction handle. In
+// dry-run mode every write statement is echoed so the operator can see what
+// would be applied.
+function createMigrationContext(conn, { dryRun = false, log = console.log } = {}) {
+  const ctx = {
+    dryRun,
+    run(sql, params = []) {
+      if (dryRun) log(`    ${oneLine(sql)}`);
+      return conn.run(sql, params);
+    },
+    get: (sql, params = []) => conn.get(sql, params),
+    all: (sql, params = []) => conn.all(sql, params),
+    async tableExists(table) {
+      const row = await ctx.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+      return Boolean(row);
+    },
+    async columnNames(table) {
+      const rows = await ctx.all(`PRAGMA table_info(${table})`);
+      return new Set(rows.map((r) => r.name));
+    },
+    // Returns true when the column was added, so callers can backfill only then.
+    async addColumnIfMissing(table, column, definition) {
+      const cols = await ctx.columnNames(table);
+      if (cols.has(column)) return false;
+      await ctx.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      return true;
+    },
+    async dropColumnIfExists(table, column) {
+      const cols = await ctx.columnNames(table);
+      if (!cols.has(column)) return false;
+      await ctx.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      return true;
+    },
+  };
+  return ctx;
+}
+
+async function listAppliedVersions(db) {
+  const table = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+  if (!table) return new Set();
+  const rows = await db.all("SELECT version FROM schema_migrations");
+  return new Set(rows.map((r) => Number(r.version)));
+}
+
+const DRY_RUN_ROLLBACK = new Error("dry run");
+
+// Applies every pending migration in version order, each in its own
+// transaction together with its schema_migrations row. A dry run executes the
+// pending set inside one transaction and rolls it back, so the SQL is
+// validated against the real database without changing it.
+async function runMigrations(db, { dryRun = false, log = console.log, migrations = loadMigrations() } = {}) {
+  const applied = await listAppliedVersions(db);
+  const pending = migrations.filter((m) => !applied.has(m.version));
+
+  if (!pending.length) {
+    log("✓ Database schema is up to date");
+    return { dryRun, applied: [], pending: [] };
+  }
+
+  if (dryRun) {
+    try {
+      await db.transaction(async (tx) => {
+        const ctx = createMigrationContext(tx, { dryRun, log });
+        for (const m of pending) {
+          log(`  [dry-run] ${m.name}`);
+          await m.up(ctx);
+        }
+        throw DRY_RUN_ROLLBACK;
+      });
+    } catch (err) {
+      if (err !== DRY_RUN_ROLLBACK) throw err;
+    }
+    log(`✓ Dry run complete: ${pending.length} migration(s) pending, nothing written`);
+    return { dryRun, applied: [], pending: pending.map((m) => m.name) };
+  }
+
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )`
+  );
+
+  const done = [];
+  for (const m of pending) {
+    try {
+      await db.transaction(async (tx) => {
+        await m.up(createMigrationContext(tx, { log }));
+        await tx.run("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)", [
+          m.version,
+          m.name,
+          new Date().toISOString(),
+        ]);
+      });
+    } catch (err) {
+      err.message = `Migration ${m.name} failed: ${err.message}`;
+      throw err;
+    }
+    done.push(m.name);
+    log(`✓ Migration applied: ${m.name}`);
+  }
+  return { dryRun, applied: done, pending: [] };
+}
+
+module.exports = {
+  loadMigrations,
+  runMigrations,
+};
@@ -0,0 +1,185 @@
+// Baseline schema. On a fresh database this creates every table at its current
+// shape; on an older warehouse.db it adds whatever columns the ad-hoc boot
+// migrations used to bolt on, and backfills them the same way.
+
+exports.up = async function up(db) {
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS pallets (
+      id TEXT PRIMARY KEY,
+      customer_name TEXT NOT NULL,
+      product_id TEXT NOT NULL,
+      pallet_quantity INTEGER DEFAULT 1,
+      product_quantity INTEGER DEFAULT 0,
+      current_units INTEGER DEFAULT 0,
+      location TEXT,
+      parts TEXT,
+      date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
+      date_removed DATETIME,
+      status TEXT DEFAULT 'active',
+      scanned_by TEXT DEFAULT 'Unknown',
+      version INTEGER NOT NULL DEFAULT 0
+    )`
+  );
+
+  const palletCols = await db.columnNames("pallets");
+  const addedPalletQty = await db.addColumnIfMissing("pallets", "pallet_quantity", "INTEGER DEFAULT 1");
+  await db.addColumnIfMissing("pallets", "product_quantity", "INTEGER DEFAULT 0");
+  if (addedPalletQty && palletCols.has("quantity")) {
+    // The column default has already filled every row with 1, so copy unconditionally.
+    await db.run("UPDATE pallets SET pallet_quantity = COALESCE(quantity, pallet_quantity)");
+  }
+  await db.run("UPDATE pallets SET product_quantity = 0 WHERE product_quantity IS NULL");
+  await db.addColumnIfMissing("pallets", "parts", "TEXT");
+  if (await db.addColumnIfMissing("pallets", "current_units", "INTEGER DEFAULT 0")) {
+    await db.run(
+      "UPDATE pallets SET current_units = COALESCE(product_quantity, 0) * COALESCE(pallet_quantity, 0) WHERE current_units IS NULL OR current_units = 0"
+    );
+  }
+  await db.addColumnIfMissing("pallets", "scanned_by", "TEXT DEFAULT 'Unknown'");
+  await db.addColumnIfMissing("pallets", "version", "INTEGER NOT NULL DEFAULT 0");
+
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS locations (
+      id TEXT PRIMARY KEY,
+      aisle TEXT,
+      rack INTEGER,
+      level INTEGER,
+      is_occupied INTEGER DEFAULT 0,
+      capacity_pallets INTEGER,
+      floor_area_sqm REAL,
+      location_type TEXT DEFAULT 'rack'
+    )`
+  );
+  await db.addColumnIfMissing("locations", "capacity_pallets", "INTEGER");
+  await db.addColumnIfMissing("locations", "floor_area_sqm", "REAL");
+  await db.addColumnIfMissing("locations", "location_type", "TEXT DEFAULT 'rack'");
+
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS activity_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pallet_id TEXT,
+      customer_name TEXT,
+      product_id TEXT,
+      action TEXT,
+      quantity_changed INTEGER,
+      quantity_before INTEGER,
+      quantity_after INTEGER,
+      location TEXT,
+      notes TEXT,
+      scanned_by TEXT DEFAULT 'Unknown',
+      actor_id TEXT DEFAULT 'anonymous',
+      client_session_id TEXT DEFAULT 'unknown',
+      idempotency_key TEXT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+  await db.addColumnIfMissing("activity_log", "scanned_by", "TEXT DEFAULT 'Unknown'");
+  await db.addColumnIfMissing("activity_log", "actor_id", "TEXT DEFAULT 'anonymous'");
+  await db.addColumnIfMissing("activity_log", "client_session_id", "TEXT DEFAULT 'unknown'");
+  await db.addColumnIfMissing("activity_log", "idempotency_key", "TEXT");
+
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      password_salt TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'ops',
+      display_name TEXT,
+      customer_scope TEXT NOT NULL DEFAULT '*',
+      is_active INTEGER NOT NULL DEFAULT 1,
+      must_reset_password INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )`
+  );
+  await db.addColumnIfMissing("users", "must_reset_password", "INTEGER NOT NULL DEFAULT 0");
+
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS user_sessions (
+      token TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      expires_at TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_seen_at TEXT,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    )`
+  );
+
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS customer_rates (
+      customer_name TEXT PRIMARY KEY,
+      rate_per_pallet_week REAL NOT NULL DEFAULT 0,
+      handling_fee_flat REAL NOT NULL DEFAULT 0,
+      handling_fee_per_pallet REAL NOT NULL DEFAULT 0,
+      payment_terms_days INTEGER NOT NULL DEFAULT 7,
+      currency TEXT NOT NULL DEFAULT 'GBP',
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )`
+  );
+  const rateCols = await db.columnNames("customer_rates");
+  if (await db.addColumnIfMissing("customer_rates", "rate_per_pallet_week", "REAL NOT NULL DEFAULT 0")) {
+    if (rateCols.has("rate_per_pallet_day")) {
+      await db.run("UPDATE customer_rates SET rate_per_pallet_week = rate_per_pallet_day * 7 WHERE rate_per_pallet_week = 0");
+    }
+  }
+  await db.addColumnIfMissing("customer_rates", "handling_fee_flat", "REAL NOT NULL DEFAULT 0");
+  await db.addColumnIfMissing("customer_rates", "handling_fee_per_pallet", "REAL NOT NULL DEFAULT 0");
+  await db.addColumnIfMissing("customer_rates", "payment_terms_days", "INTEGER NOT NULL DEFAULT 7");
+  await db.addColumnIfMissing("customer_rates", "currency", "TEXT NOT NULL DEFAULT 'GBP'");
+  await db.addColumnIfMissing("customer_rates", "updated_at", "TEXT");
+
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS invoices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_name TEXT NOT NULL,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      billing_cycle TEXT NOT NULL DEFAULT 'WEEKLY',
+      pallet_days INTEGER NOT NULL,
+      rate_per_pallet_day REAL NOT NULL DEFAULT 0,
+      rate_per_pallet_week REAL NOT NULL DEFAULT 0,
+      handling_fee_flat REAL NOT NULL DEFAULT 0,
+      handling_fee_per_pallet REAL NOT NULL DEFAULT 0,
+      handled_pallets INTEGER NOT NULL DEFAULT 0,
+      base_total REAL NOT NULL DEFAULT 0,
+      handling_total REAL NOT NULL DEFAULT 0,
+      total REAL NOT NULL,
+      currency TEXT NOT NULL DEFAULT 'GBP',
+      payment_terms_days INTEGER NOT NULL DEFAULT 7,
+      due_date TEXT,
+      amount_paid REAL NOT NULL DEFAULT 0,
+      payment_status TEXT NOT NULL DEFAULT 'UNPAID',
+      payments_json TEXT,
+      last_payment_at TEXT,
+      details_json TEXT,
+      status TEXT NOT NULL DEFAULT 'DRAFT',
+      sent_at TEXT,
+      paid_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )`
+  );
+  const invoiceColumns = [
+    ["billing_cycle", "TEXT NOT NULL DEFAULT 'WEEKLY'"],
+    ["rate_per_pallet_day", "REAL NOT NULL DEFAULT 0"],
+    ["rate_per_pallet_week", "REAL NOT NULL DEFAULT 0"],
+    ["handling_fee_flat", "REAL NOT NULL DEFAULT 0"],
+    ["handling_fee_per_pallet", "REAL NOT NULL DEFAULT 0"],
+    ["handled_pallets", "INTEGER NOT NULL DEFAULT 0"],
+    ["base_total", "REAL NOT NULL DEFAULT 0"],
+    ["handling_total", "REAL NOT NULL DEFAULT 0"],
+    ["currency", "TEXT NOT NULL DEFAULT 'GBP'"],
+    ["payment_terms_days", "INTEGER NOT NULL DEFAULT 7"],
+    ["due_date", "TEXT"],
+    ["amount_paid", "REAL NOT NULL DEFAULT 0"],
+    ["payment_status", "TEXT NOT NULL DEFAULT 'UNPAID'"],
+    ["payments_json", "TEXT"],
+    ["last_payment_at", "TEXT"],
+    ["details_json", "TEXT"],
+    ["status", "TEXT NOT NULL DEFAULT 'DRAFT'"],
+    ["sent_at", "TEXT"],
+    ["paid_at", "TEXT"],
+  ];
+  for (const [column, definition] of invoiceColumns) {
+    await db.addColumnIfMissing("invoices", column, definition);
+  }
+};
@@ -0,0 +1,9 @@
+// Pre-v2 databases still carry pallets.quantity (superseded by pallet_quantity)
+// and customer_rates.rate_per_pallet_day (superseded by the weekly rate). Both
+// were backfilled by 001; dropping them leaves old and new databases identical.
+// Old pallets tables may declare quantity NOT NULL, which breaks check-in.
+
+exports.up = async function up(db) {
+  await db.dropColumnIfExists("pallets", "quantity");
+  await db.dropColumnIfExists("customer_rates", "rate_per_pallet_day");
+};
@@ -0,0 +1,7 @@
+// Pallet adjustments (ADJUST rows) carry a mandatory reason code: miskey,
+// stock_count, damage or found. It gets its own column so corrections can be
+// filtered and reported on without parsing free-text notes.
+
+exports.up = async function up(db) {
+  await db.addColumnIfMissing("activity_log", "reason_code", "TEXT");
+};
@@ -0,0 +1,12 @@
+// Undo writes a REVERSAL row pointing at the entry it compensates. The partial
+// unique index makes a second undo of the same entry fail even if two devices
+// race for it.
+
+exports.up = async function up(db) {
+  await db.addColumnIfMissing("activity_log", "reverses_activity_id", "INTEGER");
+  await db.run(
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_activity_log_reverses
+     ON activity_log(reverses_activity_id)
+     WHERE reverses_activity_id IS NOT NULL`
+  );
+};
@@ -0,0 +1,8 @@
+// Location fill is now worked out from the active pallets in each location
+// (see services/slotting.js). The stored is_occupied flag went stale whenever
+// a write path forgot to refresh it, and a 0/1 value can't describe a rack
+// holding 5 of 12 pallets, so it goes.
+
+exports.up = async function up(db) {
+  await db.dropColumnIfExists("locations", "is_occupied");
+};
@@ -0,0 +1,43 @@
+// Stock-take sessions. A session covers a set of aisles; operators mark each
+// location they visit and record the pallets they find there. Variances are
+// worked out from these rows when the report is requested, and approved ones
+// post as ADJUST entries in activity_log.
+
+exports.up = async function up(db) {
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS count_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT,
+      aisles TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'OPEN',
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      posted_by TEXT,
+      posted_at DATETIME,
+      posted_variances INTEGER
+    )`
+  );
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS count_locations (
+      session_id INTEGER NOT NULL,
+      location TEXT NOT NULL,
+      counted_by TEXT,
+      counted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (session_id, location)
+    )`
+  );
+  // One row per pallet per session: a re-scan replaces the earlier count.
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS count_scans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL,
+      location TEXT NOT NULL,
+      pallet_id TEXT NOT NULL,
+      quantity INTEGER NOT NULL,
+      counted_by TEXT,
+      actor_id TEXT,
+      counted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (session_id, pallet_id)
+    )`
+  );
+};
@@ -0,0 +1,44 @@
+// Outbound orders. Each line asks for a product in whole pallets or in units;
+// order_picks holds the stock allocated to a line, one row per pallet, and is
+// the pick list the scanner works through.
+
+exports.up = async function up(db) {
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_name TEXT NOT NULL,
+      reference TEXT,
+      status TEXT NOT NULL DEFAULT 'OPEN',
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      closed_at DATETIME
+    )`
+  );
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS order_lines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id INTEGER NOT NULL,
+      product_id TEXT NOT NULL,
+      unit TEXT NOT NULL DEFAULT 'pallets',
+      quantity INTEGER NOT NULL,
+      picked_quantity INTEGER NOT NULL DEFAULT 0
+    )`
+  );
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS order_picks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id INTEGER NOT NULL,
+      line_id INTEGER NOT NULL,
+      pallet_id TEXT NOT NULL,
+      location TEXT,
+      unit TEXT NOT NULL,
+      quantity INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'OPEN',
+      activity_id INTEGER,
+      picked_by TEXT,
+      picked_at DATETIME
+    )`
+  );
+  await db.run("CREATE INDEX IF NOT EXISTS idx_order_picks_order ON order_picks(order_id)");
+  await db.run("CREATE INDEX IF NOT EXISTS idx_order_picks_pallet_open ON order_picks(pallet_id) WHERE status = 'OPEN'");
+};
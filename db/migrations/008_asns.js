@@ -0,0 +1,46 @@
+// Advance shipping notices: a delivery a customer has announced, with the
+// pallets expected per product. Each pallet received against it is recorded in
+// asn_receipts next to the pallets row it created.
+
+exports.up = async function up(db) {
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS asns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_name TEXT NOT NULL,
+      reference TEXT,
+      expected_date TEXT,
+      status TEXT NOT NULL DEFAULT 'OPEN',
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      closed_by TEXT,
+      closed_at DATETIME
+    )`
+  );
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS asn_lines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      asn_id INTEGER NOT NULL,
+      product_id TEXT NOT NULL,
+      expected_pallets INTEGER NOT NULL,
+      units_per_pallet INTEGER NOT NULL DEFAULT 0
+    )`
+  );
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS asn_receipts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      asn_id INTEGER NOT NULL,
+      line_id INTEGER,
+      pallet_id TEXT NOT NULL,
+      product_id TEXT NOT NULL,
+      pallet_quantity INTEGER NOT NULL,
+      location TEXT,
+      damaged INTEGER NOT NULL DEFAULT 0,
+      notes TEXT,
+      activity_id INTEGER,
+      received_by TEXT,
+      received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+  await db.run("CREATE INDEX IF NOT EXISTS idx_asn_lines_asn ON asn_lines(asn_id)");
+  await db.run("CREATE INDEX IF NOT EXISTS idx_asn_receipts_asn ON asn_receipts(asn_id)");
+};
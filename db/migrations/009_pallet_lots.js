@@ -0,0 +1,11 @@
+// Lot/batch and dates for dated goods. Dates are stored as YYYY-MM-DD;
+// allocation and the expiry report go by expiry_date, falling back to
+// best_before when only that is printed on the goods.
+
+exports.up = async function up(db) {
+  await db.addColumnIfMissing("pallets", "lot", "TEXT");
+  await db.addColumnIfMissing("pallets", "batch", "TEXT");
+  await db.addColumnIfMissing("pallets", "best_before", "TEXT");
+  await db.addColumnIfMissing("pallets", "expiry_date", "TEXT");
+  await db.run("CREATE INDEX IF NOT EXISTS idx_pallets_expiry ON pallets(COALESCE(expiry_date, best_before)) WHERE status = 'active'");
+};
@@ -0,0 +1,32 @@
+// Per-customer product catalogue. product_id is the canonical SKU written to
+// pallets; aliases are the other codes the same product turns up as (supplier
+// barcodes, old SKUs). Codes match case-insensitively within a customer.
+
+exports.up = async function up(db) {
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS products (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_name TEXT NOT NULL,
+      product_id TEXT NOT NULL COLLATE NOCASE,
+      description TEXT,
+      units_per_pallet INTEGER NOT NULL DEFAULT 0,
+      length_cm REAL,
+      width_cm REAL,
+      height_cm REAL,
+      weight_kg REAL,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (customer_name, product_id)
+    )`
+  );
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS product_aliases (
+      customer_name TEXT NOT NULL,
+      alias TEXT NOT NULL COLLATE NOCASE,
+      product_ref INTEGER NOT NULL,
+      PRIMARY KEY (customer_name, alias)
+    )`
+  );
+  await db.run("CREATE INDEX IF NOT EXISTS idx_product_aliases_ref ON product_aliases(product_ref)");
+};
@@ -0,0 +1,31 @@
+// Customer master records. Other tables keep referring to customers by
+// customer_name, which is customers.name; renaming or merging a customer
+// rewrites those columns. Existing names are backfilled from every table that
+// carries one.
+
+const NAME_SOURCES = ["pallets", "activity_log", "customer_rates", "invoices", "orders", "asns", "products"];
+
+exports.up = async function up(db) {
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS customers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      display_name TEXT,
+      contact_name TEXT,
+      contact_email TEXT,
+      contact_phone TEXT,
+      billing_address TEXT,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+  for (const table of NAME_SOURCES) {
+    if (!(await db.tableExists(table))) continue;
+    await db.run(
+      `INSERT OR IGNORE INTO customers (name)
+       SELECT DISTINCT customer_name FROM ${table}
+       WHERE customer_name IS NOT NULL AND customer_name <> ''`
+    );
+  }
+};
@@ -0,0 +1,6 @@
+// Split and merge each write two activity entries, one per pallet involved;
+// related_activity_id points each of the pair at the other.
+
+exports.up = async function up(db) {
+  await db.addColumnIfMissing("activity_log", "related_activity_id", "INTEGER");
+};
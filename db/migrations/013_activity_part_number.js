@@ -0,0 +1,5 @@
+// PARTS_REMOVE entries record which part number was taken off the pallet.
+
+exports.up = async function up(db) {
+  await db.addColumnIfMissing("activity_log", "part_number", "TEXT");
+};
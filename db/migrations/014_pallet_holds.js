@@ -0,0 +1,10 @@
+// Hold states sit alongside pallets.status: a held pallet is still active
+// stock, it just can't be moved or shipped. HOLD and RELEASE entries in
+// activity_log record every change.
+
+exports.up = async function up(db) {
+  await db.addColumnIfMissing("pallets", "hold_status", "TEXT");
+  await db.addColumnIfMissing("pallets", "hold_reason", "TEXT");
+  await db.addColumnIfMissing("pallets", "hold_by", "TEXT");
+  await db.addColumnIfMissing("pallets", "hold_at", "TEXT");
+};
@@ -0,0 +1,18 @@
+// Server-side secrets that must survive restarts but never reach clients or
+// the tracked server-settings.json. label_signing_key signs the v2 pallet QR
+// payloads, so it is generated once here and lives with the data it vouches for.
+
+const crypto = require("crypto");
+
+exports.up = async function up(db) {
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS app_secrets (
+      name TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+  await db.run("INSERT OR IGNORE INTO app_secrets (name, value) VALUES ('label_signing_key', ?)", [
+    crypto.randomBytes(32).toString("hex"),
+  ]);
+};
@@ -0,0 +1,17 @@
+// Server-issued pallet ids. Each row is a numbering sequence: customer_id 0 is
+// the default every customer uses, other rows are customers.id with a format
+// of their own. next_value is the number the next issued id gets, so ids
+// handed out (including blocks reserved for pre-printed labels) are never
+// issued again.
+
+exports.up = async function up(db) {
+  await db.run(
+    `CREATE TABLE IF NOT EXISTS pallet_id_sequences (
+      customer_id INTEGER PRIMARY KEY,
+      format TEXT NOT NULL,
+      next_value INTEGER NOT NULL DEFAULT 1,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+  await db.run("INSERT OR IGNORE INTO pallet_id_sequences (customer_id, format) VALUES (0, 'PLT-{seq:6}')");
+};
@@ -0,0 +1,21 @@
+// Clearing a customer's id format used to delete its sequence row, so setting
+// a format again restarted the numbering at 1 and could reissue old ids. The
+// row now stays with a null format and keeps next_value as the floor. SQLite
+// can't drop NOT NULL in place, so the table is rebuilt.
+
+exports.up = async function up(db) {
+  await db.run(
+    `CREATE TABLE pallet_id_sequences_new (
+      customer_id INTEGER PRIMARY KEY,
+      format TEXT,
+      next_value INTEGER NOT NULL DEFAULT 1,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+  await db.run(
+    `INSERT INTO pallet_id_sequences_new (customer_id, format, next_value, updated_at)
+     SELECT customer_id, format, next_value, updated_at FROM pallet_id_sequences`
+  );
+  await db.run("DROP TABLE pallet_id_sequences");
+  await db.run("ALTER TABLE pallet_id_sequences_new RENAME TO pallet_id_sequences");
+};
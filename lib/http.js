@@ -0,0 +1,23 @@
+// Errors thrown with a status are sent to the client as-is; anything else is
+// reported as a 500.
+function httpError(status, message, extra) {
+  const err = new Error(message);
+  err.status = status;
+  if (extra) err.body = extra;
+  return err;
+}
+
+function asyncRoute(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch((err) => {
+      if (res.headersSent) return next(err);
+      const status = Number(err?.status) || 500;
+      return res.status(status).json({ error: err?.message || "Internal error", ...(err?.body || {}) });
+    });
+  };
+}
+
+module.exports = {
+  httpError,
+  asyncRoute,
+};
@@ -0,0 +1,148 @@
+const zlib = require("zlib");
+
+// A small PDF writer for labels: pages of any size with text in the two
+// built-in Helvetica faces and filled rectangles. Coordinates are in points
+// from the top-left corner of the page.
+
+// Glyph widths (per 1000 em) for ASCII 32..126.
+const HELVETICA_WIDTHS = (
+  "278 278 355 556 556 889 667 191 333 333 389 584 278 333 278 278 556 556 556 556 556 556 556 556 556 556 278 278 584 584 584 556 " +
+  "1015 667 667 722 722 667 611 778 722 278 500 667 556 833 722 778 667 778 722 667 611 722 667 944 667 667 611 278 278 278 469 556 " +
+  "333 556 556 500 556 556 278 556 556 222 222 500 222 833 556 556 556 556 333 500 278 556 500 722 500 500 500 334 260 334 584"
+).split(" ").map(Number);
+const HELVETICA_BOLD_WIDTHS = (
+  "278 333 474 556 556 889 722 238 333 333 389 584 278 333 278 278 556 556 556 556 556 556 556 556 556 556 333 333 584 584 584 611 " +
+  "975 722 722 722 722 667 611 778 722 278 556 722 611 833 722 778 667 778 722 667 611 722 667 944 667 667 611 333 278 333 584 556 " +
+  "333 556 611 556 611 556 333 611 611 278 278 556 278 889 611 611 611 611 389 556 333 611 556 778 556 556 500 389 280 389 584"
+).split(" ").map(Number);
+
+// Characters outside Latin-1 that WinAnsiEncoding still has a slot for.
+const WIN_ANSI_EXTRAS = { "€": 0x80, "…": 0x85, "•": 0x95, "–": 0x96, "—": 0x97, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94 };
+
+function toWinAnsi(text) {
+  return [...String(text ?? "")].map((ch) => {
+    if (WIN_ANSI_EXTRAS[ch]) return WIN_ANSI_EXTRAS[ch];
+    const code = ch.codePointAt(0);
+    return code >= 32 && code <= 255 && (code < 127 || code > 159) ? code : 63;
+  });
+}
+
+function textWidth(text, size, bold = false) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  const units = toWinAnsi(text).reduce((sum, code) => sum + (widths[code - 32] ?? 556), 0);
+  return (units * size) / 1000;
+}
+
+// Shortens `text` with an ellipsis until it fits in `maxWidth`.
+function fitText(text, size, bold, maxWidth) {
+  let s = String(text ?? "");
+  if (textWidth(s, size, bold) <= maxWidth) return s;
+  while (s && textWidth(`${s}…`, size, bold) > maxWidth) s = s.slice(0, -1);
+  return `${s}…`;
+}
+
+function pdfString(text) {
+  const bytes = toWinAnsi(text).map((code) => {
+    if (code === 0x28 || code === 0x29 || code === 0x5c) return `\\${String.fromCharCode(code)}`;
+    if (code > 126) return `\\${code.toString(8).padStart(3, "0")}`;
+    return String.fromCharCode(code);
+  });
+  return `(${bytes.join("")})`;
+}
+
+function rgb(hex) {
+  let h = String(hex || "#000000").replace("#", "");
+  if (h.length === 3) h = [...h].map((c) => c + c).join("");
+  if (!/^[0-9a-f]{6}$/i.test(h)) h = "000000";
+  return [0, 2, 4].map((i) => (parseInt(h.slice(i, i + 2), 16) / 255).toFixed(3)).join(" ");
+}
+
+function num(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+function createPdfDocument() {
+  const pages = [];
+
+  function addPage(width, height) {
+    const ops = [];
+    const page = {
+      width,
+      height,
+      rect(x, y, w, h, color = "#000000") {
+        ops.push(`${rgb(color)} rg ${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re f`);
+        return page;
+      },
+      // `y` is the text baseline.
+      text(str, x, y, { size = 10, bold = false, color = "#000000", align = "left", width = 0 } = {}) {
+        let left = x;
+        if (align !== "left") {
+          const slack = width - textWidth(str, size, bold);
+          left = x + (align === "center" ? slack / 2 : slack);
+        }
+        ops.push(`BT /${bold ? "F2" : "F1"} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${num(height - y)} Td ${pdfString(str)} Tj ET`);
+        return page;
+      },
+    };
+    pages.push({ width, height, ops });
+    return page;
+  }
+
+  function toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    const catalog = add(null);
+    const pagesRef = add(null);
+    const regular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+    const bold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+    const kids = pages.map((p) => {
+      const stream = zlib.deflateSync(Buffer.from(p.ops.join("\n"), "latin1"));
+      const content = add({ dict: `<< /Length ${stream.length} /Filter /FlateDecode >>`, stream });
+      return add(
+        `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${num(p.width)} ${num(p.height)}] ` +
+        `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`
+      );
+    });
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+    objects[pagesRef - 1] = `<< /Type /Pages /Kids [${kids.map((k) => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+    const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+    let length = chunks[0].length;
+    const offsets = [];
+    objects.forEach((obj, i) => {
+      offsets.push(length);
+      const parts = typeof obj === "string"
+        ? [Buffer.from(`${i + 1} 0 obj\n${obj}\nendobj\n`, "latin1")]
+        : [Buffer.from(`${i + 1} 0 obj\n${obj.dict}\nstream\n`, "latin1"), obj.stream, Buffer.from("\nendstream\nendobj\n", "latin1")];
+      for (const part of parts) {
+        chunks.push(part);
+        length += part.length;
+      }
+    });
+    const xref = [
+      "xref",
+      `0 ${objects.length + 1}`,
+      "0000000000 65535 f ",
+      ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n `),
+      "trailer",
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>`,
+      "startxref",
+      String(length),
+      "%%EOF",
+      "",
+    ].join("\n");
+    chunks.push(Buffer.from(xref, "latin1"));
+    return Buffer.concat(chunks);
+  }
+
+  return { addPage, toBuffer };
+}
+
+module.exports = {
+  createPdfDocument,
+  textWidth,
+  fitText,
+};
@@ -0,0 +1,47 @@
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function safeParseParts(partsValue) {
+  if (!partsValue) return null;
+  try {
+    return JSON.parse(partsValue);
+  } catch {
+    return null;
+  }
+}
+
+function normalizeDateAdded(input) {
+  const raw = String(input || "").trim();
+  if (!raw) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return `${raw} 00:00:00`;
+  const parsed = Date.parse(raw);
+  if (!Number.isFinite(parsed)) return null;
+  const d = new Date(parsed);
+  const yyyy = String(d.getUTCFullYear());
+  const mm = String(d.getUTCMonth() + 1).padStart(2, "0");
+  const dd = String(d.getUTCDate()).padStart(2, "0");
+  return `${yyyy}-${mm}-${dd} 00:00:00`;
+}
+
+// Calendar dates (best-before, expiry) as YYYY-MM-DD, or null if unreadable.
+function normalizeDay(input) {
+  const normalized = normalizeDateAdded(input);
+  return normalized ? normalized.slice(0, 10) : null;
+}
+
+// Unit count after a pallet's pallet/unit counts are corrected. Units already
+// picked off the pallet stay picked.
+function recountUnits(row, palletQty, unitsPerPallet = Number(row.product_quantity) || 0) {
+  const oldFull = (Number(row.pallet_quantity) || 0) * (Number(row.product_quantity) || 0);
+  const picked = Math.max(0, oldFull - (Number(row.current_units) || 0));
+  return Math.max(0, palletQty * unitsPerPallet - picked);
+}
+
+module.exports = {
+  nowIso,
+  safeParseParts,
+  normalizeDateAdded,
+  normalizeDay,
+  recountUnits,
+};
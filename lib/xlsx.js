@@ -0,0 +1,145 @@
+const zlib = require("zlib");
+
+// Just enough of XLSX to read the first worksheet of an uploaded spreadsheet:
+// cell values as text (dates stay Excel serial numbers), no styles, formulas
+// or merged cells.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+// Uploads are capped at 10 MB; a part unzipping to more than this is a zip
+// bomb rather than a stock sheet.
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+const TOO_LARGE = "XLSX file is too large once unzipped";
+
+function isZip(buf) {
+  return Buffer.isBuffer(buf) && buf.length > 4 && buf.readUInt32LE(0) === 0x04034b50;
+}
+
+function readZipEntries(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a valid XLSX file");
+
+  const entries = new Map();
+  const count = buf.readUInt16LE(eocd + 10);
+  let offset = buf.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error("Not a valid XLSX file");
+    const nameLength = buf.readUInt16LE(offset + 28);
+    const name = buf.toString("utf8", offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      method: buf.readUInt16LE(offset + 10),
+      compressedSize: buf.readUInt32LE(offset + 20),
+      size: buf.readUInt32LE(offset + 24),
+      localOffset: buf.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + buf.readUInt16LE(offset + 30) + buf.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
+
+function readEntry(buf, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) return null;
+  const header = entry.localOffset;
+  const start = header + 30 + buf.readUInt16LE(header + 26) + buf.readUInt16LE(header + 28);
+  const data = buf.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return data.toString("utf8");
+  if (entry.method === 8) {
+    // The declared size can lie, so inflating is capped as well.
+    if (entry.size > MAX_ENTRY_BYTES) throw new Error(TOO_LARGE);
+    try {
+      return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES }).toString("utf8");
+    } catch (err) {
+      if (err instanceof RangeError) throw new Error(TOO_LARGE);
+      throw err;
+    }
+  }
+  throw new Error(`Unsupported XLSX compression (method ${entry.method})`);
+}
+
+function decodeXml(s) {
+  return String(s)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&amp;/g, "&");
+}
+
+// Rich text runs are joined; phonetic hints (<rPh>) are dropped.
+function textOf(xml) {
+  const plain = String(xml).replace(/<rPh\b[\s\S]*?<\/rPh>/g, "");
+  return [...plain.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map((m) => decodeXml(m[1])).join("");
+}
+
+function attr(attrs, name) {
+  const m = String(attrs).match(new RegExp(`\\b${name}="([^"]*)"`));
+  return m ? m[1] : null;
+}
+
+function columnIndex(ref) {
+  const letters = String(ref || "").replace(/[^A-Z]/gi, "").toUpperCase();
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// The workbook's first sheet, following its relationship; falls back to the
+// conventional sheet1 path.
+function firstSheetPath(buf, entries) {
+  const workbook = readEntry(buf, entries, "xl/workbook.xml") || "";
+  const rels = readEntry(buf, entries, "xl/_rels/workbook.xml.rels") || "";
+  const sheet = workbook.match(/<sheet\b([^>]*)\/?>/);
+  const relId = sheet ? attr(sheet[1], "r:id") : null;
+  if (relId) {
+    for (const m of rels.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+      if (attr(m[1], "Id") !== relId) continue;
+      const target = attr(m[1], "Target") || "";
+      return target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+    }
+  }
+  return "xl/worksheets/sheet1.xml";
+}
+
+function readFirstSheet(buf) {
+  const entries = readZipEntries(buf);
+  const sharedXml = readEntry(buf, entries, "xl/sharedStrings.xml") || "";
+  const shared = [...sharedXml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map((m) => textOf(m[1]));
+  const sheetXml = readEntry(buf, entries, firstSheetPath(buf, entries));
+  if (sheetXml == null) throw new Error("XLSX file has no worksheet");
+
+  const rows = [];
+  for (const rowMatch of sheetXml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    for (const cell of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cell[1];
+      const body = cell[2] || "";
+      const type = attr(attrs, "t");
+      const raw = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+      let value = "";
+      if (type === "s") value = shared[Number(raw)] ?? "";
+      else if (type === "inlineStr") value = textOf(body);
+      else if (type === "b") value = raw === "1" ? "TRUE" : "FALSE";
+      else if (raw != null) value = decodeXml(raw);
+      const ref = attr(attrs, "r");
+      const index = ref ? columnIndex(ref) : row.length;
+      while (row.length < index) row.push("");
+      row[index] = value;
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = {
+  isZip,
+  readFirstSheet,
+};
@@ -0,0 +1,113 @@
+const users = require("../repositories/users");
+const { nowIso } = require("../lib/util");
+
+const FORBIDDEN_SCOPE = "__FORBIDDEN_SCOPE__";
+
+const SHARED_USER = Object.freeze({
+  id: 0,
+  username: "shared",
+  role: "owner",
+  display_name: "Warehouse Team",
+  customer_scope: "*",
+  must_reset_password: 0,
+  token: "shared-mode",
+});
+
+function getSharedUser() {
+  return { ...SHARED_USER };
+}
+
+function getAuthTokenFromRequest(req) {
+  const auth = String(req.headers.authorization || "").trim();
+  if (auth.toLowerCase().startsWith("bearer ")) return auth.slice(7).trim();
+  const headerToken = String(req.headers["x-auth-token"] || "").trim();
+  if (headerToken) return headerToken;
+  return "";
+}
+
+function createRequireAuth({ db, settings }) {
+  return function requireAuth(req, res, next) {
+    if (settings.isAuthDisabled()) {
+      req.user = getSharedUser();
+      return next();
+    }
+    const token = getAuthTokenFromRequest(req);
+    if (!token) return res.status(401).json({ error: "Authentication required" });
+
+    return users
+      .findSessionWithUser(db, token)
+      .then(async (row) => {
+        if (!row) return res.status(401).json({ error: "Invalid session" });
+        if (String(row.is_active || "1") !== "1") return res.status(401).json({ error: "User inactive" });
+        if (Date.parse(String(row.expires_at || "")) < Date.now()) {
+          await users.deleteSession(db, token);
+          return res.status(401).json({ error: "Session expired" });
+        }
+
+        users.touchSession(db, token, nowIso()).catch(() => {});
+
+        req.user = {
+          id: row.user_id,
+          username: row.username,
+          role: row.role,
+          display_name: row.display_name || row.username,
+          customer_scope: row.customer_scope || "*",
+          must_reset_password: Number(row.must_reset_password || 0),
+          token,
+        };
+        return next();
+      })
+      .catch(() => res.status(500).json({ error: "DB error" }));
+  };
+}
+
+function requireRole(allowedRoles, message) {
+  const allowed = new Set(allowedRoles);
+  return function checkRole(req, res, next) {
+    const role = String(req.user?.role || "").toLowerCase();
+    if (!allowed.has(role)) return res.status(403).json({ error: message });
+    return next();
+  };
+}
+
+const requireWriteRole = requireRole(["owner", "admin", "ops"], "Insufficient role for write operation");
+const requireAdminRole = requireRole(["owner", "admin"], "Admin role required");
+
+function getScopedCustomers(req) {
+  const scopeRaw = String(req.user?.customer_scope || "*").trim();
+  if (!scopeRaw || scopeRaw === "*") return null;
+  const items = scopeRaw
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return items.length ? items : null;
+}
+
+// Returns null (no filter), a single customer, a list of customers, or
+// FORBIDDEN_SCOPE when the requested customer is outside the user's scope.
+function applyCustomerScope({ requestedCustomer, scopedCustomers }) {
+  const reqCust = String(requestedCustomer || "").trim();
+  if (!scopedCustomers || scopedCustomers.length === 0) return reqCust || null;
+  if (reqCust) {
+    return scopedCustomers.includes(reqCust) ? reqCust : FORBIDDEN_SCOPE;
+  }
+  return scopedCustomers;
+}
+
+function isCustomerAllowedForUser(req, customerName) {
+  const scoped = getScopedCustomers(req);
+  if (!scoped || scoped.length === 0) return true;
+  return scoped.includes(String(customerName || "").trim());
+}
+
+module.exports = {
+  FORBIDDEN_SCOPE,
+  getSharedUser,
+  getAuthTokenFromRequest,
+  createRequireAuth,
+  requireWriteRole,
+  requireAdminRole,
+  getScopedCustomers,
+  applyCustomerScope,
+  isCustomerAllowedForUser,
+};
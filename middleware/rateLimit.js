@@ -0,0 +1,45 @@
+function getClientIp(req) {
+  return String(
+    req.headers["cf-connecting-ip"] ||
+    req.headers["x-real-ip"] ||
+    req.headers["x-forwarded-for"] ||
+    req.socket?.remoteAddress ||
+    "unknown"
+  )
+    .split(",")[0]
+    .trim() || "unknown";
+}
+
+// Fixed-window request counter per client IP. Health probes are exempt.
+function createApiRateLimit({ windowMs, max }) {
+  const state = new Map();
+
+  return function apiRateLimitMiddleware(req, res, next) {
+    const pathValue = String(req.path || "");
+    if (pathValue === "/health" || pathValue === "/ready") return next();
+
+    const now = Date.now();
+    const key = getClientIp(req);
+    const rec = state.get(key) || { count: 0, resetAt: now + windowMs };
+
+    if (now > rec.resetAt) {
+      rec.count = 0;
+      rec.resetAt = now + windowMs;
+    }
+
+    rec.count += 1;
+    state.set(key, rec);
+
+    if (rec.count > max) {
+      res.setHeader("Retry-After", String(Math.ceil((rec.resetAt - now) / 1000)));
+      return res.status(429).json({ error: "Rate limit exceeded. Please retry shortly." });
+    }
+
+    return next();
+  };
+}
+
+module.exports = {
+  getClientIp,
+  createApiRateLimit,
+};
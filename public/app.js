@@ -4,7 +4,7 @@
    - Pallet QR payload supports autofill (customer/product/units)
    - Location QR generation + print
    - Table tracker view
-   - Scanner flow using html5-qrcode
+   - Scanner flow using html5-qrcode (our pallet QR, GS1-128 supplier labels)
 */
 (() => {
   // Prevent double execution (common with SW cache or duplicate script tags)
@@ -16,11 +16,24 @@
   window.__WT_APP_BOOT_OK__ = false;
 
   const API_URL = window.location.origin;
+  const UNDO_WINDOW_MS = 8000; // how long the Undo button stays on a success toast
+  const HOLD_LABELS = {
+    QUARANTINE: "Quarantine",
+    DAMAGED: "Damaged",
+    CUSTOMER_HOLD: "Customer hold",
+    QC_PENDING: "QC pending",
+  };
+
+  // For text from the server or the user that goes into innerHTML.
+  function wtEscapeHtml(value) {
+    return String(value ?? "").replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+  }
 
   // --------------------------
-  // QR payload helpers (v1)
+  // QR payload helpers (v1, and v2 signed by the server)
   // --------------------------
   const WT_QR_PREFIX = "WT|PALLET|v1|";
+  const WT_QR_PREFIX_V2 = "WT|PALLET|v2|";
 
   function wtBase64UrlEncode(str) {
     const b64 = btoa(unescape(encodeURIComponent(str)));
@@ -40,15 +53,145 @@
       p: String(data.productId || "").trim(), // product id
       u: Number(data.unitsPerPallet || 0) || 0, // units/pallet
     };
+    // dated goods: only written when set, to keep labels small
+    if (data.lot) payload.l = String(data.lot).trim();
+    if (data.batch) payload.b = String(data.batch).trim();
+    if (data.bestBefore) payload.bb = String(data.bestBefore).trim();
+    if (data.expiryDate) payload.x = String(data.expiryDate).trim();
     return WT_QR_PREFIX + wtBase64UrlEncode(JSON.stringify(payload));
   }
 
+  // --------------------------
+  // GS1 supplier labels (GS1-128 SSCC and friends)
+  // --------------------------
+  const WT_GS1_GS = "\u001d"; // FNC1 separator as scanners send it
+  // Fixed data lengths by AI prefix; anything else is variable length and
+  // ends at a separator. Only AIs seen on pallet labels are listed, and
+  // parsing stops at one it doesn't know.
+  const WT_GS1_FIXED = { "00": 18, "01": 14, "02": 14, "11": 6, "12": 6, "13": 6, "15": 6, "16": 6, "17": 6, "20": 2 };
+  const WT_GS1_VARIABLE = { "10": 20, "21": 20, "22": 20, "30": 8, "37": 8, "240": 30, "241": 30, "400": 30, "401": 30 };
+
+  function wtGs1CheckDigitOk(digits) {
+    if (!/^\d+$/.test(digits)) return false;
+    const body = digits.slice(0, -1);
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) {
+      const d = Number(body[body.length - 1 - i]);
+      sum += i % 2 === 0 ? d * 3 : d;
+    }
+    return (10 - (sum % 10)) % 10 === Number(digits.slice(-1));
+  }
+
+  // YYMMDD with the GS1 century rule; day 00 means the end of the month.
+  function wtGs1Date(yymmdd) {
+    if (!/^\d{6}$/.test(yymmdd)) return "";
+    const yy = Number(yymmdd.slice(0, 2));
+    const mm = Number(yymmdd.slice(2, 4));
+    let dd = Number(yymmdd.slice(4, 6));
+    if (mm < 1 || mm > 12) return "";
+    const thisYear = new Date().getUTCFullYear();
+    let year = Math.floor(thisYear / 100) * 100 + yy;
+    if (year - thisYear >= 51) year -= 100;
+    else if (thisYear - year > 49) year += 100;
+    if (dd === 0) dd = new Date(Date.UTC(year, mm, 0)).getUTCDate();
+    return `${year}-${String(mm).padStart(2, "0")}-${String(dd).padStart(2, "0")}`;
+  }
+
+  // Element strings as scanners deliver them: bracketed "(00)...(10)...",
+  // or raw digits with an optional symbology prefix (]C1, ]d2, ]Q3, ]e0) and
+  // GS separators after variable-length fields. Returns {ai: value} or null.
+  function wtParseGs1Elements(text) {
+    let s = String(text || "").trim();
+    const bracketed = s.startsWith("(");
+    if (bracketed) {
+      const out = {};
+      const re = /\((\d{2,4})\)([^(]*)/g;
+      let m;
+      let consumed = 0;
+      while ((m = re.exec(s))) {
+        if (m.index !== consumed) return null;
+        out[m[1]] = m[2].trim();
+        consumed = re.lastIndex;
+      }
+      return consumed === s.length && Object.keys(out).length ? out : null;
+    }
+
+    s = s.replace(/^\](C1|d2|Q3|e0)/, "");
+    if (s.startsWith(WT_GS1_GS)) s = s.slice(1);
+    const out = {};
+    while (s.length) {
+      let ai = Object.keys(WT_GS1_FIXED).find((k) => s.startsWith(k));
+      if (ai) {
+        const value = s.slice(ai.length, ai.length + WT_GS1_FIXED[ai]);
+        if (value.length !== WT_GS1_FIXED[ai]) return null;
+        out[ai] = value;
+        s = s.slice(ai.length + value.length);
+        if (s.startsWith(WT_GS1_GS)) s = s.slice(1);
+        continue;
+      }
+      ai = Object.keys(WT_GS1_VARIABLE).sort((a, b) => b.length - a.length).find((k) => s.startsWith(k));
+      if (!ai) return null;
+      const rest = s.slice(ai.length);
+      const end = rest.indexOf(WT_GS1_GS);
+      const value = end === -1 ? rest : rest.slice(0, end);
+      if (!value || value.length > WT_GS1_VARIABLE[ai]) return null;
+      out[ai] = value;
+      s = end === -1 ? "" : rest.slice(end + 1);
+    }
+    return Object.keys(out).length ? out : null;
+  }
+
+  // A supplier label as a scanned pallet: SSCC (00) is the pallet id, the
+  // contained GTIN (02, else 01) the product, (10) the lot, (17) expiry,
+  // (15) best before and (37) the unit count. Labels carry these across
+  // several barcodes, so any one of them may come without an id.
+  function wtParseGs1Label(text) {
+    const raw = String(text || "").trim();
+    const el = wtParseGs1Elements(raw);
+    if (!el) return null;
+    const sscc = el["00"] || "";
+    const gtin = el["02"] || el["01"] || "";
+    if (!sscc && !gtin) return null;
+    // Undelimited digits are only trusted when the check digits agree, so a
+    // numeric pallet id isn't mistaken for GS1 data.
+    if (!raw.startsWith("(") && !raw.startsWith("]")) {
+      if (sscc && !wtGs1CheckDigitOk(sscc)) return null;
+      if (gtin && !wtGs1CheckDigitOk(gtin)) return null;
+    }
+    const count = Number(el["37"]);
+    return {
+      id: sscc,
+      customer: "",
+      productId: gtin,
+      unitsPerPallet: Number.isInteger(count) && count > 0 ? count : 0,
+      hasUnitsPerPallet: Number.isInteger(count) && count > 0,
+      lot: el["10"] || "",
+      batch: "",
+      bestBefore: wtGs1Date(el["15"] || ""),
+      expiryDate: wtGs1Date(el["17"] || ""),
+      _format: "gs1",
+    };
+  }
+
+  // Folds another barcode from the same supplier label into what has been
+  // scanned so far; fields already read are kept.
+  function wtMergeGs1(current, next) {
+    const merged = { ...(current || {}) };
+    for (const [key, value] of Object.entries(next || {})) {
+      if (value && !merged[key]) merged[key] = value;
+    }
+    merged.hasUnitsPerPallet = !!(current?.hasUnitsPerPallet || next?.hasUnitsPerPallet);
+    return merged;
+  }
+
   function wtParsePalletQr(text) {
     if (!text || typeof text !== "string") return null;
 
-    if (text.startsWith(WT_QR_PREFIX)) {
+    const v2 = text.startsWith(WT_QR_PREFIX_V2);
+    if (v2 || text.startsWith(WT_QR_PREFIX)) {
       try {
-        const raw = text.slice(WT_QR_PREFIX.length);
+        // v2 appends ".<signature>"; only the server can check it.
+        const raw = text.slice(WT_QR_PREFIX.length).split(".")[0];
         const json = wtBase64UrlDecode(raw);
         const obj = JSON.parse(json);
         if (!obj?.id) return null;
@@ -58,13 +201,22 @@
           productId: String(obj.p || ""),
           unitsPerPallet: Number(obj.u || 0) || 0,
           hasUnitsPerPallet: Object.prototype.hasOwnProperty.call(obj, "u"),
-          _format: "wt-v1",
+          lot: String(obj.l || ""),
+          batch: String(obj.b || ""),
+          bestBefore: String(obj.bb || ""),
+          expiryDate: String(obj.x || ""),
+          // Sent with the check-in so the server checks the label itself.
+          labelPayload: text,
+          _format: v2 ? "wt-v2" : "wt-v1",
         };
       } catch {
         return null;
       }
     }
 
+    const gs1 = wtParseGs1Label(text);
+    if (gs1) return gs1;
+
     // legacy fallback: treat the whole text as pallet id
     return { id: text.trim(), customer: "", productId: "", unitsPerPallet: 0, _format: "legacy" };
   }
@@ -119,7 +271,9 @@
     } catch (err) {
       const msg = String(err?.message || "").toLowerCase();
       if (msg.includes("load failed") || msg.includes("failed to fetch") || msg.includes("network")) {
-        throw new Error("Network connection failed. Check that your tunnel/server is running, then reload.");
+        const netErr = new Error("Network connection failed. Check that your tunnel/server is running, then reload.");
+        netErr.isNetworkError = true;
+        throw netErr;
       }
       throw err;
     }
@@ -135,9 +289,11 @@
         window.dispatchEvent(new CustomEvent("wt-auth-required"));
       }
       let msg = `${res.status} ${res.statusText}`;
+      let errBody = null;
       if (isJson) {
         try {
           const j = await res.json();
+          errBody = j;
           msg = j?.error || j?.message || msg;
         } catch {}
       } else {
@@ -145,13 +301,88 @@
           msg = (await res.text()) || msg;
         } catch {}
       }
-      throw new Error(msg);
+      const httpErr = new Error(msg);
+      httpErr.status = res.status;
+      httpErr.body = errBody;
+      throw httpErr;
     }
 
+    if (opts.asBlob) return res.blob();
     if (isJson) return res.json();
     return res.text();
   }
 
+  // --------------------------
+  // Offline outbox (IndexedDB)
+  // --------------------------
+  const WT_OUTBOX_DB = "wt-offline";
+  const WT_OUTBOX_STORE = "outbox";
+  const WT_OUTBOX_SYNC_TAG = "wt-outbox-replay";
+  let wtOutboxDbPromise = null;
+
+  function wtOpenOutboxDb() {
+    if (wtOutboxDbPromise) return wtOutboxDbPromise;
+    wtOutboxDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("Offline storage is not available in this browser"));
+        return;
+      }
+      const req = indexedDB.open(WT_OUTBOX_DB, 1);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(WT_OUTBOX_STORE)) {
+          db.createObjectStore(WT_OUTBOX_STORE, { keyPath: "id", autoIncrement: true });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error || new Error("Unable to open offline storage"));
+    }).catch((err) => {
+      wtOutboxDbPromise = null;
+      throw err;
+    });
+    return wtOutboxDbPromise;
+  }
+
+  async function wtOutboxTx(mode, fn) {
+    const db = await wtOpenOutboxDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(WT_OUTBOX_STORE, mode);
+      const req = fn(tx.objectStore(WT_OUTBOX_STORE));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error || new Error("Offline storage error"));
+      tx.onabort = () => reject(tx.error || new Error("Offline storage aborted"));
+    });
+  }
+
+  async function wtOutboxAll() {
+    const rows = await wtOutboxTx("readonly", (store) => store.getAll());
+    // keys are auto-increment, so id order is enqueue order
+    return (Array.isArray(rows) ? rows : []).sort((a, b) => Number(a.id) - Number(b.id));
+  }
+
+  function wtOutboxAdd(entry) {
+    return wtOutboxTx("readwrite", (store) => store.add(entry));
+  }
+
+  function wtOutboxPut(entry) {
+    return wtOutboxTx("readwrite", (store) => store.put(entry));
+  }
+
+  function wtOutboxDelete(id) {
+    return wtOutboxTx("readwrite", (store) => store.delete(id));
+  }
+
+  function wtRequestBackgroundReplay() {
+    try {
+      if (!("serviceWorker" in navigator)) return;
+      navigator.serviceWorker.ready
+        .then((reg) => (reg.sync ? reg.sync.register(WT_OUTBOX_SYNC_TAG) : null))
+        .catch(() => {});
+    } catch {
+      // ignore (Background Sync unsupported)
+    }
+  }
+
   // --------------------------
   // App
   // --------------------------
@@ -171,22 +402,39 @@
     searchTerm: "",
 
     // scanner
-    scanMode: null,            // 'checkin-pallet' | 'checkin-location' | 'checkout' | 'checkout-units' | 'move-pallet' | 'move-location'
+    scanMode: null,            // 'checkin-pallet' | 'checkin-location' | 'checkout' | 'checkout-units' | 'checkout-parts' | 'move-pallet' | 'move-location' | 'count' | 'pick' | 'receive-pallet' | 'receive-location'
     _scannedPallet: null,      // holds pallet QR payload between scans
+    _gs1Partial: null,         // supplier label barcodes read before its SSCC
+    hwScanner: { enabled: false, prefix: "", suffix: "" }, // keyboard-wedge scanner, per device
+    _wedge: null,              // wtWedge reader (public/wedge.js), set up in init
+    countSessionId: null,      // open stock-take session the 'count' scanner records into
+    _countLocation: null,      // location currently being counted
+    _countScannedBy: "",
+    pickOrder: null,           // { order, lines, picks } the 'pick' scanner confirms against
+    _pickScannedBy: "",
+    receivingAsn: null,        // { asn, lines, receipts } the 'receive-*' scanner books pallets against
+    _receiveScannedBy: "",
     scanner: null,
     _scanBusy: false,
     _lastScanText: "",
     _lastScanAt: 0,
     _toastDedup: new Map(),
+    _labelChecks: new Map(),   // scanned v2 label text -> server verdict
 
     // QR views
     tempPallet: null,          // used for single QR view
+    labelSize: "a6",           // a6 | 4x6, for server-rendered labels
 
     // settings
     googleSheetsUrl: "",       // loaded from server (/api/settings) in Option B setups
     autoSheetsSyncEnabled: false,
     autoSheetsSyncMinutes: "15",
     autoSheetsSyncState: null,
+    mapColorBy: "fill",        // floor map cells: "fill" level or "customer"
+    _mapFillSnapshot: null,    // location -> fill at the last map render, to flash live changes
+    heldStockBilling: "standard",
+    heldStockRate: "0",
+    legacyLabelPolicy: "warn", // what scanning an unsigned v1 label does: allow | warn | block
     companyName: "Warehouse Tracker",
     appTagline: "Live inventory • PWA",
     logoUrl: "",
@@ -197,6 +445,11 @@
     connState: "is-warn",
     connText: "Connecting…",
 
+    // offline outbox
+    outboxCount: 0,
+    outboxBlocked: false,
+    _outboxReplaying: false,
+
     // ui
     lastUpdatedAt: "",
     loading: false,
@@ -211,6 +464,9 @@
     rates: [],
     invoices: [],
     authUsers: [],
+    products: [],
+    customerNames: [],
+    customerRecords: [],
     systemHealth: null,
     latestBackup: null,
     invoiceAging: { buckets: { current: { count: 0, amount: 0 }, d1_30: { count: 0, amount: 0 }, d31_60: { count: 0, amount: 0 }, d61_plus: { count: 0, amount: 0 } }, total_outstanding: 0, total_count: 0 },
@@ -234,7 +490,8 @@
     // --------------------------
     // UI: Toasts
     // --------------------------
-    showToast(message, type = "info") {
+    // `action` ({ label, onClick }) adds a button and keeps the toast up longer.
+    showToast(message, type = "info", action = null) {
       const container = document.getElementById("toast-container");
       if (!container) return;
 
@@ -244,16 +501,23 @@
       toast.innerHTML = `
         <div style="font-size: 20px; line-height: 1;">${icon}</div>
         <div style="flex:1;">${String(message || "")}</div>
+        ${action ? `<button type="button" class="toast-action">${action.label}</button>` : ""}
       `;
       while (container.children.length >= 2) {
         container.removeChild(container.firstElementChild);
       }
       container.appendChild(toast);
 
-      setTimeout(() => {
+      const dismiss = () => {
         toast.classList.add("hiding");
         setTimeout(() => toast.remove(), 250);
-      }, 2800);
+      };
+      toast.querySelector(".toast-action")?.addEventListener("click", () => {
+        dismiss();
+        action.onClick();
+      }, { once: true });
+
+      setTimeout(dismiss, action ? UNDO_WINDOW_MS : 2800);
     },
 
     showToastDedup(message, type = "info", cooldownMs = 1800) {
@@ -486,6 +750,16 @@
       return changed;
     },
 
+    setLabelSize(size) {
+      this.labelSize = size === "4x6" ? "4x6" : "a6";
+      try {
+        localStorage.setItem("wt_label_size", this.labelSize);
+      } catch {
+        // ignore
+      }
+      this.render();
+    },
+
     setTrackerDensity(mode) {
       const next = mode === "compact" ? "compact" : "comfy";
       this.trackerDensity = next;
@@ -586,6 +860,7 @@
                 <span id="wt-dot-inline" class="wt-dot is-warn"></span>
                 <span id="wt-conn-text">Connecting…</span>
               </span>
+              ${this._outboxPillHtml("wt-pill wt-pill-gray")}
               <span class="wt-pill wt-pill-gray" id="wt-last-pill" title="Last refresh time">
                 <span class="wt-dot is-ok"></span>
                 <span id="wt-last-text">—</span>
@@ -603,6 +878,7 @@
                 <button class="wt-nav-btn" data-nav="dashboard" onclick="app.setView('dashboard')">Dashboard</button>
                 <button class="wt-nav-btn" data-nav="scan" onclick="app.setView('scan')">Scan</button>
                 <button class="wt-nav-btn" data-nav="tracker" onclick="app.setView('tracker')">Tracker</button>
+                <button class="wt-nav-btn" data-nav="map" onclick="app.setView('map')">Floor map</button>
                 ${canAccessSettings ? `<button class="wt-nav-btn" data-nav="invoices" onclick="app.setView('invoices')">Invoices</button>` : ""}
                 <button class="wt-nav-btn" data-nav="history" onclick="app.setView('history')">History</button>
                 ${canAccessSettings ? `<button class="wt-nav-btn" data-nav="settings" onclick="app.setView('settings')">Settings</button>` : ""}
@@ -650,6 +926,7 @@
                 <span id="wt-dot-inline" class="wt-dot is-warn"></span>
                 <span id="wt-conn-text">Connecting…</span>
               </span>
+              ${this._outboxPillHtml("wt-mobile-pill")}
               ${this.authDisabled ? `<button class="wt-icon-btn" onclick="app.setOperatorNameFlow().catch(()=>{})">Name</button>` : ""}
               ${this.authDisabled ? "" : `<button class="wt-icon-btn" onclick="app.logout().catch(()=>{})">Logout</button>`}
             </div>
@@ -665,6 +942,7 @@
             <button class="wt-mnav-btn" data-nav="dashboard" onclick="app.setView('dashboard')">Home</button>
             <button class="wt-mnav-btn wt-mnav-primary" data-nav="scan" onclick="app.setView('scan')">Scan</button>
             <button class="wt-mnav-btn" data-nav="tracker" onclick="app.setView('tracker')">Tracker</button>
+            <button class="wt-mnav-btn" data-nav="map" onclick="app.setView('map')">Map</button>
             ${this.isAdminUser() ? `<button class="wt-mnav-btn" data-nav="invoices" onclick="app.setView('invoices')">Invoices</button>` : ""}
             <button class="wt-mnav-btn" onclick="app.setOperatorNameFlow().catch(()=>{})">Name</button>
           </nav>
@@ -710,6 +988,7 @@
           this.view === "dashboard" ? this.renderDashboard() :
           this.view === "scan" ? this.renderScan() :
           this.view === "tracker" ? this.renderTracker() :
+          this.view === "map" ? this.renderMap() :
           this.view === "invoices" ? this.renderInvoices() :
           this.view === "history" ? this.renderHistory() :
           this.view === "settings" ? this.renderSettings() :
@@ -758,6 +1037,7 @@
       // last refresh badge
       this._updateTopRightLastUpdated();
       this._applyConnectionStatus();
+      this._applyOutboxBadge();
 
       // tracker bindings
       if (this.view === "tracker") {
@@ -816,6 +1096,29 @@
       }
     },
 
+    _outboxPillHtml(className) {
+      return `
+        <button type="button" class="${className} wt-outbox-pill" id="wt-outbox-pill" title="Actions waiting to sync"
+          style="display:none" onclick="app.showOutbox().catch(e=>app.showToast(e.message || 'Outbox unavailable','error'))">
+          <span id="wt-outbox-dot" class="wt-dot is-warn"></span>
+          <span id="wt-outbox-text">0 pending</span>
+        </button>
+      `;
+    },
+
+    _applyOutboxBadge() {
+      const pill = document.getElementById("wt-outbox-pill");
+      const dot = document.getElementById("wt-outbox-dot");
+      const text = document.getElementById("wt-outbox-text");
+      const count = Number(this.outboxCount || 0);
+      if (pill) pill.style.display = count > 0 ? "" : "none";
+      if (dot) {
+        dot.classList.remove("is-ok", "is-warn", "is-bad");
+        dot.classList.add(this.outboxBlocked ? "is-bad" : "is-warn");
+      }
+      if (text) text.textContent = this.outboxBlocked ? `${count} pending • needs review` : `${count} pending`;
+    },
+
     _updateTopRightLastUpdated() {
       const el = document.getElementById("wt-last-text");
       if (el) el.textContent = this.lastUpdatedAt || "—";
@@ -852,9 +1155,10 @@
         return Number.isFinite(sqm) && sqm > 0 ? sum + sqm : sum;
       }, 0);
       const floorUsedSqm = floorSpaceRows.reduce((sum, loc) => {
-        if (!Number(loc?.is_occupied)) return sum;
         const sqm = Number(loc?.floor_area_sqm);
-        return Number.isFinite(sqm) && sqm > 0 ? sum + sqm : sum;
+        if (!Number.isFinite(sqm) || sqm <= 0 || !(Number(loc?.fill_pallets) > 0)) return sum;
+        const level = loc?.fill_level == null ? 1 : Math.min(1, Number(loc.fill_level) || 0);
+        return sum + sqm * level;
       }, 0);
       const floorUtilization = floorTotalSqm > 0
         ? ((floorUsedSqm / floorTotalSqm) * 100).toFixed(1)
@@ -1156,6 +1460,22 @@
                   </div>
                 </button>
 
+                <button type="button" onclick="app.startScanner('checkout-parts')"
+                  class="group w-full rounded-2xl border border-slate-200 bg-white p-5 text-left shadow-sm transition hover:-translate-y-[1px] hover:border-slate-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500">
+                  <div class="flex items-start gap-4">
+                    <div class="flex h-11 w-11 items-center justify-center rounded-xl bg-amber-500/10 text-amber-800">
+                      <span class="text-lg font-black">PN</span>
+                    </div>
+                    <div class="min-w-0">
+                      <div class="flex items-center gap-2">
+                        <div class="text-base font-bold text-slate-900">Remove parts</div>
+                        <span class="rounded-full bg-amber-500/10 px-2 py-0.5 text-xs font-semibold text-amber-800">parts list</span>
+                      </div>
+                      <div class="mt-1 text-sm text-slate-600">Scan a multi-part pallet and pick part numbers off it.</div>
+                    </div>
+                  </div>
+                </button>
+
                 <button type="button" onclick="app.startScanner('move-pallet')"
                   class="group w-full rounded-2xl border border-slate-200 bg-white p-5 text-left shadow-sm transition hover:-translate-y-[1px] hover:border-slate-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500">
                   <div class="flex items-start gap-4">
@@ -1184,6 +1504,54 @@
                     </div>
                   </div>
                 </button>
+
+                <button type="button" onclick="app.startStockCount()"
+                  class="group w-full rounded-2xl border border-slate-200 bg-white p-5 text-left shadow-sm transition hover:-translate-y-[1px] hover:border-slate-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500">
+                  <div class="flex items-start gap-4">
+                    <div class="flex h-11 w-11 items-center justify-center rounded-xl bg-teal-500/10 text-teal-700">
+                      <span class="text-lg font-black">#</span>
+                    </div>
+                    <div class="min-w-0">
+                      <div class="flex items-center gap-2">
+                        <div class="text-base font-bold text-slate-900">Stock take</div>
+                        <span class="rounded-full bg-teal-500/10 px-2 py-0.5 text-xs font-semibold text-teal-700">count</span>
+                      </div>
+                      <div class="mt-1 text-sm text-slate-600">Scan each location, then the pallets on it.</div>
+                    </div>
+                  </div>
+                </button>
+
+                <button type="button" onclick="app.startReceiving()"
+                  class="group w-full rounded-2xl border border-slate-200 bg-white p-5 text-left shadow-sm transition hover:-translate-y-[1px] hover:border-slate-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500">
+                  <div class="flex items-start gap-4">
+                    <div class="flex h-11 w-11 items-center justify-center rounded-xl bg-amber-500/10 text-amber-700">
+                      <span class="text-lg font-black">⇠</span>
+                    </div>
+                    <div class="min-w-0">
+                      <div class="flex items-center gap-2">
+                        <div class="text-base font-bold text-slate-900">Receiving</div>
+                        <span class="rounded-full bg-amber-500/10 px-2 py-0.5 text-xs font-semibold text-amber-700">ASN</span>
+                      </div>
+                      <div class="mt-1 text-sm text-slate-600">Book a delivery in against its advance shipping notice.</div>
+                    </div>
+                  </div>
+                </button>
+
+                <button type="button" onclick="app.startOrderPicking()"
+                  class="group w-full rounded-2xl border border-slate-200 bg-white p-5 text-left shadow-sm transition hover:-translate-y-[1px] hover:border-slate-300 hover:shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500">
+                  <div class="flex items-start gap-4">
+                    <div class="flex h-11 w-11 items-center justify-center rounded-xl bg-indigo-500/10 text-indigo-700">
+                      <span class="text-lg font-black">⇢</span>
+                    </div>
+                    <div class="min-w-0">
+                      <div class="flex items-center gap-2">
+                        <div class="text-base font-bold text-slate-900">Pick order</div>
+                        <span class="rounded-full bg-indigo-500/10 px-2 py-0.5 text-xs font-semibold text-indigo-700">outbound</span>
+                      </div>
+                      <div class="mt-1 text-sm text-slate-600">Create an order and scan each pallet on its pick list.</div>
+                    </div>
+                  </div>
+                </button>
               </div>
             </div>
 
@@ -1227,13 +1595,20 @@
             <div id="wt-scan-hint" class="mb-3 rounded-xl border border-slate-200 bg-slate-50 px-3 py-2 text-sm text-slate-700">
               ${hint}
             </div>
-            <div id="qr-reader" class="wt-qr-reader overflow-hidden rounded-xl border border-slate-200"></div>
+            <div id="wt-scan-suggest" class="mb-3 empty:hidden"></div>
+            ${
+              this.hwScanner.enabled
+                ? `<div class="rounded-xl border-2 border-dashed border-slate-300 px-4 py-10 text-center text-sm font-semibold text-slate-600">
+                    Ready: scan with the handheld scanner.
+                  </div>`
+                : `<div id="qr-reader" class="wt-qr-reader overflow-hidden rounded-xl border border-slate-200"></div>`
+            }
             <div class="mt-4 flex gap-2">
               <button class="wt-scan-cancel rounded-xl bg-slate-100 px-4 py-2 font-semibold text-slate-800 hover:bg-slate-200" onclick="app.stopScanner()">
                 Cancel
               </button>
               <div class="ml-auto text-xs text-slate-500 flex items-center">
-                Ensure camera permission is allowed.
+                ${this.hwScanner.enabled ? "Hardware scanner mode (change in Settings)." : "Ensure camera permission is allowed."}
               </div>
             </div>
           </div>
@@ -1246,8 +1621,13 @@
         this.scanMode === "checkin-location" ? "Scan location QR" :
         this.scanMode === "checkout" ? "Scan pallet to check out" :
         this.scanMode === "checkout-units" ? "Scan pallet to remove units" :
+        this.scanMode === "checkout-parts" ? "Scan pallet to remove parts" :
         this.scanMode === "move-pallet" ? "Scan pallet to move" :
-        this.scanMode === "move-location" ? "Scan destination location QR" : "Scan";
+        this.scanMode === "move-location" ? "Scan destination location QR" :
+        this.scanMode === "count" ? "Stock take" :
+        this.scanMode === "pick" ? `Pick order #${this.pickOrder?.order?.id || ""}` :
+        this.scanMode === "receive-pallet" ? `Receive ASN #${this.receivingAsn?.asn?.id || ""}` :
+        this.scanMode === "receive-location" ? "Scan location QR" : "Scan";
     },
 
     _scanHint() {
@@ -1256,7 +1636,16 @@
         this.scanMode === "move-pallet" ? "Step 1 of 2: Scan the pallet you want to move." :
         this.scanMode === "move-location" ? "Step 2 of 2: Scan destination location label." :
         this.scanMode === "checkout" ? "Scan pallet label to remove from storage." :
-        this.scanMode === "checkout-units" ? "Scan pallet label to remove part units." : "Scan QR code.";
+        this.scanMode === "checkout-units" ? "Scan pallet label to remove part units." :
+        this.scanMode === "checkout-parts" ? "Scan pallet label, then choose the part numbers taken." :
+        this.scanMode === "count"
+          ? (this._countLocation
+            ? `Counting ${this._countLocation}: scan each pallet here, or the next location label.`
+            : "Scan a location label to start counting it.")
+          : this.scanMode === "pick" ? this._pickHint()
+          : this.scanMode === "receive-pallet" ? `${this._asnProgress()} Scan the next pallet label.`
+          : this.scanMode === "receive-location" ? `Put ${this._scannedPallet?.id || "the pallet"} away: scan the location label.`
+          : "Scan QR code.";
     },
 
     _syncScannerUi() {
@@ -1264,6 +1653,73 @@
       const hint = document.getElementById("wt-scan-hint");
       if (title) title.textContent = this._scanTitle();
       if (hint) hint.textContent = this._scanHint();
+      const suggest = document.getElementById("wt-scan-suggest");
+      if (suggest && !this._isScanLocationStep()) suggest.innerHTML = "";
+    },
+
+    // --------------------------
+    // Putaway suggestions
+    // --------------------------
+    async loadPutawaySuggestions({ customer = "", productId = "", qty = 1 } = {}) {
+      const params = new URLSearchParams({ customer, product_id: productId, qty: String(qty || 1) });
+      try {
+        const data = await apiFetch(`/api/putaway/suggest?${params.toString()}`);
+        return Array.isArray(data?.suggestions) ? data.suggestions : [];
+      } catch {
+        // Suggestions are a convenience; offline check-ins still work without them.
+        return [];
+      }
+    },
+
+    _putawaySuggestionsHtml(suggestions, onPick) {
+      if (!suggestions.length) return "";
+      return `
+        <div class="text-xs font-semibold text-slate-500 mb-1">Suggested locations</div>
+        <div class="flex flex-wrap gap-2">
+          ${suggestions.map((s) => `
+            <button type="button" class="wt-btn wt-btn-green" data-location="${s.location}" onclick="${onPick}"
+              title="${(s.reasons || []).join(", ")}">
+              ${s.location}
+              <span class="text-xs text-slate-500">${s.free == null ? "" : `${s.free} free`}</span>
+            </button>
+          `).join("")}
+        </div>
+      `;
+    },
+
+    async _showScanPutaway(pallet) {
+      const suggestions = await this.loadPutawaySuggestions({ customer: pallet.customer, productId: pallet.productId });
+      const el = document.getElementById("wt-scan-suggest");
+      if (!el || !this._isScanLocationStep()) return;
+      el.innerHTML = this._putawaySuggestionsHtml(suggestions.slice(0, 3), "app.pickScanLocation(this.dataset.location)");
+    },
+
+    _isScanLocationStep() {
+      return this.scanMode === "checkin-location" || this.scanMode === "receive-location";
+    },
+
+    pickScanLocation(location) {
+      if (!this._isScanLocationStep()) return;
+      return this._handleScan(location);
+    },
+
+    async suggestManualEntryLocations() {
+      const field = (name) => document.querySelector(`[data-modal-field="${name}"]`);
+      const suggestions = await this.loadPutawaySuggestions({
+        customer: String(field("customer")?.value || "").trim(),
+        productId: String(field("productId")?.value || "").trim(),
+        qty: Number(field("palletQty")?.value || 1) || 1,
+      });
+      const el = document.getElementById("wt-manual-suggest");
+      if (!el) return;
+      el.innerHTML = suggestions.length
+        ? this._putawaySuggestionsHtml(suggestions, "app.pickManualEntryLocation(this.dataset.location)")
+        : `<div class="text-xs text-slate-500">No location has room for that many pallets.</div>`;
+    },
+
+    pickManualEntryLocation(location) {
+      const input = document.querySelector('[data-modal-field="location"]');
+      if (input) input.value = location;
     },
 
     renderTracker() {
@@ -1275,7 +1731,8 @@
           const a = String(p.product_id || "").toLowerCase();
           const b = String(p.location || "").toLowerCase();
           const c = String(p.customer_name || "").toLowerCase();
-          return a.includes(term) || b.includes(term) || c.includes(term);
+          const d = `${p.lot || ""} ${p.batch || ""}`.toLowerCase();
+          return a.includes(term) || b.includes(term) || c.includes(term) || d.includes(term);
         });
       }
 
@@ -1292,8 +1749,8 @@
                     const total = up > 0 ? (p.current_units ?? (pq * up)) : "";
                     const added = p.date_added ? new Date(p.date_added).toLocaleDateString() : "";
                     return `
-                      <article class="wt-mobile-card">
-                        <div class="wt-mobile-card-id">${p.id || ""}</div>
+                      <article class="wt-mobile-card${p.hold_status ? " wt-row-held" : ""}">
+                        <div class="wt-mobile-card-id">${p.id || ""}${this._holdBadgeHtml(p)}</div>
                         <div class="wt-mobile-card-grid">
                           <div><span class="wt-mobile-card-k">Product</span><span class="wt-mobile-card-v">${p.product_id || ""}</span></div>
                           <div><span class="wt-mobile-card-k">Customer</span><span class="wt-mobile-card-v">${p.customer_name || ""}</span></div>
@@ -1302,10 +1759,19 @@
                           <div><span class="wt-mobile-card-k">Units/Pallet</span><span class="wt-mobile-card-v">${up || ""}</span></div>
                           <div><span class="wt-mobile-card-k">Total Units</span><span class="wt-mobile-card-v">${total}</span></div>
                           <div><span class="wt-mobile-card-k">Added</span><span class="wt-mobile-card-v">${added}</span></div>
+                          ${p.lot || p.batch ? `<div><span class="wt-mobile-card-k">Lot / batch</span><span class="wt-mobile-card-v">${[p.lot, p.batch].filter(Boolean).join(" / ")}</span></div>` : ""}
+                          ${p.expiry_date || p.best_before ? `<div><span class="wt-mobile-card-k">Expires</span><span class="wt-mobile-card-v">${this._expiryHtml(p)}</span></div>` : ""}
                         </div>
                         <div class="wt-mobile-card-actions">
                           <button class="wt-btn wt-btn-purple" onclick="app.reprintPalletQR('${p.id}')">Reprint</button>
                           ${up > 0 ? `<button class="wt-btn wt-btn-yellow" onclick="app.removePartialUnits('${p.id}')">Remove units</button>` : ""}
+                          ${Array.isArray(p.parts) && p.parts.length ? `<button class="wt-btn wt-btn-yellow" onclick="app.removeParts('${p.id}')">Remove parts</button>` : ""}
+                          <button class="wt-btn wt-btn-orange" onclick="app.editPallet('${p.id}')">Edit</button>
+                          ${pq > 1 ? `<button class="wt-btn wt-btn-slate" onclick="app.splitPallet('${p.id}')">Split</button>` : ""}
+                          <button class="wt-btn wt-btn-slate" onclick="app.mergePallet('${p.id}')">Merge</button>
+                          ${p.hold_status
+                            ? `<button class="wt-btn wt-btn-green" onclick="app.releasePallet('${p.id}')">Release</button>`
+                            : `<button class="wt-btn wt-btn-orange" onclick="app.holdPallet('${p.id}')">Hold</button>`}
                           <button class="wt-btn wt-btn-blue" onclick="app.showProductInfo('${p.id}')">Info</button>
                         </div>
                       </article>
@@ -1328,6 +1794,8 @@
                   <th class="wt-th-num">Units/Pallet</th>
                   <th class="wt-th-num">Total Units</th>
                   <th>Added</th>
+                  <th>Lot / batch</th>
+                  <th>Expires</th>
                   <th class="wt-th-sticky-right">Actions</th>
                 </tr>
               </thead>
@@ -1340,8 +1808,8 @@
                         const total = up > 0 ? (p.current_units ?? (pq * up)) : "";
                         const added = p.date_added ? new Date(p.date_added).toLocaleDateString() : "";
                         return `
-                          <tr class="wt-row">
-                            <td class="wt-cell wt-strong wt-td-sticky-left">${p.id || ""}</td>
+                          <tr class="wt-row${p.hold_status ? " wt-row-held" : ""}">
+                            <td class="wt-cell wt-strong wt-td-sticky-left">${p.id || ""}${this._holdBadgeHtml(p)}</td>
                             <td class="wt-cell wt-strong">${p.product_id || ""}</td>
                             <td class="wt-cell">${p.customer_name || ""}</td>
                             <td class="wt-cell">${p.location || ""}</td>
@@ -1349,9 +1817,18 @@
                             <td class="wt-cell wt-num">${up || ""}</td>
                             <td class="wt-cell wt-num">${total}</td>
                             <td class="wt-cell">${added}</td>
+                            <td class="wt-cell">${[p.lot, p.batch].filter(Boolean).join(" / ")}</td>
+                            <td class="wt-cell">${this._expiryHtml(p)}</td>
                             <td class="wt-cell wt-actions wt-td-sticky-right">
                               <button class="wt-btn wt-btn-purple" onclick="app.reprintPalletQR('${p.id}')">Reprint</button>
                               ${up > 0 ? `<button class="wt-btn wt-btn-yellow" onclick="app.removePartialUnits('${p.id}')">Remove units</button>` : ""}
+                              ${Array.isArray(p.parts) && p.parts.length ? `<button class="wt-btn wt-btn-yellow" onclick="app.removeParts('${p.id}')">Remove parts</button>` : ""}
+                              <button class="wt-btn wt-btn-orange" onclick="app.editPallet('${p.id}')">Edit</button>
+                              ${pq > 1 ? `<button class="wt-btn wt-btn-slate" onclick="app.splitPallet('${p.id}')">Split</button>` : ""}
+                              <button class="wt-btn wt-btn-slate" onclick="app.mergePallet('${p.id}')">Merge</button>
+                              ${p.hold_status
+                                ? `<button class="wt-btn wt-btn-green" onclick="app.releasePallet('${p.id}')">Release</button>`
+                                : `<button class="wt-btn wt-btn-orange" onclick="app.holdPallet('${p.id}')">Hold</button>`}
                               <button class="wt-btn wt-btn-blue" onclick="app.showProductInfo('${p.id}')">Info</button>
                             </td>
                           </tr>
@@ -1359,7 +1836,7 @@
                       }).join("")
                     : `
                       <tr>
-                        <td class="wt-cell" colspan="9">
+                        <td class="wt-cell" colspan="11">
                           <div class="py-10 text-center text-slate-500">
                             <div class="text-4xl mb-2">📦</div>
                             No pallets found.
@@ -1416,7 +1893,7 @@
 
             <form id="tracker-search-form" class="min-w-[240px] flex-1 flex gap-2">
               <input id="search-input" type="text" value="${this.searchTerm || ""}"
-                placeholder="Search product / location / customer..."
+                placeholder="Search product / location / customer / lot..."
                 class="min-w-0 flex-1 rounded-xl border border-slate-300 px-3 py-2 text-sm" />
               <button type="submit" class="rounded-xl bg-slate-900 px-4 py-2 text-sm font-semibold text-white hover:bg-slate-800">Search</button>
               <button type="button" class="rounded-xl border border-slate-300 bg-white px-4 py-2 text-sm font-semibold text-slate-900 hover:bg-slate-50" onclick="app.clearTrackerSearch()">Clear</button>
@@ -1427,6 +1904,16 @@
               download>
               Export CSV
             </a>
+
+            <button type="button" class="rounded-xl border border-slate-300 bg-white px-4 py-2 text-sm font-semibold text-slate-900 hover:bg-slate-50"
+              onclick="app.showExpiringReport()">
+              Expiring soon
+            </button>
+
+            <button type="button" class="rounded-xl border border-slate-300 bg-white px-4 py-2 text-sm font-semibold text-slate-900 hover:bg-slate-50"
+              onclick="app.showHoldReport()">
+              On hold
+            </button>
           </div>
 
           ${trackerResultsHtml}
@@ -1434,6 +1921,308 @@
       `;
     },
 
+    // --------------------------
+    // Floor map
+    // --------------------------
+    // One row per aisle with its racks in order, each rack stacked over its
+    // floor slot; FLOOR SPACE and custom locations share a row at the end.
+    // Live updates arrive through refreshAll like every other view.
+    renderMap() {
+      const byLocation = this._palletsByLocation();
+      const changed = this._mapChangedLocations();
+      const aisles = new Map();
+      const other = [];
+      for (const loc of this.locations || []) {
+        const slot = loc.location_type === "rack" ? "rack" : loc.location_type === "rack_floor" ? "floor" : null;
+        if (!slot || !loc.aisle || !loc.rack) {
+          other.push(loc);
+          continue;
+        }
+        if (!aisles.has(loc.aisle)) aisles.set(loc.aisle, new Map());
+        const racks = aisles.get(loc.aisle);
+        if (!racks.has(loc.rack)) racks.set(loc.rack, {});
+        racks.get(loc.rack)[slot] = loc;
+      }
+
+      const cell = (loc, extraClass = "") =>
+        loc ? this._mapCellHtml(loc, byLocation.get(loc.id) || [], changed.has(loc.id), extraClass) : `<div class="wt-map-cell is-missing"></div>`;
+      const aisleRows = [...aisles.keys()].sort().map((aisle) => {
+        const racks = aisles.get(aisle);
+        return `
+          <div class="wt-map-aisle">
+            <div class="wt-map-aisle-label">${wtEscapeHtml(aisle)}</div>
+            <div class="wt-map-racks">
+              ${[...racks.keys()].sort((a, b) => a - b).map((rack) => `
+                <div class="wt-map-rack">
+                  ${cell(racks.get(rack).rack)}
+                  ${cell(racks.get(rack).floor, " is-floor")}
+                </div>
+              `).join("")}
+            </div>
+          </div>
+        `;
+      }).join("");
+
+      const totalFill = (this.locations || []).reduce((sum, l) => sum + (Number(l.fill_pallets) || 0), 0);
+      const occupied = (this.locations || []).filter((l) => Number(l.fill_pallets) > 0).length;
+      const modeBtn = (mode, label) => `
+        <button class="rounded-xl px-4 py-2 text-sm font-semibold ${
+          this.mapColorBy === mode ? "bg-slate-900 text-white" : "border border-slate-300 bg-white text-slate-900 hover:bg-slate-50"
+        }" onclick="app.setMapColorBy('${mode}')">${label}</button>
+      `;
+
+      return `
+        <div class="space-y-5 fade-in">
+          <div class="flex flex-wrap items-end justify-between gap-3">
+            <div>
+              <div class="text-sm font-semibold text-slate-600">Floor map</div>
+              <h2 class="mt-1 text-2xl font-extrabold text-slate-900">Warehouse occupancy</h2>
+              <p class="mt-1 text-slate-600 text-sm">
+                ${totalFill} pallets in ${occupied} of ${(this.locations || []).length} locations. Tap a location for its pallets;
+                ${this.mobileMode ? "use Move there to relocate one." : "drag one location onto another to move a pallet."}
+              </p>
+            </div>
+            <div class="flex gap-2">
+              ${modeBtn("fill", "Fill level")}
+              ${modeBtn("customer", "Customer")}
+            </div>
+          </div>
+
+          <div class="text-xs text-slate-600 flex flex-wrap gap-3">${this._mapLegendHtml(byLocation)}</div>
+
+          <div class="rounded-2xl border border-slate-200 bg-white p-4 space-y-2">
+            ${aisleRows || `<div class="text-sm text-slate-500">No rack locations yet.</div>`}
+            ${
+              other.length
+                ? `<div class="wt-map-aisle pt-2">
+                    <div class="wt-map-aisle-label"></div>
+                    <div class="wt-map-racks">${other.map((loc) => cell(loc, " is-wide")).join("")}</div>
+                  </div>`
+                : ""
+            }
+          </div>
+        </div>
+      `;
+    },
+
+    setMapColorBy(mode) {
+      this.mapColorBy = mode === "customer" ? "customer" : "fill";
+      this.render();
+    },
+
+    _palletsByLocation() {
+      const out = new Map();
+      for (const p of this.pallets || []) {
+        const id = String(p.location || "");
+        if (!out.has(id)) out.set(id, []);
+        out.get(id).push(p);
+      }
+      return out;
+    },
+
+    // Locations whose fill differs from the previous map render.
+    _mapChangedLocations() {
+      const snapshot = new Map((this.locations || []).map((l) => [l.id, Number(l.fill_pallets) || 0]));
+      const previous = this._mapFillSnapshot;
+      this._mapFillSnapshot = snapshot;
+      if (!previous) return new Set();
+      return new Set([...snapshot].filter(([id, fill]) => previous.has(id) && previous.get(id) !== fill).map(([id]) => id));
+    },
+
+    // Green through amber to red as a location fills; dark red when over.
+    _mapFillColor(loc) {
+      const fill = Number(loc.fill_pallets) || 0;
+      if (!fill) return null;
+      if (loc.fill_level == null) return "hsl(210 40% 80%)";
+      if (loc.fill_level > 1) return "#7f1d1d";
+      return `hsl(${Math.round(140 - 140 * loc.fill_level)} 70% ${loc.fill_level > 0.85 ? 50 : 60}%)`;
+    },
+
+    _customerColor(name) {
+      let hash = 0;
+      for (const ch of String(name || "")) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+      return `hsl(${hash % 360} 60% 55%)`;
+    },
+
+    // The customer with the most pallets at a location.
+    _mapMainCustomer(pallets) {
+      const totals = new Map();
+      for (const p of pallets) totals.set(p.customer_name, (totals.get(p.customer_name) || 0) + (Number(p.pallet_quantity) || 0));
+      return [...totals].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+    },
+
+    _mapCellHtml(loc, pallets, changed, extraClass) {
+      const fill = Number(loc.fill_pallets) || 0;
+      const capacity = loc.capacity == null ? null : Number(loc.capacity);
+      const customer = this._mapMainCustomer(pallets);
+      const background = this.mapColorBy === "customer" ? (customer ? this._customerColor(customer) : null) : this._mapFillColor(loc);
+      const dark = this.mapColorBy === "customer" ? !!customer : loc.fill_level > 0.85;
+      const label = loc.location_type === "rack_floor" ? "Floor" : loc.id;
+      const customers = [...new Set(pallets.map((p) => p.customer_name))].join(", ");
+      const title = [
+        `${loc.id}: ${fill}${capacity != null ? ` of ${capacity}` : ""} pallets`,
+        customers,
+      ].filter(Boolean).join(" • ");
+      // Taps and drags are handled by _bindMapEvents through data-map-location.
+      return `
+        <button type="button" class="wt-map-cell${extraClass}${changed ? " is-changed" : ""}"
+          style="${background ? `background:${background};` : ""}${dark ? "color:#fff;" : ""}"
+          title="${wtEscapeHtml(title)}" data-map-location="${wtEscapeHtml(loc.id)}"
+          draggable="${pallets.length ? "true" : "false"}">
+          <span class="wt-map-cell-id">${wtEscapeHtml(label)}</span>
+          ${fill || capacity ? `<span>${fill}${capacity ? `/${capacity}` : ""}</span>` : ""}
+        </button>
+      `;
+    },
+
+    _mapLegendHtml(byLocation) {
+      const swatch = (color, text) => `<span><span class="wt-map-swatch" style="background:${color}"></span> ${text}</span>`;
+      if (this.mapColorBy === "customer") {
+        const names = [...new Set([...byLocation.values()].map((pallets) => this._mapMainCustomer(pallets)).filter(Boolean))].sort();
+        return names.length ? names.map((n) => swatch(this._customerColor(n), wtEscapeHtml(n))).join("") : "No stock on the map.";
+      }
+      return [
+        swatch("#f8fafc", "Empty"),
+        swatch("hsl(126 70% 60%)", "Light"),
+        swatch("hsl(70 70% 60%)", "Half full"),
+        swatch("hsl(0 70% 50%)", "Full"),
+        swatch("#7f1d1d", "Over capacity"),
+        swatch("hsl(210 40% 80%)", "No set capacity"),
+      ].join("");
+    },
+
+    // The pallets at a location, with shortcuts to their details or a move.
+    async showMapLocation(locationId) {
+      const loc = (this.locations || []).find((l) => l.id === locationId);
+      const pallets = this._palletsByLocation().get(locationId) || [];
+      const fill = Number(loc?.fill_pallets) || 0;
+      const rows = pallets.map((p) => `
+        <div class="flex justify-between gap-3">
+          <span class="font-mono">${wtEscapeHtml(p.id)}${this._holdBadgeHtml(p)}</span>
+          <span>${wtEscapeHtml(p.customer_name)} • ${wtEscapeHtml(p.product_id)} • ${Number(p.pallet_quantity) || 0} plt</span>
+        </div>
+      `).join("");
+      const html = `
+        <p class="text-sm text-slate-600 mb-3">
+          ${fill}${loc?.capacity != null ? ` of ${loc.capacity}` : ""} pallets${loc?.free_pallets != null ? `, room for ${loc.free_pallets} more` : ""}
+        </p>
+        ${
+          pallets.length
+            ? `<div class="rounded-xl border border-slate-200 p-3 space-y-1 text-sm text-slate-700 max-h-[45vh] overflow-auto">${rows}</div>
+              ${this._mapPalletPickerHtml(pallets)}`
+            : `<p class="text-sm text-slate-500">No pallets here.</p>`
+        }
+      `;
+      const res = await this.showModal(`Location ${wtEscapeHtml(locationId)}`, html, [
+        { label: "Close", value: "close" },
+        ...(pallets.length
+          ? [
+              { label: "Details", value: "details" },
+              { label: "Move…", value: "move", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" },
+            ]
+          : []),
+      ]);
+      const palletId = res?.fields?.pallet;
+      if (!palletId) return;
+      if (res.action === "details") return this.showProductInfo(palletId);
+      if (res.action !== "move") return;
+      const target = await this.prompt("Move pallet", `Move ${wtEscapeHtml(palletId)} to which location?`);
+      if (!target) return;
+      await this._movePalletFromMap(palletId, target);
+    },
+
+    _mapPalletPickerHtml(pallets) {
+      if (pallets.length === 1) return `<input type="hidden" data-modal-field="pallet" value="${wtEscapeHtml(pallets[0].id)}" />`;
+      return `
+        <label class="mt-3 block text-sm font-semibold text-slate-700">Pallet</label>
+        <select data-modal-field="pallet" class="mt-1 w-full rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm">
+          ${pallets.map((p) => `
+            <option value="${wtEscapeHtml(p.id)}">${wtEscapeHtml(p.id)} — ${wtEscapeHtml(p.customer_name)} • ${wtEscapeHtml(p.product_id)}</option>
+          `).join("")}
+        </select>
+      `;
+    },
+
+    // Map cells carry their location in data-map-location, so one set of
+    // listeners on the document handles taps and drag-and-drop for every
+    // render of the map. Drag events can target the text inside a cell.
+    _bindMapEvents() {
+      const cellOf = (e) => {
+        const el = e.target?.nodeType === 1 ? e.target : e.target?.parentElement;
+        return el?.closest("[data-map-location]") || null;
+      };
+      document.addEventListener("click", (e) => {
+        const cell = cellOf(e);
+        if (!cell) return;
+        this.showMapLocation(cell.dataset.mapLocation).catch((err) => this.showToast(err.message || "Failed", "error"));
+      });
+      document.addEventListener("dragstart", (e) => {
+        const cell = cellOf(e);
+        if (cell) this._mapDragStart(e, cell);
+      });
+      document.addEventListener("dragover", (e) => {
+        const cell = cellOf(e);
+        if (!cell) return;
+        e.preventDefault();
+        cell.classList.add("is-drop");
+      });
+      document.addEventListener("dragleave", (e) => cellOf(e)?.classList.remove("is-drop"));
+      document.addEventListener("drop", (e) => {
+        const cell = cellOf(e);
+        if (!cell) return;
+        this._mapDrop(e, cell).catch((err) => this.showToast(err.message || "Move failed", "error"));
+      });
+    },
+
+    _mapDragStart(event, cell) {
+      event.dataTransfer.setData("text/plain", cell.dataset.mapLocation);
+      event.dataTransfer.effectAllowed = "move";
+    },
+
+    // Dropping a location on another starts a move: pick the pallet (when
+    // there are several) and confirm.
+    async _mapDrop(event, cell) {
+      event.preventDefault();
+      cell.classList.remove("is-drop");
+      const from = event.dataTransfer.getData("text/plain");
+      const to = cell.dataset.mapLocation;
+      if (!from || !to || from === to) return;
+      const pallets = this._palletsByLocation().get(from) || [];
+      if (!pallets.length) return;
+
+      const res = await this.showModal("Move pallet", `
+        <p class="text-sm text-slate-600">Move from <span class="font-mono">${wtEscapeHtml(from)}</span> to <span class="font-mono">${wtEscapeHtml(to)}</span>.</p>
+        ${this._mapPalletPickerHtml(pallets)}
+      `, [
+        { label: "Cancel", value: "cancel" },
+        { label: "Move", value: "move", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" },
+      ]);
+      if (!res || res.cancelled || res.action !== "move" || !res.fields.pallet) return;
+      await this._movePalletFromMap(res.fields.pallet, to);
+    },
+
+    async _movePalletFromMap(palletId, target) {
+      await this.movePallet(palletId, target, "Manual entry");
+      await this.loadLocations().catch(() => {});
+      this.render();
+    },
+
+    _holdBadgeHtml(p) {
+      if (!p.hold_status) return "";
+      const title = [p.hold_reason, p.hold_by ? `by ${p.hold_by}` : ""].filter(Boolean).join(" ");
+      return `<span class="wt-status-badge wt-status-held" title="${wtEscapeHtml(title)}">${HOLD_LABELS[p.hold_status] || p.hold_status}</span>`;
+    },
+
+    // Expiry date (or best-before) of a dated pallet, red once past and amber
+    // within a fortnight.
+    _expiryHtml(p) {
+      const date = p.expiry_date || p.best_before;
+      if (!date) return "";
+      const daysLeft = Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`)) / 86400000);
+      const cls = daysLeft < 0 ? "text-rose-700 font-semibold" : daysLeft <= 14 ? "text-amber-700 font-semibold" : "";
+      return `<span class="${cls}" title="${p.expiry_date ? "Expiry" : "Best before"}">${date}${p.expiry_date ? "" : " (BB)"}</span>`;
+    },
+
     renderInvoices() {
       const rows = Array.isArray(this.invoices) ? this.invoices.slice() : [];
       const filterCustomer = String(this.invoiceFilterCustomer || "").trim().toLowerCase();
@@ -1627,6 +2416,8 @@
       ])).sort();
       const preview = this.invoicePreview;
       const users = Array.isArray(this.authUsers) ? this.authUsers : [];
+      const productRows = Array.isArray(this.products) ? this.products : [];
+      const customerRows = Array.isArray(this.customerRecords) ? this.customerRecords : [];
       const locationRows = Array.isArray(this.locations)
         ? [...this.locations].sort((a, b) => String(a.id || "").localeCompare(String(b.id || "")))
         : [];
@@ -1638,6 +2429,10 @@
       const editFloorArea = this.locationEditId
         ? this.locationEditFloorArea
         : (currentLocationRow?.floor_area_sqm == null ? "" : String(currentLocationRow.floor_area_sqm));
+      const currentFill = Number(currentLocationRow?.fill_pallets) || 0;
+      const currentFillText = currentLocationRow?.capacity == null
+        ? `${currentFill} pallet(s), no limit`
+        : `${currentFill} of ${currentLocationRow.capacity} pallet(s)`;
       return `
         <div class="space-y-5 fade-in">
           <div>
@@ -1746,6 +2541,72 @@
             }
           </div>
 
+          ${
+            isAdmin
+              ? `
+                <div class="rounded-2xl border border-slate-200 bg-white p-5 space-y-3">
+                  <div class="font-bold text-slate-900">Held stock billing</div>
+                  <div class="text-sm text-slate-600">How pallet-days spent on hold (quarantine, damaged, customer hold, QC pending) are invoiced.</div>
+                  <div class="flex flex-wrap items-center gap-3">
+                    <select class="rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm"
+                      onchange="app.heldStockBilling=this.value;app.render();">
+                      <option value="standard" ${this.heldStockBilling === "standard" ? "selected" : ""}>Bill like other stock</option>
+                      <option value="exempt" ${this.heldStockBilling === "exempt" ? "selected" : ""}>Don't bill held stock</option>
+                      <option value="rate" ${this.heldStockBilling === "rate" ? "selected" : ""}>Bill at a separate weekly rate</option>
+                    </select>
+                    ${
+                      this.heldStockBilling === "rate"
+                        ? `<input type="number" min="0" step="0.01" class="w-32 rounded-xl border border-slate-300 px-3 py-2 text-sm"
+                            value="${this.heldStockRate || "0"}" oninput="app.heldStockRate=this.value" placeholder="Rate / pallet / week" />`
+                        : ""
+                    }
+                    <button class="rounded-xl bg-slate-900 px-4 py-2 text-sm font-semibold text-white hover:bg-slate-800"
+                      onclick="app.saveHeldStockBilling().catch(e=>app.showToast(e.message || 'Save failed','error'))">
+                      Save
+                    </button>
+                  </div>
+                </div>
+
+                <div class="rounded-2xl border border-slate-200 bg-white p-5 space-y-3">
+                  <div class="font-bold text-slate-900">Pallet IDs</div>
+                  <div class="text-sm text-slate-600">
+                    New pallets get IDs from a server sequence: one default, plus optional formats per customer
+                    (e.g. ALL4-COUNCIL-000123).
+                  </div>
+                  <button class="rounded-xl bg-slate-900 px-4 py-2 text-sm font-semibold text-white hover:bg-slate-800"
+                    onclick="app.managePalletIdFormats().catch(e=>app.showToast(e.message || 'Failed to load pallet ID formats','error'))">
+                    Edit formats
+                  </button>
+                </div>
+
+                <div class="rounded-2xl border border-slate-200 bg-white p-5 space-y-3">
+                  <div class="font-bold text-slate-900">Unsigned pallet labels</div>
+                  <div class="text-sm text-slate-600">
+                    Labels printed now carry a signature from this server, so the scanner can tell them from forged or
+                    mistyped ones. Choose what happens when an older (v1) label without one is scanned.
+                  </div>
+                  <select class="rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm"
+                    onchange="app.saveLegacyLabelPolicy(this.value).catch(e=>app.showToast(e.message || 'Save failed','error'))">
+                    <option value="allow" ${this.legacyLabelPolicy === "allow" ? "selected" : ""}>Accept them</option>
+                    <option value="warn" ${this.legacyLabelPolicy === "warn" ? "selected" : ""}>Ask before using them</option>
+                    <option value="block" ${this.legacyLabelPolicy === "block" ? "selected" : ""}>Reject them</option>
+                  </select>
+                </div>
+
+                <div class="rounded-2xl border border-slate-200 bg-white p-5 space-y-3">
+                  <div class="font-bold text-slate-900">Import opening stock</div>
+                  <div class="text-sm text-slate-600">
+                    A CSV or XLSX file with customer, product, pallet qty, product qty, location, date added and parts columns.
+                    Every row is checked first and nothing is saved until you confirm the preview.
+                  </div>
+                  <input type="file" class="text-sm"
+                    accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                    onchange="app.importStockFile(this.files[0]).catch(e=>app.showToast(e.message || 'Import failed','error'));this.value='';" />
+                </div>
+              `
+              : ""
+          }
+
           <div class="rounded-2xl border border-slate-200 bg-white p-5">
             <div class="font-bold text-slate-900">PWA</div>
             <div class="mt-2 text-sm text-slate-600">
@@ -1772,13 +2633,32 @@
             </div>
           </div>
 
-          ${
-            isAdmin
-              ? `
-                <div class="rounded-2xl border border-slate-200 bg-white p-5 space-y-4">
+          <div class="rounded-2xl border border-slate-200 bg-white p-5 space-y-3">
+            <div class="font-bold text-slate-900">Hardware scanner</div>
+            <div class="text-sm text-slate-600">
+              For handheld scanners that type barcodes as keystrokes ending in Enter. Scan flows wait for the scanner instead of
+              opening the camera. Typing in form fields is never captured. Applies to this device only.
+            </div>
+            <label class="flex items-center gap-2 text-sm font-semibold text-slate-700">
+              <input type="checkbox" ${this.hwScanner.enabled ? "checked" : ""}
+                onchange="app.setHardwareScanner({ enabled: this.checked })" />
+              Use a hardware scanner
+            </label>
+            <div class="flex flex-wrap gap-3 items-center">
+              <input class="w-48 rounded-xl border border-slate-300 px-3 py-2 text-sm" placeholder="Prefix to strip (optional)"
+                value="${wtEscapeHtml(this.hwScanner.prefix)}" oninput="app.setHardwareScanner({ prefix: this.value }, false)" />
+              <input class="w-48 rounded-xl border border-slate-300 px-3 py-2 text-sm" placeholder="Suffix to strip (optional)"
+                value="${wtEscapeHtml(this.hwScanner.suffix)}" oninput="app.setHardwareScanner({ suffix: this.value }, false)" />
+            </div>
+          </div>
+
+          ${
+            isAdmin
+              ? `
+                <div class="rounded-2xl border border-slate-200 bg-white p-5 space-y-4">
                   <div>
                     <div class="font-bold text-slate-900">Location Capacity & Floor Space</div>
-                    <div class="mt-1 text-sm text-slate-600">Rack locations default to 12 pallets. Floor-space sqm can be added now or later.</div>
+                    <div class="mt-1 text-sm text-slate-600">Rack locations default to 12 pallets. Floor locations without a pallet capacity take as many pallets as fit in their area (1.2 sqm each).</div>
                   </div>
 
                   <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
@@ -1793,6 +2673,7 @@
                       <label class="text-sm font-semibold text-slate-700">Type</label>
                       <input class="mt-1 w-full rounded-xl border border-slate-300 bg-slate-50 px-3 py-2 text-sm"
                         value="${String(currentLocationRow?.location_type || "")}" readonly />
+                      <div class="mt-1 text-xs text-slate-500">In use: ${currentFillText}</div>
                     </div>
                     <div>
                       <label class="text-sm font-semibold text-slate-700">Capacity (pallets)</label>
@@ -1823,6 +2704,142 @@
               : ""
           }
 
+          ${
+            isAdmin
+              ? `
+                <div class="rounded-2xl border border-slate-200 bg-white p-5 space-y-4">
+                  <div class="flex items-end justify-between gap-3">
+                    <div>
+                      <div class="font-bold text-slate-900">Customers</div>
+                      <div class="mt-1 text-sm text-slate-600">Contact and billing details. Rename/merge rewrites the customer name on pallets, history, rates, invoices, orders, ASNs, products and user scopes.</div>
+                    </div>
+                    <button class="rounded-xl bg-slate-900 px-4 py-2 text-sm font-semibold text-white hover:bg-slate-800"
+                      onclick="app.customerFormFlow().catch(e=>app.showToast(e.message || 'Save customer failed','error'))">
+                      New Customer
+                    </button>
+                  </div>
+
+                  <div class="wt-table-wrap">
+                    <table class="wt-table wt-density-compact">
+                      <thead>
+                        <tr>
+                          <th>Name</th>
+                          <th>Display name</th>
+                          <th>Contact</th>
+                          <th>Billing address</th>
+                          <th>Pallets</th>
+                          <th>Status</th>
+                          <th>Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        ${
+                          customerRows.length
+                            ? customerRows.map((c) => `
+                                <tr class="wt-row">
+                                  <td class="wt-cell wt-strong">${c.name || ""}</td>
+                                  <td class="wt-cell">${c.display_name || ""}</td>
+                                  <td class="wt-cell">${[c.contact_name, c.contact_email, c.contact_phone].filter(Boolean).join(" • ") || "—"}</td>
+                                  <td class="wt-cell">${c.billing_address || "—"}</td>
+                                  <td class="wt-cell">${Number(c.active_pallets) || 0}</td>
+                                  <td class="wt-cell">${Number(c.active) ? "Active" : "Inactive"}</td>
+                                  <td class="wt-cell">
+                                    <div class="wt-actions">
+                                      <button class="wt-btn wt-btn-blue" onclick="app.customerFormFlow(${Number(c.id)}).catch(e=>app.showToast(e.message || 'Save customer failed','error'))">Edit</button>
+                                      <button class="wt-btn wt-btn-yellow" onclick="app.renameCustomerFlow(${Number(c.id)}).catch(e=>app.showToast(e.message || 'Rename failed','error'))">Rename / merge</button>
+                                      <button class="wt-btn ${Number(c.active) ? "wt-btn-slate" : "wt-btn-green"}" onclick="app.toggleCustomerActive(${Number(c.id)}, ${Number(c.active) ? 0 : 1}).catch(e=>app.showToast(e.message || 'Update customer failed','error'))">
+                                        ${Number(c.active) ? "Deactivate" : "Activate"}
+                                      </button>
+                                    </div>
+                                  </td>
+                                </tr>
+                              `).join("")
+                            : `
+                              <tr>
+                                <td class="wt-cell" colspan="7">
+                                  <div class="py-8 text-center text-slate-500">No customers yet.</div>
+                                </td>
+                              </tr>
+                            `
+                        }
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              `
+              : ""
+          }
+
+          ${
+            isAdmin
+              ? `
+                <div class="rounded-2xl border border-slate-200 bg-white p-5 space-y-4">
+                  <div class="flex items-end justify-between gap-3">
+                    <div>
+                      <div class="font-bold text-slate-900">Products</div>
+                      <div class="mt-1 text-sm text-slate-600">Per-customer catalogue. Check-ins, ASNs and orders resolve aliases to the SKU; once a customer has products, unknown codes are rejected.</div>
+                    </div>
+                    <button class="rounded-xl bg-slate-900 px-4 py-2 text-sm font-semibold text-white hover:bg-slate-800"
+                      onclick="app.productFormFlow().catch(e=>app.showToast(e.message || 'Save product failed','error'))">
+                      New Product
+                    </button>
+                  </div>
+
+                  <div class="wt-table-wrap">
+                    <table class="wt-table wt-density-compact">
+                      <thead>
+                        <tr>
+                          <th>Customer</th>
+                          <th>SKU</th>
+                          <th>Description</th>
+                          <th>Units / pallet</th>
+                          <th>L × W × H (cm)</th>
+                          <th>Weight (kg)</th>
+                          <th>Aliases</th>
+                          <th>Status</th>
+                          <th>Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        ${
+                          productRows.length
+                            ? productRows.map((p) => `
+                                <tr class="wt-row">
+                                  <td class="wt-cell">${p.customer_name || ""}</td>
+                                  <td class="wt-cell wt-strong">${p.product_id || ""}</td>
+                                  <td class="wt-cell">${p.description || ""}</td>
+                                  <td class="wt-cell">${Number(p.units_per_pallet) || "—"}</td>
+                                  <td class="wt-cell">${[p.length_cm, p.width_cm, p.height_cm].some((v) => v != null) ? [p.length_cm, p.width_cm, p.height_cm].map((v) => v ?? "?").join(" × ") : "—"}</td>
+                                  <td class="wt-cell">${p.weight_kg ?? "—"}</td>
+                                  <td class="wt-cell">${(p.aliases || []).join(", ") || "—"}</td>
+                                  <td class="wt-cell">${Number(p.active) ? "Active" : "Inactive"}</td>
+                                  <td class="wt-cell">
+                                    <div class="wt-actions">
+                                      <button class="wt-btn wt-btn-blue" onclick="app.productFormFlow(${Number(p.id)}).catch(e=>app.showToast(e.message || 'Save product failed','error'))">Edit</button>
+                                      <button class="wt-btn ${Number(p.active) ? "wt-btn-slate" : "wt-btn-green"}" onclick="app.toggleProductActive(${Number(p.id)}, ${Number(p.active) ? 0 : 1}).catch(e=>app.showToast(e.message || 'Update product failed','error'))">
+                                        ${Number(p.active) ? "Deactivate" : "Activate"}
+                                      </button>
+                                      <button class="wt-btn wt-btn-orange" onclick="app.deleteProductFlow(${Number(p.id)}).catch(e=>app.showToast(e.message || 'Delete product failed','error'))">Delete</button>
+                                    </div>
+                                  </td>
+                                </tr>
+                              `).join("")
+                            : `
+                              <tr>
+                                <td class="wt-cell" colspan="9">
+                                  <div class="py-8 text-center text-slate-500">No products yet. Product IDs are free text until a customer has some.</div>
+                                </td>
+                              </tr>
+                            `
+                        }
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              `
+              : ""
+          }
+
           <div class="rounded-2xl border border-slate-200 bg-white p-5 space-y-3">
             <div class="font-bold text-slate-900">Security & Release</div>
             <div class="text-sm text-slate-600">Run session controls and database backup from here.</div>
@@ -2042,11 +3059,23 @@
       return `
         <div class="max-w-2xl mx-auto space-y-6 fade-in">
           <div class="flex justify-between items-center print:hidden">
-            <h2 class="text-2xl font-extrabold text-slate-900">Pallet label</h2>
-            <div class="flex gap-2">
-              <button onclick="window.print()"
+            <h2 class="text-2xl font-extrabold text-slate-900">Pallet label${p.count > 1 ? `s (${p.count})` : ""}</h2>
+            <div class="flex flex-wrap gap-2">
+              <select class="rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm" onchange="app.setLabelSize(this.value)">
+                <option value="a6" ${this.labelSize === "a6" ? "selected" : ""}>A6</option>
+                <option value="4x6" ${this.labelSize === "4x6" ? "selected" : ""}>4×6 in</option>
+              </select>
+              <button onclick="app.printLabel('pdf').catch(e=>app.showToast(e.message || 'Label failed','error'))"
                 class="rounded-xl bg-slate-900 px-4 py-2 text-sm font-semibold text-white hover:bg-slate-800">
-                Print
+                Print PDF
+              </button>
+              <button onclick="app.printLabel('zpl').catch(e=>app.showToast(e.message || 'Label failed','error'))"
+                class="rounded-xl border border-slate-300 bg-white px-4 py-2 text-sm font-semibold text-slate-900 hover:bg-slate-50">
+                ZPL
+              </button>
+              <button onclick="window.print()"
+                class="rounded-xl border border-slate-300 bg-white px-4 py-2 text-sm font-semibold text-slate-900 hover:bg-slate-50">
+                Print page
               </button>
               <button onclick="app.setView('scan')"
                 class="rounded-xl border border-slate-300 bg-white px-4 py-2 text-sm font-semibold text-slate-900 hover:bg-slate-50">
@@ -2058,11 +3087,20 @@
           <div class="rounded-2xl border border-slate-200 bg-white p-6 text-center shadow-sm">
             <div id="single-qr-canvas" class="flex justify-center mb-5"></div>
             <div class="text-xl font-extrabold text-slate-900">${p.id}</div>
+            ${
+              p.count > 1
+                ? `<div class="text-sm text-slate-500">First of ${p.count} labels${p.ids ? `, through ${p.ids[p.ids.length - 1]}` : " with sequential IDs"}</div>`
+                : ""
+            }
             <div class="mt-2 space-y-1 text-sm text-slate-700">
               <div><span class="font-semibold">Customer:</span> ${p.customer || ""}</div>
               ${p.product ? `<div><span class="font-semibold">Product:</span> ${p.product}</div>` : ""}
               <div><span class="font-semibold">Pallet qty:</span> ${p.palletQty || 1}</div>
               ${p.productQty > 0 ? `<div><span class="font-semibold">Units/pallet:</span> ${p.productQty}</div>` : ""}
+              ${p.lot ? `<div><span class="font-semibold">Lot:</span> ${p.lot}</div>` : ""}
+              ${p.batch ? `<div><span class="font-semibold">Batch:</span> ${p.batch}</div>` : ""}
+              ${p.bestBefore ? `<div><span class="font-semibold">Best before:</span> ${p.bestBefore}</div>` : ""}
+              ${p.expiryDate ? `<div><span class="font-semibold">Expiry:</span> ${p.expiryDate}</div>` : ""}
             </div>
           </div>
         </div>
@@ -2085,6 +3123,8 @@
           this.loadInvoices(),
           this.loadInvoiceAging(),
           this.loadAuthUsers(),
+          this.loadProducts(),
+          this.loadCustomers(),
           this.loadSystemHealth(),
           this.loadLatestBackup(),
         ]);
@@ -2100,7 +3140,25 @@
       const q = this.selectedCustomer ? `?customer=${encodeURIComponent(this.selectedCustomer)}` : "";
       const data = await apiFetch(`/api/pallets${q}${q ? "&" : "?"}_t=${Date.now()}`.replace("?&", "?"));
       this.pallets = Array.isArray(data) ? data : [];
-      this.customers = Array.from(new Set(this.pallets.map((p) => p.customer_name).filter(Boolean))).sort();
+      this._mergeCustomerNames();
+    },
+
+    // Customer pickers list customer records as well as whoever has stock on screen.
+    _mergeCustomerNames() {
+      const names = [...(this.customerNames || []), ...(this.pallets || []).map((p) => p.customer_name)];
+      this.customers = Array.from(new Set(names.filter(Boolean))).sort();
+    },
+
+    async loadCustomers() {
+      const names = await apiFetch(`/api/customers?_t=${Date.now()}`);
+      this.customerNames = Array.isArray(names) ? names : [];
+      this._mergeCustomerNames();
+      if (!this.isAdminUser()) {
+        this.customerRecords = [];
+        return;
+      }
+      const records = await apiFetch(`/api/customers/records?include_inactive=1&_t=${Date.now()}`);
+      this.customerRecords = Array.isArray(records) ? records : [];
     },
 
     async loadActivity() {
@@ -2114,6 +3172,12 @@
       this.locations = Array.isArray(data) ? data : [];
     },
 
+    // Inactive products are kept for the Settings screen; autocomplete skips them.
+    async loadProducts() {
+      const data = await apiFetch(`/api/products?include_inactive=1&_t=${Date.now()}`);
+      this.products = Array.isArray(data) ? data : [];
+    },
+
     async loadStats() {
       const q = this.selectedCustomer ? `?customer=${encodeURIComponent(this.selectedCustomer)}` : "";
       const data = await apiFetch(`/api/stats${q}${q ? "&" : "?"}_t=${Date.now()}`.replace("?&", "?"));
@@ -2132,6 +3196,9 @@
         this.autoSheetsSyncEnabled = Number(s?.autoSheetsSyncEnabled || 0) === 1;
         this.autoSheetsSyncMinutes = String(Number(s?.autoSheetsSyncMinutes || 15));
         this.autoSheetsSyncState = s?.autoSheetsSyncState || null;
+        this.heldStockBilling = String(s?.heldStockBilling || "standard");
+        this.heldStockRate = String(Number(s?.heldStockRatePerPalletWeek || 0));
+        this.legacyLabelPolicy = String(s?.legacyLabelPolicy || "warn");
         if (this.authDisabled) this.identityMode = "operator_prompt";
         this.applyBrandingTheme();
       } catch {
@@ -2178,6 +3245,145 @@
       this.render();
     },
 
+    async saveHeldStockBilling() {
+      const res = await apiFetch("/api/settings/held-billing", {
+        method: "POST",
+        body: JSON.stringify({ mode: this.heldStockBilling, rate_per_pallet_week: Number(this.heldStockRate || 0) }),
+      });
+      this.heldStockBilling = res.heldStockBilling;
+      this.heldStockRate = String(res.heldStockRatePerPalletWeek);
+      this.showToast("Held stock billing saved", "success");
+      this.render();
+    },
+
+    // Lists every sequence and saves one: a blank customer sets the default,
+    // a customer with a blank format goes back to the default (its numbering is
+    // kept for a later format).
+    async managePalletIdFormats() {
+      const rows = await apiFetch("/api/pallet-ids/sequences");
+      const list = rows.map((r) => `
+        <div class="flex justify-between gap-3">
+          <span>${r.customer_name || "Default"}</span>
+          <span class="font-mono">${r.format ? `${wtEscapeHtml(r.format)} → next ${wtEscapeHtml(r.next_id)}` : "default format"}</span>
+        </div>
+      `).join("");
+      const html = `
+        <div class="rounded-xl border border-slate-200 p-3 space-y-1 text-sm text-slate-700 mb-4">${list}</div>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <input data-modal-field="customer" list="pallet-id-customers" class="rounded-xl border border-slate-300 px-3 py-2 text-sm"
+            placeholder="Customer (blank = default)" />
+          <datalist id="pallet-id-customers">
+            ${(this.customerNames || []).map((c) => `<option value="${c}"></option>`).join("")}
+          </datalist>
+          <input data-modal-field="format" class="rounded-xl border border-slate-300 px-3 py-2 font-mono text-sm" placeholder="ALL4-COUNCIL-{seq:6}" />
+          <input data-modal-field="nextValue" type="number" min="1" class="rounded-xl border border-slate-300 px-3 py-2 text-sm"
+            placeholder="Next number (optional)" />
+        </div>
+        <p class="mt-2 text-xs text-slate-500">
+          {seq} is the number, {seq:6} pads it to 6 digits and {check} adds a check digit. The next number can only go up.
+        </p>
+      `;
+      const res = await this.showModal("Pallet ID formats", html, [
+        { label: "Close", value: "close" },
+        { label: "Save", value: "save", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" },
+      ]);
+      if (!res || res.cancelled || res.action !== "save") return;
+
+      const saved = await apiFetch("/api/pallet-ids/sequences", {
+        method: "POST",
+        body: JSON.stringify({
+          customer_name: String(res.fields.customer || "").trim(),
+          format: String(res.fields.format || "").trim(),
+          next_value: String(res.fields.nextValue || "").trim(),
+        }),
+      });
+      this.showToast(saved.removed !== undefined ? "Customer now uses the default format" : `Saved. Next ID: ${saved.next_id}`, "success");
+    },
+
+    async saveLegacyLabelPolicy(policy) {
+      const res = await apiFetch("/api/settings/label-policy", {
+        method: "POST",
+        body: JSON.stringify({ policy }),
+      });
+      this.legacyLabelPolicy = res.legacyLabelPolicy;
+      this.showToast("Label policy saved", "success");
+      this.render();
+    },
+
+    // Opening stock import: the server checks the file as a dry run first and
+    // only imports it once the preview has been confirmed.
+    async importStockFile(file) {
+      if (!file) return;
+      const send = (query, headers = {}) => apiFetch(`/api/import/stock${query}`, {
+        method: "POST",
+        headers: { "Content-Type": file.type || "text/csv", "X-File-Name": file.name, ...headers },
+        body: file,
+      });
+      const preview = await send("");
+      const { summary } = preview;
+      const res = await this.showModal(`Import ${file.name}`, this._importPreviewHtml(preview), [
+        { label: "Cancel", value: "cancel" },
+        ...(summary.invalid
+          ? [{ label: "Download error report", value: "report", primary: true }]
+          : [{ label: `Import ${summary.pallets} pallets`, value: "import", primary: true }]),
+      ]);
+
+      if (res.action === "report") {
+        const csv = await send("?report=csv");
+        const url = URL.createObjectURL(new Blob([csv], { type: "text/csv;charset=utf-8" }));
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = `${file.name.replace(/\.[^.]+$/, "")}-errors.csv`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+        return;
+      }
+      if (res.action !== "import") return;
+
+      const done = await send("?commit=1", {
+        "X-Idempotency-Key": this._makeIdempotencyKey("IMPORT", [file.name, file.size, file.lastModified]),
+      });
+      this.showToast(`Imported ${done.summary?.pallets ?? summary.pallets} pallets from ${file.name}`, "success");
+      await this.loadPallets();
+    },
+
+    _importPreviewHtml({ summary, rows }) {
+      const customers = summary.by_customer.map((c) => `
+        <div class="flex justify-between">
+          <span>${c.customer_name}${c.new_customer ? ` <span class="text-xs font-semibold text-blue-700">new</span>` : ""}</span>
+          <span>${c.pallets} pallets • ${c.rows} rows</span>
+        </div>
+      `).join("");
+      const locations = summary.by_location.map((l) => `
+        <div class="flex justify-between">
+          <span class="font-mono">${l.location}</span>
+          <span>${l.before} → ${l.after}${l.capacity != null ? ` of ${l.capacity}` : ""}</span>
+        </div>
+      `).join("");
+      const failed = rows.filter((r) => r.status === "error");
+      const errors = failed.slice(0, 50).map((r) => `
+        <div><span class="font-semibold">Row ${r.line}:</span> ${r.errors.join("; ")}</div>
+      `).join("");
+      return `
+        <p class="text-sm text-slate-600 mb-3">
+          ${summary.rows} rows • ${summary.valid} ready (${summary.pallets} pallets)${summary.invalid ? ` • <span class="font-semibold text-rose-700">${summary.invalid} with errors</span>` : ""}
+        </p>
+        <div class="space-y-3 max-h-[55vh] overflow-auto text-sm text-slate-700">
+          ${failed.length ? `
+            <div class="rounded-xl border border-rose-200 bg-rose-50 p-3 space-y-1 text-xs text-rose-800">
+              ${errors}
+              ${failed.length > 50 ? `<div>…and ${failed.length - 50} more in the error report.</div>` : ""}
+              <div class="pt-1">Nothing can be imported until every row is fixed.</div>
+            </div>
+          ` : ""}
+          ${customers ? `<div class="rounded-xl border border-slate-200 p-3 space-y-1"><div class="font-bold text-slate-900">By customer</div>${customers}</div>` : ""}
+          ${locations ? `<div class="rounded-xl border border-slate-200 p-3 space-y-1"><div class="font-bold text-slate-900">By location (pallets before → after)</div>${locations}</div>` : ""}
+        </div>
+      `;
+    },
+
     async saveAutoSheetsSync() {
       const minutes = Math.max(1, Math.min(1440, Number(this.autoSheetsSyncMinutes || 15) || 15));
       const enabled = this.autoSheetsSyncEnabled ? 1 : 0;
@@ -2407,6 +3613,58 @@
       } catch {}
     },
 
+    setHardwareScanner(patch, rerender = true) {
+      this.hwScanner = { ...this.hwScanner, ...patch };
+      try {
+        localStorage.setItem("wt_hw_scanner", JSON.stringify(this.hwScanner));
+      } catch {}
+      if (rerender) this.render();
+    },
+
+    // Keyboard-wedge capture (public/wedge.js tells scanner bursts from
+    // typing). Keys aimed at form fields are never touched.
+    _onWedgeKey(e) {
+      if (!this.hwScanner.enabled || e._wtReplay) return;
+      const t = e.target;
+      if (t && (t.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(t.tagName))) return;
+      this._wedge.onKey(e);
+    },
+
+    // A held key turned out to be typed by a person: pass it on. Synthetic key
+    // events don't type or press anything, so a character goes straight into a
+    // text field that has focus by now, and a space on a button clicks it.
+    _releaseWedgeKey(held) {
+      const field = wtWedge.textField(document.activeElement);
+      if (field && held.char !== "\u001d") {
+        wtWedge.insertIntoField(field, held.char);
+        return;
+      }
+      const replay = new KeyboardEvent("keydown", { ...held.init, bubbles: true, cancelable: true });
+      replay._wtReplay = true;
+      const target = held.target?.isConnected ? held.target : document.body;
+      if (!target.dispatchEvent(replay) || held.init.key !== " ") return;
+      if (target.matches?.("button, [role='button'], summary")) target.click();
+      else if (target === document.body || target === document.documentElement) window.scrollBy({ top: window.innerHeight * 0.8 });
+    },
+
+    _onHardwareScan(raw) {
+      let text = raw;
+      const { prefix, suffix } = this.hwScanner;
+      if (prefix && text.startsWith(prefix)) text = text.slice(prefix.length);
+      if (suffix && text.endsWith(suffix)) text = text.slice(0, -suffix.length);
+      text = text.trim();
+      if (!text) return;
+
+      if (this.scanMode) {
+        this._handleScan(text).catch((e) => this.showToastDedup(e.message || "Scan failed", "error", 2500));
+        return;
+      }
+      // Outside a scan flow, a pallet label opens that pallet in the tracker.
+      const id = wtParsePalletQr(text)?.id || text;
+      this.view = "tracker";
+      this.search(id);
+    },
+
     async changeOwnPassword(currentPassword, newPassword) {
       const current = String(currentPassword || "");
       const next = String(newPassword || "");
@@ -2538,6 +3796,192 @@
       this.render();
     },
 
+    _findCustomerRecord(customerId) {
+      const id = Number(customerId);
+      return (this.customerRecords || []).find((c) => Number(c.id) === id) || null;
+    },
+
+    async customerFormFlow(customerId = null) {
+      const customer = customerId == null ? null : this._findCustomerRecord(customerId);
+      if (customerId != null && !customer) return this.showToast("Customer not found", "error");
+      const input = (field, label, value, attrs = "") => `
+        <div>
+          <label class="text-sm font-semibold text-slate-700">${label}</label>
+          <input data-modal-field="${field}" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2" value="${value ?? ""}" ${attrs} />
+        </div>
+      `;
+      const html = `
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+          ${input("name", "Name (as used on pallets)", customer?.name, customer ? "readonly" : 'placeholder="e.g. COUNCIL"')}
+          ${input("displayName", "Display name", customer?.display_name)}
+          ${input("contactName", "Contact name", customer?.contact_name)}
+          ${input("contactEmail", "Contact email", customer?.contact_email, 'type="email"')}
+          ${input("contactPhone", "Contact phone", customer?.contact_phone)}
+          <div class="md:col-span-2">
+            <label class="text-sm font-semibold text-slate-700">Billing address</label>
+            <textarea data-modal-field="billingAddress" rows="3" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 text-sm">${customer?.billing_address || ""}</textarea>
+          </div>
+        </div>
+      `;
+      const res = await this.showModal(customer ? `Edit ${customer.name}` : "New customer", html, [
+        { label: "Cancel", value: "cancel" },
+        { label: "Save", value: "save", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" },
+      ]);
+      if (!res || res.cancelled || res.action !== "save") return;
+
+      const f = res.fields;
+      const body = {
+        display_name: f.displayName,
+        contact_name: f.contactName,
+        contact_email: f.contactEmail,
+        contact_phone: f.contactPhone,
+        billing_address: f.billingAddress,
+      };
+      if (customer) {
+        await apiFetch(`/api/customers/records/${Number(customer.id)}`, { method: "PATCH", body: JSON.stringify(body) });
+      } else {
+        const name = String(f.name || "").trim();
+        if (!name) return this.showToast("Name is required", "error");
+        await apiFetch("/api/customers/records", { method: "POST", body: JSON.stringify({ ...body, name }) });
+      }
+
+      await this.loadCustomers();
+      this.showToast(`Customer ${customer?.name || String(f.name || "").trim()} saved`, "success");
+      this.render();
+    },
+
+    async toggleCustomerActive(customerId, nextActive) {
+      const customer = this._findCustomerRecord(customerId);
+      if (!customer) return this.showToast("Customer not found", "error");
+      await apiFetch(`/api/customers/records/${Number(customer.id)}`, {
+        method: "PATCH",
+        body: JSON.stringify({ active: Number(nextActive) ? 1 : 0 }),
+      });
+      await this.loadCustomers();
+      this.showToast(`Customer ${customer.name} ${Number(nextActive) ? "activated" : "deactivated"}`, "success");
+      this.render();
+    },
+
+    // Renaming to an existing customer's name merges the two.
+    async renameCustomerFlow(customerId) {
+      const customer = this._findCustomerRecord(customerId);
+      if (!customer) return this.showToast("Customer not found", "error");
+      const to = await this.prompt("Rename / merge customer", `New name for ${customer.name} (an existing customer's name merges ${customer.name} into it):`, customer.name);
+      if (to === null) return;
+      const target = String(to || "").trim();
+      if (!target || target === customer.name) return;
+      const merging = (this.customerRecords || []).some((c) => c.name === target);
+      const ok = await this.confirm(
+        merging ? "Merge customers" : "Rename customer",
+        merging
+          ? `Merge ${customer.name} into ${target}? Its stock, history, invoices and products move to ${target}; where both have a rate or product, ${target}'s is kept.`
+          : `Rename ${customer.name} to ${target} everywhere?`
+      );
+      if (!ok) return;
+
+      const res = await apiFetch("/api/customers/rename", {
+        method: "POST",
+        body: JSON.stringify({ from: customer.name, to: target }),
+      });
+      if (this.selectedCustomer === customer.name) this.selectedCustomer = target;
+      this.showToast(`${customer.name} ${res?.merged ? "merged into" : "renamed to"} ${target}`, "success");
+      await this.refreshAll();
+    },
+
+    _findCatalogueProduct(productId) {
+      const id = Number(productId);
+      return (this.products || []).find((p) => Number(p.id) === id) || null;
+    },
+
+    // One modal for both adding and editing; the customer and SKU are fixed
+    // once a product exists.
+    async productFormFlow(productId = null) {
+      const product = productId == null ? null : this._findCatalogueProduct(productId);
+      if (productId != null && !product) return this.showToast("Product not found", "error");
+      const input = (field, label, value, attrs = "") => `
+        <div>
+          <label class="text-sm font-semibold text-slate-700">${label}</label>
+          <input data-modal-field="${field}" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2" value="${value ?? ""}" ${attrs} />
+        </div>
+      `;
+      const fixed = product ? "readonly" : "";
+      const html = `
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+          ${input("customer", "Customer", product?.customer_name || this.selectedCustomer || "", fixed)}
+          ${input("productId", "SKU", product?.product_id, fixed)}
+          <div class="md:col-span-2">
+            <label class="text-sm font-semibold text-slate-700">Description</label>
+            <input data-modal-field="description" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2" value="${product?.description || ""}" />
+          </div>
+          ${input("unitsPerPallet", "Default units / pallet", product?.units_per_pallet ?? 0, 'type="number" min="0" step="1"')}
+          ${input("weightKg", "Weight (kg)", product?.weight_kg, 'type="number" min="0" step="0.01"')}
+          ${input("lengthCm", "Length (cm)", product?.length_cm, 'type="number" min="0" step="0.1"')}
+          ${input("widthCm", "Width (cm)", product?.width_cm, 'type="number" min="0" step="0.1"')}
+          ${input("heightCm", "Height (cm)", product?.height_cm, 'type="number" min="0" step="0.1"')}
+          <div class="md:col-span-2">
+            <label class="text-sm font-semibold text-slate-700">Barcode aliases</label>
+            <input data-modal-field="aliases" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
+              value="${(product?.aliases || []).join(", ")}" placeholder="e.g. SKU715326, 05012345678900" />
+            <div class="mt-1 text-xs text-slate-500">Comma separated. Scans and typed codes matching an alias check in under the SKU.</div>
+          </div>
+        </div>
+      `;
+      const res = await this.showModal(product ? `Edit ${product.product_id}` : "New product", html, [
+        { label: "Cancel", value: "cancel" },
+        { label: "Save", value: "save", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" },
+      ]);
+      if (!res || res.cancelled || res.action !== "save") return;
+
+      const f = res.fields;
+      const body = {
+        description: String(f.description || "").trim(),
+        units_per_pallet: String(f.unitsPerPallet || "").trim() || 0,
+        length_cm: String(f.lengthCm || "").trim(),
+        width_cm: String(f.widthCm || "").trim(),
+        height_cm: String(f.heightCm || "").trim(),
+        weight_kg: String(f.weightKg || "").trim(),
+        aliases: String(f.aliases || ""),
+      };
+      if (product) {
+        await apiFetch(`/api/products/${Number(product.id)}`, { method: "PATCH", body: JSON.stringify(body) });
+      } else {
+        const customer = String(f.customer || "").trim();
+        const sku = String(f.productId || "").trim();
+        if (!customer || !sku) return this.showToast("Customer and SKU are required", "error");
+        await apiFetch("/api/products", {
+          method: "POST",
+          body: JSON.stringify({ ...body, customer_name: customer, product_id: sku }),
+        });
+      }
+
+      await this.loadProducts();
+      this.showToast(`Product ${product?.product_id || String(f.productId || "").trim()} saved`, "success");
+      this.render();
+    },
+
+    async toggleProductActive(productId, nextActive) {
+      const product = this._findCatalogueProduct(productId);
+      if (!product) return this.showToast("Product not found", "error");
+      await apiFetch(`/api/products/${Number(product.id)}`, {
+        method: "PATCH",
+        body: JSON.stringify({ active: Number(nextActive) ? 1 : 0 }),
+      });
+      await this.loadProducts();
+      this.showToast(`Product ${product.product_id} ${Number(nextActive) ? "activated" : "deactivated"}`, "success");
+      this.render();
+    },
+
+    async deleteProductFlow(productId) {
+      const product = this._findCatalogueProduct(productId);
+      if (!product) return this.showToast("Product not found", "error");
+      const ok = await this.confirm("Delete product", `Delete ${product.product_id} (${product.customer_name}) from the catalogue?`);
+      if (!ok) return;
+      await apiFetch(`/api/products/${Number(product.id)}`, { method: "DELETE" });
+      await this.loadProducts();
+      this.showToast(`Product ${product.product_id} deleted`, "success");
+      this.render();
+    },
+
     async toggleUserActive(userId, nextActive) {
       const user = this._findAuthUser(userId);
       if (!user) return this.showToast("User not found", "error");
@@ -2897,8 +4341,9 @@
 
         <div>
           <label class="text-sm font-semibold text-slate-700">Product ID</label>
-          <input data-modal-field="productId" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
-            placeholder="e.g. 715326" />
+          <input data-modal-field="productId" list="wt-product-options" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
+            placeholder="e.g. 715326" onchange="app._applyProductDefaults(this)" />
+          ${this._productOptionsHtml()}
         </div>
 
         <div>
@@ -2917,8 +4362,15 @@
 
         <div class="md:col-span-2">
           <label class="text-sm font-semibold text-slate-700">Location</label>
-          <input data-modal-field="location" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
-            placeholder="e.g. A1-L3" />
+          <div class="mt-1 flex gap-2">
+            <input data-modal-field="location" class="w-full rounded-xl border border-slate-300 px-3 py-2"
+              placeholder="e.g. A1-L3" />
+            <button type="button" class="rounded-xl bg-slate-100 px-3 py-2 text-sm font-semibold text-slate-800 hover:bg-slate-200 whitespace-nowrap"
+              onclick="app.suggestManualEntryLocations()">
+              Suggest
+            </button>
+          </div>
+          <div id="wt-manual-suggest" class="mt-2"></div>
         </div>
 
         <div>
@@ -2928,6 +4380,8 @@
             value="${new Date().toISOString().slice(0, 10)}" />
         </div>
 
+        ${this._lotFieldsHtml()}
+
         <div class="md:col-span-2">
           <label class="text-sm font-semibold text-slate-700">Parts list (optional)</label>
           <textarea data-modal-field="partsText" rows="5"
@@ -2961,29 +4415,114 @@ PART-ABC x 2"></textarea>
     if (!dateCameIn) return this.showToast("Date came in is required", "error");
     if (!/^\d{4}-\d{2}-\d{2}$/.test(dateCameIn)) return this.showToast("Date came in must be YYYY-MM-DD", "error");
 
+    const lotFields = this._readLotFields(res.fields);
+    if (!lotFields) return;
     const parts = partsText ? this.parsePartsList(partsText) : null;
 
-    await this.checkIn(customerName, productId, palletQuantity, productQuantity, location, parts, "Manual entry", null, dateCameIn);
+    await this.checkIn(customerName, productId, palletQuantity, productQuantity, location, parts, "Manual entry", null, dateCameIn, lotFields);
   },
 
-    // --------------------------
-    // Generate pallet QR (modal)
-    // --------------------------
-    async generatePalletQR() {
-      const suggestedId = `P-${Date.now()}`;
+  // Catalogue lookups for the product inputs. Codes match the SKU or an alias,
+  // ignoring case, within the customer when one is known.
+  _findProduct(code, customer = "") {
+    const key = String(code || "").trim().toUpperCase();
+    if (!key) return null;
+    return (this.products || []).find((p) =>
+      Number(p.active) &&
+      (!customer || p.customer_name === customer) &&
+      [p.product_id, ...(p.aliases || [])].some((c) => String(c).toUpperCase() === key)
+    ) || null;
+  },
 
-      const modalHtml = `
-        <p class="text-sm text-slate-600 mb-5">
-          Create a printable pallet label. Customer + product can be stored in the QR for fast check-in.
-        </p>
+  _productOptionsHtml(customer = "") {
+    const rows = (this.products || []).filter((p) => Number(p.active) && (!customer || p.customer_name === customer));
+    return `
+      <datalist id="wt-product-options">
+        ${rows.map((p) => `<option value="${p.product_id}">${[p.description, customer ? "" : p.customer_name].filter(Boolean).join(" • ")}</option>`).join("")}
+      </datalist>
+    `;
+  },
 
-        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div>
-            <label class="text-sm font-semibold text-slate-700">Pallet ID</label>
-            <input data-modal-field="palletId" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
-              value="${suggestedId}" />
-            <div class="mt-1 text-xs text-slate-500">Leave as suggested unless you already have an ID.</div>
-          </div>
+  // Picking a catalogue product fills in its customer and units per pallet
+  // where the form still has them blank.
+  _applyProductDefaults(input) {
+    const form = input.closest(".wt-modal");
+    const field = (name) => form?.querySelector(`[data-modal-field="${name}"]`);
+    const customerInput = field("customer");
+    const product = this._findProduct(input.value, String(customerInput?.value || "").trim());
+    if (!product) return;
+    input.value = product.product_id;
+    if (customerInput && !String(customerInput.value || "").trim()) customerInput.value = product.customer_name;
+    const units = field("unitsPerPallet");
+    if (units && !(Number(units.value) > 0) && Number(product.units_per_pallet) > 0) units.value = String(product.units_per_pallet);
+  },
+
+  // Product prompt for the scan flows, with the customer's catalogue as suggestions.
+  async _promptProduct(title, message, customer = "") {
+    const html = `
+      <p class="text-sm text-slate-600 mb-4">${message || ""}</p>
+      <input data-modal-field="v" list="wt-product-options" class="w-full rounded-xl border border-slate-300 px-3 py-2" />
+      ${this._productOptionsHtml(customer)}
+    `;
+    const res = await this.showModal(title, html, [
+      { label: "Cancel", value: "cancel" },
+      { label: "OK", value: "ok", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" },
+    ]);
+    if (!res || res.cancelled || res.action !== "ok") return null;
+    const entered = String(res.fields?.v ?? "").trim();
+    return this._findProduct(entered, customer)?.product_id || entered;
+  },
+
+  // Lot/batch/date inputs shared by manual entry, pallet labels and the edit modal.
+  _lotFieldsHtml(values = {}) {
+    const input = (field, label, value, type = "text") => `
+      <div>
+        <label class="text-sm font-semibold text-slate-700">${label}</label>
+        <input data-modal-field="${field}" type="${type}" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
+          value="${value || ""}" />
+      </div>
+    `;
+    return [
+      input("lot", "Lot (optional)", values.lot),
+      input("batch", "Batch (optional)", values.batch),
+      input("bestBefore", "Best before (optional)", values.best_before, "date"),
+      input("expiryDate", "Expiry date (optional)", values.expiry_date, "date"),
+    ].join("");
+  },
+
+  // Reads the lot inputs back as API fields; null (after a toast) when a date is malformed.
+  _readLotFields(fields) {
+    const out = {
+      lot: String(fields.lot || "").trim(),
+      batch: String(fields.batch || "").trim(),
+      best_before: String(fields.bestBefore || "").trim(),
+      expiry_date: String(fields.expiryDate || "").trim(),
+    };
+    for (const key of ["best_before", "expiry_date"]) {
+      if (out[key] && !/^\d{4}-\d{2}-\d{2}$/.test(out[key])) {
+        this.showToast(`${key === "best_before" ? "Best before" : "Expiry date"} must be YYYY-MM-DD`, "error");
+        return null;
+      }
+    }
+    return out;
+  },
+
+    // --------------------------
+    // Generate pallet QR (modal)
+    // --------------------------
+    async generatePalletQR() {
+      const modalHtml = `
+        <p class="text-sm text-slate-600 mb-5">
+          Create a printable pallet label. Customer + product can be stored in the QR for fast check-in.
+        </p>
+
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label class="text-sm font-semibold text-slate-700">Pallet ID</label>
+            <input data-modal-field="palletId" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
+              placeholder="Next in the customer's sequence" />
+            <div class="mt-1 text-xs text-slate-500">Leave blank to reserve the next ID(s) from the server.</div>
+          </div>
 
           <div>
             <label class="text-sm font-semibold text-slate-700">Pallet qty</label>
@@ -3000,16 +4539,27 @@ PART-ABC x 2"></textarea>
 
           <div>
             <label class="text-sm font-semibold text-slate-700">Product ID (stored in QR)</label>
-            <input data-modal-field="productId" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
-              placeholder="e.g. 715326" />
+            <input data-modal-field="productId" list="wt-product-options" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
+              placeholder="e.g. 715326" onchange="app._applyProductDefaults(this)" />
+            ${this._productOptionsHtml()}
           </div>
 
-          <div class="md:col-span-2">
+          <div>
             <label class="text-sm font-semibold text-slate-700">Units per pallet (optional)</label>
             <input data-modal-field="unitsPerPallet" type="number" min="0"
               class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
               value="0" />
           </div>
+
+          <div>
+            <label class="text-sm font-semibold text-slate-700">Number of labels</label>
+            <input data-modal-field="labelCount" type="number" min="1" max="500"
+              class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
+              value="1" />
+            <div class="mt-1 text-xs text-slate-500">Reserves a block of IDs, e.g. to pre-print labels for later check-ins.</div>
+          </div>
+
+          ${this._lotFieldsHtml()}
         </div>
 
         <div class="mt-4 rounded-xl border border-slate-200 bg-slate-50 p-3 text-sm text-slate-700">
@@ -3029,30 +4579,124 @@ PART-ABC x 2"></textarea>
       const productId = String(res.fields.productId || "").trim();
       const palletQty = Number(res.fields.palletQty || 1) || 1;
       const unitsPerPallet = Number(res.fields.unitsPerPallet || 0) || 0;
+      const labelCount = Math.max(1, Math.min(500, Math.floor(Number(res.fields.labelCount || 1)) || 1));
+
+      if (!customer) return this.showToast("Customer is required for a pallet label", "error");
+      const lotFields = this._readLotFields(res.fields);
+      if (!lotFields) return;
 
+      // A typed id numbers any further labels on from itself; otherwise the
+      // server hands out a block from the customer's sequence.
+      let ids = null;
       if (!palletId) {
-        this.showToast("Pallet ID is required", "error");
-        return;
+        ids = await this._reservePalletIds(customer, labelCount);
+        if (!ids) return;
       }
-
-      const qrText = wtMakePalletQrPayload({ id: palletId, customer, productId, unitsPerPallet });
+      const dated = {
+        lot: lotFields.lot,
+        batch: lotFields.batch,
+        bestBefore: lotFields.best_before,
+        expiryDate: lotFields.expiry_date,
+      };
+      const qrText = await this._palletQrText({
+        id: ids ? ids[0] : palletId,
+        customer_name: customer,
+        product_id: productId,
+        product_quantity: unitsPerPallet,
+        ...lotFields,
+      });
+      if (!qrText) return;
 
       this.tempPallet = {
-        id: palletId,
+        id: ids ? ids[0] : palletId,
         customer,
         product: productId,
         palletQty,
         productQty: unitsPerPallet,
+        ...dated,
+        count: labelCount,
+        ids,
         _qrText: qrText,
       };
 
       this.setView("single-qr");
     },
 
+    async _reservePalletIds(customer, count) {
+      try {
+        const res = await apiFetch("/api/pallet-ids", {
+          method: "POST",
+          body: JSON.stringify({ customer_name: customer, count }),
+        });
+        return res.ids;
+      } catch (e) {
+        this.showToast(
+          e.isNetworkError ? "Pallet IDs come from the server. Reconnect, or type an ID." : e.message || "Could not reserve pallet IDs",
+          "error"
+        );
+        return null;
+      }
+    },
+
     generateLocationQRs() {
       this.setView("location-qrs");
     },
 
+    // Signed labels come from the server. Offline, the label is drawn
+    // unsigned (v1) so printing still works; null after any other failure.
+    async _palletQrText(label) {
+      try {
+        const res = await apiFetch("/api/labels/sign", { method: "POST", body: JSON.stringify({ label }) });
+        return res.payloads[0].payload;
+      } catch (e) {
+        if (!e.isNetworkError) {
+          this.showToast(e.message || "Could not sign the label", "error");
+          return null;
+        }
+        this.showToast("Offline: this label is unsigned and may be rejected when scanned.", "error");
+        return wtMakePalletQrPayload({
+          id: label.id,
+          customer: label.customer_name,
+          productId: label.product_id,
+          unitsPerPallet: label.product_quantity,
+          lot: label.lot,
+          batch: label.batch,
+          bestBefore: label.best_before,
+          expiryDate: label.expiry_date,
+        });
+      }
+    },
+
+    // Returns false when the scan must stop. The server checks a v2 label's
+    // signature (remembered per label text); v1 labels follow the legacy
+    // policy. Offline, v1 labels follow the last known policy and v2 labels
+    // go through: the server checks them again when the outbox replays.
+    async _checkPalletLabel(raw, parsed) {
+      let result = this._labelChecks.get(raw);
+      if (!result) {
+        try {
+          result = await apiFetch("/api/labels/verify", { method: "POST", body: JSON.stringify({ payload: raw }) });
+          if (result.version === "v2") this._labelChecks.set(raw, result);
+        } catch (e) {
+          if (!e.isNetworkError) throw e;
+          if (parsed._format === "wt-v2") return true;
+          const verdict = this.legacyLabelPolicy === "allow" ? "ok" : this.legacyLabelPolicy;
+          result = { verdict, message: `Pallet ${parsed.id} has an unsigned (v1) label. Reprint it to get a signed one.` };
+        }
+      }
+      if (result.verdict === "block") {
+        this.showToastDedup(result.message || `Label for ${parsed.id} rejected`, "error", 3500);
+        return false;
+      }
+      if (result.verdict === "warn") {
+        // The camera keeps running behind the dialog; _scanBusy holds other reads off.
+        const ok = await this.confirm("Unsigned label", `${result.message} Use it anyway?`);
+        this._lastScanAt = Date.now();
+        return ok;
+      }
+      return true;
+    },
+
     // --------------------------
     // Scanner flow
     // --------------------------
@@ -3061,11 +4705,15 @@ PART-ABC x 2"></textarea>
 
       this.scanMode = mode;
       this._scannedPallet = null;
+      this._gs1Partial = null;
       this._scanBusy = false;
       this._lastScanText = "";
       this._lastScanAt = 0;
       this.render();
 
+      // Handheld scanners feed _handleScan through the keyboard listener.
+      if (this.hwScanner.enabled) return;
+
       // Must exist globally: Html5Qrcode
       if (typeof Html5Qrcode === "undefined") {
         this.showToast("html5-qrcode library not loaded", "error");
@@ -3088,7 +4736,8 @@ PART-ABC x 2"></textarea>
       try {
         await this.scanner.start(
           { facingMode: "environment" },
-          { fps: 8, qrbox: { width: 240, height: 240 } },
+          // Wider than tall so GS1-128 supplier barcodes fit as well as QR labels.
+          { fps: 8, qrbox: (w, h) => ({ width: Math.max(50, Math.floor(Math.min(w * 0.9, 340))), height: Math.max(50, Math.floor(Math.min(h * 0.8, 240))) }) },
           onScanSuccess
         );
       } catch (e) {
@@ -3111,6 +4760,8 @@ PART-ABC x 2"></textarea>
       } finally {
         this.scanMode = null;
         this._scannedPallet = null;
+        this._countLocation = null;
+        this._gs1Partial = null;
         this._scanBusy = false;
         this._lastScanText = "";
         this._lastScanAt = 0;
@@ -3131,27 +4782,48 @@ PART-ABC x 2"></textarea>
 
       try {
       const parsedPallet = wtParsePalletQr(raw);
-      const looksLikePalletQr = !!parsedPallet?.id && parsedPallet?._format === "wt-v1";
+      const isGs1 = parsedPallet?._format === "gs1";
+      const isWtLabel = !!parsedPallet?.id && String(parsedPallet._format).startsWith("wt-");
+      const looksLikePalletQr = isWtLabel || isGs1;
+
+      // Location steps only need to recognise a pallet label, not trust it.
+      if (isWtLabel && !String(this.scanMode || "").endsWith("-location")) {
+        if (!(await this._checkPalletLabel(raw, parsedPallet))) return;
+      }
 
       // CHECK IN FLOW
       if (this.scanMode === "checkin-pallet") {
-        const payload = parsedPallet;
+        // A supplier label's barcodes can be scanned in any order until the
+        // SSCC gives the pallet its id.
+        const payload = isGs1 ? wtMergeGs1(this._gs1Partial, parsedPallet) : parsedPallet;
         if (!payload?.id) {
+          if (isGs1) {
+            this._gs1Partial = payload;
+            this.showToastDedup(`Supplier label read${payload.productId ? ` (GTIN ${payload.productId})` : ""}. Now scan its SSCC barcode.`, "info", 2500);
+            return;
+          }
           this.showToastDedup("Invalid pallet QR", "error");
           return;
         }
+        this._gs1Partial = null;
         this._scannedPallet = payload;
         this.showToastDedup(`Pallet scanned: ${payload.id}`, "success", 1200);
 
         // next step: location scan
         this.scanMode = "checkin-location";
         this._syncScannerUi();
+        this._showScanPutaway(payload);
         return;
       }
 
       if (this.scanMode === "checkin-location") {
+        if (isGs1 && this._scannedPallet?._format === "gs1" && (!parsedPallet.id || parsedPallet.id === this._scannedPallet.id)) {
+          this._scannedPallet = wtMergeGs1(this._scannedPallet, parsedPallet);
+          this.showToastDedup("Supplier label details added. Now scan the location label.", "success", 1500);
+          return;
+        }
         if (looksLikePalletQr) {
-          this.showToastDedup("That is a pallet QR. Now scan the location label.", "info", 2500);
+          this.showToastDedup("That is a pallet label. Now scan the location label.", "info", 2500);
           return;
         }
         const loc = String(raw || "").trim().replace(/\s+/g, " ").toUpperCase();
@@ -3183,12 +4855,13 @@ PART-ABC x 2"></textarea>
           customer = String(v).trim();
         }
         if (!productId) {
-          const v = await this.prompt("Product ID", "Product ID:");
+          const v = await this._promptProduct("Product ID", "Product ID:", customer);
           if (v === null) return this.setView("scan");
           productId = String(v).trim();
         }
         if (!pal.hasUnitsPerPallet) {
-          const v = await this.prompt("Units per pallet (optional)", "Units per pallet (0 if not tracking):", "0");
+          const catalogueUnits = Number(this._findProduct(productId, customer)?.units_per_pallet) || 0;
+          const v = await this.prompt("Units per pallet (optional)", "Units per pallet (0 if not tracking):", String(catalogueUnits));
           if (v === null) return this.setView("scan");
           unitsPerPallet = Number(v) || 0;
         }
@@ -3197,11 +4870,128 @@ PART-ABC x 2"></textarea>
         if (palletQtyStr === null) return this.setView("scan");
         const palletQty = parseInt(palletQtyStr, 10) || 1;
 
-        await this.checkIn(customer, productId, palletQty, unitsPerPallet, loc, null, "Scan", pal.id);
+        await this.checkIn(customer, productId, palletQty, unitsPerPallet, loc, null, "Scan", pal.id, null, {
+          lot: pal.lot || "",
+          batch: pal.batch || "",
+          best_before: pal.bestBefore || "",
+          expiry_date: pal.expiryDate || "",
+        }, pal.labelPayload || null);
         this.setView("tracker");
         return;
       }
 
+      // STOCK TAKE: a location label switches location, anything else is a pallet found there
+      if (this.scanMode === "count") {
+        const loc = String(raw || "").trim().replace(/\s+/g, " ").toUpperCase();
+        const knownLocations = new Set((this.locations || []).map((x) => String(x.id || "").toUpperCase()).filter(Boolean));
+        if (!looksLikePalletQr && knownLocations.has(loc)) {
+          await this._recordCount("locations", { location: loc });
+          this._countLocation = loc;
+          this.showToastDedup(`Counting ${loc}`, "success", 1200);
+          this._syncScannerUi();
+          return;
+        }
+
+        const id = parsedPallet?.id || raw;
+        if (!this._countLocation) {
+          this.showToastDedup("Scan the location label first.", "info", 2500);
+          return;
+        }
+        const expected = Number((this.pallets || []).find((p) => p.id === id)?.pallet_quantity) || 1;
+        let quantity = 1;
+        if (expected > 1) {
+          const v = await this.prompt("Pallets counted", `How many pallets of ${id} are here?`, String(expected));
+          if (v === null) return;
+          quantity = parseInt(v, 10) || 0;
+          if (quantity < 1) return this.showToast("Enter at least 1 pallet", "error");
+        }
+        const result = await this._recordCount("scans", { location: this._countLocation, pallet_id: id, quantity });
+        this.showToastDedup(
+          result.known ? `${result.pallet_id} counted at ${result.location}` : `${result.pallet_id} is not on file (counted anyway)`,
+          result.known ? "success" : "info",
+          1500
+        );
+        return;
+      }
+
+      // ASN RECEIVING: pallet label, then location; each pallet is booked in against the ASN
+      if (this.scanMode === "receive-pallet") {
+        const asn = this.receivingAsn?.asn;
+        if (!asn) return;
+        if (isGs1) {
+          const merged = wtMergeGs1(this._gs1Partial, parsedPallet);
+          if (!merged.id) {
+            this._gs1Partial = merged;
+            this.showToastDedup("Supplier label read. Now scan its SSCC barcode.", "info", 2500);
+            return;
+          }
+          this._gs1Partial = null;
+          Object.assign(parsedPallet, merged);
+        }
+        if (!parsedPallet?.id) return;
+        if (parsedPallet.customer && parsedPallet.customer !== asn.customer_name) {
+          this.showToastDedup(`${parsedPallet.id} is labelled for ${parsedPallet.customer}, not ${asn.customer_name}`, "error", 3000);
+          return;
+        }
+        const lines = this.receivingAsn.lines || [];
+        let productId = parsedPallet.productId || (lines.length === 1 ? lines[0].product_id : "");
+        if (!productId) {
+          const entered = await this._promptProduct("Product", `Product ID for ${parsedPallet.id} (expected: ${lines.map((l) => l.product_id).join(", ")}):`, asn.customer_name);
+          if (entered === null || !String(entered).trim()) return;
+          productId = String(entered).trim();
+        }
+        this._scannedPallet = { ...parsedPallet, customer: asn.customer_name, productId };
+        this.scanMode = "receive-location";
+        this.showToastDedup(`Pallet scanned: ${parsedPallet.id}`, "success", 1200);
+        this._syncScannerUi();
+        this._showScanPutaway(this._scannedPallet);
+        return;
+      }
+
+      if (this.scanMode === "receive-location") {
+        if (isGs1 && this._scannedPallet?._format === "gs1" && (!parsedPallet.id || parsedPallet.id === this._scannedPallet.id)) {
+          this._scannedPallet = wtMergeGs1(this._scannedPallet, parsedPallet);
+          this.showToastDedup("Supplier label details added. Now scan the location label.", "success", 1500);
+          return;
+        }
+        if (looksLikePalletQr) {
+          this.showToastDedup("That is a pallet label. Now scan the location label.", "info", 2500);
+          return;
+        }
+        const loc = String(raw || "").trim().replace(/\s+/g, " ").toUpperCase();
+        const knownLocations = new Set((this.locations || []).map((x) => String(x.id || "").toUpperCase()).filter(Boolean));
+        if (knownLocations.size > 0 && !knownLocations.has(loc)) {
+          this.showToastDedup(`Unknown location: ${loc}`, "error", 2500);
+          return;
+        }
+        await this._receiveScannedPallet(loc);
+        return;
+      }
+
+      // ORDER PICKING: each scan confirms the open pick for that pallet
+      if (this.scanMode === "pick") {
+        const id = parsedPallet?.id || raw;
+        const open = (this.pickOrder?.picks || []).filter((p) => p.status === "OPEN");
+        const pick = open.find((p) => p.pallet_id === id) || open[0];
+        if (!pick) return;
+        try {
+          const result = await this._confirmPick(pick, id);
+          this.pickOrder = result;
+          if (result.completed) {
+            await this.stopScanner(true);
+            this.showToast(`Order #${result.order.id} fully picked`, "success");
+            await this.loadPallets();
+            await this.loadActivity();
+            return this.setView("scan");
+          }
+          this.showToastDedup(`Picked ${pick.quantity} ${pick.unit} from ${pick.pallet_id}`, "success", 1500);
+          this._syncScannerUi();
+        } catch (error) {
+          this.showToastDedup(error.message, "error", 2500);
+        }
+        return;
+      }
+
       // CHECK OUT FLOW (whole entry)
       if (this.scanMode === "checkout") {
         const payload = parsedPallet;
@@ -3238,6 +5028,17 @@ PART-ABC x 2"></textarea>
         return;
       }
 
+      // REMOVE PARTS FLOW
+      if (this.scanMode === "checkout-parts") {
+        const id = parsedPallet?.id || String(text).trim();
+        if (!id) return;
+
+        await this.stopScanner(true);
+        const done = await this.removeParts(id, "Scan");
+        this.setView(done ? "tracker" : "scan");
+        return;
+      }
+
       // MOVE FLOW
       if (this.scanMode === "move-pallet") {
         const payload = parsedPallet;
@@ -3343,7 +5144,199 @@ PART-ABC x 2"></textarea>
     };
   },
 
-  async checkIn(customerName, productId, palletQuantity, productQuantity, location, parts = null, scannedBy = 'Manual entry', palletId = null, dateCameIn = null) {
+  // Stock mutations go through here so they can fall back to the offline outbox.
+  // While anything is queued, new actions join the back of the queue to keep replay order.
+  async _sendMutation(entry) {
+    const hasQueued = Number(this.outboxCount || 0) > 0;
+    if (!hasQueued) {
+      try {
+        return await apiFetch(entry.path, { method: entry.method, body: JSON.stringify(entry.body || {}) });
+      } catch (e) {
+        if (e?.status === 409 && e.body?.hold_status && this.isAdminUser()) return this._overrideHold(entry, e);
+        if (!e?.isNetworkError) throw e;
+      }
+    }
+
+    await wtOutboxAdd({
+      action: entry.action,
+      label: entry.label,
+      method: entry.method,
+      path: entry.path,
+      body: entry.body || {},
+      pallet_id: entry.palletId || "",
+      status: "pending",
+      error: "",
+      http_status: 0,
+      attempts: 0,
+      created_at: new Date().toISOString(),
+    });
+    await this.refreshOutboxCount();
+    wtRequestBackgroundReplay();
+    this.showToast(`Saved offline: ${entry.label} (${this.outboxCount} pending)`, "info");
+    if (hasQueued && navigator.onLine !== false) this.replayOutbox().catch(() => {});
+    return { queued: true };
+  },
+
+  // Admins may push an action through a hold; the server logs the override.
+  async _overrideHold(entry, error) {
+    const ok = await this.confirm("Pallet on hold", `${wtEscapeHtml(error.message)}<br><br>Override the hold and continue?`);
+    if (!ok) throw new Error("Pallet is on hold");
+    return apiFetch(entry.path, {
+      method: entry.method,
+      body: JSON.stringify({ ...(entry.body || {}), override_hold: true }),
+    });
+  },
+
+  // For online-only actions (undo, posting a count) that can still meet a hold.
+  async _fetchOverridingHold(entry) {
+    try {
+      return await apiFetch(entry.path, { method: entry.method, body: JSON.stringify(entry.body || {}) });
+    } catch (e) {
+      if (e?.status === 409 && e.body?.hold_status && this.isAdminUser()) return this._overrideHold(entry, e);
+      throw e;
+    }
+  },
+
+  async refreshOutboxCount() {
+    try {
+      const entries = await wtOutboxAll();
+      this.outboxCount = entries.length;
+      this.outboxBlocked = entries.length > 0 && entries[0].status !== "pending";
+    } catch {
+      this.outboxCount = 0;
+      this.outboxBlocked = false;
+    }
+    this._applyOutboxBadge();
+    return this.outboxCount;
+  },
+
+  async replayOutbox() {
+    if (this._outboxReplaying || !this.currentUser) return;
+    this._outboxReplaying = true;
+    let sent = 0;
+    try {
+      const entries = await wtOutboxAll();
+      for (const entry of entries) {
+        // A rejected entry blocks everything behind it until the operator resolves it.
+        if (entry.status !== "pending") break;
+        try {
+          await apiFetch(entry.path, { method: entry.method, body: JSON.stringify(entry.body || {}) });
+          await wtOutboxDelete(entry.id);
+          sent++;
+        } catch (e) {
+          const status = Number(e?.status || 0);
+          if (e?.isNetworkError || status === 401 || status === 429 || status >= 500) break;
+          await wtOutboxPut({
+            ...entry,
+            status: status === 409 ? "conflict" : "failed",
+            error: e?.message || "Rejected by server",
+            http_status: status,
+            attempts: Number(entry.attempts || 0) + 1,
+          });
+          this.showToast(`Queued action needs review: ${entry.label}`, "error");
+          break;
+        }
+      }
+    } catch (e) {
+      console.error("Outbox replay error:", e);
+    } finally {
+      this._outboxReplaying = false;
+      await this.refreshOutboxCount();
+    }
+
+    if (sent > 0) {
+      this.showToast(`Synced ${sent} queued action${sent === 1 ? "" : "s"}`, "success");
+      if (!this.scanMode) await this.refreshAll();
+    }
+  },
+
+  async showOutbox() {
+    const entries = await wtOutboxAll();
+    await this.refreshOutboxCount();
+    if (!entries.length) return this.showToast("No queued offline actions", "info");
+
+    const head = entries[0];
+    const blocked = head.status !== "pending";
+    const statusLabel = (e) => (e.status === "conflict" ? "Conflict" : e.status === "failed" ? "Rejected" : "Pending");
+    const html = `
+      <p class="text-sm text-slate-600 mb-3">
+        These actions were saved while the server was unreachable and replay in order once the connection returns.
+      </p>
+      ${
+        blocked
+          ? `<div class="mb-3 rounded-xl border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-900">
+               <div class="font-semibold">${wtEscapeHtml(head.label)}</div>
+               <div class="mt-1">${wtEscapeHtml(head.error || "Rejected by server")}</div>
+               <div class="mt-1 text-xs">Resolve this entry to continue syncing the rest of the queue.</div>
+             </div>`
+          : ""
+      }
+      <div class="space-y-2 max-h-72 overflow-auto pr-1">
+        ${entries.map((e) => `
+          <div class="rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-xs text-slate-700">
+            <div class="flex flex-wrap items-center justify-between gap-2">
+              <span class="font-semibold text-slate-900">${wtEscapeHtml(e.label)}</span>
+              <span class="${e.status === "pending" ? "text-slate-500" : "font-semibold text-rose-700"}">${statusLabel(e)}</span>
+            </div>
+            <div class="mt-1 text-slate-500">Queued ${e.created_at ? new Date(e.created_at).toLocaleString() : ""}</div>
+          </div>
+        `).join("")}
+      </div>
+    `;
+
+    const buttons = [{ label: "Close", value: "close" }];
+    if (blocked) {
+      buttons.push({ label: "Discard", value: "discard", className: "rounded-xl bg-rose-600 px-4 py-2 font-semibold text-white hover:bg-rose-700" });
+      if (head.action === "MOVE" && Number(head.http_status) === 409) {
+        buttons.push({ label: "Change location", value: "relocate" });
+      }
+      buttons.push({ label: "Retry", value: "retry", primary: true });
+    } else {
+      buttons.push({ label: "Sync now", value: "sync", primary: true });
+    }
+
+    const res = await this.showModal("Offline outbox", html, buttons);
+    if (!res || res.cancelled) return;
+
+    if (res.action === "sync") return this.replayOutbox();
+
+    if (res.action === "discard") {
+      const ok = await this.confirm("Discard queued action", `Discard "${head.label}"? It will not be sent to the server.`);
+      if (!ok) return;
+      await wtOutboxDelete(head.id);
+      this.showToast("Queued action discarded", "info");
+      await this.refreshOutboxCount();
+      return this.replayOutbox();
+    }
+
+    if (res.action === "relocate") {
+      const current = String(head.body?.to_location || "");
+      const v = await this.prompt("Change location", `New destination for ${head.pallet_id || "pallet"}:`, current);
+      if (v === null) return;
+      const target = String(v || "").trim().replace(/\s+/g, " ").toUpperCase();
+      if (!target) return this.showToast("Location is required", "error");
+      await wtOutboxPut({
+        ...head,
+        label: `Move ${head.pallet_id} → ${target}`,
+        body: {
+          ...head.body,
+          to_location: target,
+          idempotency_key: this._makeIdempotencyKey("MOVE", [head.pallet_id, target]),
+        },
+        status: "pending",
+        error: "",
+        http_status: 0,
+      });
+      return this.replayOutbox();
+    }
+
+    if (res.action === "retry") {
+      await wtOutboxPut({ ...head, status: "pending", error: "", http_status: 0 });
+      return this.replayOutbox();
+    }
+  },
+
+  async checkIn(customerName, productId, palletQuantity, productQuantity, location, parts = null, scannedBy = 'Manual entry', palletId = null, dateCameIn = null, lotFields = null, labelPayload = null) {
     try {
       const resolvedScannedBy = await this._resolveScannedBy(scannedBy);
       if (!resolvedScannedBy) return this.showToast("Action cancelled (operator not provided)", "info");
@@ -3357,15 +5350,22 @@ PART-ABC x 2"></textarea>
         location,
         parts,
         date_added: dateCameIn || null,
+        ...(lotFields || {}),
+        ...(labelPayload ? { label_payload: labelPayload } : {}),
         ...this._auditMeta(resolvedScannedBy, idempotencyKey),
       };
 
-      const result = await apiFetch('/api/pallets', {
-        method: 'POST',
-        body: JSON.stringify(payload),
+      const result = await this._sendMutation({
+        action: "CHECK_IN",
+        label: `Check in ${palletId || productId} → ${location}`,
+        method: "POST",
+        path: "/api/pallets",
+        palletId: palletId || "",
+        body: payload,
       });
+      if (result?.queued) return this.setView('tracker');
 
-      this.showToast('✅ Pallet checked in!', 'success');
+      this.showToast('✅ Pallet checked in!', 'success', this._undoToastAction(result));
       await this.loadPallets();
       this.setView('tracker');
     } catch (error) {
@@ -3381,12 +5381,17 @@ PART-ABC x 2"></textarea>
       if (!resolvedScannedBy) return this.showToast("Action cancelled (operator not provided)", "info");
       const idempotencyKey = this._makeIdempotencyKey("CHECK_OUT", [palletId]);
 
-      await apiFetch(`/api/pallets/${encodeURIComponent(palletId)}`, {
-        method: 'DELETE',
-        body: JSON.stringify(this._auditMeta(resolvedScannedBy, idempotencyKey)),
+      const result = await this._sendMutation({
+        action: "CHECK_OUT",
+        label: `Check out ${palletId}`,
+        method: "DELETE",
+        path: `/api/pallets/${encodeURIComponent(palletId)}`,
+        palletId,
+        body: this._auditMeta(resolvedScannedBy, idempotencyKey),
       });
+      if (result?.queued) return;
 
-      this.showToast('✅ Pallet checked out!', 'success');
+      this.showToast('✅ Pallet checked out!', 'success', this._undoToastAction(result));
       await this.loadPallets();
     } catch (error) {
       console.error('Check-out error:', error);
@@ -3403,15 +5408,20 @@ PART-ABC x 2"></textarea>
       if (!resolvedScannedBy) return this.showToast("Action cancelled (operator not provided)", "info");
       const idempotencyKey = this._makeIdempotencyKey("MOVE", [palletId, target]);
 
-      await apiFetch(`/api/pallets/${encodeURIComponent(palletId)}/move`, {
-        method: 'POST',
-        body: JSON.stringify({
+      const result = await this._sendMutation({
+        action: "MOVE",
+        label: `Move ${palletId} → ${target}`,
+        method: "POST",
+        path: `/api/pallets/${encodeURIComponent(palletId)}/move`,
+        palletId,
+        body: {
           to_location: target,
           ...this._auditMeta(resolvedScannedBy, idempotencyKey),
-        }),
+        },
       });
+      if (result?.queued) return;
 
-      this.showToast(`✅ Pallet moved to ${target}`, 'success');
+      this.showToast(`✅ Pallet moved to ${target}`, 'success', this._undoToastAction(result));
       await this.loadPallets();
       await this.loadActivity();
       await this.loadStats();
@@ -3443,12 +5453,17 @@ PART-ABC x 2"></textarea>
         ...this._auditMeta(resolvedScannedBy, this._makeIdempotencyKey("UNITS_REMOVE", [palletId, finalUnits])),
       };
 
-      await apiFetch(`/api/pallets/${encodeURIComponent(palletId)}/remove-units`, {
-        method: 'POST',
-        body: JSON.stringify(payload),
+      const result = await this._sendMutation({
+        action: "UNITS_REMOVE",
+        label: `Remove ${finalUnits} units from ${palletId}`,
+        method: "POST",
+        path: `/api/pallets/${encodeURIComponent(palletId)}/remove-units`,
+        palletId,
+        body: payload,
       });
+      if (result?.queued) return;
 
-      this.showToast('✅ Units removed!', 'success');
+      this.showToast('✅ Units removed!', 'success', this._undoToastAction(result));
       await this.loadPallets();
     } catch (error) {
       console.error('Remove units error:', error);
@@ -3456,66 +5471,1052 @@ PART-ABC x 2"></textarea>
     }
   },
 
-    async showProductInfo(palletId) {
-      const pallet = (this.pallets || []).find((p) => p.id === palletId);
-      if (!pallet) return this.showToast("Pallet not found", "error");
+  // One quantity field per part on the pallet; parts left at 0 are untouched.
+  // Returns true once the removal was sent or queued.
+  async removeParts(palletId, scannedBy = "Manual entry") {
+    const pallet = (this.pallets || []).find((p) => p.id === palletId);
+    if (!pallet) {
+      this.showToast(`Pallet ${palletId} not found`, "error");
+      return false;
+    }
+    const parts = Array.isArray(pallet.parts) ? pallet.parts.filter((x) => x?.part_number) : [];
+    if (!parts.length) {
+      this.showToast(`${pallet.id} has no parts list`, "error");
+      return false;
+    }
 
-      let history = [];
-      try {
-        const h = await apiFetch(`/api/pallets/${encodeURIComponent(palletId)}/history?_t=${Date.now()}`);
-        history = Array.isArray(h) ? h : [];
-      } catch {
-        history = [];
+    const html = `
+      <p class="text-sm text-slate-600 mb-4">${pallet.id} • ${pallet.product_id} • ${pallet.location}</p>
+      <div class="space-y-2">
+        ${parts.map((x, i) => `
+          <div class="flex items-center justify-between gap-3">
+            <span class="text-sm text-slate-700"><span class="font-mono">${x.part_number}</span> <span class="text-slate-500">(×${Number(x.quantity) || 0})</span></span>
+            <input data-modal-field="part_${i}" type="number" min="0" max="${Number(x.quantity) || 0}" value="0"
+              class="w-24 rounded-xl border border-slate-300 px-3 py-2 text-right" />
+          </div>
+        `).join("")}
+      </div>
+      <p class="mt-3 text-xs text-slate-500">Removing the last part checks the pallet out.</p>
+    `;
+    const res = await this.showModal("Remove parts", html, [
+      { label: "Cancel", value: "cancel" },
+      { label: "Remove", value: "remove", className: "rounded-xl bg-amber-600 px-4 py-2 font-semibold text-white hover:bg-amber-700" },
+    ]);
+    if (!res || res.cancelled || res.action !== "remove") return false;
+
+    const removals = [];
+    for (const [i, x] of parts.entries()) {
+      const quantity = Number(res.fields[`part_${i}`] || 0);
+      if (!Number.isInteger(quantity) || quantity < 0 || quantity > (Number(x.quantity) || 0)) {
+        this.showToast(`Enter 0 to ${Number(x.quantity) || 0} for ${x.part_number}`, "error");
+        return false;
       }
+      if (quantity > 0) removals.push({ part_number: x.part_number, quantity });
+    }
+    if (!removals.length) {
+      this.showToast("No parts selected", "info");
+      return false;
+    }
 
-      const parts = Array.isArray(pallet.parts) ? pallet.parts : [];
-      const partsHtml = parts.length
-        ? `<div class="mt-3 rounded-xl border border-slate-200 bg-slate-50 p-3">
-             <div class="text-sm font-bold text-slate-900 mb-2">Parts list</div>
-             ${parts.map((x) => `
-               <div class="flex justify-between text-sm text-slate-700">
-                 <span>${x.part_number || ""}</span>
-                 <span class="font-semibold">×${x.quantity || 1}</span>
-               </div>
-             `).join("")}
-           </div>`
-        : `<div class="mt-3 text-sm text-slate-600">No parts list.</div>`;
+    try {
+      const resolvedScannedBy = await this._resolveScannedBy(scannedBy);
+      if (!resolvedScannedBy) {
+        this.showToast("Action cancelled (operator not provided)", "info");
+        return false;
+      }
+      const summary = removals.map((r) => `${r.quantity}× ${r.part_number}`).join(", ");
+      const result = await this._sendMutation({
+        action: "PARTS_REMOVE",
+        label: `Remove ${summary} from ${pallet.id}`,
+        method: "POST",
+        path: `/api/pallets/${encodeURIComponent(pallet.id)}/remove-parts`,
+        palletId: pallet.id,
+        body: {
+          parts: removals,
+          ...this._auditMeta(resolvedScannedBy, this._makeIdempotencyKey("PARTS_REMOVE", [pallet.id, summary])),
+        },
+      });
+      if (!result?.queued) {
+        this.showToast(result?.pallet_removed ? `All parts removed; ${pallet.id} checked out` : `Removed ${summary}`, "success");
+        await this.loadPallets();
+      }
+      return true;
+    } catch (error) {
+      this.showToast(`Remove parts failed: ${error.message}`, "error");
+      return false;
+    }
+  },
 
-      const actionLabel = (a) => {
-        const v = String(a || "").toUpperCase();
-        if (v === "CHECK_IN") return "Checked in";
-        if (v === "CHECK_OUT") return "Checked out";
-        if (v === "PARTIAL_REMOVE") return "Pallet qty removed";
-        if (v === "UNITS_REMOVE") return "Units removed";
-        if (v === "MOVE") return "Moved";
-        return v || "Event";
-      };
+  // Splitting keeps the original date_added on the new entry; it gets its own
+  // label straight away.
+  async splitPallet(palletId) {
+    const pallet = (this.pallets || []).find((p) => p.id === palletId);
+    if (!pallet) return this.showToast("Pallet not found", "error");
+    const total = Number(pallet.pallet_quantity) || 0;
+    if (total < 2) return this.showToast("This entry holds a single pallet", "error");
 
-      const historyHtml = history.length
-        ? `
-          <div class="mt-4 rounded-xl border border-slate-200 bg-white p-3">
-            <div class="text-sm font-bold text-slate-900 mb-2">Pallet timeline</div>
-            <div class="space-y-2 max-h-72 overflow-auto pr-1">
-              ${history.map((h) => {
-                const ts = h.timestamp ? new Date(h.timestamp).toLocaleString() : "";
-                const who = String(h.scanned_by || h.actor_id || "Unknown");
-                const qtyBits = [];
-                if (h.quantity_changed != null) qtyBits.push(`Δ ${Number(h.quantity_changed)}`);
-                if (h.quantity_after != null) qtyBits.push(`After ${Number(h.quantity_after)}`);
-                const qtyText = qtyBits.length ? ` • ${qtyBits.join(" • ")}` : "";
-                return `
-                  <div class="rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-xs text-slate-700">
-                    <div class="flex flex-wrap items-center justify-between gap-2">
-                      <span class="font-semibold text-slate-900">${actionLabel(h.action)}</span>
-                      <span class="text-slate-500">${ts}</span>
-                    </div>
-                    <div class="mt-1">
-                      By <span class="font-semibold">${who}</span>
-                      ${h.location ? ` • Location ${h.location}` : ""}
-                      ${qtyText}
-                    </div>
-                    ${h.notes ? `<div class="mt-1 text-slate-500">${h.notes}</div>` : ""}
-                  </div>
+    const html = `
+      <p class="text-sm text-slate-600 mb-4">${pallet.id} • ${pallet.product_id} • ${total} pallet(s) at ${pallet.location}</p>
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label class="text-sm font-semibold text-slate-700">Pallets to split off</label>
+          <input data-modal-field="quantity" type="number" min="1" max="${total - 1}" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2" value="1" />
+        </div>
+        <div>
+          <label class="text-sm font-semibold text-slate-700">To location</label>
+          <input data-modal-field="location" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2" value="${pallet.location || ""}" />
+        </div>
+        <div class="md:col-span-2">
+          <label class="text-sm font-semibold text-slate-700">New pallet ID</label>
+          <input data-modal-field="newId" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 font-mono" placeholder="Next in the customer's sequence" />
+        </div>
+      </div>
+    `;
+    const res = await this.showModal("Split pallet", html, [
+      { label: "Cancel", value: "cancel" },
+      { label: "Split", value: "split", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" },
+    ]);
+    if (!res || res.cancelled || res.action !== "split") return;
+
+    const quantity = Number(res.fields.quantity);
+    const location = String(res.fields.location || "").trim().toUpperCase() || pallet.location;
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity >= total) {
+      return this.showToast(`Split between 1 and ${total - 1} pallets`, "error");
+    }
+    // Reserved up front so the label and a queued offline retry share the id.
+    const newId = String(res.fields.newId || "").trim() || (await this._reservePalletIds(pallet.customer_name, 1))?.[0];
+    if (!newId) return;
+
+    try {
+      const resolvedScannedBy = await this._resolveScannedBy("Manual entry");
+      if (!resolvedScannedBy) return this.showToast("Action cancelled (operator not provided)", "info");
+      const result = await this._sendMutation({
+        action: "SPLIT",
+        label: `Split ${quantity} off ${pallet.id} as ${newId}`,
+        method: "POST",
+        path: `/api/pallets/${encodeURIComponent(pallet.id)}/split`,
+        palletId: pallet.id,
+        body: {
+          quantity,
+          to_location: location,
+          new_pallet_id: newId,
+          ...this._auditMeta(resolvedScannedBy, this._makeIdempotencyKey("SPLIT", [pallet.id, newId, quantity])),
+        },
+      });
+      if (!result?.queued) {
+        this.showToast(`Split ${quantity} pallet(s) off as ${newId}`, "success");
+        await this.loadPallets();
+      }
+      await this.reprintPalletQR(newId, result?.pallet || {
+        ...pallet,
+        id: newId,
+        pallet_quantity: quantity,
+        location,
+      });
+    } catch (error) {
+      this.showToast(`Split failed: ${error.message}`, "error");
+    }
+  },
+
+  // Only entries of the same stock are offered: customer, product, units per
+  // pallet and lot details all have to match.
+  async mergePallet(palletId) {
+    const pallet = (this.pallets || []).find((p) => p.id === palletId);
+    if (!pallet) return this.showToast("Pallet not found", "error");
+    const same = ["customer_name", "product_id", "product_quantity", "lot", "batch", "best_before", "expiry_date"];
+    const candidates = (this.pallets || []).filter((p) =>
+      p.id !== pallet.id && same.every((key) => String(p[key] ?? "") === String(pallet[key] ?? ""))
+    );
+    if (!candidates.length) return this.showToast(`No other ${pallet.product_id} entry to merge with`, "info");
+
+    const html = `
+      <p class="text-sm text-slate-600 mb-4">Merge ${pallet.id} (${Number(pallet.pallet_quantity) || 0} pallet(s) at ${pallet.location}) into:</p>
+      <select data-modal-field="into" class="w-full rounded-xl border border-slate-300 bg-white px-3 py-2">
+        ${candidates.map((p) => `<option value="${p.id}">${p.id} • ${Number(p.pallet_quantity) || 0} pallet(s) at ${p.location}</option>`).join("")}
+      </select>
+      <p class="mt-2 text-xs text-slate-500">The kept entry takes the earlier date added; ${pallet.id} is closed.</p>
+    `;
+    const res = await this.showModal("Merge pallets", html, [
+      { label: "Cancel", value: "cancel" },
+      { label: "Merge", value: "merge", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" },
+    ]);
+    if (!res || res.cancelled || res.action !== "merge") return;
+    const into = String(res.fields.into || "");
+
+    try {
+      const resolvedScannedBy = await this._resolveScannedBy("Manual entry");
+      if (!resolvedScannedBy) return this.showToast("Action cancelled (operator not provided)", "info");
+      const result = await this._sendMutation({
+        action: "MERGE",
+        label: `Merge ${pallet.id} into ${into}`,
+        method: "POST",
+        path: `/api/pallets/${encodeURIComponent(pallet.id)}/merge`,
+        palletId: pallet.id,
+        body: { into, ...this._auditMeta(resolvedScannedBy, this._makeIdempotencyKey("MERGE", [pallet.id, into])) },
+      });
+      if (result?.queued) return;
+      this.showToast(`Merged ${pallet.id} into ${into}`, "success");
+      await this.loadPallets();
+    } catch (error) {
+      this.showToast(`Merge failed: ${error.message}`, "error");
+    }
+  },
+
+  _undoToastAction(result) {
+    const activityId = Number(result?.activity_id);
+    if (!activityId) return null;
+    return { label: "Undo", onClick: () => this.undoActivity(activityId) };
+  },
+
+  async undoActivity(activityId) {
+    try {
+      const resolvedScannedBy = await this._resolveScannedBy("Undo");
+      if (!resolvedScannedBy) return this.showToast("Action cancelled (operator not provided)", "info");
+      await this._fetchOverridingHold({
+        method: "POST",
+        path: `/api/activity/${encodeURIComponent(activityId)}/reverse`,
+        body: this._auditMeta(resolvedScannedBy, this._makeIdempotencyKey("REVERSAL", [activityId])),
+      });
+      this.showToast("↩️ Undone", "success");
+      if (this.scanMode) return;
+      await this.loadPallets();
+      await this.loadActivity();
+    } catch (error) {
+      console.error("Undo error:", error);
+      this.showToast(`Undo failed: ${error.message}`, "error");
+    }
+  },
+
+  // --------------------------
+  // Stock take
+  // --------------------------
+  async startStockCount() {
+    try {
+      const sessions = await apiFetch(`/api/counts?_t=${Date.now()}`);
+      const open = (Array.isArray(sessions) ? sessions : []).filter((s) => s.status === "OPEN");
+      let sessionId = null;
+
+      if (open.length) {
+        const html = `
+          <p class="text-sm text-slate-600 mb-3">Continue an open count, review its variances, or start a new one.</p>
+          <div class="space-y-2 text-sm">
+            ${open.map((s) => `
+              <div class="rounded-xl border border-slate-200 px-3 py-2">
+                <div class="font-semibold text-slate-900">#${s.id} ${s.name || ""}</div>
+                <div class="text-xs text-slate-500">${s.locations_counted} location(s), ${s.pallets_counted} pallet(s) counted</div>
+              </div>
+            `).join("")}
+          </div>
+        `;
+        const latest = open[0];
+        const res = await this.showModal("Stock take", html, [
+          { label: "New count", value: "new" },
+          { label: `Variances #${latest.id}`, value: "report" },
+          { label: `Continue #${latest.id}`, value: "continue", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" },
+        ]);
+        if (!res || res.cancelled) return;
+        if (res.action === "report") return this.showCountVariances(latest.id);
+        if (res.action === "continue") sessionId = latest.id;
+      }
+
+      if (!sessionId) {
+        const aisles = await this.prompt("New stock take", "Aisles to count (e.g. A,B):");
+        if (aisles === null || !String(aisles).trim()) return;
+        const created = await apiFetch("/api/counts", {
+          method: "POST",
+          body: JSON.stringify({ aisles: String(aisles) }),
+        });
+        sessionId = created.session.id;
+        this.showToast(`Count #${sessionId} started (${created.session.aisles.join(", ")})`, "success");
+      }
+
+      const scannedBy = await this._resolveScannedBy("Count");
+      if (!scannedBy) return this.showToast("Action cancelled (operator not provided)", "info");
+      this.countSessionId = sessionId;
+      this._countScannedBy = scannedBy;
+      await this.startScanner("count");
+    } catch (error) {
+      this.showToast(`Stock take failed: ${error.message}`, "error");
+    }
+  },
+
+  _recordCount(kind, body) {
+    return apiFetch(`/api/counts/${encodeURIComponent(this.countSessionId)}/${kind}`, {
+      method: "POST",
+      body: JSON.stringify({ ...body, ...this._auditMeta(this._countScannedBy || "Count") }),
+    });
+  },
+
+  async showCountVariances(sessionId) {
+    try {
+      const report = await apiFetch(`/api/counts/${encodeURIComponent(sessionId)}/variances?_t=${Date.now()}`);
+      const isAdmin = ["owner", "admin"].includes(String(this.currentUser?.role || "").toLowerCase());
+      const labels = { missing: "Missing", unexpected: "Unexpected", wrong_location: "Wrong location", quantity: "Quantity" };
+      const describe = (v) =>
+        v.type === "missing" ? `expected at ${v.expected_location}, not found` :
+        v.type === "unexpected" ? `found at ${v.counted_location}${v.postable ? " (was checked out)" : " — not on file, check it in"}` :
+        v.type === "wrong_location" ? `${v.expected_location} → ${v.counted_location}` :
+        `${v.expected_quantity} → ${v.counted_quantity} pallet(s)`;
+
+      const rows = report.variances.map((v) => `
+        <label class="flex items-start gap-3 rounded-xl border border-slate-200 px-3 py-2">
+          <input type="checkbox" data-modal-field="${v.key}" class="mt-1" ${v.postable && isAdmin ? "checked" : "disabled"} />
+          <span class="text-sm">
+            <span class="font-semibold text-slate-900">${labels[v.type]}</span>
+            <span class="text-slate-700">${v.pallet_id}</span>
+            <span class="text-slate-500">${v.customer_name ? `(${v.customer_name} ${v.product_id || ""})` : ""}</span>
+            <span class="block text-xs text-slate-600">${describe(v)}</span>
+          </span>
+        </label>
+      `).join("");
+      const html = `
+        <div class="text-sm text-slate-600 mb-3">
+          ${report.locations_counted} of ${report.locations_total} location(s) counted, ${report.pallets_counted} pallet(s) scanned.
+          ${report.uncounted_locations.length ? `<div class="mt-1 text-amber-700">Not yet counted (holding stock): ${report.uncounted_locations.join(", ")}</div>` : ""}
+        </div>
+        <div class="space-y-2 max-h-[50vh] overflow-auto">
+          ${rows || `<div class="text-sm text-emerald-700">No variances: the count matches stock.</div>`}
+        </div>
+        ${isAdmin ? `<div class="mt-3 text-xs text-slate-500">Posting applies the ticked variances as adjustments and closes the count.</div>` : ""}
+      `;
+      const buttons = [{ label: "Close", value: "close" }];
+      if (isAdmin) {
+        buttons.push({ label: "Post approved", value: "post", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" });
+      }
+      const res = await this.showModal(`Count #${sessionId} variances`, html, buttons);
+      if (!res || res.cancelled || res.action !== "post") return;
+
+      const approve = report.variances.filter((v) => res.fields[v.key] === true).map((v) => v.key);
+      const posted = await this._fetchOverridingHold({
+        method: "POST",
+        path: `/api/counts/${encodeURIComponent(sessionId)}/post`,
+        body: { approve, ...this._auditMeta("Count") },
+      });
+      if (this.countSessionId === sessionId) this.countSessionId = null;
+      this.showToast(`Count #${sessionId} posted: ${posted.posted} adjustment(s)`, "success");
+      await this.loadPallets();
+      await this.loadActivity();
+    } catch (error) {
+      this.showToast(`Variance report failed: ${error.message}`, "error");
+    }
+  },
+
+  // --------------------------
+  // Receiving (ASNs)
+  // --------------------------
+  async startReceiving() {
+    try {
+      const open = await apiFetch(`/api/asns?status=OPEN&_t=${Date.now()}`);
+      if (!Array.isArray(open) || !open.length) return this.createAsn();
+
+      const html = `
+        <p class="text-sm text-slate-600 mb-3">Receive against an expected delivery, or record a new one.</p>
+        <select data-modal-field="asn" class="w-full rounded-xl border border-slate-300 px-3 py-2">
+          ${open.map((a) => `
+            <option value="${a.id}">#${a.id} ${a.customer_name}${a.reference ? ` (${a.reference})` : ""} — ${a.received_pallets}/${a.expected_pallets} pallets</option>
+          `).join("")}
+        </select>
+      `;
+      const res = await this.showModal("Receiving", html, [
+        { label: "New ASN", value: "new" },
+        { label: "Open", value: "open", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" },
+      ]);
+      if (!res || res.cancelled) return;
+      if (res.action === "new") return this.createAsn();
+      if (res.action === "open") return this.showAsn(res.fields.asn);
+    } catch (error) {
+      this.showToast(`Receiving failed: ${error.message}`, "error");
+    }
+  },
+
+  // Expected lines are typed one per line as "SKU x pallets", optionally
+  // followed by "@ units" per pallet.
+  parseAsnLines(text) {
+    const lines = [];
+    for (const raw of String(text || "").split("\n")) {
+      const line = raw.trim();
+      if (!line) continue;
+      const m = line.match(/^(.+?)\s*[x×*]\s*(\d+)(?:\s*@\s*(\d+))?$/i);
+      if (!m) throw new Error(`Can't read line "${line}" (use SKU x pallets @ units)`);
+      lines.push({ product_id: m[1].trim(), pallets: Number(m[2]), units_per_pallet: Number(m[3] || 0) });
+    }
+    return lines;
+  },
+
+  async createAsn() {
+    const html = `
+      <label class="block text-sm font-semibold text-slate-700">Customer
+        <input data-modal-field="customer" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2" value="${this.selectedCustomer || ""}" />
+      </label>
+      <label class="mt-3 block text-sm font-semibold text-slate-700">Reference
+        <input data-modal-field="reference" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2" placeholder="delivery note, PO…" />
+      </label>
+      <label class="mt-3 block text-sm font-semibold text-slate-700">Expected on
+        <input data-modal-field="expectedDate" type="date" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2" />
+      </label>
+      <label class="mt-3 block text-sm font-semibold text-slate-700">Expected pallets
+        <textarea data-modal-field="lines" rows="5" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 font-mono text-sm"></textarea>
+      </label>
+      <p class="mt-2 text-xs text-slate-500">One per line: SKU-1 x 4 @ 24 means 4 pallets of 24 units each.</p>
+    `;
+    const res = await this.showModal("New ASN", html, [
+      { label: "Cancel", value: "cancel" },
+      { label: "Create", value: "create", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" },
+    ]);
+    if (!res || res.cancelled || res.action !== "create") return;
+
+    try {
+      const customer = String(res.fields.customer || "").trim();
+      if (!customer) return this.showToast("Customer is required", "error");
+      const lines = this.parseAsnLines(res.fields.lines);
+      if (!lines.length) return this.showToast("Add at least one expected line", "error");
+      const created = await apiFetch("/api/asns", {
+        method: "POST",
+        body: JSON.stringify({
+          customer_name: customer,
+          reference: res.fields.reference,
+          expected_date: res.fields.expectedDate,
+          lines,
+        }),
+      });
+      this.showToast(`ASN #${created.asn.id} recorded`, "success");
+      return this.showAsn(created.asn.id);
+    } catch (error) {
+      this.showToast(`ASN not created: ${error.message}`, "error");
+    }
+  },
+
+  async showAsn(asnId) {
+    try {
+      const data = await apiFetch(`/api/asns/${encodeURIComponent(asnId)}?_t=${Date.now()}`);
+      const { asn, lines, receipts } = data;
+      const received = (productId) =>
+        receipts.filter((r) => r.product_id === productId).reduce((sum, r) => sum + Number(r.pallet_quantity || 0), 0);
+      const rows = lines.map((l) => `
+        <div class="flex items-center justify-between gap-3 rounded-xl border border-slate-200 px-3 py-2 text-sm">
+          <span class="font-semibold text-slate-900">${l.product_id}</span>
+          <span>${received(l.product_id)} / ${l.expected_pallets} pallets${l.units_per_pallet ? ` • ${l.units_per_pallet}/pallet` : ""}</span>
+        </div>
+      `).join("");
+      const html = `
+        <div class="text-sm text-slate-600 mb-3">${asn.customer_name}${asn.reference ? ` • ${asn.reference}` : ""}${asn.expected_date ? ` • due ${asn.expected_date}` : ""} • ${asn.status.toLowerCase()}</div>
+        <div class="space-y-2 max-h-[50vh] overflow-auto">${rows}</div>
+      `;
+      const buttons = [{ label: "Close", value: "close" }];
+      if (asn.status === "OPEN") {
+        buttons.push({ label: "Finish & report", value: "finish" });
+        buttons.push({ label: "Receive", value: "receive", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" });
+      } else {
+        buttons.push({ label: "Report", value: "report" });
+      }
+      const res = await this.showModal(`ASN #${asn.id}`, html, buttons);
+      if (!res || res.cancelled) return;
+
+      if (res.action === "report") {
+        return this.showReceiptReport(await apiFetch(`/api/asns/${encodeURIComponent(asn.id)}/report?_t=${Date.now()}`));
+      }
+      if (res.action === "finish") {
+        const ok = await this.confirm("Close ASN", `Close ASN #${asn.id}? No more pallets can be received against it.`);
+        if (!ok) return;
+        const closed = await apiFetch(`/api/asns/${encodeURIComponent(asn.id)}/close`, { method: "POST", body: "{}" });
+        return this.showReceiptReport(closed);
+      }
+      if (res.action !== "receive") return;
+
+      const scannedBy = await this._resolveScannedBy("Receiving");
+      if (!scannedBy) return this.showToast("Action cancelled (operator not provided)", "info");
+      this.receivingAsn = data;
+      this._receiveScannedBy = scannedBy;
+      await this.startScanner("receive-pallet");
+    } catch (error) {
+      this.showToast(`ASN failed: ${error.message}`, "error");
+    }
+  },
+
+  async showReceiptReport(report) {
+    const statusClass = { short: "text-amber-700", over: "text-rose-700", ok: "text-emerald-700" };
+    const rows = report.lines.map((l) => `
+      <div class="flex items-center justify-between gap-3 rounded-xl border border-slate-200 px-3 py-2 text-sm">
+        <span><span class="font-semibold text-slate-900">${l.product_id}</span>${l.on_asn ? "" : ` <span class="text-xs text-slate-500">not on ASN</span>`}</span>
+        <span>
+          ${l.received_pallets} / ${l.expected_pallets}
+          <span class="font-semibold ${statusClass[l.status] || ""}">${l.status}${l.variance ? ` ${l.variance > 0 ? "+" : ""}${l.variance}` : ""}</span>
+          ${l.damaged_pallets ? `<span class="text-rose-700">• ${l.damaged_pallets} damaged</span>` : ""}
+        </span>
+      </div>
+    `).join("");
+    const s = report.summary;
+    const html = `
+      <div class="text-sm text-slate-600 mb-3">
+        ${s.received_pallets} of ${s.expected_pallets} expected pallet(s) received; ${s.short_lines} short, ${s.over_lines} over, ${s.damaged_pallets} damaged.
+      </div>
+      <div class="space-y-2 max-h-[50vh] overflow-auto">${rows}</div>
+    `;
+    await this.showModal(`ASN #${report.asn.id} receipt report`, html, [{ label: "Close", value: "close" }]);
+  },
+
+  _asnProgress() {
+    const data = this.receivingAsn;
+    if (!data) return "";
+    const expected = data.lines.reduce((sum, l) => sum + Number(l.expected_pallets || 0), 0);
+    const received = data.receipts.reduce((sum, r) => sum + Number(r.pallet_quantity || 0), 0);
+    return `${received} of ${expected} pallet(s) received.`;
+  },
+
+  async _receiveScannedPallet(location) {
+    const pal = this._scannedPallet;
+    const asnId = this.receivingAsn.asn.id;
+    const html = `
+      <p class="text-sm text-slate-600 mb-3">${pal.id} • ${pal.productId} → ${location}</p>
+      <label class="block text-sm font-semibold text-slate-700">Pallets
+        <input data-modal-field="palletQty" type="number" min="1" value="1" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2" />
+      </label>
+      <label class="mt-3 flex items-center gap-2 text-sm font-semibold text-slate-700">
+        <input data-modal-field="damaged" type="checkbox" /> Damaged on arrival
+      </label>
+      <label class="mt-3 block text-sm font-semibold text-slate-700">Notes
+        <input data-modal-field="notes" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2" />
+      </label>
+    `;
+    const res = await this.showModal("Receive pallet", html, [
+      { label: "Cancel", value: "cancel" },
+      { label: "Receive", value: "ok", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" },
+    ]);
+    if (!res || res.cancelled || res.action !== "ok") return;
+
+    try {
+      await apiFetch(`/api/asns/${encodeURIComponent(asnId)}/receipts`, {
+        method: "POST",
+        body: JSON.stringify({
+          pallet_id: pal.id,
+          product_id: pal.productId,
+          pallet_quantity: parseInt(res.fields.palletQty, 10) || 1,
+          ...(pal.hasUnitsPerPallet ? { product_quantity: pal.unitsPerPallet } : {}),
+          lot: pal.lot || "",
+          batch: pal.batch || "",
+          best_before: pal.bestBefore || "",
+          expiry_date: pal.expiryDate || "",
+          ...(pal.labelPayload ? { label_payload: pal.labelPayload } : {}),
+          location,
+          damaged: res.fields.damaged === true,
+          notes: res.fields.notes,
+          ...this._auditMeta(this._receiveScannedBy || "Receiving", this._makeIdempotencyKey("receive", [asnId, pal.id])),
+        }),
+      });
+      this.receivingAsn = await apiFetch(`/api/asns/${encodeURIComponent(asnId)}?_t=${Date.now()}`);
+      this.showToastDedup(`${pal.id} received at ${location}`, "success", 1500);
+      this._scannedPallet = null;
+      this.scanMode = "receive-pallet";
+      this._syncScannerUi();
+      await this.loadPallets();
+    } catch (error) {
+      this.showToast(`Receipt failed: ${error.message}`, "error");
+    }
+  },
+
+  // --------------------------
+  // Orders
+  // --------------------------
+  async startOrderPicking() {
+    try {
+      const open = await apiFetch(`/api/orders?status=OPEN&_t=${Date.now()}`);
+      if (!Array.isArray(open) || !open.length) return this.createOrder();
+
+      const html = `
+        <p class="text-sm text-slate-600 mb-3">Pick an open order, or create a new one.</p>
+        <select data-modal-field="order" class="w-full rounded-xl border border-slate-300 px-3 py-2">
+          ${open.map((o) => `
+            <option value="${o.id}">#${o.id} ${o.customer_name}${o.reference ? ` (${o.reference})` : ""} — ${o.picks_done}/${o.picks_total} picked</option>
+          `).join("")}
+        </select>
+      `;
+      const res = await this.showModal("Pick order", html, [
+        { label: "New order", value: "new" },
+        { label: "Open", value: "open", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" },
+      ]);
+      if (!res || res.cancelled) return;
+      if (res.action === "new") return this.createOrder();
+      if (res.action === "open") return this.showPickList(res.fields.order);
+    } catch (error) {
+      this.showToast(`Orders failed: ${error.message}`, "error");
+    }
+  },
+
+  // Order lines are typed one per line as "SKU x qty", with "units" at the end
+  // for unit picks.
+  parseOrderLines(text) {
+    const lines = [];
+    for (const raw of String(text || "").split("\n")) {
+      const line = raw.trim();
+      if (!line) continue;
+      const m = line.match(/^(.+?)\s*[x×*]\s*(\d+)\s*(units?|pallets?)?$/i);
+      if (!m) throw new Error(`Can't read line "${line}" (use SKU x qty)`);
+      lines.push({
+        product_id: m[1].trim(),
+        quantity: Number(m[2]),
+        unit: /^unit/i.test(m[3] || "") ? "units" : "pallets",
+      });
+    }
+    return lines;
+  },
+
+  async createOrder() {
+    const html = `
+      <label class="block text-sm font-semibold text-slate-700">Customer
+        <input data-modal-field="customer" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2" value="${this.selectedCustomer || ""}" />
+      </label>
+      <label class="mt-3 block text-sm font-semibold text-slate-700">Reference
+        <input data-modal-field="reference" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2" placeholder="optional" />
+      </label>
+      <label class="mt-3 block text-sm font-semibold text-slate-700">Lines
+        <textarea data-modal-field="lines" rows="5" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 font-mono text-sm"></textarea>
+      </label>
+      <p class="mt-2 text-xs text-slate-500">One per line: SKU-1 x 2 for pallets, SKU-2 x 40 units for units. Oldest stock is picked first.</p>
+    `;
+    const res = await this.showModal("New order", html, [
+      { label: "Cancel", value: "cancel" },
+      { label: "Create", value: "create", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" },
+    ]);
+    if (!res || res.cancelled || res.action !== "create") return;
+
+    try {
+      const customer = String(res.fields.customer || "").trim();
+      if (!customer) return this.showToast("Customer is required", "error");
+      const lines = this.parseOrderLines(res.fields.lines);
+      if (!lines.length) return this.showToast("Add at least one line", "error");
+      const created = await apiFetch("/api/orders", {
+        method: "POST",
+        body: JSON.stringify({ customer_name: customer, reference: res.fields.reference, lines }),
+      });
+      this.showToast(`Order #${created.order.id} created: ${created.picks.length} pick(s)`, "success");
+      return this.showPickList(created.order.id, created);
+    } catch (error) {
+      this.showToast(`Order not created: ${error.message}`, "error");
+    }
+  },
+
+  async showPickList(orderId, detail = null) {
+    try {
+      const data = detail || await apiFetch(`/api/orders/${encodeURIComponent(orderId)}?_t=${Date.now()}`);
+      const { order, picks } = data;
+      const statusClass = { OPEN: "text-slate-700", PICKED: "text-emerald-700 line-through", CANCELLED: "text-slate-400 line-through" };
+      const rows = picks.map((p, i) => `
+        <div class="flex items-center justify-between gap-3 rounded-xl border border-slate-200 px-3 py-2 text-sm ${statusClass[p.status] || ""}">
+          <span><span class="font-semibold">${i + 1}. ${p.location}</span> ${p.pallet_id} <span class="text-slate-500">${p.product_id || ""}</span></span>
+          <span class="whitespace-nowrap">${p.quantity} ${p.unit}</span>
+        </div>
+      `).join("");
+      const html = `
+        <div class="text-sm text-slate-600 mb-3">${order.customer_name}${order.reference ? ` • ${order.reference}` : ""} • ${order.status.toLowerCase()}</div>
+        <div class="space-y-2 max-h-[50vh] overflow-auto">${rows || `<div class="text-sm text-slate-500">No picks.</div>`}</div>
+      `;
+      const buttons = [{ label: "Close", value: "close" }];
+      if (order.status === "OPEN") {
+        buttons.push({ label: "Cancel order", value: "cancel-order" });
+        buttons.push({ label: "Start picking", value: "pick", className: "rounded-xl bg-blue-600 px-4 py-2 font-semibold text-white hover:bg-blue-700" });
+      }
+      const res = await this.showModal(`Order #${order.id}`, html, buttons);
+      if (!res || res.cancelled) return;
+
+      if (res.action === "cancel-order") {
+        const ok = await this.confirm("Cancel order", `Cancel order #${order.id}? Picks not yet made are released.`);
+        if (!ok) return;
+        await apiFetch(`/api/orders/${encodeURIComponent(order.id)}/cancel`, { method: "POST", body: "{}" });
+        return this.showToast(`Order #${order.id} cancelled`, "success");
+      }
+      if (res.action !== "pick") return;
+
+      const scannedBy = await this._resolveScannedBy("Picker");
+      if (!scannedBy) return this.showToast("Action cancelled (operator not provided)", "info");
+      this.pickOrder = data;
+      this._pickScannedBy = scannedBy;
+      await this.startScanner("pick");
+    } catch (error) {
+      this.showToast(`Pick list failed: ${error.message}`, "error");
+    }
+  },
+
+  _pickHint() {
+    const picks = this.pickOrder?.picks || [];
+    const open = picks.filter((p) => p.status === "OPEN");
+    if (!open.length) return "All picks done.";
+    const next = open[0];
+    const done = picks.filter((p) => p.status === "PICKED").length;
+    return `Next: ${next.location}, pallet ${next.pallet_id}, take ${next.quantity} ${next.unit} (${done + 1} of ${done + open.length}).`;
+  },
+
+  _confirmPick(pick, scannedId) {
+    const orderId = this.pickOrder.order.id;
+    return apiFetch(`/api/orders/${encodeURIComponent(orderId)}/picks/${encodeURIComponent(pick.id)}/confirm`, {
+      method: "POST",
+      body: JSON.stringify({
+        pallet_id: scannedId,
+        ...this._auditMeta(this._pickScannedBy || "Picker", this._makeIdempotencyKey("pick", [orderId, pick.id])),
+      }),
+    });
+  },
+
+  async showExpiringReport(days = 30) {
+    try {
+      const params = new URLSearchParams({ days: String(days), _t: String(Date.now()) });
+      if (this.selectedCustomer) params.set("customer", this.selectedCustomer);
+      const report = await apiFetch(`/api/pallets/expiring?${params}`);
+      const groups = report.customers.map((c) => `
+        <div class="rounded-xl border border-slate-200 p-3">
+          <div class="flex items-center justify-between text-sm">
+            <span class="font-bold text-slate-900">${c.customer_name}</span>
+            <span class="text-slate-600">${c.expired ? `<span class="font-semibold text-rose-700">${c.expired} expired</span> • ` : ""}${c.expiring} expiring</span>
+          </div>
+          <div class="mt-2 space-y-1 text-xs text-slate-700">
+            ${c.pallets.map((p) => `
+              <div class="flex justify-between gap-3">
+                <span>${p.id} • ${p.product_id}${p.lot ? ` • lot ${p.lot}` : ""} • ${p.location}</span>
+                <span class="whitespace-nowrap">${this._expiryHtml(p)} ${p.expired ? "" : `(${p.days_left}d)`}</span>
+              </div>
+            `).join("")}
+          </div>
+        </div>
+      `).join("");
+      const html = `
+        <p class="text-sm text-slate-600 mb-3">Dated stock expiring by ${report.until}${this.selectedCustomer ? ` for ${this.selectedCustomer}` : ""}.</p>
+        <div class="space-y-2 max-h-[55vh] overflow-auto">
+          ${groups || `<div class="text-sm text-emerald-700">Nothing expiring in the next ${report.days} days.</div>`}
+        </div>
+      `;
+      const res = await this.showModal("Expiring soon", html, [
+        { label: "Close", value: "close" },
+        { label: days === 30 ? "Next 90 days" : "Next 30 days", value: "toggle" },
+      ]);
+      if (res?.action === "toggle") return this.showExpiringReport(days === 30 ? 90 : 30);
+    } catch (error) {
+      this.showToast(`Expiry report failed: ${error.message}`, "error");
+    }
+  },
+
+  async holdPallet(palletId) {
+    const pallet = (this.pallets || []).find((p) => p.id === palletId);
+    if (!pallet) return this.showToast("Pallet not found", "error");
+    const html = `
+      <p class="text-sm text-slate-600 mb-4">${pallet.id} • ${pallet.product_id} • ${pallet.location}</p>
+      <div class="space-y-3">
+        <select data-modal-field="status" class="w-full rounded-xl border border-slate-300 bg-white px-3 py-2">
+          ${Object.entries(HOLD_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join("")}
+        </select>
+        <input data-modal-field="reason" class="w-full rounded-xl border border-slate-300 px-3 py-2" placeholder="Reason (required)" />
+      </div>
+      <p class="mt-2 text-xs text-slate-500">Held pallets can't be moved, picked or checked out until released.</p>
+    `;
+    const res = await this.showModal("Put on hold", html, [
+      { label: "Cancel", value: "cancel" },
+      { label: "Hold", value: "hold", className: "rounded-xl bg-amber-600 px-4 py-2 font-semibold text-white hover:bg-amber-700" },
+    ]);
+    if (!res || res.cancelled || res.action !== "hold") return;
+    const reason = String(res.fields.reason || "").trim();
+    if (!reason) return this.showToast("A reason is required", "error");
+
+    try {
+      const resolvedScannedBy = await this._resolveScannedBy("Manual entry");
+      if (!resolvedScannedBy) return this.showToast("Action cancelled (operator not provided)", "info");
+      const result = await this._sendMutation({
+        action: "HOLD",
+        label: `Hold ${pallet.id} (${HOLD_LABELS[res.fields.status]})`,
+        method: "POST",
+        path: `/api/pallets/${encodeURIComponent(pallet.id)}/hold`,
+        palletId: pallet.id,
+        body: {
+          status: res.fields.status,
+          reason,
+          ...this._auditMeta(resolvedScannedBy, this._makeIdempotencyKey("HOLD", [pallet.id, res.fields.status])),
+        },
+      });
+      if (result?.queued) return;
+      this.showToast(`${pallet.id} on ${HOLD_LABELS[res.fields.status].toLowerCase()}`, "success");
+      await this.loadPallets();
+    } catch (error) {
+      this.showToast(`Hold failed: ${error.message}`, "error");
+    }
+  },
+
+  async releasePallet(palletId) {
+    const pallet = (this.pallets || []).find((p) => p.id === palletId);
+    if (!pallet) return this.showToast("Pallet not found", "error");
+    const reason = await this.prompt(
+      "Release hold",
+      `Release ${pallet.id} from ${(HOLD_LABELS[pallet.hold_status] || "hold").toLowerCase()}? Note (optional):`,
+      ""
+    );
+    if (reason === null) return;
+
+    try {
+      const resolvedScannedBy = await this._resolveScannedBy("Manual entry");
+      if (!resolvedScannedBy) return this.showToast("Action cancelled (operator not provided)", "info");
+      const result = await this._sendMutation({
+        action: "RELEASE",
+        label: `Release ${pallet.id}`,
+        method: "POST",
+        path: `/api/pallets/${encodeURIComponent(pallet.id)}/release`,
+        palletId: pallet.id,
+        body: {
+          reason: String(reason).trim(),
+          ...this._auditMeta(resolvedScannedBy, this._makeIdempotencyKey("RELEASE", [pallet.id])),
+        },
+      });
+      if (result?.queued) return;
+      this.showToast(`${pallet.id} released`, "success");
+      await this.loadPallets();
+    } catch (error) {
+      this.showToast(`Release failed: ${error.message}`, "error");
+    }
+  },
+
+  async showHoldReport() {
+    try {
+      const params = new URLSearchParams({ _t: String(Date.now()) });
+      if (this.selectedCustomer) params.set("customer", this.selectedCustomer);
+      const report = await apiFetch(`/api/pallets/holds?${params}`);
+      const groups = report.customers.map((c) => `
+        <div class="rounded-xl border border-slate-200 p-3">
+          <div class="flex items-center justify-between text-sm">
+            <span class="font-bold text-slate-900">${c.customer_name}</span>
+            <span class="text-slate-600">${c.held_pallets} held • ${Object.entries(c.by_status).filter(([, n]) => n).map(([k, n]) => `${HOLD_LABELS[k] || k} ${n}`).join(", ")}</span>
+          </div>
+          <div class="mt-2 space-y-1 text-xs text-slate-700">
+            ${c.pallets.map((p) => `
+              <div class="flex justify-between gap-3">
+                <span>${p.id} • ${p.product_id} • ${p.location} • ${HOLD_LABELS[p.hold_status] || p.hold_status}: ${p.hold_reason || ""}</span>
+                <span class="whitespace-nowrap text-slate-500">${p.hold_by || ""}${p.hold_at ? ` • ${new Date(p.hold_at).toLocaleDateString()}` : ""}</span>
+              </div>
+            `).join("")}
+          </div>
+        </div>
+      `).join("");
+      const html = `
+        <p class="text-sm text-slate-600 mb-3">Pallets on hold${this.selectedCustomer ? ` for ${this.selectedCustomer}` : ""}.</p>
+        <div class="space-y-2 max-h-[55vh] overflow-auto">
+          ${groups || `<div class="text-sm text-emerald-700">Nothing on hold.</div>`}
+        </div>
+      `;
+      await this.showModal("On hold", html, [{ label: "Close", value: "close" }]);
+    } catch (error) {
+      this.showToast(`Hold report failed: ${error.message}`, "error");
+    }
+  },
+
+  async editPallet(palletId) {
+    const pallet = (this.pallets || []).find((p) => p.id === palletId);
+    if (!pallet) return this.showToast("Pallet not found", "error");
+
+    const parts = Array.isArray(pallet.parts) ? pallet.parts : [];
+    const partsText = parts.map((x) => `${x.part_number || ""} x${x.quantity || 1}`).join("\n");
+    const dateAdded = String(pallet.date_added || "").slice(0, 10);
+    const reasons = [
+      ["miskey", "Mis-keyed at check-in"],
+      ["stock_count", "Stock count"],
+      ["damage", "Damage"],
+      ["found", "Found stock"],
+    ];
+
+    const modalHtml = `
+      <p class="text-sm text-slate-600 mb-5">
+        Correct ${pallet.id} in place. The change is logged as an adjustment with the reason below.
+      </p>
+
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label class="text-sm font-semibold text-slate-700">Customer</label>
+          <input data-modal-field="customer" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
+            value="${pallet.customer_name || ""}" />
+        </div>
+
+        <div>
+          <label class="text-sm font-semibold text-slate-700">Product ID</label>
+          <input data-modal-field="productId" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
+            value="${pallet.product_id || ""}" />
+        </div>
+
+        <div>
+          <label class="text-sm font-semibold text-slate-700">Pallet qty</label>
+          <input data-modal-field="palletQty" type="number" min="1"
+            class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
+            value="${Number(pallet.pallet_quantity) || 1}" />
+        </div>
+
+        <div>
+          <label class="text-sm font-semibold text-slate-700">Units / pallet</label>
+          <input data-modal-field="unitsPerPallet" type="number" min="0"
+            class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
+            value="${Number(pallet.product_quantity) || 0}" />
+        </div>
+
+        <div>
+          <label class="text-sm font-semibold text-slate-700">Date came in</label>
+          <input data-modal-field="dateCameIn" type="date"
+            class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
+            value="${dateAdded}" />
+        </div>
+
+        <div>
+          <label class="text-sm font-semibold text-slate-700">Reason</label>
+          <select data-modal-field="reason" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 bg-white">
+            <option value="">Choose a reason…</option>
+            ${reasons.map(([value, label]) => `<option value="${value}">${label}</option>`).join("")}
+          </select>
+        </div>
+
+        ${this._lotFieldsHtml(pallet)}
+
+        <div class="md:col-span-2">
+          <label class="text-sm font-semibold text-slate-700">Parts list</label>
+          <textarea data-modal-field="partsText" rows="4"
+            class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2 font-mono text-sm">${partsText}</textarea>
+        </div>
+
+        <div class="md:col-span-2">
+          <label class="text-sm font-semibold text-slate-700">Notes (optional)</label>
+          <input data-modal-field="notes" class="mt-1 w-full rounded-xl border border-slate-300 px-3 py-2"
+            placeholder="e.g. counted 4 on shelf, label said 5" />
+        </div>
+      </div>
+    `;
+
+    const res = await this.showModal("Edit pallet", modalHtml, [
+      { label: "Cancel", value: "cancel" },
+      { label: "Save", value: "save", primary: true },
+    ]);
+    if (!res || res.cancelled || res.action !== "save") return;
+
+    const reason = String(res.fields.reason || "").trim();
+    if (!reason) return this.showToast("Choose a reason for the change", "error");
+
+    const customerName = String(res.fields.customer || "").trim();
+    const productId = String(res.fields.productId || "").trim();
+    const palletQty = Number(res.fields.palletQty);
+    const unitsPerPallet = Number(res.fields.unitsPerPallet || 0);
+    const dateCameIn = String(res.fields.dateCameIn || "").trim();
+    const nextPartsText = String(res.fields.partsText || "").trim();
+
+    if (!customerName) return this.showToast("Customer is required", "error");
+    if (!productId) return this.showToast("Product ID is required", "error");
+    if (!Number.isInteger(palletQty) || palletQty < 1) return this.showToast("Pallet qty must be at least 1", "error");
+    if (!Number.isInteger(unitsPerPallet) || unitsPerPallet < 0) return this.showToast("Units / pallet must be 0 or more", "error");
+    if (dateCameIn && !/^\d{4}-\d{2}-\d{2}$/.test(dateCameIn)) return this.showToast("Date came in must be YYYY-MM-DD", "error");
+    const lotFields = this._readLotFields(res.fields);
+    if (!lotFields) return;
+
+    const changes = {};
+    if (customerName !== (pallet.customer_name || "")) changes.customer_name = customerName;
+    if (productId !== (pallet.product_id || "")) changes.product_id = productId;
+    if (palletQty !== (Number(pallet.pallet_quantity) || 0)) changes.pallet_quantity = palletQty;
+    if (unitsPerPallet !== (Number(pallet.product_quantity) || 0)) changes.product_quantity = unitsPerPallet;
+    if (dateCameIn && dateCameIn !== dateAdded) changes.date_added = dateCameIn;
+    for (const [key, value] of Object.entries(lotFields)) {
+      if (value !== (pallet[key] || "")) changes[key] = value;
+    }
+    if (nextPartsText !== partsText.trim()) changes.parts = nextPartsText ? this.parsePartsList(nextPartsText) : null;
+    if (!Object.keys(changes).length) return this.showToast("No changes to save", "info");
+
+    try {
+      const resolvedScannedBy = await this._resolveScannedBy("Edit");
+      if (!resolvedScannedBy) return this.showToast("Action cancelled (operator not provided)", "info");
+      const version = Number(pallet.version) || 0;
+      const idempotencyKey = this._makeIdempotencyKey("ADJUST", [palletId, version, reason]);
+
+      const result = await this._sendMutation({
+        action: "ADJUST",
+        label: `Edit ${palletId} (${reason.replace("_", " ")})`,
+        method: "PATCH",
+        path: `/api/pallets/${encodeURIComponent(palletId)}`,
+        palletId,
+        body: {
+          ...changes,
+          version,
+          reason,
+          notes: String(res.fields.notes || "").trim(),
+          ...this._auditMeta(resolvedScannedBy, idempotencyKey),
+        },
+      });
+      if (result?.queued) return;
+
+      this.showToast("✅ Pallet updated", "success");
+      await this.loadPallets();
+    } catch (error) {
+      console.error("Edit pallet error:", error);
+      this.showToast(`Edit failed: ${error.message}`, "error");
+    }
+  },
+
+    async showProductInfo(palletId) {
+      const pallet = (this.pallets || []).find((p) => p.id === palletId);
+      if (!pallet) return this.showToast("Pallet not found", "error");
+
+      let history = [];
+      try {
+        const h = await apiFetch(`/api/pallets/${encodeURIComponent(palletId)}/history?_t=${Date.now()}`);
+        history = Array.isArray(h) ? h : [];
+      } catch {
+        history = [];
+      }
+
+      const parts = Array.isArray(pallet.parts) ? pallet.parts : [];
+      const partsHtml = parts.length
+        ? `<div class="mt-3 rounded-xl border border-slate-200 bg-slate-50 p-3">
+             <div class="text-sm font-bold text-slate-900 mb-2">Parts list</div>
+             ${parts.map((x) => `
+               <div class="flex justify-between text-sm text-slate-700">
+                 <span>${x.part_number || ""}</span>
+                 <span class="font-semibold">×${x.quantity || 1}</span>
+               </div>
+             `).join("")}
+           </div>`
+        : `<div class="mt-3 text-sm text-slate-600">No parts list.</div>`;
+
+      const actionLabel = (a) => {
+        const v = String(a || "").toUpperCase();
+        if (v === "CHECK_IN") return "Checked in";
+        if (v === "IMPORT") return "Imported";
+        if (v === "CHECK_OUT") return "Checked out";
+        if (v === "PARTIAL_REMOVE") return "Pallet qty removed";
+        if (v === "UNITS_REMOVE") return "Units removed";
+        if (v === "PARTS_REMOVE") return "Parts removed";
+        if (v === "HOLD") return "Put on hold";
+        if (v === "RELEASE") return "Hold released";
+        if (v === "HOLD_OVERRIDE") return "Hold overridden";
+        if (v === "MOVE") return "Moved";
+        if (v === "ADJUST") return "Adjusted";
+        if (v === "REVERSAL") return "Undone";
+        if (v === "SPLIT_OUT") return "Split off";
+        if (v === "SPLIT_IN") return "Split from";
+        if (v === "MERGE_OUT") return "Merged into";
+        if (v === "MERGE_IN") return "Merged from";
+        return v || "Event";
+      };
+
+      const historyHtml = history.length
+        ? `
+          <div class="mt-4 rounded-xl border border-slate-200 bg-white p-3">
+            <div class="text-sm font-bold text-slate-900 mb-2">Pallet timeline</div>
+            <div class="space-y-2 max-h-72 overflow-auto pr-1">
+              ${history.map((h) => {
+                const ts = h.timestamp ? new Date(h.timestamp).toLocaleString() : "";
+                const who = String(h.scanned_by || h.actor_id || "Unknown");
+                const qtyBits = [];
+                if (h.quantity_changed != null) qtyBits.push(`Δ ${Number(h.quantity_changed)}`);
+                if (h.quantity_after != null) qtyBits.push(`After ${Number(h.quantity_after)}`);
+                const qtyText = qtyBits.length ? ` • ${qtyBits.join(" • ")}` : "";
+                return `
+                  <div class="rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-xs text-slate-700">
+                    <div class="flex flex-wrap items-center justify-between gap-2">
+                      <span class="font-semibold text-slate-900">${actionLabel(h.action)}</span>
+                      <span class="text-slate-500">${ts}</span>
+                    </div>
+                    <div class="mt-1">
+                      By <span class="font-semibold">${who}</span>
+                      ${h.location ? ` • Location ${h.location}` : ""}
+                      ${qtyText}
+                    </div>
+                    ${h.reason_code ? `<div class="mt-1">Reason: <span class="font-semibold">${String(h.reason_code).replace("_", " ")}</span></div>` : ""}
+                    ${h.notes ? `<div class="mt-1 text-slate-500">${h.notes}</div>` : ""}
+                  </div>
                 `;
               }).join("")}
             </div>
@@ -3535,21 +6536,35 @@ PART-ABC x 2"></textarea>
         </div>
       `;
 
-      await this.showModal("Pallet info", html, [
+      const res = await this.showModal("Pallet info", html, [
+        { label: "Edit", value: "edit" },
         { label: "Close", value: "close", className: "rounded-xl bg-slate-900 px-4 py-2 font-semibold text-white hover:bg-slate-800" },
       ]);
+      if (res?.action === "edit") await this.editPallet(palletId);
     },
 
-    async reprintPalletQR(palletId) {
-      const pallet = (this.pallets || []).find((p) => p.id === palletId);
+    // `known` lets a just-split pallet be labelled before the list reloads.
+    async reprintPalletQR(palletId, known = null) {
+      const pallet = known || (this.pallets || []).find((p) => p.id === palletId);
       if (!pallet) return this.showToast("Pallet not found", "error");
 
-      const qrText = wtMakePalletQrPayload({
+      const dated = {
+        lot: pallet.lot || "",
+        batch: pallet.batch || "",
+        bestBefore: pallet.best_before || "",
+        expiryDate: pallet.expiry_date || "",
+      };
+      const qrText = await this._palletQrText({
         id: pallet.id,
-        customer: pallet.customer_name || "",
-        productId: pallet.product_id || "",
-        unitsPerPallet: Number(pallet.product_quantity) || 0,
+        customer_name: pallet.customer_name || "",
+        product_id: pallet.product_id || "",
+        product_quantity: Number(pallet.product_quantity) || 0,
+        lot: dated.lot,
+        batch: dated.batch,
+        best_before: dated.bestBefore,
+        expiry_date: dated.expiryDate,
       });
+      if (!qrText) return;
 
       this.tempPallet = {
         id: pallet.id,
@@ -3557,12 +6572,56 @@ PART-ABC x 2"></textarea>
         product: pallet.product_id || "",
         palletQty: Number(pallet.pallet_quantity) || 1,
         productQty: Number(pallet.product_quantity) || 0,
+        ...dated,
+        saved: true,
         _qrText: qrText,
       };
 
       this.setView("single-qr");
     },
 
+    // Labels come from the server's renderer: checked-in pallets by id, new
+    // ones from the generate form (with sequential ids for a batch). PDFs
+    // open for printing; ZPL downloads for a Zebra printer.
+    async printLabel(format = "pdf") {
+      const p = this.tempPallet;
+      if (!p) return;
+      const query = new URLSearchParams({ format, size: this.labelSize || "a6" });
+      const blob = p.saved
+        ? await apiFetch(`/api/pallets/${encodeURIComponent(p.id)}/label?${query}`, { asBlob: true })
+        : await apiFetch(`/api/labels?${query}`, {
+            method: "POST",
+            asBlob: true,
+            body: JSON.stringify({
+              ...(p.ids ? { ids: p.ids } : { count: p.count || 1 }),
+              label: {
+                id: p.id,
+                customer_name: p.customer,
+                product_id: p.product,
+                pallet_quantity: p.palletQty,
+                product_quantity: p.productQty,
+                lot: p.lot,
+                batch: p.batch,
+                best_before: p.bestBefore,
+                expiry_date: p.expiryDate,
+              },
+            }),
+          });
+
+      const url = URL.createObjectURL(blob);
+      if (format === "pdf" && window.open(url, "_blank")) {
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+        return;
+      }
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${p.count > 1 ? `labels-${p.id}` : `label-${p.id}`}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    },
+
     // --------------------------
     // QR generation helpers
     // --------------------------
@@ -3652,7 +6711,10 @@ PART-ABC x 2"></textarea>
       try {
         if (window.io) {
           this.socket = window.io();
-          this.socket.on("connect", () => setStatus("is-ok", "Live sync connected"));
+          this.socket.on("connect", () => {
+            setStatus("is-ok", "Live sync connected");
+            this.replayOutbox().catch(() => {});
+          });
           this.socket.on("disconnect", () => setStatus("is-warn", "Live sync disconnected"));
           this.socket.on("connect_error", () => setStatus("is-bad", "Connection error"));
 
@@ -3693,6 +6755,27 @@ PART-ABC x 2"></textarea>
         const changed = this._detectMobileMode();
         if (changed) this.render();
       });
+      window.addEventListener("online", () => {
+        this.replayOutbox().catch(() => {});
+      });
+      this._bindMapEvents();
+      this._wedge = wtWedge.createWedgeReader({
+        onScan: (text) => this._onHardwareScan(text),
+        release: (held) => this._releaseWedgeKey(held),
+      });
+      document.addEventListener("keydown", (e) => this._onWedgeKey(e), true);
+      try {
+        if ("serviceWorker" in navigator) {
+          navigator.serviceWorker.addEventListener("message", (e) => {
+            if (e?.data?.type === WT_OUTBOX_SYNC_TAG) this.replayOutbox().catch(() => {});
+          });
+        }
+      } catch {
+        // ignore
+      }
+      setInterval(() => {
+        if (Number(this.outboxCount || 0) > 0 && !this.outboxBlocked) this.replayOutbox().catch(() => {});
+      }, 30000);
       try {
         this.ensureInvoiceFormDefaults();
         try {
@@ -3717,15 +6800,29 @@ PART-ABC x 2"></textarea>
           if (savedDensity === "compact" || savedDensity === "comfy") {
             this.trackerDensity = savedDensity;
           }
+          const savedScanner = JSON.parse(localStorage.getItem("wt_hw_scanner") || "null");
+          if (savedScanner && typeof savedScanner === "object") {
+            this.hwScanner = {
+              enabled: !!savedScanner.enabled,
+              prefix: String(savedScanner.prefix || ""),
+              suffix: String(savedScanner.suffix || ""),
+            };
+          }
+          const savedLabelSize = localStorage.getItem("wt_label_size");
+          if (savedLabelSize === "a6" || savedLabelSize === "4x6") {
+            this.labelSize = savedLabelSize;
+          }
         } catch {
           // ignore
         }
 
+        await this.refreshOutboxCount();
         const hasUser = await this.loadCurrentUser();
         if (hasUser && !this.forcePasswordReset) {
           if (this.mobileMode && this.view === "dashboard") this.view = "scan";
           await this.refreshAll();
           this.connectSocket();
+          this.replayOutbox().catch(() => {});
         }
       } catch {
         // ignore
@@ -1,6 +1,6 @@
-const CACHE = "wt-cache-v15";
-const ASSETS = ["/", "/index.html", "/styles.css", "/app.js", "/manifest.json"];
-const NETWORK_FIRST_PATHS = new Set(["/", "/index.html", "/styles.css", "/app.js", "/manifest.json"]);
+const CACHE = "wt-cache-v17";
+const ASSETS = ["/", "/index.html", "/styles.css", "/wedge.js", "/app.js", "/manifest.json"];
+const NETWORK_FIRST_PATHS = new Set(["/", "/index.html", "/styles.css", "/wedge.js", "/app.js", "/manifest.json"]);
 
 self.addEventListener("install", (event) => {
   event.waitUntil(
@@ -43,6 +43,17 @@ async function cacheFirst(req) {
   return fresh;
 }
 
+// Background Sync: wake open app windows so they replay the offline outbox.
+// The queue itself lives in IndexedDB and is replayed by app.js with the user's session.
+self.addEventListener("sync", (event) => {
+  if (event.tag !== "wt-outbox-replay") return;
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((clients) => clients.forEach((client) => client.postMessage({ type: "wt-outbox-replay" })))
+  );
+});
+
 self.addEventListener("fetch", (event) => {
   const req = event.request;
   if (req.method !== "GET") return;
@@ -0,0 +1,101 @@
+/* Keyboard-wedge scanner capture for app.js. It has no DOM of its own, so the
+   burst timing can be tested under Node (test/wedge.test.js). */
+(function (root) {
+  const MAX_GAP_MS = 50; // keyboard-wedge scanners type faster than this between keys
+  const MIN_LENGTH = 2;
+  const TEXT_INPUT_TYPES = ["text", "search", "url", "tel", "password"];
+
+  // A scanner types the whole barcode within a few milliseconds per key and
+  // ends with Enter; people type far slower, so a gap longer than MAX_GAP_MS
+  // starts the buffer over. Ctrl+] is how most scanners send the GS1 group
+  // separator. onScan(text) gets each burst; release(held) gets back a held
+  // key that turned out to be typed by a person.
+  function createWedgeReader({ onScan, release, now = () => Date.now(), timers = root }) {
+    let buffer = "";
+    let lastKeyAt = 0;
+    let held = null;
+    let heldTimer = null;
+
+    function drop() {
+      timers.clearTimeout(heldTimer);
+      heldTimer = null;
+      held = null;
+    }
+
+    function flush() {
+      const key = held;
+      drop();
+      if (key) release(key);
+    }
+
+    function hold(e, ch) {
+      drop();
+      const { key, code, shiftKey, ctrlKey, altKey, metaKey } = e;
+      held = { target: e.target, char: ch, init: { key, code, shiftKey, ctrlKey, altKey, metaKey } };
+      heldTimer = timers.setTimeout(flush, MAX_GAP_MS);
+    }
+
+    function onKey(e) {
+      if (e.key === "Shift") return;
+
+      const time = now();
+      const continuing = Boolean(buffer) && time - lastKeyAt <= MAX_GAP_MS;
+      if (!continuing) {
+        flush();
+        buffer = "";
+      }
+      lastKeyAt = time;
+
+      let ch = "";
+      if (e.ctrlKey && e.key === "]") ch = "\u001d";
+      else if (!e.ctrlKey && !e.altKey && !e.metaKey && e.key.length === 1) ch = e.key;
+
+      if (e.key === "Enter") {
+        const burst = buffer;
+        buffer = "";
+        if (!continuing || burst.length < MIN_LENGTH) {
+          flush();
+          return;
+        }
+        drop();
+        e.preventDefault();
+        e.stopPropagation();
+        onScan(burst);
+        return;
+      }
+      if (!ch) {
+        flush();
+        buffer = "";
+        return;
+      }
+      // No key of a burst may reach whatever has focus (a space would press a
+      // focused button). The first is held back until the next key shows
+      // whether a burst is coming.
+      e.preventDefault();
+      if (continuing) drop();
+      else hold(e, ch);
+      buffer += ch;
+    }
+
+    return { onKey, flush };
+  }
+
+  // The element, if it is a field a key press would type into.
+  function textField(el) {
+    if (!el || el.disabled || el.readOnly) return null;
+    if (el.tagName === "TEXTAREA") return el;
+    if (el.tagName === "INPUT" && TEXT_INPUT_TYPES.includes(String(el.type || "text").toLowerCase())) return el;
+    return null;
+  }
+
+  // Types `text` at the field's caret. Synthetic key events don't type, so a
+  // replayed key can't do this.
+  function insertIntoField(field, text) {
+    field.setRangeText(text, field.selectionStart, field.selectionEnd, "end");
+    field.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+
+  const api = { MAX_GAP_MS, createWedgeReader, textField, insertIntoField };
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.wtWedge = api;
+})(typeof self !== "undefined" ? self : globalThis);
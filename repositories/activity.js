@@ -0,0 +1,137 @@
+const { customerFilter } = require("./customerFilter");
+
+const COLUMNS = [
+  "pallet_id",
+  "customer_name",
+  "product_id",
+  "action",
+  "quantity_changed",
+  "quantity_before",
+  "quantity_after",
+  "location",
+  "notes",
+  "reason_code",
+  "reverses_activity_id",
+  "related_activity_id",
+  "part_number",
+  "scanned_by",
+  "actor_id",
+  "client_session_id",
+  "idempotency_key",
+];
+
+function insert(db, entry) {
+  const cols = COLUMNS.filter((c) => entry[c] !== undefined);
+  return db.run(
+    `INSERT INTO activity_log (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`,
+    cols.map((c) => entry[c])
+  );
+}
+
+function setRelated(db, id, relatedId) {
+  return db.run("UPDATE activity_log SET related_activity_id = ? WHERE id = ?", [relatedId, id]);
+}
+
+function findByIdempotencyKey(db, key) {
+  return db.get("SELECT id FROM activity_log WHERE idempotency_key = ? LIMIT 1", [key]);
+}
+
+function findById(db, id) {
+  return db.get("SELECT * FROM activity_log WHERE id = ?", [id]);
+}
+
+// Hold changes and overrides leave the stock as it was, so they are skipped.
+function findLatestForPallet(db, palletId) {
+  return db.get(
+    `SELECT * FROM activity_log WHERE pallet_id = ? AND action NOT IN ('HOLD', 'RELEASE', 'HOLD_OVERRIDE')
+     ORDER BY id DESC LIMIT 1`,
+    [palletId]
+  );
+}
+
+function findReversalOf(db, id) {
+  return db.get("SELECT id FROM activity_log WHERE reverses_activity_id = ? LIMIT 1", [id]);
+}
+
+// Same pallet, action, location and quantity within the last few seconds:
+// almost certainly a double scan rather than a second real action.
+function findRecentDuplicate(db, { palletId, action, location, quantityChanged }) {
+  return db.get(
+    `SELECT id FROM activity_log
+     WHERE pallet_id = ?
+       AND action = ?
+       AND COALESCE(location, '') = COALESCE(?, '')
+       AND COALESCE(quantity_changed, 0) = COALESCE(?, 0)
+       AND datetime(timestamp) >= datetime('now', '-4 seconds')
+     LIMIT 1`,
+    [palletId, action, location || "", Number(quantityChanged) || 0]
+  );
+}
+
+function list(db, scoped, limit) {
+  const filter = customerFilter(scoped);
+  let sql = "SELECT * FROM activity_log";
+  const params = [...filter.params];
+  if (filter.sql) sql += ` WHERE ${filter.sql}`;
+  sql += " ORDER BY timestamp DESC";
+  if (limit) {
+    sql += " LIMIT ?";
+    params.push(limit);
+  }
+  return db.all(sql, params);
+}
+
+function listForPallet(db, palletId) {
+  return db.all(
+    `SELECT id, pallet_id, customer_name, product_id, action, quantity_changed, quantity_before, quantity_after, location, notes,
+            reason_code, reverses_activity_id, related_activity_id, part_number, scanned_by, actor_id, timestamp
+     FROM activity_log
+     WHERE pallet_id = ?
+     ORDER BY datetime(timestamp) DESC
+     LIMIT 200`,
+    [palletId]
+  );
+}
+
+// Everything a customer's stock did up to `untilIso`, oldest first, for
+// replaying occupancy day by day.
+function listStockEventsUntil(db, customerName, untilIso) {
+  return db.all(
+    `SELECT pallet_id, action, quantity_after, timestamp
+     FROM activity_log
+     WHERE customer_name = ?
+       AND datetime(timestamp) <= datetime(?)
+     ORDER BY datetime(timestamp) ASC, id ASC`,
+    [customerName, untilIso]
+  );
+}
+
+// Check-ins that were undone were never really handled, so they carry no fee.
+function sumCheckedIn(db, customerName, fromIso, untilIso) {
+  return db
+    .get(
+      `SELECT COALESCE(SUM(quantity_changed), 0) AS handled
+       FROM activity_log a
+       WHERE customer_name = ?
+         AND action = 'CHECK_IN'
+         AND NOT EXISTS (SELECT 1 FROM activity_log r WHERE r.reverses_activity_id = a.id)
+         AND datetime(timestamp) >= datetime(?)
+         AND datetime(timestamp) <= datetime(?)`,
+      [customerName, fromIso, untilIso]
+    )
+    .then((row) => Number(row?.handled || 0));
+}
+
+module.exports = {
+  insert,
+  setRelated,
+  findById,
+  findLatestForPallet,
+  findReversalOf,
+  findByIdempotencyKey,
+  findRecentDuplicate,
+  list,
+  listForPallet,
+  listStockEventsUntil,
+  sumCheckedIn,
+};
@@ -0,0 +1,89 @@
+const { customerFilter } = require("./customerFilter");
+
+function list(db, scoped, status = null, limit = 100) {
+  const filter = customerFilter(scoped, "a.customer_name");
+  const where = [filter.sql, status ? "a.status = ?" : ""].filter(Boolean);
+  return db.all(
+    `SELECT a.*,
+            (SELECT COALESCE(SUM(expected_pallets), 0) FROM asn_lines l WHERE l.asn_id = a.id) AS expected_pallets,
+            (SELECT COALESCE(SUM(pallet_quantity), 0) FROM asn_receipts r WHERE r.asn_id = a.id) AS received_pallets
+     FROM asns a
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY a.id DESC
+     LIMIT ?`,
+    [...filter.params, ...(status ? [status] : []), limit]
+  );
+}
+
+function findById(db, id) {
+  return db.get("SELECT * FROM asns WHERE id = ?", [id]);
+}
+
+function insert(db, asn) {
+  return db.run("INSERT INTO asns (customer_name, reference, expected_date, created_by) VALUES (?, ?, ?, ?)", [
+    asn.customer_name,
+    asn.reference,
+    asn.expected_date,
+    asn.created_by,
+  ]);
+}
+
+// `changes === 0` means the ASN was already closed.
+function close(db, id, closedBy) {
+  return db.run(
+    "UPDATE asns SET status = 'CLOSED', closed_by = ?, closed_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'OPEN'",
+    [closedBy, id]
+  );
+}
+
+function insertLine(db, line) {
+  return db.run("INSERT INTO asn_lines (asn_id, product_id, expected_pallets, units_per_pallet) VALUES (?, ?, ?, ?)", [
+    line.asn_id,
+    line.product_id,
+    line.expected_pallets,
+    line.units_per_pallet,
+  ]);
+}
+
+function listLines(db, asnId) {
+  return db.all("SELECT * FROM asn_lines WHERE asn_id = ? ORDER BY id", [asnId]);
+}
+
+function insertReceipt(db, r) {
+  return db.run(
+    `INSERT INTO asn_receipts (asn_id, line_id, pallet_id, product_id, pallet_quantity, location, damaged, notes, activity_id, received_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      r.asn_id,
+      r.line_id,
+      r.pallet_id,
+      r.product_id,
+      r.pallet_quantity,
+      r.location,
+      r.damaged ? 1 : 0,
+      r.notes,
+      r.activity_id,
+      r.received_by,
+    ]
+  );
+}
+
+function listReceipts(db, asnId) {
+  return db.all("SELECT * FROM asn_receipts WHERE asn_id = ? ORDER BY id", [asnId]);
+}
+
+function findReceiptByActivity(db, activityId) {
+  return db.get("SELECT * FROM asn_receipts WHERE activity_id = ?", [activityId]);
+}
+
+module.exports = {
+  list,
+  findById,
+  insert,
+  close,
+  insertLine,
+  listLines,
+  insertReceipt,
+  listReceipts,
+  findReceiptByActivity,
+};
@@ -0,0 +1,70 @@
+function listSessions(db, limit = 50) {
+  return db.all(
+    `SELECT s.*,
+            (SELECT COUNT(*) FROM count_locations l WHERE l.session_id = s.id) AS locations_counted,
+            (SELECT COUNT(*) FROM count_scans c WHERE c.session_id = s.id) AS pallets_counted
+     FROM count_sessions s
+     ORDER BY s.id DESC
+     LIMIT ?`,
+    [limit]
+  );
+}
+
+function findSession(db, id) {
+  return db.get("SELECT * FROM count_sessions WHERE id = ?", [id]);
+}
+
+function insertSession(db, s) {
+  return db.run("INSERT INTO count_sessions (name, aisles, created_by) VALUES (?, ?, ?)", [s.name, s.aisles, s.created_by]);
+}
+
+// Only an OPEN session can be posted; `changes === 0` means someone else got there first.
+function markPosted(db, id, postedBy, postedVariances) {
+  return db.run(
+    `UPDATE count_sessions
+     SET status = 'POSTED', posted_by = ?, posted_at = CURRENT_TIMESTAMP, posted_variances = ?
+     WHERE id = ? AND status = 'OPEN'`,
+    [postedBy, postedVariances, id]
+  );
+}
+
+function markLocationCounted(db, sessionId, location, countedBy) {
+  return db.run(
+    `INSERT INTO count_locations (session_id, location, counted_by) VALUES (?, ?, ?)
+     ON CONFLICT(session_id, location) DO UPDATE SET counted_by = excluded.counted_by, counted_at = CURRENT_TIMESTAMP`,
+    [sessionId, location, countedBy]
+  );
+}
+
+function listCountedLocations(db, sessionId) {
+  return db.all("SELECT * FROM count_locations WHERE session_id = ? ORDER BY location", [sessionId]);
+}
+
+function upsertScan(db, scan) {
+  return db.run(
+    `INSERT INTO count_scans (session_id, location, pallet_id, quantity, counted_by, actor_id)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(session_id, pallet_id) DO UPDATE SET
+       location = excluded.location,
+       quantity = excluded.quantity,
+       counted_by = excluded.counted_by,
+       actor_id = excluded.actor_id,
+       counted_at = CURRENT_TIMESTAMP`,
+    [scan.session_id, scan.location, scan.pallet_id, scan.quantity, scan.counted_by, scan.actor_id]
+  );
+}
+
+function listScans(db, sessionId) {
+  return db.all("SELECT * FROM count_scans WHERE session_id = ? ORDER BY location, pallet_id", [sessionId]);
+}
+
+module.exports = {
+  listSessions,
+  findSession,
+  insertSession,
+  markPosted,
+  markLocationCounted,
+  listCountedLocations,
+  upsertScan,
+  listScans,
+};
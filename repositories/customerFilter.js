@@ -0,0 +1,11 @@
+// Turns the result of applyCustomerScope() into a SQL fragment. `scoped` is
+// either null (no filter), a single customer name, or a list of names.
+function customerFilter(scoped, column = "customer_name") {
+  if (Array.isArray(scoped)) {
+    return { sql: `${column} IN (${scoped.map(() => "?").join(",")})`, params: [...scoped] };
+  }
+  if (scoped) return { sql: `${column} = ?`, params: [scoped] };
+  return { sql: "", params: [] };
+}
+
+module.exports = { customerFilter };
@@ -0,0 +1,93 @@
+const { customerFilter } = require("./customerFilter");
+
+const EDITABLE_COLUMNS = ["display_name", "contact_name", "contact_email", "contact_phone", "billing_address", "active"];
+
+// Tables whose customer_name can be rewritten in place when a customer is
+// renamed; customer_rates and the product catalogue have unique keys on the
+// name and are merged separately.
+const NAME_TABLES = ["pallets", "activity_log", "invoices", "orders", "asns"];
+
+// Names for the customer pickers: active customer records plus anyone with
+// stock, so a customer doesn't vanish when their last pallet leaves.
+function listNames(db) {
+  return db
+    .all(
+      `SELECT name FROM customers WHERE active = 1
+       UNION
+       SELECT customer_name FROM pallets WHERE status = 'active'
+       ORDER BY 1`
+    )
+    .then((rows) => rows.map((r) => r.name));
+}
+
+function list(db, scoped, includeInactive = false) {
+  const filter = customerFilter(scoped, "c.name");
+  const where = [filter.sql, includeInactive ? "" : "c.active = 1"].filter(Boolean);
+  return db.all(
+    `SELECT c.*,
+            (SELECT COUNT(*) FROM pallets p WHERE p.customer_name = c.name AND p.status = 'active') AS active_pallets
+     FROM customers c
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY c.name`,
+    filter.params
+  );
+}
+
+function findById(db, id) {
+  return db.get("SELECT * FROM customers WHERE id = ?", [id]);
+}
+
+function findByName(db, name) {
+  return db.get("SELECT * FROM customers WHERE name = ?", [name]);
+}
+
+function insert(db, customer) {
+  const cols = ["name", ...EDITABLE_COLUMNS.filter((c) => customer[c] !== undefined)];
+  return db.run(
+    `INSERT INTO customers (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`,
+    cols.map((c) => customer[c])
+  );
+}
+
+// Registers a name seen on new stock; existing records are left alone.
+function ensure(db, name) {
+  return db.run("INSERT OR IGNORE INTO customers (name) VALUES (?)", [name]);
+}
+
+function update(db, id, fields) {
+  const cols = Object.keys(fields);
+  return db.run(
+    `UPDATE customers SET ${cols.map((c) => `${c} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [...cols.map((c) => fields[c]), id]
+  );
+}
+
+// The target's rate wins when both spellings have one.
+async function mergeRates(db, from, to) {
+  const moved = await db.run("UPDATE OR IGNORE customer_rates SET customer_name = ? WHERE customer_name = ?", [to, from]);
+  const dropped = await db.run("DELETE FROM customer_rates WHERE customer_name = ?", [from]);
+  return moved.changes + dropped.changes;
+}
+
+function remove(db, id) {
+  return db.run("DELETE FROM customers WHERE id = ?", [id]);
+}
+
+function renameIn(db, table, from, to) {
+  return db.run(`UPDATE ${table} SET customer_name = ? WHERE customer_name = ?`, [to, from]);
+}
+
+module.exports = {
+  EDITABLE_COLUMNS,
+  NAME_TABLES,
+  listNames,
+  list,
+  findById,
+  findByName,
+  insert,
+  ensure,
+  update,
+  remove,
+  mergeRates,
+  renameIn,
+};
@@ -0,0 +1,85 @@
+const { customerFilter } = require("./customerFilter");
+
+function findRate(db, customerName) {
+  return db.get("SELECT * FROM customer_rates WHERE customer_name = ?", [customerName]);
+}
+
+function listRates(db, scopedCustomers) {
+  const filter = customerFilter(scopedCustomers);
+  const where = filter.sql ? ` WHERE ${filter.sql}` : "";
+  return db.all(`SELECT * FROM customer_rates${where} ORDER BY customer_name ASC`, filter.params);
+}
+
+function upsertRate(db, r) {
+  return db.run(
+    `INSERT INTO customer_rates (customer_name, rate_per_pallet_week, handling_fee_flat, handling_fee_per_pallet, payment_terms_days, currency, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+     ON CONFLICT(customer_name) DO UPDATE SET
+       rate_per_pallet_week = excluded.rate_per_pallet_week,
+       handling_fee_flat = excluded.handling_fee_flat,
+       handling_fee_per_pallet = excluded.handling_fee_per_pallet,
+       payment_terms_days = excluded.payment_terms_days,
+       currency = excluded.currency,
+       updated_at = datetime('now')`,
+    [r.customer_name, r.rate_per_pallet_week, r.handling_fee_flat, r.handling_fee_per_pallet, r.payment_terms_days, r.currency]
+  );
+}
+
+function list(db, scoped, limit = 200) {
+  const filter = customerFilter(scoped);
+  const where = filter.sql ? ` WHERE ${filter.sql}` : "";
+  return db.all(`SELECT * FROM invoices${where} ORDER BY id DESC LIMIT ?`, [...filter.params, limit]);
+}
+
+function findById(db, id) {
+  return db.get("SELECT * FROM invoices WHERE id = ?", [id]);
+}
+
+function insert(db, inv) {
+  return db.run(
+    `INSERT INTO invoices (
+       customer_name, start_date, end_date, billing_cycle, pallet_days,
+       rate_per_pallet_day, rate_per_pallet_week,
+       handling_fee_flat, handling_fee_per_pallet, handled_pallets,
+       base_total, handling_total, total, currency, payment_terms_days, due_date, details_json, status
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      inv.customer_name,
+      inv.start_date,
+      inv.end_date,
+      inv.billing_cycle,
+      inv.pallet_days,
+      inv.rate_per_pallet_day,
+      inv.rate_per_pallet_week,
+      inv.handling_fee_flat,
+      inv.handling_fee_per_pallet,
+      inv.handled_pallets,
+      inv.base_total,
+      inv.handling_total,
+      inv.total,
+      inv.currency,
+      inv.payment_terms_days,
+      inv.due_date,
+      inv.details_json,
+      inv.status,
+    ]
+  );
+}
+
+function update(db, id, fields) {
+  const cols = Object.keys(fields);
+  return db.run(`UPDATE invoices SET ${cols.map((c) => `${c} = ?`).join(", ")} WHERE id = ?`, [
+    ...cols.map((c) => fields[c]),
+    id,
+  ]);
+}
+
+module.exports = {
+  findRate,
+  listRates,
+  upsertRate,
+  list,
+  findById,
+  insert,
+  update,
+};
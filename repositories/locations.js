@@ -0,0 +1,94 @@
+const { customerFilter } = require("./customerFilter");
+
+// fill_pallets is the summed pallet_quantity of active pallets in each
+// location; own_pallets the part of it belonging to the `scoped` customers.
+function list(db, scoped = null) {
+  const filter = customerFilter(scoped);
+  return db.all(
+    `SELECT l.*, COALESCE(f.fill_pallets, 0) AS fill_pallets, COALESCE(f.own_pallets, 0) AS own_pallets
+     FROM locations l
+     LEFT JOIN (
+       SELECT location,
+              SUM(pallet_quantity) AS fill_pallets,
+              SUM(CASE WHEN ${filter.sql || "1"} THEN pallet_quantity ELSE 0 END) AS own_pallets
+       FROM pallets
+       WHERE status = 'active'
+       GROUP BY location
+     ) f ON f.location = l.id
+     ORDER BY l.aisle, l.rack, l.level`,
+    filter.params
+  );
+}
+
+function findById(db, id) {
+  return db.get("SELECT * FROM locations WHERE id = ?", [id]);
+}
+
+function listByAisles(db, aisles) {
+  if (!aisles.length) return Promise.resolve([]);
+  return db.all(
+    `SELECT * FROM locations WHERE aisle IN (${aisles.map(() => "?").join(", ")}) ORDER BY aisle, rack, level`,
+    aisles
+  );
+}
+
+function count(db) {
+  return db.get("SELECT COUNT(*) AS count FROM locations").then((row) => Number(row?.count || 0));
+}
+
+function occupancyCounts(db) {
+  return db.get(
+    `SELECT
+       (SELECT COUNT(DISTINCT p.location) FROM pallets p JOIN locations l ON l.id = p.location
+        WHERE p.status = 'active') AS occupied_locations,
+       (SELECT COUNT(*) FROM locations) AS total_locations`
+  );
+}
+
+function upsert(db, loc) {
+  return db.run(
+    `INSERT INTO locations (id, aisle, rack, level, capacity_pallets, floor_area_sqm, location_type)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(id) DO UPDATE SET
+       aisle = excluded.aisle,
+       rack = excluded.rack,
+       level = excluded.level,
+       capacity_pallets = excluded.capacity_pallets,
+       floor_area_sqm = excluded.floor_area_sqm,
+       location_type = excluded.location_type`,
+    [loc.id, loc.aisle, loc.rack, loc.level, loc.capacity_pallets, loc.floor_area_sqm, loc.location_type]
+  );
+}
+
+async function replaceAll(db, rows) {
+  await db.run("DELETE FROM locations");
+  for (const r of rows) {
+    await db.run(
+      "INSERT INTO locations (id, aisle, rack, level, capacity_pallets, floor_area_sqm, location_type) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [r.id, r.aisle, r.rack, r.level, r.capacity_pallets, r.floor_area_sqm, r.location_type]
+    );
+  }
+}
+
+function listFloorUsage(db) {
+  return db.all(
+    `SELECT l.id, l.floor_area_sqm, l.location_type,
+            GROUP_CONCAT(DISTINCT p.customer_name) AS customers_csv,
+            COUNT(DISTINCT p.customer_name) AS customer_count
+     FROM locations l
+     LEFT JOIN pallets p ON p.location = l.id AND p.status = 'active'
+     WHERE LOWER(COALESCE(l.location_type, '')) IN ('floor_space', 'rack_floor')
+     GROUP BY l.id, l.floor_area_sqm, l.location_type`
+  );
+}
+
+module.exports = {
+  list,
+  findById,
+  listByAisles,
+  count,
+  occupancyCounts,
+  upsert,
+  replaceAll,
+  listFloorUsage,
+};
@@ -0,0 +1,131 @@
+const { customerFilter } = require("./customerFilter");
+
+function list(db, scoped, status = null, limit = 100) {
+  const filter = customerFilter(scoped, "o.customer_name");
+  const where = [filter.sql, status ? "o.status = ?" : ""].filter(Boolean);
+  return db.all(
+    `SELECT o.*,
+            (SELECT COUNT(*) FROM order_picks p WHERE p.order_id = o.id AND p.status != 'CANCELLED') AS picks_total,
+            (SELECT COUNT(*) FROM order_picks p WHERE p.order_id = o.id AND p.status = 'PICKED') AS picks_done
+     FROM orders o
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY o.id DESC
+     LIMIT ?`,
+    [...filter.params, ...(status ? [status] : []), limit]
+  );
+}
+
+function findById(db, id) {
+  return db.get("SELECT * FROM orders WHERE id = ?", [id]);
+}
+
+function insert(db, order) {
+  return db.run("INSERT INTO orders (customer_name, reference, created_by) VALUES (?, ?, ?)", [
+    order.customer_name,
+    order.reference,
+    order.created_by,
+  ]);
+}
+
+// Moves an OPEN order to `status`; `changes === 0` means it was already closed.
+function close(db, id, status) {
+  return db.run("UPDATE orders SET status = ?, closed_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'OPEN'", [status, id]);
+}
+
+function insertLine(db, line) {
+  return db.run("INSERT INTO order_lines (order_id, product_id, unit, quantity) VALUES (?, ?, ?, ?)", [
+    line.order_id,
+    line.product_id,
+    line.unit,
+    line.quantity,
+  ]);
+}
+
+function listLines(db, orderId) {
+  return db.all("SELECT * FROM order_lines WHERE order_id = ? ORDER BY id", [orderId]);
+}
+
+function addPicked(db, lineId, quantity) {
+  return db.run("UPDATE order_lines SET picked_quantity = picked_quantity + ? WHERE id = ?", [quantity, lineId]);
+}
+
+function insertPick(db, pick) {
+  return db.run(
+    "INSERT INTO order_picks (order_id, line_id, pallet_id, location, unit, quantity) VALUES (?, ?, ?, ?, ?, ?)",
+    [pick.order_id, pick.line_id, pick.pallet_id, pick.location, pick.unit, pick.quantity]
+  );
+}
+
+// The pick list in walk order: rack aisles (single letters) by aisle, rack and
+// level, then floor space and locations the layout doesn't know.
+// Open picks follow their pallet if it has been moved since allocation.
+function listPicks(db, orderId) {
+  return db.all(
+    `SELECT p.id, p.order_id, p.line_id, p.pallet_id, p.unit, p.quantity, p.status,
+            p.activity_id, p.picked_by, p.picked_at, pl.product_id,
+            CASE WHEN p.status = 'OPEN' AND pl.status = 'active' THEN pl.location ELSE p.location END AS location,
+            l.aisle, l.rack, l.level
+     FROM order_picks p
+     LEFT JOIN pallets pl ON pl.id = p.pallet_id
+     LEFT JOIN locations l ON l.id = CASE WHEN p.status = 'OPEN' AND pl.status = 'active' THEN pl.location ELSE p.location END
+     WHERE p.order_id = ?
+     ORDER BY (l.aisle IS NULL OR LENGTH(l.aisle) != 1), l.aisle, l.rack, l.level, location, p.id`,
+    [orderId]
+  );
+}
+
+function findPick(db, orderId, pickId) {
+  return db.get("SELECT * FROM order_picks WHERE id = ? AND order_id = ?", [pickId, orderId]);
+}
+
+function markPicked(db, pickId, { activityId, location, pickedBy }) {
+  return db.run(
+    `UPDATE order_picks SET status = 'PICKED', activity_id = ?, location = ?, picked_by = ?, picked_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'OPEN'`,
+    [activityId, location, pickedBy, pickId]
+  );
+}
+
+function findPickByActivity(db, activityId) {
+  return db.get("SELECT * FROM order_picks WHERE activity_id = ?", [activityId]);
+}
+
+function cancelOpenPicks(db, orderId) {
+  return db.run("UPDATE order_picks SET status = 'CANCELLED' WHERE order_id = ? AND status = 'OPEN'", [orderId]);
+}
+
+function countOpenPicks(db, orderId) {
+  return db
+    .get("SELECT COUNT(*) AS cnt FROM order_picks WHERE order_id = ? AND status = 'OPEN'", [orderId])
+    .then((row) => Number(row?.cnt || 0));
+}
+
+// Quantities already promised to open picks, per pallet and unit.
+function listOpenReservations(db, palletIds) {
+  if (!palletIds.length) return Promise.resolve([]);
+  return db.all(
+    `SELECT pallet_id, unit, SUM(quantity) AS quantity
+     FROM order_picks
+     WHERE status = 'OPEN' AND pallet_id IN (${palletIds.map(() => "?").join(", ")})
+     GROUP BY pallet_id, unit`,
+    palletIds
+  );
+}
+
+module.exports = {
+  list,
+  findById,
+  insert,
+  close,
+  insertLine,
+  listLines,
+  addPicked,
+  insertPick,
+  listPicks,
+  findPickByActivity,
+  findPick,
+  markPicked,
+  cancelOpenPicks,
+  countOpenPicks,
+  listOpenReservations,
+};
@@ -0,0 +1,63 @@
+const DEFAULT_SEQUENCE = 0;
+
+function list(db) {
+  return db.all(
+    `SELECT s.customer_id, c.name AS customer_name, s.format, s.next_value, s.updated_at
+     FROM pallet_id_sequences s
+     LEFT JOIN customers c ON c.id = s.customer_id
+     ORDER BY s.customer_id = 0 DESC, c.name`
+  );
+}
+
+function find(db, customerId) {
+  return db.get("SELECT * FROM pallet_id_sequences WHERE customer_id = ?", [customerId]);
+}
+
+function save(db, customerId, format, nextValue) {
+  return db.run(
+    `INSERT INTO pallet_id_sequences (customer_id, format, next_value) VALUES (?, ?, ?)
+     ON CONFLICT (customer_id) DO UPDATE SET format = excluded.format, next_value = excluded.next_value,
+       updated_at = CURRENT_TIMESTAMP`,
+    [customerId, format, nextValue]
+  );
+}
+
+// Moves the sequence on by `count` and returns the first number of the block.
+async function advance(tx, customerId, count) {
+  await tx.run(
+    "UPDATE pallet_id_sequences SET next_value = next_value + ?, updated_at = CURRENT_TIMESTAMP WHERE customer_id = ?",
+    [count, customerId]
+  );
+  const row = await find(tx, customerId);
+  return row.next_value - count;
+}
+
+// Clearing a customer's format keeps the row, and with it next_value, so a
+// format set later carries on from the ids already issued.
+function retire(db, customerId) {
+  return db.run(
+    "UPDATE pallet_id_sequences SET format = NULL, updated_at = CURRENT_TIMESTAMP WHERE customer_id = ?",
+    [customerId]
+  );
+}
+
+function remove(db, customerId) {
+  return db.run("DELETE FROM pallet_id_sequences WHERE customer_id = ?", [customerId]);
+}
+
+// For customer merges: the target keeps its own sequence if it has one.
+async function moveToCustomer(db, fromId, toId) {
+  await db.run("UPDATE OR IGNORE pallet_id_sequences SET customer_id = ? WHERE customer_id = ?", [toId, fromId]);
+  return remove(db, fromId);
+}
+
+module.exports = {
+  DEFAULT_SEQUENCE,
+  list,
+  find,
+  save,
+  advance,
+  retire,
+  remove,
+  moveToCustomer,
+};
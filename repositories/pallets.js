@@ -0,0 +1,188 @@
+const { customerFilter } = require("./customerFilter");
+
+// The date dated goods go off, and the first-expiry-first-out order: dated
+// pallets soonest first, then undated ones oldest first.
+const EXPIRY_SQL = "COALESCE(expiry_date, best_before)";
+const FEFO_ORDER = `(${EXPIRY_SQL} IS NULL), ${EXPIRY_SQL}, date_added ASC, rowid ASC`;
+
+function listActive(db, scoped) {
+  const filter = customerFilter(scoped);
+  const where = filter.sql ? ` AND ${filter.sql}` : "";
+  return db.all(`SELECT * FROM pallets WHERE status = 'active'${where} ORDER BY date_added DESC`, filter.params);
+}
+
+function search(db, q, scopedCustomers) {
+  const filter = customerFilter(scopedCustomers);
+  const where = filter.sql ? ` AND ${filter.sql}` : "";
+  const like = `%${q}%`;
+  return db.all(
+    `SELECT * FROM pallets
+     WHERE status = 'active'
+       AND (product_id LIKE ? OR location LIKE ? OR customer_name LIKE ? OR lot LIKE ? OR batch LIKE ?)${where}
+     ORDER BY date_added DESC`,
+    [like, like, like, like, like, ...filter.params]
+  );
+}
+
+function countActive(db, scoped) {
+  const filter = customerFilter(scoped);
+  const where = filter.sql ? ` AND ${filter.sql}` : "";
+  return db
+    .get(`SELECT COUNT(*) AS total_pallets FROM pallets WHERE status = 'active'${where}`, filter.params)
+    .then((row) => Number(row?.total_pallets || 0));
+}
+
+// Scans carry either the pallet id or the product id printed on the label. A
+// product id picks the pallet that expires first.
+function findActiveByIdOrProduct(db, id) {
+  return db.get(
+    `SELECT * FROM pallets WHERE (id = ? OR product_id = ?) AND status = 'active' ORDER BY (id = ?) DESC, ${FEFO_ORDER} LIMIT 1`,
+    [id, id, id]
+  );
+}
+
+function findById(db, id) {
+  return db.get("SELECT * FROM pallets WHERE id = ? LIMIT 1", [id]);
+}
+
+function sumActiveQuantityAt(db, location, excludeId = null) {
+  const sql = excludeId == null
+    ? "SELECT COALESCE(SUM(pallet_quantity), 0) AS qty FROM pallets WHERE status = 'active' AND location = ?"
+    : "SELECT COALESCE(SUM(pallet_quantity), 0) AS qty FROM pallets WHERE status = 'active' AND location = ? AND id != ?";
+  const params = excludeId == null ? [location] : [location, excludeId];
+  return db.get(sql, params).then((row) => Number(row?.qty || 0));
+}
+
+function listActiveLocations(db) {
+  return db.all("SELECT id, location FROM pallets WHERE status = 'active'");
+}
+
+function listActiveInLocations(db, locationIds) {
+  if (!locationIds.length) return Promise.resolve([]);
+  return db.all(
+    `SELECT * FROM pallets WHERE status = 'active' AND location IN (${locationIds.map(() => "?").join(", ")}) ORDER BY location, id`,
+    locationIds
+  );
+}
+
+// In allocation order: first expiry first, then oldest first. Held pallets
+// can't be shipped, so they are left out.
+function listActiveForProduct(db, customerName, productId) {
+  return db.all(
+    `SELECT * FROM pallets
+     WHERE status = 'active' AND hold_status IS NULL AND customer_name = ? AND product_id = ?
+     ORDER BY ${FEFO_ORDER}`,
+    [customerName, productId]
+  );
+}
+
+// Active dated pallets expiring on or before `untilYmd`, expired ones included.
+function listExpiring(db, scoped, untilYmd) {
+  const filter = customerFilter(scoped);
+  const where = filter.sql ? ` AND ${filter.sql}` : "";
+  return db.all(
+    `SELECT *, ${EXPIRY_SQL} AS expires_on FROM pallets
+     WHERE status = 'active' AND ${EXPIRY_SQL} IS NOT NULL AND ${EXPIRY_SQL} <= ?${where}
+     ORDER BY customer_name ASC, expires_on ASC, product_id ASC, id ASC`,
+    [untilYmd, ...filter.params]
+  );
+}
+
+function listHeld(db, scoped) {
+  const filter = customerFilter(scoped);
+  const where = filter.sql ? ` AND ${filter.sql}` : "";
+  return db.all(
+    `SELECT * FROM pallets
+     WHERE status = 'active' AND hold_status IS NOT NULL${where}
+     ORDER BY customer_name ASC, hold_at ASC, id ASC`,
+    filter.params
+  );
+}
+
+// Active pallet counts per location, customer and product.
+function listActiveStockByLocation(db) {
+  return db.all(
+    `SELECT location, customer_name, product_id, SUM(pallet_quantity) AS qty
+     FROM pallets
+     WHERE status = 'active'
+     GROUP BY location, customer_name, product_id`
+  );
+}
+
+function insert(db, p) {
+  return db.run(
+    `INSERT INTO pallets (id, customer_name, product_id, pallet_quantity, product_quantity, current_units, location, parts, date_added, scanned_by,
+                          lot, batch, best_before, expiry_date)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')), ?, ?, ?, ?, ?)`,
+    [
+      p.id,
+      p.customer_name,
+      p.product_id,
+      p.pallet_quantity,
+      p.product_quantity,
+      p.current_units,
+      p.location,
+      p.parts,
+      p.date_added,
+      p.scanned_by,
+      p.lot ?? null,
+      p.batch ?? null,
+      p.best_before ?? null,
+      p.expiry_date ?? null,
+    ]
+  );
+}
+
+// The update helpers below are optimistic: they only apply when the row is
+// still at `version`, and report `changes === 0` otherwise.
+function updateFields(db, id, version, fields) {
+  const cols = Object.keys(fields);
+  const sets = cols.map((c) => `${c} = ?`);
+  return db.run(
+    `UPDATE pallets SET ${sets.join(", ")}, version = version + 1 WHERE id = ? AND version = ?`,
+    [...cols.map((c) => fields[c]), id, Number(version) || 0]
+  );
+}
+
+function markRemoved(db, id, version, fields = {}) {
+  const cols = Object.keys(fields);
+  const sets = cols.map((c) => `, ${c} = ?`).join("");
+  return db.run(
+    `UPDATE pallets SET status = 'removed', date_removed = CURRENT_TIMESTAMP${sets}, version = version + 1 WHERE id = ? AND version = ?`,
+    [...cols.map((c) => fields[c]), id, Number(version) || 0]
+  );
+}
+
+function setLocation(db, id, location) {
+  return db.run("UPDATE pallets SET location = ? WHERE id = ?", [location, id]);
+}
+
+function listActiveForSheets(db) {
+  return db.all(
+    `SELECT id, customer_name, product_id, location, pallet_quantity, product_quantity, current_units, parts, date_added, scanned_by,
+            lot, batch, best_before, expiry_date
+     FROM pallets
+     WHERE status = 'active'
+     ORDER BY customer_name ASC, product_id ASC, location ASC`
+  );
+}
+
+module.exports = {
+  listActive,
+  search,
+  countActive,
+  findActiveByIdOrProduct,
+  findById,
+  sumActiveQuantityAt,
+  listActiveLocations,
+  listActiveStockByLocation,
+  listActiveInLocations,
+  listActiveForProduct,
+  listExpiring,
+  listHeld,
+  insert,
+  updateFields,
+  markRemoved,
+  setLocation,
+  listActiveForSheets,
+};
@@ -0,0 +1,142 @@
+const { customerFilter } = require("./customerFilter");
+
+const PRODUCT_COLUMNS = [
+  "customer_name",
+  "product_id",
+  "description",
+  "units_per_pallet",
+  "length_cm",
+  "width_cm",
+  "height_cm",
+  "weight_kg",
+  "active",
+];
+
+// `q` matches the SKU, description or any alias.
+function list(db, scoped, { q = "", includeInactive = false } = {}) {
+  const filter = customerFilter(scoped, "p.customer_name");
+  const where = [filter.sql, includeInactive ? "" : "p.active = 1"].filter(Boolean);
+  const params = [...filter.params];
+  if (q) {
+    const like = `%${q}%`;
+    where.push(
+      `(p.product_id LIKE ? OR p.description LIKE ?
+        OR EXISTS (SELECT 1 FROM product_aliases a WHERE a.product_ref = p.id AND a.alias LIKE ?))`
+    );
+    params.push(like, like, like);
+  }
+  return db.all(
+    `SELECT p.* FROM products p
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY p.customer_name, p.product_id`,
+    params
+  );
+}
+
+function findById(db, id) {
+  return db.get("SELECT * FROM products WHERE id = ?", [id]);
+}
+
+// Looks a scanned or typed code up as a SKU first, then as an alias.
+function findByCode(db, customerName, code) {
+  return db.get(
+    `SELECT p.* FROM products p
+     WHERE p.customer_name = ? AND p.product_id = ?
+     UNION ALL
+     SELECT p.* FROM product_aliases a JOIN products p ON p.id = a.product_ref
+     WHERE a.customer_name = ? AND a.alias = ?
+     LIMIT 1`,
+    [customerName, code, customerName, code]
+  );
+}
+
+function countForCustomer(db, customerName) {
+  return db.get("SELECT COUNT(*) AS count FROM products WHERE customer_name = ?", [customerName])
+    .then((row) => Number(row?.count || 0));
+}
+
+function insert(db, product) {
+  const row = { units_per_pallet: 0, active: 1, ...product };
+  return db.run(
+    `INSERT INTO products (${PRODUCT_COLUMNS.join(", ")}) VALUES (${PRODUCT_COLUMNS.map(() => "?").join(", ")})`,
+    PRODUCT_COLUMNS.map((c) => row[c] ?? null)
+  );
+}
+
+function update(db, id, fields) {
+  const cols = Object.keys(fields);
+  return db.run(
+    `UPDATE products SET ${cols.map((c) => `${c} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [...cols.map((c) => fields[c]), id]
+  );
+}
+
+function remove(db, id) {
+  return db.run("DELETE FROM products WHERE id = ?", [id]);
+}
+
+function listAliases(db, productIds) {
+  if (!productIds.length) return Promise.resolve([]);
+  return db.all(
+    `SELECT product_ref, alias FROM product_aliases WHERE product_ref IN (${productIds.map(() => "?").join(", ")})
+     ORDER BY alias`,
+    productIds
+  );
+}
+
+async function replaceAliases(db, product, aliases) {
+  await db.run("DELETE FROM product_aliases WHERE product_ref = ?", [product.id]);
+  for (const alias of aliases) {
+    await db.run("INSERT INTO product_aliases (customer_name, alias, product_ref) VALUES (?, ?, ?)", [
+      product.customer_name,
+      alias,
+      product.id,
+    ]);
+  }
+}
+
+function removeAliases(db, productRef) {
+  return db.run("DELETE FROM product_aliases WHERE product_ref = ?", [productRef]);
+}
+
+function countActivePallets(db, product) {
+  return db.get(
+    "SELECT COUNT(*) AS count FROM pallets WHERE status = 'active' AND customer_name = ? AND product_id = ?",
+    [product.customer_name, product.product_id]
+  ).then((row) => Number(row?.count || 0));
+}
+
+// Moves a customer's catalogue to another customer name. A SKU both have is
+// kept as the target's product, which takes over the source's aliases; alias
+// clashes keep the target's alias. Returns how many source products were
+// moved or folded in.
+async function moveToCustomer(db, from, to) {
+  const moved = await db.run("UPDATE OR IGNORE products SET customer_name = ? WHERE customer_name = ?", [to, from]);
+  await db.run(
+    `UPDATE product_aliases SET product_ref = (
+       SELECT t.id FROM products s JOIN products t ON t.customer_name = ? AND t.product_id = s.product_id
+       WHERE s.id = product_aliases.product_ref
+     )
+     WHERE product_ref IN (SELECT id FROM products WHERE customer_name = ?)`,
+    [to, from]
+  );
+  await db.run("UPDATE OR IGNORE product_aliases SET customer_name = ? WHERE customer_name = ?", [to, from]);
+  await db.run("DELETE FROM product_aliases WHERE customer_name = ?", [from]);
+  const folded = await db.run("DELETE FROM products WHERE customer_name = ?", [from]);
+  return moved.changes + folded.changes;
+}
+
+module.exports = {
+  list,
+  findById,
+  findByCode,
+  countForCustomer,
+  insert,
+  update,
+  remove,
+  listAliases,
+  replaceAliases,
+  removeAliases,
+  countActivePallets,
+  moveToCustomer,
+};
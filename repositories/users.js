@@ -0,0 +1,97 @@
+const PUBLIC_COLUMNS = "id, username, role, display_name, customer_scope, is_active, must_reset_password, created_at";
+
+function findByUsername(db, username) {
+  return db.get("SELECT * FROM users WHERE username = ?", [username]);
+}
+
+function findById(db, id) {
+  return db.get("SELECT * FROM users WHERE id = ?", [id]);
+}
+
+function findPublicById(db, id) {
+  return db.get(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = ?`, [id]);
+}
+
+function list(db) {
+  return db.all(`SELECT ${PUBLIC_COLUMNS} FROM users ORDER BY id ASC`);
+}
+
+function count(db) {
+  return db.get("SELECT COUNT(*) AS c FROM users").then((row) => Number(row?.c || 0));
+}
+
+function countActive(db) {
+  return db.get("SELECT COUNT(*) AS c FROM users WHERE is_active = 1").then((row) => Number(row?.c || 0));
+}
+
+function countActiveOwners(db) {
+  return db
+    .get("SELECT COUNT(*) AS c FROM users WHERE role = 'owner' AND is_active = 1")
+    .then((row) => Number(row?.c || 0));
+}
+
+function create(db, u) {
+  return db.run(
+    "INSERT INTO users (username, password_hash, password_salt, role, display_name, customer_scope, is_active, must_reset_password) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+    [u.username, u.password_hash, u.password_salt, u.role, u.display_name, u.customer_scope, u.is_active, u.must_reset_password]
+  );
+}
+
+function update(db, id, fields) {
+  const cols = Object.keys(fields);
+  return db.run(`UPDATE users SET ${cols.map((c) => `${c} = ?`).join(", ")} WHERE id = ?`, [
+    ...cols.map((c) => fields[c]),
+    id,
+  ]);
+}
+
+function createSession(db, { token, userId, expiresAt, now }) {
+  return db.run(
+    "INSERT INTO user_sessions (token, user_id, expires_at, created_at, last_seen_at) VALUES (?, ?, ?, ?, ?)",
+    [token, userId, expiresAt, now, now]
+  );
+}
+
+function findSessionWithUser(db, token) {
+  return db.get(
+    `SELECT s.token, s.user_id, s.expires_at, u.username, u.role, u.display_name, u.customer_scope, u.is_active, u.must_reset_password
+     FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.token = ?`,
+    [token]
+  );
+}
+
+function touchSession(db, token, now) {
+  return db.run("UPDATE user_sessions SET last_seen_at = ? WHERE token = ?", [now, token]);
+}
+
+function deleteSession(db, token) {
+  return db.run("DELETE FROM user_sessions WHERE token = ?", [token]);
+}
+
+function deleteSessionsForUser(db, userId) {
+  return db.run("DELETE FROM user_sessions WHERE user_id = ?", [userId]);
+}
+
+function countSessions(db) {
+  return db.get("SELECT COUNT(*) AS c FROM user_sessions").then((row) => Number(row?.c || 0));
+}
+
+module.exports = {
+  findByUsername,
+  findById,
+  findPublicById,
+  list,
+  count,
+  countActive,
+  countActiveOwners,
+  create,
+  update,
+  createSession,
+  findSessionWithUser,
+  touchSession,
+  deleteSession,
+  deleteSessionsForUser,
+  countSessions,
+};
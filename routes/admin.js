@@ -0,0 +1,87 @@
+const express = require("express");
+const fs = require("fs");
+const path = require("path");
+const users = require("../repositories/users");
+const { asyncRoute } = require("../lib/http");
+const { nowIso } = require("../lib/util");
+const { requireAdminRole } = require("../middleware/auth");
+
+module.exports = function createAdminRoutes({ db, settings, backupDir }) {
+  const router = express.Router();
+
+  router.get("/health", asyncRoute(async (req, res) => {
+    try {
+      const activeUsers = await users.countActive(db);
+      const sessions = await users.countSessions(db);
+      return res.json({
+        ok: true,
+        uptime_sec: Math.round(process.uptime()),
+        active_users: activeUsers,
+        sessions,
+        timestamp: nowIso(),
+      });
+    } catch {
+      return res.status(500).json({ error: "DB error" });
+    }
+  }));
+
+  router.get("/ready", asyncRoute(async (req, res) => {
+    try {
+      await db.get("SELECT 1 AS ok");
+    } catch {
+      return res.status(500).json({ ok: false, ready: false, error: "DB not ready" });
+    }
+    return res.json({
+      ok: true,
+      ready: true,
+      uptime_sec: Math.round(process.uptime()),
+      auth_disabled: settings.isAuthDisabled(),
+      timestamp: nowIso(),
+    });
+  }));
+
+  router.post("/admin/backup-db", requireAdminRole, asyncRoute(async (req, res) => {
+    try {
+      if (!fs.existsSync(backupDir)) fs.mkdirSync(backupDir, { recursive: true });
+    } catch (e) {
+      return res.status(500).json({ error: `Unable to create backup directory: ${e.message}` });
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const fileName = `warehouse-backup-${stamp}.db`;
+    const fullPath = path.join(backupDir, fileName);
+
+    await db.get("PRAGMA wal_checkpoint(FULL)").catch(() => {});
+    try {
+      await fs.promises.copyFile(db.filename, fullPath);
+    } catch (err) {
+      return res.status(500).json({ error: `Backup failed: ${err.message}` });
+    }
+    return res.json({ ok: true, file: fileName, path: fullPath });
+  }));
+
+  router.get("/admin/backups/latest", requireAdminRole, (req, res) => {
+    try {
+      if (!fs.existsSync(backupDir)) return res.json({ ok: true, latest: null });
+      const files = fs.readdirSync(backupDir)
+        .filter((f) => f.endsWith(".db") && f.startsWith("warehouse-backup-"))
+        .map((file) => {
+          const fullPath = path.join(backupDir, file);
+          const st = fs.statSync(fullPath);
+          return {
+            file,
+            path: fullPath,
+            size_bytes: Number(st.size || 0),
+            mtime: st.mtime ? st.mtime.toISOString() : null,
+          };
+        })
+        .sort((a, b) => Date.parse(String(b.mtime || "")) - Date.parse(String(a.mtime || "")));
+
+      return res.json({ ok: true, latest: files[0] || null });
+    } catch (e) {
+      return res.status(500).json({ error: e.message || "Unable to read backups directory" });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,129 @@
+const express = require("express");
+const asns = require("../repositories/asns");
+const { asyncRoute, httpError } = require("../lib/http");
+const { normalizeDateAdded } = require("../lib/util");
+const { getAuditContext, isDuplicateRequest } = require("../services/audit");
+const { canonicalizeLegacyLocation } = require("../services/locations");
+const { normalizeAsnLines, receivePallet, buildReceiptReport } = require("../services/receiving");
+const { resolveLines } = require("../services/products");
+const { assertScannedLabel } = require("../services/labels");
+const {
+  FORBIDDEN_SCOPE,
+  requireWriteRole,
+  getScopedCustomers,
+  applyCustomerScope,
+  isCustomerAllowedForUser,
+} = require("../middleware/auth");
+
+const ASN_STATUSES = new Set(["OPEN", "CLOSED"]);
+
+module.exports = function createAsnRoutes({ db, settings, broadcastInventoryChange }) {
+  const router = express.Router();
+
+  async function loadAsn(dbOrTx, req) {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) throw httpError(400, "Invalid ASN id");
+    const asn = await asns.findById(dbOrTx, id);
+    if (!asn || !isCustomerAllowedForUser(req, asn.customer_name)) throw httpError(404, "ASN not found");
+    return asn;
+  }
+
+  router.get("/asns", asyncRoute(async (req, res) => {
+    const status = String(req.query.status || "").trim().toUpperCase();
+    if (status && !ASN_STATUSES.has(status)) return res.status(400).json({ error: "Invalid status filter" });
+    const scoped = applyCustomerScope({ requestedCustomer: req.query.customer, scopedCustomers: getScopedCustomers(req) });
+    if (scoped === FORBIDDEN_SCOPE) return res.json([]);
+    return res.json(await asns.list(db, scoped, status || null));
+  }));
+
+  router.post("/asns", requireWriteRole, asyncRoute(async (req, res) => {
+    const customerName = String(req.body?.customer_name || "").trim();
+    const reference = String(req.body?.reference || "").trim() || null;
+    if (!customerName) return res.status(400).json({ error: "customer_name is required" });
+    if (!isCustomerAllowedForUser(req, customerName)) {
+      return res.status(403).json({ error: "Customer outside your scope" });
+    }
+    const expectedRaw = String(req.body?.expected_date || "").trim();
+    const expectedDate = expectedRaw ? normalizeDateAdded(expectedRaw) : null;
+    if (expectedRaw && !expectedDate) return res.status(400).json({ error: "Invalid expected_date format. Use YYYY-MM-DD" });
+    const lines = normalizeAsnLines(await resolveLines(db, customerName, req.body?.lines));
+    const audit = getAuditContext(req);
+
+    const asnId = await db.transaction(async (tx) => {
+      const created = await asns.insert(tx, {
+        customer_name: customerName,
+        reference,
+        expected_date: expectedDate ? expectedDate.slice(0, 10) : null,
+        created_by: audit.actorId,
+      });
+      for (const line of lines) {
+        await asns.insertLine(tx, { ...line, asn_id: created.lastID });
+      }
+      return created.lastID;
+    });
+    return res.json({ ok: true, asn: await asns.findById(db, asnId), lines: await asns.listLines(db, asnId) });
+  }));
+
+  router.get("/asns/:id", asyncRoute(async (req, res) => {
+    const asn = await loadAsn(db, req);
+    return res.json({ asn, lines: await asns.listLines(db, asn.id), receipts: await asns.listReceipts(db, asn.id) });
+  }));
+
+  // Receives one scanned pallet against the ASN; it goes into stock exactly
+  // like a check-in and is announced as one.
+  router.post("/asns/:id/receipts", requireWriteRole, asyncRoute(async (req, res) => {
+    const audit = getAuditContext(req, req.body?.scanned_by || "Receiving");
+    const input = { ...req.body, location: canonicalizeLegacyLocation(req.body?.location) };
+
+    const outcome = await db.transaction(async (tx) => {
+      if (await isDuplicateRequest(tx, audit.idempotencyKey)) return { duplicate: true };
+      const asn = await loadAsn(tx, req);
+      await assertScannedLabel(tx, settings.read(), input.label_payload, {
+        id: String(input.pallet_id || "").trim(),
+        customer_name: asn.customer_name,
+        product_id: input.product_id,
+        product_quantity: input.product_quantity,
+      });
+      return { asn, ...(await receivePallet(tx, asn, input, audit)) };
+    });
+    if (outcome.duplicate) return res.json({ ok: true, deduped: true, message: "Duplicate request ignored" });
+
+    const { asn, pallet, logged } = outcome;
+    res.json({
+      ok: true,
+      asn_id: asn.id,
+      pallet_id: pallet.id,
+      product_id: pallet.product_id,
+      pallet_quantity: pallet.pallet_quantity,
+      location: pallet.location,
+      expected: outcome.expected,
+      damaged: outcome.damaged,
+      activity_id: logged.lastID,
+    });
+    broadcastInventoryChange("add_pallet", {
+      ...pallet,
+      current_units: pallet.pallet_quantity * pallet.product_quantity,
+      asn_id: asn.id,
+      scanned_by: audit.scannedBy,
+    });
+  }));
+
+  router.get("/asns/:id/report", asyncRoute(async (req, res) => {
+    const asn = await loadAsn(db, req);
+    return res.json(await buildReceiptReport(db, asn));
+  }));
+
+  // Closing stops further receipts; the report is returned as it stood.
+  router.post("/asns/:id/close", requireWriteRole, asyncRoute(async (req, res) => {
+    const audit = getAuditContext(req);
+    const asn = await db.transaction(async (tx) => {
+      const current = await loadAsn(tx, req);
+      const closed = await asns.close(tx, current.id, audit.actorId);
+      if (closed.changes === 0) throw httpError(409, `ASN #${current.id} is already closed`);
+      return asns.findById(tx, current.id);
+    });
+    return res.json({ ok: true, ...(await buildReceiptReport(db, asn)) });
+  }));
+
+  return router;
+};
@@ -0,0 +1,174 @@
+const express = require("express");
+const users = require("../repositories/users");
+const { asyncRoute, httpError } = require("../lib/http");
+const { nowIso } = require("../lib/util");
+const { hashPassword, makeSalt, makeSessionToken } = require("../services/auth");
+const { getSharedUser, getAuthTokenFromRequest, requireAdminRole } = require("../middleware/auth");
+
+const ALLOWED_ROLES = new Set(["owner", "admin", "ops", "viewer"]);
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+
+function publicUser(u) {
+  return {
+    id: u.id,
+    username: u.username,
+    role: u.role,
+    display_name: u.display_name || u.username,
+    customer_scope: u.customer_scope || "*",
+    must_reset_password: Number(u.must_reset_password || 0),
+  };
+}
+
+module.exports = function createAuthRoutes({ db, settings, loginThrottle }) {
+  const router = express.Router();
+
+  router.post("/auth/login", asyncRoute(async (req, res) => {
+    if (settings.isAuthDisabled()) {
+      return res.json({ ok: true, token: "shared-mode", user: publicUser(getSharedUser()), expires_at: null });
+    }
+
+    const username = String(req.body?.username || "").trim();
+    const password = String(req.body?.password || "");
+    const ip = String(req.headers["x-forwarded-for"] || req.socket?.remoteAddress || "unknown");
+    const loginKey = `${ip}::${username.toLowerCase()}`;
+    if (!username || !password) {
+      return res.status(400).json({ error: "username and password are required" });
+    }
+    if (loginThrottle.isBlocked(loginKey)) {
+      return res.status(429).json({ error: `Too many login attempts. Try again in ${Math.ceil(loginThrottle.blockMs / 60000)} minutes.` });
+    }
+
+    const user = await users.findByUsername(db, username);
+    if (!user || Number(user.is_active || 0) !== 1 || hashPassword(password, user.password_salt) !== user.password_hash) {
+      loginThrottle.registerFailure(loginKey);
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+    loginThrottle.clear(loginKey);
+
+    const token = makeSessionToken();
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+    await users.createSession(db, { token, userId: user.id, expiresAt, now: nowIso() });
+    return res.json({ ok: true, token, user: publicUser(user), expires_at: expiresAt });
+  }));
+
+  router.get("/auth/me", (req, res) => {
+    return res.json({ ok: true, user: publicUser(req.user) });
+  });
+
+  router.post("/auth/logout", asyncRoute(async (req, res) => {
+    const token = req.user?.token || getAuthTokenFromRequest(req);
+    if (token) await users.deleteSession(db, token).catch(() => {});
+    return res.json({ ok: true });
+  }));
+
+  router.post("/auth/logout-all", asyncRoute(async (req, res) => {
+    await users.deleteSessionsForUser(db, req.user.id);
+    return res.json({ ok: true });
+  }));
+
+  router.post("/auth/change-password", asyncRoute(async (req, res) => {
+    const currentPassword = String(req.body?.current_password || "");
+    const newPassword = String(req.body?.new_password || "");
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: "current_password and new_password are required" });
+    }
+    if (newPassword.length < 8) {
+      return res.status(400).json({ error: "New password must be at least 8 characters" });
+    }
+
+    const user = await users.findById(db, req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (hashPassword(currentPassword, user.password_salt) !== user.password_hash) {
+      return res.status(401).json({ error: "Current password is incorrect" });
+    }
+
+    const salt = makeSalt();
+    await users.update(db, req.user.id, {
+      password_hash: hashPassword(newPassword, salt),
+      password_salt: salt,
+      must_reset_password: 0,
+    });
+    return res.json({ ok: true });
+  }));
+
+  router.get("/auth/users", requireAdminRole, asyncRoute(async (req, res) => {
+    return res.json(await users.list(db));
+  }));
+
+  router.post("/auth/users", requireAdminRole, asyncRoute(async (req, res) => {
+    const username = String(req.body?.username || "").trim();
+    const password = String(req.body?.password || "");
+    const role = String(req.body?.role || "ops").trim().toLowerCase();
+    const displayName = String(req.body?.display_name || username).trim();
+    const customerScope = String(req.body?.customer_scope || "*").trim() || "*";
+    const isActive = Number(req.body?.is_active ?? 1) ? 1 : 0;
+    const mustReset = Number(req.body?.must_reset_password ?? 1) ? 1 : 0;
+
+    if (!username || !password) return res.status(400).json({ error: "username and password are required" });
+    if (!ALLOWED_ROLES.has(role)) return res.status(400).json({ error: "Invalid role" });
+    if (password.length < 8) return res.status(400).json({ error: "Password must be at least 8 characters" });
+
+    const salt = makeSalt();
+    try {
+      const result = await users.create(db, {
+        username,
+        password_hash: hashPassword(password, salt),
+        password_salt: salt,
+        role,
+        display_name: displayName,
+        customer_scope: customerScope,
+        is_active: isActive,
+        must_reset_password: mustReset,
+      });
+      return res.json({ ok: true, id: result.lastID });
+    } catch (err) {
+      throw httpError(400, err.message || "Unable to create user");
+    }
+  }));
+
+  router.patch("/auth/users/:id", requireAdminRole, asyncRoute(async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: "Invalid user id" });
+
+    const user = await users.findById(db, id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const { role: roleRaw, display_name: displayRaw, customer_scope: scopeRaw } = req.body || {};
+    const { is_active: activeRaw, must_reset_password: mustResetRaw, password: passwordRaw } = req.body || {};
+    const fields = {};
+
+    if (roleRaw !== undefined) {
+      const role = String(roleRaw || "").trim().toLowerCase();
+      if (!ALLOWED_ROLES.has(role)) return res.status(400).json({ error: "Invalid role" });
+      fields.role = role;
+    }
+    if (displayRaw !== undefined) fields.display_name = String(displayRaw || "").trim();
+    if (scopeRaw !== undefined) fields.customer_scope = String(scopeRaw || "*").trim() || "*";
+    if (activeRaw !== undefined) fields.is_active = Number(activeRaw) ? 1 : 0;
+    if (mustResetRaw !== undefined) fields.must_reset_password = Number(mustResetRaw) ? 1 : 0;
+
+    if (passwordRaw !== undefined && String(passwordRaw).length > 0) {
+      const nextPassword = String(passwordRaw);
+      if (nextPassword.length < 8) return res.status(400).json({ error: "Password must be at least 8 characters" });
+      const salt = makeSalt();
+      fields.password_hash = hashPassword(nextPassword, salt);
+      fields.password_salt = salt;
+      fields.must_reset_password = 1;
+    }
+
+    if (!Object.keys(fields).length) return res.status(400).json({ error: "No update fields provided" });
+
+    const requestedRole = fields.role || String(user.role || "").toLowerCase();
+    const requestedActive = fields.is_active ?? Number(user.is_active || 0);
+    const wouldDemoteOrDisableOwner = String(user.role || "").toLowerCase() === "owner" && (requestedRole !== "owner" || requestedActive !== 1);
+    if (wouldDemoteOrDisableOwner && (await users.countActiveOwners(db)) <= 1) {
+      return res.status(400).json({ error: "At least one active owner is required" });
+    }
+
+    const result = await users.update(db, id, fields);
+    if (result.changes === 0) return res.status(404).json({ error: "User not found" });
+    return res.json({ ok: true, user: await users.findPublicById(db, id) });
+  }));
+
+  return router;
+};
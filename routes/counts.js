@@ -0,0 +1,151 @@
+const express = require("express");
+const counts = require("../repositories/counts");
+const pallets = require("../repositories/pallets");
+const locations = require("../repositories/locations");
+const { asyncRoute, httpError } = require("../lib/http");
+const { getAuditContext } = require("../services/audit");
+const { canonicalizeLegacyLocation } = require("../services/locations");
+const { sessionAisles, buildVarianceReport, postApprovedVariances } = require("../services/stockCount");
+const { requireWriteRole, requireAdminRole, getScopedCustomers } = require("../middleware/auth");
+
+// A count covers every customer's stock in its aisles, so customer-scoped
+// accounts can't run one.
+function requireUnscoped(req, res, next) {
+  if ((getScopedCustomers(req) || []).length) {
+    return res.status(403).json({ error: "Stock counts need an account without a customer scope" });
+  }
+  return next();
+}
+
+function withAisles(session) {
+  return { ...session, aisles: sessionAisles(session) };
+}
+
+module.exports = function createCountRoutes({ db, broadcastInventoryChange }) {
+  const router = express.Router();
+
+  async function loadSession(dbOrTx, req) {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) throw httpError(400, "Invalid count id");
+    const session = await counts.findSession(dbOrTx, id);
+    if (!session) throw httpError(404, "Count not found");
+    return session;
+  }
+
+  async function countLocation(session, raw) {
+    const location = canonicalizeLegacyLocation(raw);
+    if (!location) throw httpError(400, "location is required");
+    const loc = await locations.findById(db, location);
+    if (!loc) throw httpError(400, `Unknown location: ${location}`);
+    if (!sessionAisles(session).includes(loc.aisle)) {
+      throw httpError(400, `Location ${location} is not part of this count`);
+    }
+    return location;
+  }
+
+  router.get("/counts", requireUnscoped, asyncRoute(async (req, res) => {
+    return res.json((await counts.listSessions(db)).map(withAisles));
+  }));
+
+  router.post("/counts", requireWriteRole, requireUnscoped, asyncRoute(async (req, res) => {
+    const requested = Array.isArray(req.body?.aisles) ? req.body.aisles : String(req.body?.aisles || "").split(",");
+    const aisles = [...new Set(requested.map((a) => String(a || "").trim().toUpperCase()).filter(Boolean))].sort();
+    if (!aisles.length) return res.status(400).json({ error: "aisles are required" });
+
+    const known = new Set((await locations.listByAisles(db, aisles)).map((l) => l.aisle));
+    const unknown = aisles.filter((a) => !known.has(a));
+    if (unknown.length) return res.status(400).json({ error: `Unknown aisle(s): ${unknown.join(", ")}` });
+
+    const audit = getAuditContext(req);
+    const name = String(req.body?.name || "").trim() || `Aisles ${aisles.join(", ")}`;
+    const created = await counts.insertSession(db, { name, aisles: JSON.stringify(aisles), created_by: audit.actorId });
+    return res.json({ ok: true, session: withAisles(await counts.findSession(db, created.lastID)) });
+  }));
+
+  router.get("/counts/:id", requireUnscoped, asyncRoute(async (req, res) => {
+    const session = await loadSession(db, req);
+    return res.json({
+      session: withAisles(session),
+      locations: await counts.listCountedLocations(db, session.id),
+      scans: await counts.listScans(db, session.id),
+    });
+  }));
+
+  // Scanning a location QR marks it as counted, even if it turns out empty.
+  router.post("/counts/:id/locations", requireWriteRole, requireUnscoped, asyncRoute(async (req, res) => {
+    const session = await loadSession(db, req);
+    if (session.status !== "OPEN") throw httpError(409, "This count has already been posted");
+    const location = await countLocation(session, req.body?.location);
+    const audit = getAuditContext(req, "Count");
+    await counts.markLocationCounted(db, session.id, location, audit.scannedBy);
+    return res.json({ ok: true, location });
+  }));
+
+  // Records a pallet found at a location. Scanning the same pallet again
+  // replaces its earlier count.
+  router.post("/counts/:id/scans", requireWriteRole, requireUnscoped, asyncRoute(async (req, res) => {
+    const session = await loadSession(db, req);
+    if (session.status !== "OPEN") throw httpError(409, "This count has already been posted");
+    const location = await countLocation(session, req.body?.location);
+    const code = String(req.body?.pallet_id || "").trim();
+    const quantity = req.body?.quantity == null || req.body.quantity === "" ? 1 : Number(req.body.quantity);
+    if (!code) return res.status(400).json({ error: "pallet_id is required" });
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: "quantity must be a whole number of at least 1" });
+    }
+
+    const pallet = (await pallets.findActiveByIdOrProduct(db, code)) || (await pallets.findById(db, code));
+    const palletId = pallet?.id || code;
+    const audit = getAuditContext(req, "Count");
+    await counts.markLocationCounted(db, session.id, location, audit.scannedBy);
+    await counts.upsertScan(db, {
+      session_id: session.id,
+      location,
+      pallet_id: palletId,
+      quantity,
+      counted_by: audit.scannedBy,
+      actor_id: audit.actorId,
+    });
+    return res.json({
+      ok: true,
+      location,
+      pallet_id: palletId,
+      quantity,
+      known: Boolean(pallet),
+      expected_location: pallet?.status === "active" ? pallet.location : null,
+      expected_quantity: pallet?.status === "active" ? Number(pallet.pallet_quantity) || 0 : null,
+    });
+  }));
+
+  router.get("/counts/:id/variances", requireUnscoped, asyncRoute(async (req, res) => {
+    const session = await loadSession(db, req);
+    const report = await buildVarianceReport(db, session);
+    return res.json({ ...report, session: withAisles(session) });
+  }));
+
+  // Posts the approved variances as ADJUST entries and closes the count.
+  // Posting with nothing approved just closes it. Variances on held pallets
+  // need `override_hold: true`.
+  router.post("/counts/:id/post", requireAdminRole, requireUnscoped, asyncRoute(async (req, res) => {
+    const approve = req.body?.approve;
+    if (approve != null && !Array.isArray(approve)) return res.status(400).json({ error: "approve must be a list of variance keys" });
+    const audit = getAuditContext(req, "Count");
+
+    const result = await db.transaction(async (tx) => {
+      const session = await loadSession(tx, req);
+      return postApprovedVariances(tx, session, (approve || []).map(String), audit, { overrideHold: req.body?.override_hold === true });
+    });
+    const session = withAisles(await counts.findSession(db, Number(req.params.id)));
+
+    res.json({ ok: true, session, posted: result.posted.length, variances: result.posted });
+    if (result.posted.length) {
+      broadcastInventoryChange("stock_count_posted", {
+        session_id: session.id,
+        pallet_ids: result.pallet_ids,
+        scanned_by: audit.scannedBy,
+      });
+    }
+  }));
+
+  return router;
+};
@@ -0,0 +1,73 @@
+const express = require("express");
+const customers = require("../repositories/customers");
+const { asyncRoute, httpError } = require("../lib/http");
+const { readCustomerFields, renameCustomer } = require("../services/customers");
+const {
+  FORBIDDEN_SCOPE,
+  requireAdminRole,
+  getScopedCustomers,
+  applyCustomerScope,
+  isCustomerAllowedForUser,
+} = require("../middleware/auth");
+
+module.exports = function createCustomerRoutes({ db, broadcastInventoryChange }) {
+  const router = express.Router();
+
+  // Names only, for the customer pickers.
+  router.get("/customers", asyncRoute(async (req, res) => {
+    const scopedCustomers = getScopedCustomers(req);
+    if (Array.isArray(scopedCustomers)) return res.json(scopedCustomers);
+    return res.json(await customers.listNames(db));
+  }));
+
+  router.get("/customers/records", asyncRoute(async (req, res) => {
+    const scoped = applyCustomerScope({ requestedCustomer: req.query.customer, scopedCustomers: getScopedCustomers(req) });
+    if (scoped === FORBIDDEN_SCOPE) return res.json([]);
+    const includeInactive = ["1", "true"].includes(String(req.query.include_inactive || "").toLowerCase());
+    return res.json(await customers.list(db, scoped, includeInactive));
+  }));
+
+  router.post("/customers/records", requireAdminRole, asyncRoute(async (req, res) => {
+    const fields = readCustomerFields(req.body, { creating: true });
+    if (!isCustomerAllowedForUser(req, fields.name)) {
+      return res.status(403).json({ error: "Customer outside your scope" });
+    }
+    if (await customers.findByName(db, fields.name)) {
+      return res.status(409).json({ error: `Customer ${fields.name} already exists` });
+    }
+    const created = await customers.insert(db, fields);
+    return res.json({ ok: true, customer: await customers.findById(db, created.lastID) });
+  }));
+
+  router.patch("/customers/records/:id", requireAdminRole, asyncRoute(async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: "Invalid customer id" });
+    if (req.body?.name !== undefined) {
+      return res.status(400).json({ error: "Use /api/customers/rename to change a customer's name" });
+    }
+    const fields = readCustomerFields(req.body);
+    if (!Object.keys(fields).length) return res.status(400).json({ error: "No update fields provided" });
+
+    const customer = await customers.findById(db, id);
+    if (!customer || !isCustomerAllowedForUser(req, customer.name)) {
+      return res.status(404).json({ error: "Customer not found" });
+    }
+    await customers.update(db, id, fields);
+    return res.json({ ok: true, customer: await customers.findById(db, id) });
+  }));
+
+  // Renames a customer everywhere it is named, or merges it into another
+  // customer when `to` already exists.
+  router.post("/customers/rename", requireAdminRole, asyncRoute(async (req, res) => {
+    const from = String(req.body?.from ?? "");
+    const to = String(req.body?.to ?? "").trim();
+    if (!isCustomerAllowedForUser(req, from) || !isCustomerAllowedForUser(req, to)) {
+      throw httpError(403, "Customer outside your scope");
+    }
+    const result = await db.transaction((tx) => renameCustomer(tx, from, to));
+    res.json({ ok: true, ...result });
+    broadcastInventoryChange("customer_renamed", { from: result.from, to: result.to, merged: result.merged });
+  }));
+
+  return router;
+};
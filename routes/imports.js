@@ -0,0 +1,55 @@
+const express = require("express");
+const { asyncRoute, httpError } = require("../lib/http");
+const { getAuditContext, isDuplicateRequest } = require("../services/audit");
+const { readImportFile, readImportTable, importStock, buildErrorReport } = require("../services/importing");
+const { requireAdminRole, isCustomerAllowedForUser } = require("../middleware/auth");
+
+module.exports = function createImportRoutes({ db, broadcastInventoryChange }) {
+  const router = express.Router();
+
+  // Opening stock from a CSV or XLSX file sent as the raw request body. By
+  // default nothing is saved and the response is the dry-run diff;
+  // ?commit=1 imports every row or, if any row fails, none of them.
+  // ?report=csv answers with the failed rows as a CSV download instead.
+  router.post(
+    "/import/stock",
+    requireAdminRole,
+    express.raw({ type: () => true, limit: "10mb" }),
+    asyncRoute(async (req, res) => {
+      const wantsReport = req.query.report === "csv";
+      const commit = !wantsReport && ["1", "true", "yes"].includes(String(req.query.commit || "").toLowerCase());
+      const audit = getAuditContext(req, "Import");
+      const fileName = String(req.headers["x-file-name"] || "").trim();
+      const table = readImportTable(readImportFile(req.body));
+
+      if (commit && await isDuplicateRequest(db, audit.idempotencyKey)) {
+        return res.json({ ok: true, deduped: true, message: "Duplicate request ignored" });
+      }
+      const outcome = await importStock(db, table, {
+        commit,
+        isAllowed: (name) => isCustomerAllowedForUser(req, name),
+        audit,
+        note: fileName ? `Imported from ${fileName}` : "Stock import",
+      });
+
+      if (wantsReport) {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", 'attachment; filename="import-errors.csv"');
+        return res.send(buildErrorReport(table, outcome.rows));
+      }
+      if (commit && !outcome.committed) {
+        throw httpError(422, `${outcome.summary.invalid} row(s) have errors; nothing was imported`, outcome);
+      }
+      res.json({ ok: true, ...outcome });
+      if (outcome.committed) {
+        broadcastInventoryChange("import_stock", {
+          rows: outcome.summary.valid,
+          pallets: outcome.summary.pallets,
+          scanned_by: audit.scannedBy,
+        });
+      }
+    })
+  );
+
+  return router;
+};
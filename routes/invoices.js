@@ -0,0 +1,247 @@
+const express = require("express");
+const invoices = require("../repositories/invoices");
+const { asyncRoute } = require("../lib/http");
+const { addDaysYmd, buildInvoicePreview, summarizeAging } = require("../services/invoicing");
+const { readHeldBilling } = require("../services/holds");
+const {
+  FORBIDDEN_SCOPE,
+  requireAdminRole,
+  getScopedCustomers,
+  applyCustomerScope,
+  isCustomerAllowedForUser,
+} = require("../middleware/auth");
+
+const INVOICE_STATUSES = new Set(["DRAFT", "SENT", "PAID"]);
+
+function parseInvoiceId(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ error: "Invalid invoice id" });
+    return null;
+  }
+  return id;
+}
+
+module.exports = function createInvoiceRoutes({ db, settings }) {
+  const router = express.Router();
+
+  router.get("/rates", requireAdminRole, asyncRoute(async (req, res) => {
+    const customer = String(req.query.customer || "").trim();
+    const scopedCustomers = getScopedCustomers(req);
+    const scoped = applyCustomerScope({ requestedCustomer: customer, scopedCustomers });
+    if (scoped === FORBIDDEN_SCOPE) return res.status(404).json({ error: "Rate not found" });
+    if (customer) {
+      const row = await invoices.findRate(db, scoped);
+      if (!row) return res.status(404).json({ error: "Rate not found" });
+      return res.json(row);
+    }
+    return res.json(await invoices.listRates(db, scopedCustomers));
+  }));
+
+  router.post("/rates", requireAdminRole, asyncRoute(async (req, res) => {
+    const customerName = String(req.body?.customer_name || "").trim();
+    const ratePerWeek = Number(req.body?.rate_per_pallet_week);
+    const handlingFlat = Number(req.body?.handling_fee_flat || 0);
+    const handlingPerPallet = Number(req.body?.handling_fee_per_pallet || 0);
+    const paymentTermsDays = Number(req.body?.payment_terms_days ?? 7);
+    const currency = String(req.body?.currency || "GBP").trim() || "GBP";
+
+    if (!customerName || !Number.isFinite(ratePerWeek) || ratePerWeek < 0) {
+      return res.status(400).json({ error: "customer_name and valid rate_per_pallet_week are required" });
+    }
+    if (!isCustomerAllowedForUser(req, customerName)) {
+      return res.status(403).json({ error: "Customer outside your scope" });
+    }
+    if (!Number.isFinite(handlingFlat) || handlingFlat < 0) {
+      return res.status(400).json({ error: "handling_fee_flat must be a valid number >= 0" });
+    }
+    if (!Number.isFinite(handlingPerPallet) || handlingPerPallet < 0) {
+      return res.status(400).json({ error: "handling_fee_per_pallet must be a valid number >= 0" });
+    }
+    if (!Number.isInteger(paymentTermsDays) || paymentTermsDays < 0 || paymentTermsDays > 365) {
+      return res.status(400).json({ error: "payment_terms_days must be an integer between 0 and 365" });
+    }
+
+    await invoices.upsertRate(db, {
+      customer_name: customerName,
+      rate_per_pallet_week: ratePerWeek,
+      handling_fee_flat: handlingFlat,
+      handling_fee_per_pallet: handlingPerPallet,
+      payment_terms_days: paymentTermsDays,
+      currency,
+    });
+    return res.json({ ok: true, rate: await invoices.findRate(db, customerName) });
+  }));
+
+  router.get("/invoices", requireAdminRole, asyncRoute(async (req, res) => {
+    const scoped = applyCustomerScope({ requestedCustomer: req.query.customer, scopedCustomers: getScopedCustomers(req) });
+    if (scoped === FORBIDDEN_SCOPE) return res.json([]);
+    return res.json(await invoices.list(db, scoped));
+  }));
+
+  router.get("/invoices/aging", requireAdminRole, asyncRoute(async (req, res) => {
+    const rows = await invoices.list(db, getScopedCustomers(req), 1000);
+    return res.json({ ok: true, ...summarizeAging(rows) });
+  }));
+
+  router.post("/invoices/preview", requireAdminRole, asyncRoute(async (req, res) => {
+    const customerName = String(req.body?.customer_name || "").trim();
+    if (customerName && !isCustomerAllowedForUser(req, customerName)) {
+      return res.status(403).json({ error: "Customer outside your scope" });
+    }
+    try {
+      return res.json(await buildInvoicePreview(db, req.body || {}, readHeldBilling(settings.read())));
+    } catch (err) {
+      return res.status(400).json({ error: err.message || "Invalid invoice inputs" });
+    }
+  }));
+
+  router.post("/invoices/generate", requireAdminRole, asyncRoute(async (req, res) => {
+    const customerName = String(req.body?.customer_name || "").trim();
+    let startDate = String(req.body?.start_date || "").trim();
+    let endDate = String(req.body?.end_date || "").trim();
+
+    if (!startDate && req.body?.week_start) {
+      startDate = String(req.body.week_start).trim();
+      endDate = addDaysYmd(startDate, 6) || "";
+    }
+
+    if (!customerName || !startDate || !endDate) {
+      return res.status(400).json({ error: "customer_name and either (start_date + end_date) or week_start are required" });
+    }
+    if (!isCustomerAllowedForUser(req, customerName)) {
+      return res.status(403).json({ error: "Customer outside your scope" });
+    }
+
+    let preview;
+    try {
+      preview = await buildInvoicePreview(db, {
+        customer_name: customerName,
+        start_date: startDate,
+        end_date: endDate,
+        rate_per_pallet_week: req.body?.rate_per_pallet_week,
+        handling_fee_flat: req.body?.handling_fee_flat,
+        handling_fee_per_pallet: req.body?.handling_fee_per_pallet,
+        payment_terms_days: req.body?.payment_terms_days,
+      }, readHeldBilling(settings.read()));
+    } catch (err) {
+      return res.status(400).json({ error: err.message || "Invalid invoice inputs" });
+    }
+
+    const result = await invoices.insert(db, {
+      customer_name: preview.customer_name,
+      start_date: preview.start_date,
+      end_date: preview.end_date,
+      billing_cycle: "WEEKLY",
+      pallet_days: preview.pallet_days,
+      rate_per_pallet_day: Number((preview.rate_per_pallet_week / 7).toFixed(6)),
+      rate_per_pallet_week: preview.rate_per_pallet_week,
+      handling_fee_flat: preview.handling_fee_flat,
+      handling_fee_per_pallet: preview.handling_fee_per_pallet,
+      handled_pallets: preview.handled_pallets,
+      base_total: preview.base_total,
+      handling_total: preview.handling_total,
+      total: preview.total,
+      currency: preview.currency || "GBP",
+      payment_terms_days: preview.payment_terms_days,
+      due_date: preview.due_date,
+      details_json: JSON.stringify({
+        days_in_range: preview.days_in_range,
+        pallet_weeks: preview.pallet_weeks,
+        handled_pallets: preview.handled_pallets,
+        held_pallet_days: preview.held_pallet_days,
+        held_billing: preview.held_billing,
+        held_rate_per_pallet_week: preview.held_rate_per_pallet_week,
+        held_total: preview.held_total,
+      }),
+      status: "DRAFT",
+    });
+    return res.json({ ok: true, invoice_id: result.lastID, ...preview });
+  }));
+
+  router.post("/invoices/:id/status", requireAdminRole, asyncRoute(async (req, res) => {
+    const id = parseInvoiceId(req, res);
+    if (id == null) return;
+    const status = String(req.body?.status || "").trim().toUpperCase();
+    if (!INVOICE_STATUSES.has(status)) {
+      return res.status(400).json({ error: "status must be one of DRAFT, SENT, PAID" });
+    }
+
+    const current = await invoices.findById(db, id);
+    if (!current) return res.status(404).json({ error: "Invoice not found" });
+    if (!isCustomerAllowedForUser(req, current.customer_name)) {
+      return res.status(403).json({ error: "Customer outside your scope" });
+    }
+
+    const now = new Date().toISOString();
+    let sentAt = current.sent_at || null;
+    let paidAt = current.paid_at || null;
+    if (status === "DRAFT") {
+      sentAt = null;
+      paidAt = null;
+    } else if (status === "SENT") {
+      sentAt = sentAt || now;
+      paidAt = null;
+    } else if (status === "PAID") {
+      sentAt = sentAt || now;
+      paidAt = now;
+    }
+
+    const result = await invoices.update(db, id, { status, sent_at: sentAt, paid_at: paidAt });
+    if (result.changes === 0) return res.status(404).json({ error: "Invoice not found" });
+    return res.json({ ok: true, invoice: await invoices.findById(db, id) });
+  }));
+
+  router.post("/invoices/:id/payments", requireAdminRole, asyncRoute(async (req, res) => {
+    const id = parseInvoiceId(req, res);
+    if (id == null) return;
+    const amount = Number(req.body?.amount);
+    const note = String(req.body?.note || "").trim();
+    const paidAt = String(req.body?.paid_at || "").trim() || new Date().toISOString();
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: "amount must be > 0" });
+    }
+
+    const inv = await invoices.findById(db, id);
+    if (!inv) return res.status(404).json({ error: "Invoice not found" });
+    if (!isCustomerAllowedForUser(req, inv.customer_name)) {
+      return res.status(403).json({ error: "Customer outside your scope" });
+    }
+
+    const total = Number(inv.total || 0);
+    const nextPaid = Number((Number(inv.amount_paid || 0) + amount).toFixed(2));
+    const balance = Number((total - nextPaid).toFixed(2));
+
+    let payments = [];
+    try {
+      const parsed = JSON.parse(inv.payments_json || "[]");
+      payments = Array.isArray(parsed) ? parsed : [];
+    } catch {
+      payments = [];
+    }
+    const payment = { amount: Number(amount.toFixed(2)), note, paid_at: paidAt };
+    payments.push(payment);
+
+    const currentStatus = String(inv.status || "").toUpperCase();
+    const result = await invoices.update(db, id, {
+      amount_paid: nextPaid,
+      payment_status: balance <= 0 ? "PAID" : "PARTIAL",
+      payments_json: JSON.stringify(payments),
+      last_payment_at: paidAt,
+      status: balance <= 0 ? "PAID" : (currentStatus === "DRAFT" ? "SENT" : currentStatus || "SENT"),
+      sent_at: inv.sent_at || paidAt,
+      paid_at: balance <= 0 ? paidAt : null,
+    });
+    if (result.changes === 0) return res.status(404).json({ error: "Invoice not found" });
+
+    const row = await invoices.findById(db, id);
+    return res.json({
+      ok: true,
+      invoice: row,
+      payment,
+      balance_due: Number((Number(row.total || 0) - Number(row.amount_paid || 0)).toFixed(2)),
+    });
+  }));
+
+  return router;
+};
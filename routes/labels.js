@@ -0,0 +1,89 @@
+const express = require("express");
+const pallets = require("../repositories/pallets");
+const { asyncRoute, httpError } = require("../lib/http");
+const { nowIso } = require("../lib/util");
+const {
+  MAX_BATCH_LABELS,
+  readLegacyLabelPolicy,
+  loadLabelKey,
+  readLabelOptions,
+  palletQrPayload,
+  verifyPalletQr,
+  labelFromPallet,
+  readLabelBatch,
+  renderLabels,
+} = require("../services/labels");
+const { requireWriteRole, isCustomerAllowedForUser } = require("../middleware/auth");
+
+module.exports = function createLabelRoutes({ db, settings }) {
+  const router = express.Router();
+
+  async function sendLabels(res, labels, options) {
+    const body = renderLabels(labels, settings.read(), options, await loadLabelKey(db));
+    const name = labels.length === 1 ? `label-${labels[0].id}` : `labels-${labels.length}`;
+    const safeName = name.replace(/[^\w.-]+/g, "_");
+    if (options.format === "zpl") {
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${safeName}.zpl"`);
+    } else {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `inline; filename="${safeName}.pdf"`);
+    }
+    return res.send(body);
+  }
+
+  async function loadPallet(req, id) {
+    const pallet = await pallets.findById(db, id);
+    if (!pallet) throw httpError(404, `Pallet ${id} not found`);
+    if (!isCustomerAllowedForUser(req, pallet.customer_name)) throw httpError(403, "Customer outside your scope");
+    return pallet;
+  }
+
+  // Reprints an existing pallet's label. ?format=pdf|zpl, ?size=a6|4x6,
+  // ?dpmm=8|12|24 for ZPL printers.
+  router.get("/pallets/:id/label", requireWriteRole, asyncRoute(async (req, res) => {
+    const options = readLabelOptions(req.query);
+    const pallet = await loadPallet(req, String(req.params.id || "").trim());
+    return sendLabels(res, [labelFromPallet(pallet)], options);
+  }));
+
+  // `pallet_ids` reprints existing pallets, otherwise `label` (+ `count`)
+  // describes pallets not checked in yet. Either way the labels carry a
+  // signature, so they are only issued for customers in the user's scope.
+  async function readLabels(req) {
+    if (Array.isArray(req.body?.pallet_ids)) {
+      const ids = [...new Set(req.body.pallet_ids.map((id) => String(id || "").trim()).filter(Boolean))];
+      if (!ids.length) throw httpError(400, "pallet_ids must list at least one pallet");
+      if (ids.length > MAX_BATCH_LABELS) throw httpError(400, `Print at most ${MAX_BATCH_LABELS} labels at a time`);
+      const labels = [];
+      for (const id of ids) labels.push(labelFromPallet(await loadPallet(req, id)));
+      return labels;
+    }
+    const labels = readLabelBatch(req.body, nowIso());
+    if (!labels[0].customer_name) throw httpError(400, "label.customer_name is required");
+    if (!isCustomerAllowedForUser(req, labels[0].customer_name)) throw httpError(403, "Customer outside your scope");
+    return labels;
+  }
+
+  // Renders a batch in one document.
+  router.post("/labels", requireWriteRole, asyncRoute(async (req, res) => {
+    const options = readLabelOptions({ ...req.query, ...req.body });
+    return sendLabels(res, await readLabels(req), options);
+  }));
+
+  // Signed QR payloads for labels the app draws itself; same body as
+  // POST /labels.
+  router.post("/labels/sign", requireWriteRole, asyncRoute(async (req, res) => {
+    const labels = await readLabels(req);
+    const key = await loadLabelKey(db);
+    return res.json({ payloads: labels.map((label) => ({ id: label.id, payload: palletQrPayload(label, key) })) });
+  }));
+
+  // Scanners post the raw QR text here before acting on a WT pallet label.
+  router.post("/labels/verify", asyncRoute(async (req, res) => {
+    const policy = readLegacyLabelPolicy(settings.read());
+    return res.json({ ...verifyPalletQr(req.body?.payload, await loadLabelKey(db), policy), policy });
+  }));
+
+  return router;
+};
@@ -0,0 +1,103 @@
+const express = require("express");
+const pallets = require("../repositories/pallets");
+const locations = require("../repositories/locations");
+const { asyncRoute } = require("../lib/http");
+const { normalizeLocationId, rebuildLocationsToAll4Layout } = require("../services/locations");
+const { describeFill, describeOwnFill } = require("../services/slotting");
+const { suggestPutaway } = require("../services/putaway");
+const {
+  FORBIDDEN_SCOPE,
+  requireAdminRole,
+  getScopedCustomers,
+  applyCustomerScope,
+  isCustomerAllowedForUser,
+} = require("../middleware/auth");
+
+function optionalNumber(value) {
+  return value == null || value === "" ? null : Number(value);
+}
+
+module.exports = function createLocationRoutes({ db }) {
+  const router = express.Router();
+
+  router.get("/locations", asyncRoute(async (req, res) => {
+    const scoped = getScopedCustomers(req);
+    return res.json((await locations.list(db, scoped)).map(scoped ? describeOwnFill : describeFill));
+  }));
+
+  // Ranked locations for an incoming pallet: /putaway/suggest?customer=&product_id=&qty=
+  router.get("/putaway/suggest", asyncRoute(async (req, res) => {
+    const customer = String(req.query.customer || "").trim();
+    const productId = String(req.query.product_id || "").trim();
+    const qty = req.query.qty == null || req.query.qty === "" ? 1 : Number(req.query.qty);
+    const limit = req.query.limit == null || req.query.limit === "" ? 5 : Number(req.query.limit);
+
+    if (!Number.isInteger(qty) || qty < 1) return res.status(400).json({ error: "qty must be a whole number of at least 1" });
+    if (!Number.isInteger(limit) || limit < 1 || limit > 20) return res.status(400).json({ error: "limit must be between 1 and 20" });
+    if (customer && !isCustomerAllowedForUser(req, customer)) {
+      return res.status(403).json({ error: "Customer outside your scope" });
+    }
+
+    const suggestions = await suggestPutaway(db, { customer, productId, qty, limit });
+    return res.json({ customer, product_id: productId, qty, suggestions });
+  }));
+
+  router.get("/stats", asyncRoute(async (req, res) => {
+    const scoped = applyCustomerScope({ requestedCustomer: req.query.customer, scopedCustomers: getScopedCustomers(req) });
+    if (scoped === FORBIDDEN_SCOPE) {
+      return res.json({ total_pallets: 0, occupied_locations: 0, total_locations: 0 });
+    }
+
+    const totalPallets = await pallets.countActive(db, scoped);
+    const locationRow = await locations.occupancyCounts(db);
+    return res.json({
+      total_pallets: totalPallets,
+      occupied_locations: locationRow.occupied_locations,
+      total_locations: locationRow.total_locations,
+    });
+  }));
+
+  router.post("/admin/locations/reseed-all4", requireAdminRole, asyncRoute(async (req, res) => {
+    try {
+      const summary = await rebuildLocationsToAll4Layout(db);
+      return res.json({ ok: true, layout: "ALL4", summary });
+    } catch (err) {
+      return res.status(500).json({ error: err.message || "Location reseed failed" });
+    }
+  }));
+
+  router.post("/admin/locations/upsert", requireAdminRole, asyncRoute(async (req, res) => {
+    const id = normalizeLocationId(req.body?.id);
+    if (!id) return res.status(400).json({ error: "Location id is required" });
+
+    const aisleRaw = req.body?.aisle;
+    const aisle = aisleRaw == null || aisleRaw === "" ? null : String(aisleRaw).trim().toUpperCase();
+    const rack = optionalNumber(req.body?.rack);
+    const level = optionalNumber(req.body?.level);
+    const capacity = optionalNumber(req.body?.capacity_pallets);
+    const floorArea = optionalNumber(req.body?.floor_area_sqm);
+    const locationType = String(req.body?.location_type || "custom").trim().toLowerCase() || "custom";
+
+    if (rack != null && (!Number.isFinite(rack) || rack <= 0)) return res.status(400).json({ error: "Invalid rack" });
+    if (level != null && (!Number.isFinite(level) || level < 0)) return res.status(400).json({ error: "Invalid level" });
+    if (capacity != null && (!Number.isFinite(capacity) || capacity < 0)) return res.status(400).json({ error: "Invalid capacity_pallets" });
+    if (floorArea != null && (!Number.isFinite(floorArea) || floorArea < 0)) return res.status(400).json({ error: "Invalid floor_area_sqm" });
+
+    try {
+      await locations.upsert(db, {
+        id,
+        aisle,
+        rack,
+        level,
+        capacity_pallets: capacity,
+        floor_area_sqm: floorArea,
+        location_type: locationType,
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message || "Unable to upsert location" });
+    }
+    return res.json({ ok: true, location: await locations.findById(db, id) });
+  }));
+
+  return router;
+};
@@ -0,0 +1,121 @@
+const express = require("express");
+const orders = require("../repositories/orders");
+const { asyncRoute, httpError } = require("../lib/http");
+const { getAuditContext } = require("../services/audit");
+const { normalizeOrderLines, allocateOrder, confirmPick } = require("../services/orders");
+const { resolveLines } = require("../services/products");
+const {
+  FORBIDDEN_SCOPE,
+  requireWriteRole,
+  getScopedCustomers,
+  applyCustomerScope,
+  isCustomerAllowedForUser,
+} = require("../middleware/auth");
+
+const ORDER_STATUSES = new Set(["OPEN", "COMPLETED", "CANCELLED"]);
+
+module.exports = function createOrderRoutes({ db, broadcastInventoryChange }) {
+  const router = express.Router();
+
+  // Orders outside the caller's scope read as missing rather than forbidden.
+  async function loadOrder(dbOrTx, req) {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) throw httpError(400, "Invalid order id");
+    const order = await orders.findById(dbOrTx, id);
+    if (!order || !isCustomerAllowedForUser(req, order.customer_name)) throw httpError(404, "Order not found");
+    return order;
+  }
+
+  async function orderDetail(id) {
+    return {
+      order: await orders.findById(db, id),
+      lines: await orders.listLines(db, id),
+      picks: await orders.listPicks(db, id),
+    };
+  }
+
+  router.get("/orders", asyncRoute(async (req, res) => {
+    const status = String(req.query.status || "").trim().toUpperCase();
+    if (status && !ORDER_STATUSES.has(status)) return res.status(400).json({ error: "Invalid status filter" });
+    const scoped = applyCustomerScope({ requestedCustomer: req.query.customer, scopedCustomers: getScopedCustomers(req) });
+    if (scoped === FORBIDDEN_SCOPE) return res.json([]);
+    return res.json(await orders.list(db, scoped, status || null));
+  }));
+
+  // Creates an order and allocates its pick list in one go; if any line can't
+  // be covered from stock nothing is saved.
+  router.post("/orders", requireWriteRole, asyncRoute(async (req, res) => {
+    const customerName = String(req.body?.customer_name || "").trim();
+    const reference = String(req.body?.reference || "").trim() || null;
+    if (!customerName) return res.status(400).json({ error: "customer_name is required" });
+    if (!isCustomerAllowedForUser(req, customerName)) {
+      return res.status(403).json({ error: "Customer outside your scope" });
+    }
+    const lines = normalizeOrderLines(await resolveLines(db, customerName, req.body?.lines));
+    const audit = getAuditContext(req);
+
+    const orderId = await db.transaction(async (tx) => {
+      const created = await orders.insert(tx, { customer_name: customerName, reference, created_by: audit.actorId });
+      const order = { id: created.lastID, customer_name: customerName };
+      const saved = [];
+      for (const line of lines) {
+        const inserted = await orders.insertLine(tx, { ...line, order_id: order.id });
+        saved.push({ ...line, id: inserted.lastID });
+      }
+      await allocateOrder(tx, order, saved);
+      return order.id;
+    });
+    return res.json({ ok: true, ...(await orderDetail(orderId)) });
+  }));
+
+  router.get("/orders/:id", asyncRoute(async (req, res) => {
+    const order = await loadOrder(db, req);
+    return res.json(await orderDetail(order.id));
+  }));
+
+  // The scanner confirms a pick by sending the pallet it scanned. Confirming
+  // an already-picked pick again is a no-op, so a retried request is safe.
+  router.post("/orders/:id/picks/:pickId/confirm", requireWriteRole, asyncRoute(async (req, res) => {
+    const code = String(req.body?.pallet_id || "").trim();
+    if (!code) return res.status(400).json({ error: "pallet_id is required" });
+    const pickId = Number(req.params.pickId);
+    if (!Number.isInteger(pickId) || pickId <= 0) return res.status(400).json({ error: "Invalid pick id" });
+    const audit = getAuditContext(req, "Picker");
+
+    const outcome = await db.transaction(async (tx) => {
+      const order = await loadOrder(tx, req);
+      const pick = await orders.findPick(tx, order.id, pickId);
+      if (!pick) throw httpError(404, "Pick not found");
+      return { order, pick, ...(await confirmPick(tx, order, pick, code, audit)) };
+    });
+    const detail = await orderDetail(outcome.order.id);
+
+    if (outcome.duplicate) return res.json({ ok: true, deduped: true, message: "Pick already confirmed", ...detail });
+    res.json({ ok: true, completed: outcome.completed, ...detail });
+    broadcastInventoryChange("order_pick", {
+      order_id: outcome.order.id,
+      pallet_id: outcome.row.id,
+      customer_name: outcome.row.customer_name,
+      product_id: outcome.row.product_id,
+      location: outcome.row.location,
+      unit: outcome.pick.unit,
+      quantity: outcome.pick.quantity,
+      completed: outcome.completed,
+      scanned_by: audit.scannedBy,
+    });
+  }));
+
+  // Cancelling releases the open picks; anything already picked stays picked.
+  router.post("/orders/:id/cancel", requireWriteRole, asyncRoute(async (req, res) => {
+    const order = await db.transaction(async (tx) => {
+      const current = await loadOrder(tx, req);
+      if (current.status !== "OPEN") throw httpError(409, `Order #${current.id} is ${current.status.toLowerCase()}`);
+      await orders.cancelOpenPicks(tx, current.id);
+      await orders.close(tx, current.id, "CANCELLED");
+      return current;
+    });
+    return res.json({ ok: true, ...(await orderDetail(order.id)) });
+  }));
+
+  return router;
+};
@@ -0,0 +1,60 @@
+const express = require("express");
+const customers = require("../repositories/customers");
+const sequences = require("../repositories/palletIdSequences");
+const { asyncRoute, httpError } = require("../lib/http");
+const { readIdFormat, formatPalletId, reservePalletIds } = require("../services/palletIds");
+const { requireAdminRole, requireWriteRole, isCustomerAllowedForUser } = require("../middleware/auth");
+
+module.exports = function createPalletIdRoutes({ db }) {
+  const router = express.Router();
+
+  // Issues the next id(s) for a customer. `count` reserves a block, e.g. for
+  // labels printed ahead of time and checked in later, offline if need be.
+  router.post("/pallet-ids", requireWriteRole, asyncRoute(async (req, res) => {
+    const customerName = String(req.body?.customer_name || "").trim();
+    if (customerName && !isCustomerAllowedForUser(req, customerName)) throw httpError(403, "Customer outside your scope");
+    const count = req.body?.count == null || req.body.count === "" ? 1 : Number(req.body.count);
+    const ids = await db.transaction((tx) => reservePalletIds(tx, customerName, count));
+    return res.json({ customer_name: customerName || null, ids });
+  }));
+
+  router.get("/pallet-ids/sequences", requireAdminRole, asyncRoute(async (req, res) => {
+    const rows = await sequences.list(db);
+    return res.json(rows.map((row) => ({ ...row, next_id: row.format ? formatPalletId(row.format, row.next_value) : null })));
+  }));
+
+  // Sets the default format (no customer_name) or a customer's own. An empty
+  // format sends a customer back to the default but keeps its next_value, so
+  // the numbering picks up there if a format is set again. next_value can only
+  // move forward, so issued ids are never issued again.
+  router.post("/pallet-ids/sequences", requireAdminRole, asyncRoute(async (req, res) => {
+    const customerName = String(req.body?.customer_name || "").trim();
+    let customerId = sequences.DEFAULT_SEQUENCE;
+    if (customerName) {
+      const customer = await customers.findByName(db, customerName);
+      if (!customer || !isCustomerAllowedForUser(req, customer.name)) throw httpError(404, `Customer ${customerName} not found`);
+      customerId = customer.id;
+    }
+
+    const result = await db.transaction(async (tx) => {
+      const current = await sequences.find(tx, customerId);
+      if (customerId !== sequences.DEFAULT_SEQUENCE && !String(req.body?.format || "").trim()) {
+        if (current?.format) await sequences.retire(tx, customerId);
+        return { removed: Boolean(current?.format) };
+      }
+      const format = readIdFormat(req.body?.format);
+      const nextValue = req.body?.next_value == null || req.body.next_value === ""
+        ? current?.next_value || 1
+        : Number(req.body.next_value);
+      if (!Number.isInteger(nextValue) || nextValue < 1) throw httpError(400, "next_value must be a whole number of at least 1");
+      if (current && nextValue < current.next_value) {
+        throw httpError(400, `next_value can't go back below ${current.next_value}; those ids may already be issued`);
+      }
+      await sequences.save(tx, customerId, format, nextValue);
+      return { format, next_value: nextValue, next_id: formatPalletId(format, nextValue) };
+    });
+    return res.json({ ok: true, customer_name: customerName || null, ...result });
+  }));
+
+  return router;
+};
@@ -0,0 +1,940 @@
+const express = require("express");
+const pallets = require("../repositories/pallets");
+const activity = require("../repositories/activity");
+const customers = require("../repositories/customers");
+const orders = require("../repositories/orders");
+const asns = require("../repositories/asns");
+const { asyncRoute, httpError } = require("../lib/http");
+const { toCsv } = require("../lib/csv");
+const { nowIso, safeParseParts, normalizeDateAdded, recountUnits } = require("../lib/util");
+const { getAuditContext, auditColumns, isDuplicateRequest, isRecentDuplicateAction } = require("../services/audit");
+const { canonicalizeLegacyLocation } = require("../services/locations");
+const { assertRoomFor } = require("../services/slotting");
+const { resolveProduct } = require("../services/products");
+const { resolvePalletId } = require("../services/palletIds");
+const { assertScannedLabel } = require("../services/labels");
+const {
+  CONFLICT_MESSAGE,
+  PARTS_EMPTIED_NOTE,
+  assertUpdated,
+  readLotFields,
+  assertPicksFit,
+  checkInPallet,
+  removePallets,
+  removeUnits,
+  removeParts,
+  splitPallet,
+  mergePallets,
+} = require("../services/stock");
+const {
+  readHoldStatus,
+  placeHold,
+  releaseHold,
+  assertNotHeld,
+  summarizeHolds,
+} = require("../services/holds");
+const {
+  FORBIDDEN_SCOPE,
+  requireWriteRole,
+  getScopedCustomers,
+  applyCustomerScope,
+  isCustomerAllowedForUser,
+} = require("../middleware/auth");
+
+const REVERSIBLE_ACTIONS = new Set(["CHECK_IN", "CHECK_OUT", "MOVE", "PARTIAL_REMOVE", "UNITS_REMOVE"]);
+const MOVE_NOTES_PATTERN = /^Moved from (.+) to .+$/;
+const ADJUST_REASONS = new Set(["miskey", "stock_count", "damage", "found"]);
+const CSV_HEADER = ["Customer", "Product ID", "Pallet Qty", "Product Qty", "Location", "Date Added", "Lot", "Batch", "Best Before", "Expiry Date"];
+
+function withParsedParts(rows) {
+  return rows.map((row) => ({ ...row, parts: safeParseParts(row.parts) }));
+}
+
+function requestedScope(req) {
+  return applyCustomerScope({ requestedCustomer: req.query.customer, scopedCustomers: getScopedCustomers(req) });
+}
+
+// Works out how to put a pallet back the way it was before `entry`. Returns
+// the pallet fields to write and the resulting pallet count and location.
+async function planReversal(tx, entry, row) {
+  const active = row.status === "active";
+  const restore = { status: "active", date_removed: null };
+
+  // Picks are undone by the order, not the activity log.
+  const pick = await orders.findPickByActivity(tx, entry.id);
+  if (pick) throw httpError(409, `This was picked for order #${pick.order_id} and can't be undone here`);
+  // Receipts count towards their ASN's report, so they stay as received.
+  const receipt = await asns.findReceiptByActivity(tx, entry.id);
+  if (receipt) throw httpError(409, `This was received on ASN #${receipt.asn_id} and can't be undone here`);
+
+  if (entry.action === "CHECK_IN") {
+    if (!active) throw httpError(409, "Pallet is no longer in stock");
+    await assertPicksFit(tx, row, { doing: "withdraw its check-in" });
+    return {
+      fields: { status: "removed", date_removed: nowIso() },
+      quantityAfter: 0,
+      location: row.location,
+      notes: "check-in withdrawn",
+    };
+  }
+
+  if (entry.action === "CHECK_OUT") {
+    if (entry.notes === PARTS_EMPTIED_NOTE) throw httpError(400, "A check-out from removing the last parts cannot be undone");
+    if (active) throw httpError(409, "Pallet is already in stock");
+    const qty = Number(entry.quantity_before ?? row.pallet_quantity) || 1;
+    await assertRoomFor(tx, row.location, qty, row.id);
+    return {
+      fields: { ...restore, pallet_quantity: qty },
+      quantityAfter: qty,
+      location: row.location,
+      notes: `restored to ${row.location}`,
+    };
+  }
+
+  if (entry.action === "PARTIAL_REMOVE") {
+    const qty = Number(entry.quantity_before) || 0;
+    await assertRoomFor(tx, row.location, qty, row.id);
+    return {
+      fields: { ...(active ? {} : restore), pallet_quantity: qty },
+      quantityAfter: qty,
+      location: row.location,
+      notes: `${entry.quantity_changed} pallet(s) put back`,
+    };
+  }
+
+  if (entry.action === "UNITS_REMOVE") {
+    if (!active) {
+      if (!(Number(row.pallet_quantity) > 0)) throw httpError(409, "Pallet counts were not kept; check it in again");
+      await assertRoomFor(tx, row.location, row.pallet_quantity, row.id);
+    }
+    return {
+      fields: { ...(active ? {} : restore), current_units: Number(entry.quantity_before) || 0 },
+      quantityAfter: Number(row.pallet_quantity) || 0,
+      location: row.location,
+      notes: `${entry.quantity_changed} unit(s) put back`,
+    };
+  }
+
+  // MOVE
+  const from = (String(entry.notes || "").match(MOVE_NOTES_PATTERN) || [])[1];
+  if (!active) throw httpError(409, "Pallet is no longer in stock");
+  if (!from) throw httpError(409, "Original location of this move is unknown");
+  if (row.location !== entry.location) throw httpError(409, "Pallet has moved since");
+  await assertPicksFit(tx, row, { doing: "move it" });
+  await assertRoomFor(tx, from, row.pallet_quantity, row.id);
+  return {
+    fields: { location: from },
+    quantityAfter: Number(row.pallet_quantity) || 0,
+    location: from,
+    notes: `moved back from ${row.location} to ${from}`,
+  };
+}
+
+module.exports = function createPalletRoutes({ db, settings, broadcastInventoryChange }) {
+  const router = express.Router();
+
+  // Get all active pallets
+  router.get("/pallets", asyncRoute(async (req, res) => {
+    const scoped = requestedScope(req);
+    if (scoped === FORBIDDEN_SCOPE) return res.json([]);
+    return res.json(withParsedParts(await pallets.listActive(db, scoped)));
+  }));
+
+  // Search pallets
+  router.get("/pallets/search", asyncRoute(async (req, res) => {
+    const rows = await pallets.search(db, req.query.q, getScopedCustomers(req));
+    return res.json(withParsedParts(rows));
+  }));
+
+  // Dated pallets expiring within `days` (default 30), grouped per customer.
+  // Pallets already past their date are listed too, flagged as expired.
+  router.get("/pallets/expiring", asyncRoute(async (req, res) => {
+    const days = req.query.days == null || req.query.days === "" ? 30 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      return res.status(400).json({ error: "days must be a whole number between 0 and 365" });
+    }
+    const today = nowIso().slice(0, 10);
+    const until = new Date(Date.parse(`${today}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+    const scoped = requestedScope(req);
+    const rows = scoped === FORBIDDEN_SCOPE ? [] : await pallets.listExpiring(db, scoped, until);
+
+    const customers = new Map();
+    for (const row of rows) {
+      if (!customers.has(row.customer_name)) {
+        customers.set(row.customer_name, { customer_name: row.customer_name, expired: 0, expiring: 0, pallets: [] });
+      }
+      const group = customers.get(row.customer_name);
+      const daysLeft = Math.round((Date.parse(`${row.expires_on}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / 86400000);
+      const expired = daysLeft < 0;
+      group[expired ? "expired" : "expiring"] += Number(row.pallet_quantity) || 0;
+      group.pallets.push({
+        id: row.id,
+        product_id: row.product_id,
+        location: row.location,
+        pallet_quantity: row.pallet_quantity,
+        lot: row.lot,
+        batch: row.batch,
+        best_before: row.best_before,
+        expiry_date: row.expiry_date,
+        expires_on: row.expires_on,
+        days_left: daysLeft,
+        expired,
+      });
+    }
+    return res.json({ as_of: today, until, days, customers: [...customers.values()] });
+  }));
+
+  // Pallets on hold, grouped per customer.
+  router.get("/pallets/holds", asyncRoute(async (req, res) => {
+    const scoped = requestedScope(req);
+    const rows = scoped === FORBIDDEN_SCOPE ? [] : await pallets.listHeld(db, scoped);
+    return res.json({ customers: summarizeHolds(rows) });
+  }));
+
+  // Each stock mutation and its activity_log row commit together: billing is
+  // rebuilt from the log, so a lost audit row would mean a wrong invoice.
+  // `work` returns { body, event }; the response and the socket broadcast go
+  // out only after COMMIT.
+  async function commitStockChange(res, work) {
+    const { body, event } = await db.transaction(work);
+    res.json(body);
+    if (event) broadcastInventoryChange(event.action, event.data);
+  }
+
+  function deduped(message) {
+    return { body: { ok: true, deduped: true, message } };
+  }
+
+  async function lockActivePallet(tx, req, notFoundMessage = "Pallet not found") {
+    const row = await pallets.findActiveByIdOrProduct(tx, req.params.id);
+    if (!row) throw httpError(404, notFoundMessage);
+    if (!isCustomerAllowedForUser(req, row.customer_name)) throw httpError(403, "Customer outside your scope");
+    return row;
+  }
+
+  // Moving or taking stock off a held pallet needs `override_hold: true` from
+  // an admin.
+  function guardHold(tx, req, row, operation, audit) {
+    const override = req.body?.override_hold === true;
+    if (override && row.hold_status && !["owner", "admin"].includes(String(req.user?.role || "").toLowerCase())) {
+      throw httpError(403, "Only an admin can override a hold");
+    }
+    return assertNotHeld(tx, row, { override, operation, audit });
+  }
+
+  // Check in a pallet
+  router.post("/pallets", requireWriteRole, asyncRoute(async (req, res) => {
+    const {
+      id,
+      customer_name,
+      pallet_quantity,
+      product_quantity,
+      parts,
+      date_added,
+      scanned_by,
+    } = req.body;
+    const location = canonicalizeLegacyLocation(req.body.location);
+
+    if (!customer_name || !String(req.body.product_id || "").trim() || !location) {
+      return res.status(400).json({ error: "Customer name, Product ID and location required" });
+    }
+    if (!isCustomerAllowedForUser(req, customer_name)) {
+      return res.status(403).json({ error: "Customer outside your scope" });
+    }
+    // Catalogue products check in under their SKU and bring their default
+    // units per pallet when none was given.
+    const { product_id, product } = await resolveProduct(db, customer_name, req.body.product_id);
+
+    const palletQty = Number(pallet_quantity) || 1;
+    const unitsGiven = product_quantity != null && product_quantity !== "";
+    const unitsPerPallet = Number(unitsGiven ? product_quantity : product?.units_per_pallet) || 0;
+    const currentUnits = palletQty * unitsPerPallet;
+    const audit = getAuditContext(req, scanned_by || "Unknown");
+    const normalizedDateAdded = normalizeDateAdded(date_added);
+    if (String(date_added || "").trim() && !normalizedDateAdded) {
+      return res.status(400).json({ error: "Invalid date_added format. Use YYYY-MM-DD" });
+    }
+    const lotFields = { lot: null, batch: null, best_before: null, expiry_date: null, ...readLotFields(req.body) };
+    await assertScannedLabel(db, settings.read(), req.body.label_payload, {
+      id,
+      customer_name,
+      product_id: req.body.product_id,
+      product_quantity,
+    });
+
+    await commitStockChange(res, async (tx) => {
+      if (await isDuplicateRequest(tx, audit.idempotencyKey)) return deduped("Duplicate request ignored");
+
+      const palletId = await resolvePalletId(tx, customer_name, id);
+      const logged = await checkInPallet(tx, {
+        id: palletId,
+        customer_name,
+        product_id,
+        pallet_quantity: palletQty,
+        product_quantity: unitsPerPallet,
+        location,
+        parts: parts ? JSON.stringify(parts) : null,
+        date_added: normalizedDateAdded,
+        ...lotFields,
+      }, audit);
+
+      const dateAdded = normalizedDateAdded || nowIso();
+      return {
+        body: {
+          id: palletId,
+          customer_name,
+          product_id,
+          pallet_quantity: palletQty,
+          product_quantity: unitsPerPallet,
+          location,
+          parts: parts || null,
+          date_added: dateAdded,
+          ...lotFields,
+          activity_id: logged.lastID,
+          message: "Pallet checked in successfully",
+        },
+        event: {
+          action: "add_pallet",
+          data: {
+            id: palletId,
+            customer_name,
+            product_id,
+            pallet_quantity: palletQty,
+            product_quantity: unitsPerPallet,
+            current_units: currentUnits,
+            location,
+            parts,
+            date_added: dateAdded,
+            ...lotFields,
+            scanned_by: audit.scannedBy,
+          },
+        },
+      };
+    });
+  }));
+
+  // Move a pallet to a different location
+  router.post("/pallets/:id/move", requireWriteRole, asyncRoute(async (req, res) => {
+    const toLocation = canonicalizeLegacyLocation(req.body?.to_location);
+    const audit = getAuditContext(req, "Scan");
+
+    if (!toLocation) {
+      return res.status(400).json({ error: "to_location is required" });
+    }
+
+    await commitStockChange(res, async (tx) => {
+      if (await isDuplicateRequest(tx, audit.idempotencyKey)) return deduped("Duplicate request ignored");
+
+      const row = await lockActivePallet(tx, req, "Pallet not found or already removed");
+      const palletId = row.id;
+      const fromLocation = String(row.location || "").toUpperCase();
+      if (!fromLocation) throw httpError(400, "Pallet has no current location");
+      if (fromLocation === toLocation) {
+        return {
+          body: {
+            ok: true,
+            id: palletId,
+            from_location: fromLocation,
+            to_location: toLocation,
+            message: "Pallet already in that location",
+          },
+        };
+      }
+
+      if (await isRecentDuplicateAction(tx, { palletId, action: "MOVE", location: toLocation, quantityChanged: 0 })) {
+        return deduped("Duplicate move ignored");
+      }
+      await guardHold(tx, req, row, `move to ${toLocation}`, audit);
+      await assertPicksFit(tx, row, { doing: "move it" });
+      await assertRoomFor(tx, toLocation, row.pallet_quantity, palletId);
+
+      assertUpdated(await pallets.updateFields(tx, palletId, row.version, { location: toLocation }));
+      const logged = await activity.insert(tx, {
+        pallet_id: palletId,
+        customer_name: row.customer_name,
+        product_id: row.product_id,
+        action: "MOVE",
+        quantity_changed: 0,
+        quantity_before: Number(row.pallet_quantity) || 0,
+        quantity_after: Number(row.pallet_quantity) || 0,
+        location: toLocation,
+        notes: `Moved from ${fromLocation} to ${toLocation}`,
+        ...auditColumns(audit),
+      });
+
+      const payload = {
+        id: palletId,
+        customer_name: row.customer_name,
+        product_id: row.product_id,
+        pallet_quantity: Number(row.pallet_quantity) || 0,
+        product_quantity: Number(row.product_quantity) || 0,
+        from_location: fromLocation,
+        to_location: toLocation,
+        scanned_by: audit.scannedBy,
+      };
+      return {
+        body: { ok: true, ...payload, activity_id: logged.lastID, message: "Pallet moved successfully" },
+        event: { action: "move_pallet", data: payload },
+      };
+    });
+  }));
+
+  // Split some of an entry's pallets off into a new entry, which keeps the
+  // original date_added so storage billing carries on from the first check-in.
+  router.post("/pallets/:id/split", requireWriteRole, asyncRoute(async (req, res) => {
+    const audit = getAuditContext(req, req.body?.scanned_by || "Unknown");
+    const quantity = Number(req.body?.quantity);
+    const requestedId = String(req.body?.new_pallet_id || "").trim();
+    const toLocation = req.body?.to_location ? canonicalizeLegacyLocation(req.body.to_location) : null;
+
+    await commitStockChange(res, async (tx) => {
+      if (await isDuplicateRequest(tx, audit.idempotencyKey)) return deduped("Duplicate request ignored");
+
+      const row = await lockActivePallet(tx, req);
+      const location = toLocation || row.location;
+      await guardHold(tx, req, row, "split", audit);
+      const newId = await resolvePalletId(tx, row.customer_name, requestedId);
+      const { pallet, remaining, unitsRemaining, activityIds } = await splitPallet(tx, row, { quantity, newId, location }, audit);
+
+      const payload = {
+        source_id: row.id,
+        source_remaining: remaining,
+        source_units_remaining: unitsRemaining,
+        pallet,
+      };
+      return {
+        body: { ok: true, ...payload, activity_ids: activityIds, message: `Split ${quantity} pallet(s) off ${row.id} as ${pallet.id}` },
+        event: { action: "split_pallet", data: { ...payload, scanned_by: audit.scannedBy } },
+      };
+    });
+  }));
+
+  // Merge this entry into another entry of the same stock (`into`).
+  router.post("/pallets/:id/merge", requireWriteRole, asyncRoute(async (req, res) => {
+    const audit = getAuditContext(req, req.body?.scanned_by || "Unknown");
+    const intoId = String(req.body?.into || "").trim();
+    if (!intoId) return res.status(400).json({ error: "into is required" });
+
+    await commitStockChange(res, async (tx) => {
+      if (await isDuplicateRequest(tx, audit.idempotencyKey)) return deduped("Duplicate request ignored");
+
+      const source = await lockActivePallet(tx, req);
+      const target = await pallets.findById(tx, intoId);
+      if (!target || target.status !== "active" || !isCustomerAllowedForUser(req, target.customer_name)) {
+        throw httpError(404, `Pallet ${intoId} not found`);
+      }
+      await guardHold(tx, req, source, `merge into ${target.id}`, audit);
+      await guardHold(tx, req, target, `merge ${source.id} in`, audit);
+      const { activityIds } = await mergePallets(tx, source, target, audit);
+      const merged = await pallets.findById(tx, target.id);
+
+      const payload = { merged_id: source.id, pallet: { ...merged, parts: safeParseParts(merged.parts) } };
+      return {
+        body: { ok: true, ...payload, activity_ids: activityIds, message: `Merged ${source.id} into ${target.id}` },
+        event: { action: "merge_pallet", data: { ...payload, scanned_by: audit.scannedBy } },
+      };
+    });
+  }));
+
+  // Put a pallet on hold (quarantine, damaged, customer hold, QC pending), or
+  // change which hold it is on.
+  router.post("/pallets/:id/hold", requireWriteRole, asyncRoute(async (req, res) => {
+    const audit = getAuditContext(req, req.body?.scanned_by || "Unknown");
+    const status = readHoldStatus(req.body?.status);
+    const reason = String(req.body?.reason || "").trim();
+
+    await commitStockChange(res, async (tx) => {
+      if (await isDuplicateRequest(tx, audit.idempotencyKey)) return deduped("Duplicate request ignored");
+
+      const row = await lockActivePallet(tx, req);
+      const logged = await placeHold(tx, row, { status, reason }, audit);
+      const pallet = await pallets.findById(tx, row.id);
+      const payload = {
+        id: row.id,
+        customer_name: row.customer_name,
+        hold_status: status,
+        hold_reason: reason,
+        hold_by: pallet.hold_by,
+        hold_at: pallet.hold_at,
+      };
+      return {
+        body: { ok: true, ...payload, activity_id: logged.lastID, message: `${row.id} put on hold` },
+        event: { action: "hold_pallet", data: { ...payload, scanned_by: audit.scannedBy } },
+      };
+    });
+  }));
+
+  router.post("/pallets/:id/release", requireWriteRole, asyncRoute(async (req, res) => {
+    const audit = getAuditContext(req, req.body?.scanned_by || "Unknown");
+    const reason = String(req.body?.reason || "").trim() || null;
+
+    await commitStockChange(res, async (tx) => {
+      if (await isDuplicateRequest(tx, audit.idempotencyKey)) return deduped("Duplicate request ignored");
+
+      const row = await lockActivePallet(tx, req);
+      const logged = await releaseHold(tx, row, reason, audit);
+      const payload = { id: row.id, customer_name: row.customer_name, released_from: row.hold_status };
+      return {
+        body: { ok: true, ...payload, activity_id: logged.lastID, message: `${row.id} released from hold` },
+        event: { action: "release_pallet", data: { ...payload, scanned_by: audit.scannedBy } },
+      };
+    });
+  }));
+
+  // Partial quantity removal
+  router.post("/pallets/:id/remove-quantity", requireWriteRole, asyncRoute(async (req, res) => {
+    const { quantity_to_remove, scanned_by } = req.body;
+    const audit = getAuditContext(req, scanned_by || "Unknown");
+
+    if (!quantity_to_remove || quantity_to_remove <= 0) {
+      return res.status(400).json({ error: "Valid quantity required" });
+    }
+
+    await commitStockChange(res, async (tx) => {
+      if (await isDuplicateRequest(tx, audit.idempotencyKey)) return deduped("Duplicate request ignored");
+
+      const row = await lockActivePallet(tx, req);
+      const qtyToRemove = Number(quantity_to_remove) || 0;
+      const dupMatch = { palletId: row.id, action: "PARTIAL_REMOVE", location: row.location, quantityChanged: qtyToRemove };
+      if (await isRecentDuplicateAction(tx, dupMatch)) return deduped("Duplicate removal ignored");
+      await guardHold(tx, req, row, "remove pallets", audit);
+      const palletsAfter = (Number(row.pallet_quantity) || 0) - qtyToRemove;
+      await assertPicksFit(tx, row, { palletsAfter, unitsAfter: Number(row.current_units) || 0, emptied: palletsAfter <= 0 });
+
+      const { logged, quantityAfter, emptied } = await removePallets(tx, row, qtyToRemove, audit);
+
+      const eventData = {
+        customer_name: row.customer_name,
+        product_id: row.product_id,
+        location: row.location,
+        quantity_removed: qtyToRemove,
+      };
+      if (emptied) {
+        return {
+          body: {
+            message: "All pallets removed. Location freed.",
+            quantity_removed: qtyToRemove,
+            quantity_remaining: 0,
+            pallet_removed: true,
+            activity_id: logged.lastID,
+          },
+          event: { action: "delete_pallet", data: { ...eventData, scanned_by: audit.scannedBy } },
+        };
+      }
+      return {
+        body: {
+          message: `Removed ${qtyToRemove} pallet(s). ${quantityAfter} remaining.`,
+          quantity_removed: qtyToRemove,
+          quantity_remaining: quantityAfter,
+          pallet_removed: false,
+          activity_id: logged.lastID,
+        },
+        event: {
+          action: "remove_pallets",
+          data: { ...eventData, quantity_remaining: quantityAfter, scanned_by: audit.scannedBy },
+        },
+      };
+    });
+  }));
+
+  // Remove partial units from pallet
+  router.post("/pallets/:id/remove-units", requireWriteRole, asyncRoute(async (req, res) => {
+    const { units_to_remove, scanned_by } = req.body;
+    const audit = getAuditContext(req, scanned_by || "Unknown");
+
+    if (!units_to_remove || units_to_remove <= 0) {
+      return res.status(400).json({ error: "Valid unit quantity required" });
+    }
+
+    await commitStockChange(res, async (tx) => {
+      if (await isDuplicateRequest(tx, audit.idempotencyKey)) return deduped("Duplicate request ignored");
+
+      const row = await lockActivePallet(tx, req);
+      const unitsToRemove = Number(units_to_remove) || 0;
+      const dupMatch = { palletId: row.id, action: "UNITS_REMOVE", location: row.location, quantityChanged: unitsToRemove };
+      if (await isRecentDuplicateAction(tx, dupMatch)) return deduped("Duplicate removal ignored");
+      await guardHold(tx, req, row, "remove units", audit);
+      const unitsLeft = (Number(row.current_units) || 0) - unitsToRemove;
+      await assertPicksFit(tx, row, { palletsAfter: Number(row.pallet_quantity) || 0, unitsAfter: unitsLeft, emptied: unitsLeft <= 0 });
+
+      const { logged, unitsAfter, emptied } = await removeUnits(tx, row, unitsToRemove, audit);
+
+      const eventData = {
+        customer_name: row.customer_name,
+        product_id: row.product_id,
+        location: row.location,
+        units_removed: unitsToRemove,
+      };
+      if (emptied) {
+        return {
+          body: {
+            message: "All units removed. Location freed.",
+            units_removed: unitsToRemove,
+            units_remaining: 0,
+            pallets_remaining: 0,
+            pallet_removed: true,
+            activity_id: logged.lastID,
+          },
+          event: { action: "delete_pallet", data: { ...eventData, scanned_by: audit.scannedBy } },
+        };
+      }
+      return {
+        body: {
+          message: `Removed ${unitsToRemove} units. ${unitsAfter} total units remaining.`,
+          units_removed: unitsToRemove,
+          units_remaining: unitsAfter,
+          pallets_remaining: row.pallet_quantity,
+          units_per_pallet: row.product_quantity,
+          current_units: unitsAfter,
+          pallet_removed: false,
+          activity_id: logged.lastID,
+        },
+        event: {
+          action: "remove_units",
+          data: { ...eventData, units_remaining: unitsAfter, scanned_by: audit.scannedBy },
+        },
+      };
+    });
+  }));
+
+  // Remove part numbers from a pallet's parts list; the last part out checks
+  // the pallet out.
+  router.post("/pallets/:id/remove-parts", requireWriteRole, asyncRoute(async (req, res) => {
+    const audit = getAuditContext(req, req.body?.scanned_by || "Unknown");
+    if (!Array.isArray(req.body?.parts) || !req.body.parts.length) {
+      return res.status(400).json({ error: "parts must list at least one part_number and quantity" });
+    }
+
+    await commitStockChange(res, async (tx) => {
+      if (await isDuplicateRequest(tx, audit.idempotencyKey)) return deduped("Duplicate request ignored");
+
+      const row = await lockActivePallet(tx, req);
+      await guardHold(tx, req, row, "remove parts", audit);
+      const { parts, unitsAfter, emptied, activityIds } = await removeParts(tx, row, req.body.parts, audit);
+      const removed = req.body.parts.reduce((sum, p) => sum + (Number(p?.quantity ?? 1) || 0), 0);
+      const eventData = {
+        id: row.id,
+        customer_name: row.customer_name,
+        product_id: row.product_id,
+        location: row.location,
+        parts_removed: removed,
+        scanned_by: audit.scannedBy,
+      };
+      return {
+        body: {
+          ok: true,
+          message: emptied ? "All parts removed. Pallet checked out." : `Removed ${removed} part(s). ${parts.length} part number(s) left.`,
+          parts,
+          current_units: unitsAfter,
+          pallet_removed: emptied,
+          activity_ids: activityIds,
+        },
+        event: emptied
+          ? { action: "delete_pallet", data: eventData }
+          : { action: "remove_parts", data: { ...eventData, parts, current_units: unitsAfter } },
+      };
+    });
+  }));
+
+  // Check out a pallet
+  router.delete("/pallets/:id", requireWriteRole, asyncRoute(async (req, res) => {
+    const audit = getAuditContext(req, "Scan");
+
+    await commitStockChange(res, async (tx) => {
+      if (await isDuplicateRequest(tx, audit.idempotencyKey)) return deduped("Duplicate request ignored");
+
+      const row = await lockActivePallet(tx, req);
+      const dupMatch = { palletId: row.id, action: "CHECK_OUT", location: row.location, quantityChanged: Number(row.pallet_quantity) || 0 };
+      if (await isRecentDuplicateAction(tx, dupMatch)) return deduped("Duplicate check-out ignored");
+      await guardHold(tx, req, row, "check out", audit);
+      await assertPicksFit(tx, row, { doing: "check it out" });
+
+      assertUpdated(await pallets.markRemoved(tx, row.id, row.version));
+      const logged = await activity.insert(tx, {
+        pallet_id: row.id,
+        customer_name: row.customer_name,
+        product_id: row.product_id,
+        action: "CHECK_OUT",
+        quantity_changed: row.pallet_quantity,
+        quantity_before: row.pallet_quantity,
+        location: row.location,
+        notes: "Full pallet removed",
+        ...auditColumns(audit),
+      });
+
+      return {
+        body: { message: "Pallet checked out successfully", activity_id: logged.lastID },
+        event: {
+          action: "delete_pallet",
+          data: {
+            customer_name: row.customer_name,
+            product_id: row.product_id,
+            location: row.location,
+            scanned_by: audit.scannedBy,
+          },
+        },
+      };
+    });
+  }));
+
+  // Correct a pallet in place. The client sends the version it last saw plus
+  // only the fields it wants to change.
+  router.patch("/pallets/:id", requireWriteRole, asyncRoute(async (req, res) => {
+    const body = req.body || {};
+    const audit = getAuditContext(req, body.scanned_by || "Unknown");
+    const reason = String(body.reason || "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+    const expectedVersion = Number(body.version);
+
+    if (!ADJUST_REASONS.has(reason)) {
+      return res.status(400).json({ error: `reason must be one of ${[...ADJUST_REASONS].join(", ")}` });
+    }
+    if (!Number.isInteger(expectedVersion) || expectedVersion < 0) {
+      return res.status(400).json({ error: "version is required" });
+    }
+
+    const changes = {};
+    if (body.customer_name !== undefined) {
+      changes.customer_name = String(body.customer_name || "").trim();
+      if (!changes.customer_name) return res.status(400).json({ error: "customer_name cannot be empty" });
+      if (!isCustomerAllowedForUser(req, changes.customer_name)) {
+        return res.status(403).json({ error: "Customer outside your scope" });
+      }
+    }
+    if (body.product_id !== undefined) {
+      changes.product_id = String(body.product_id || "").trim();
+      if (!changes.product_id) return res.status(400).json({ error: "product_id cannot be empty" });
+    }
+    if (body.pallet_quantity !== undefined) {
+      changes.pallet_quantity = Number(body.pallet_quantity);
+      if (!Number.isInteger(changes.pallet_quantity) || changes.pallet_quantity < 1) {
+        return res.status(400).json({ error: "pallet_quantity must be a whole number of at least 1" });
+      }
+    }
+    if (body.product_quantity !== undefined) {
+      changes.product_quantity = Number(body.product_quantity);
+      if (!Number.isInteger(changes.product_quantity) || changes.product_quantity < 0) {
+        return res.status(400).json({ error: "product_quantity must be a whole number >= 0" });
+      }
+    }
+    if (body.current_units !== undefined) {
+      changes.current_units = Number(body.current_units);
+      if (!Number.isInteger(changes.current_units) || changes.current_units < 0) {
+        return res.status(400).json({ error: "current_units must be a whole number >= 0" });
+      }
+    }
+    if (body.parts !== undefined) {
+      if (body.parts !== null && !Array.isArray(body.parts)) {
+        return res.status(400).json({ error: "parts must be a list or null" });
+      }
+      changes.parts = body.parts && body.parts.length ? JSON.stringify(body.parts) : null;
+    }
+    if (body.date_added !== undefined) {
+      changes.date_added = normalizeDateAdded(body.date_added);
+      if (!changes.date_added) return res.status(400).json({ error: "Invalid date_added format. Use YYYY-MM-DD" });
+    }
+    Object.assign(changes, readLotFields(body));
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ error: "No update fields provided" });
+    }
+
+    await commitStockChange(res, async (tx) => {
+      if (await isDuplicateRequest(tx, audit.idempotencyKey)) return deduped("Duplicate request ignored");
+
+      const row = await pallets.findById(tx, req.params.id);
+      if (!row || row.status !== "active") throw httpError(404, "Pallet not found");
+      if (!isCustomerAllowedForUser(req, row.customer_name)) throw httpError(403, "Customer outside your scope");
+      if (Number(row.version) !== expectedVersion) throw httpError(409, CONFLICT_MESSAGE);
+      if (changes.product_id !== undefined) {
+        changes.product_id = (await resolveProduct(tx, changes.customer_name || row.customer_name, changes.product_id)).product_id;
+      }
+
+      const fields = {};
+      for (const [key, value] of Object.entries(changes)) {
+        if (String(row[key] ?? "") !== String(value ?? "")) fields[key] = value;
+      }
+
+      // Unit counts follow pallet/unit corrections unless given explicitly.
+      if (fields.current_units === undefined && (fields.pallet_quantity !== undefined || fields.product_quantity !== undefined)) {
+        const units = recountUnits(
+          row,
+          fields.pallet_quantity ?? (Number(row.pallet_quantity) || 0),
+          fields.product_quantity ?? (Number(row.product_quantity) || 0)
+        );
+        if (units !== Number(row.current_units)) fields.current_units = units;
+      }
+      if (!Object.keys(fields).length) throw httpError(400, "Nothing to change");
+      if (fields.pallet_quantity > (Number(row.pallet_quantity) || 0)) {
+        await assertRoomFor(tx, row.location, fields.pallet_quantity, row.id);
+      }
+
+      assertUpdated(await pallets.updateFields(tx, row.id, expectedVersion, fields));
+
+      const summary = Object.keys(fields)
+        .filter((key) => key !== "parts")
+        .map((key) => `${key}: ${row[key] ?? ""} → ${fields[key] ?? ""}`);
+      if (fields.parts !== undefined) summary.push("parts list updated");
+      const userNotes = String(body.notes || "").trim();
+      const notes = [summary.join("; "), userNotes].filter(Boolean).join(" — ");
+
+      const quantityBefore = Number(row.pallet_quantity) || 0;
+      const quantityAfter = fields.pallet_quantity ?? quantityBefore;
+      const customerAfter = fields.customer_name ?? row.customer_name;
+      const entry = {
+        pallet_id: row.id,
+        product_id: fields.product_id ?? row.product_id,
+        action: "ADJUST",
+        location: row.location,
+        notes,
+        reason_code: reason,
+        ...auditColumns(audit),
+      };
+
+      // Billing replays activity per customer, so a customer correction closes
+      // the pallet out of the old customer's history and opens it in the new one.
+      if (customerAfter !== row.customer_name) {
+        await customers.ensure(tx, customerAfter);
+        await activity.insert(tx, {
+          ...entry,
+          customer_name: row.customer_name,
+          product_id: row.product_id,
+          quantity_changed: -quantityBefore,
+          quantity_before: quantityBefore,
+          quantity_after: 0,
+          idempotency_key: null,
+        });
+        await activity.insert(tx, {
+          ...entry,
+          customer_name: customerAfter,
+          quantity_changed: quantityAfter,
+          quantity_before: 0,
+          quantity_after: quantityAfter,
+        });
+      } else {
+        await activity.insert(tx, {
+          ...entry,
+          customer_name: row.customer_name,
+          quantity_changed: quantityAfter - quantityBefore,
+          quantity_before: quantityBefore,
+          quantity_after: quantityAfter,
+        });
+      }
+
+      const updated = { ...(await pallets.findById(tx, row.id)) };
+      updated.parts = safeParseParts(updated.parts);
+      return {
+        body: { ok: true, pallet: updated, message: "Pallet updated" },
+        event: { action: "update_pallet", data: { ...updated, reason, scanned_by: audit.scannedBy } },
+      };
+    });
+  }));
+
+  // Per-pallet activity timeline for Info modal
+  router.get("/pallets/:id/history", asyncRoute(async (req, res) => {
+    const id = String(req.params.id || "").trim();
+    if (!id) return res.status(400).json({ error: "Invalid pallet id" });
+
+    const pallet = await pallets.findById(db, id);
+    if (!pallet) return res.status(404).json({ error: "Pallet not found" });
+    if (!isCustomerAllowedForUser(req, pallet.customer_name)) {
+      return res.status(403).json({ error: "Customer outside your scope" });
+    }
+    return res.json(await activity.listForPallet(db, id));
+  }));
+
+  // Activity log
+  router.get("/activity", asyncRoute(async (req, res) => {
+    const scoped = requestedScope(req);
+    if (scoped === FORBIDDEN_SCOPE) return res.json([]);
+    const limit = req.query.limit ? parseInt(req.query.limit) : null;
+    return res.json(await activity.list(db, scoped, limit));
+  }));
+
+  // Undo a stock action by logging a compensating REVERSAL entry; the original
+  // entry stays in history. Only a pallet's most recent action can be undone,
+  // since anything after it was done against the state being rolled back.
+  // Held pallets need an admin's override, as for other stock changes.
+  router.post("/activity/:id/reverse", requireWriteRole, asyncRoute(async (req, res) => {
+    const activityId = Number(req.params.id);
+    if (!Number.isInteger(activityId) || activityId <= 0) {
+      return res.status(400).json({ error: "Invalid activity id" });
+    }
+    const audit = getAuditContext(req, "Undo");
+
+    await commitStockChange(res, async (tx) => {
+      if (await isDuplicateRequest(tx, audit.idempotencyKey)) return deduped("Duplicate request ignored");
+
+      const entry = await activity.findById(tx, activityId);
+      if (!entry) throw httpError(404, "Activity not found");
+      if (!isCustomerAllowedForUser(req, entry.customer_name)) throw httpError(403, "Customer outside your scope");
+      if (!REVERSIBLE_ACTIONS.has(entry.action)) throw httpError(400, `${entry.action} cannot be undone`);
+      if (await activity.findReversalOf(tx, activityId)) throw httpError(409, "This action has already been undone");
+      const latest = await activity.findLatestForPallet(tx, entry.pallet_id);
+      if (latest?.id !== activityId) throw httpError(409, "Only the most recent action on a pallet can be undone");
+
+      const row = await pallets.findById(tx, entry.pallet_id);
+      if (!row) throw httpError(404, "Pallet not found");
+      await guardHold(tx, req, row, `undo ${entry.action} #${entry.id}`, audit);
+
+      const plan = await planReversal(tx, entry, row);
+      assertUpdated(await pallets.updateFields(tx, row.id, row.version, plan.fields));
+
+      const quantityBefore = row.status === "active" ? Number(row.pallet_quantity) || 0 : 0;
+      const logged = await activity.insert(tx, {
+        pallet_id: row.id,
+        customer_name: row.customer_name,
+        product_id: row.product_id,
+        action: "REVERSAL",
+        quantity_changed: plan.quantityAfter - quantityBefore,
+        quantity_before: quantityBefore,
+        quantity_after: plan.quantityAfter,
+        location: plan.location,
+        notes: `Undo of ${entry.action} #${entry.id}: ${plan.notes}`,
+        reverses_activity_id: entry.id,
+        ...auditColumns(audit),
+      });
+
+      const pallet = { ...(await pallets.findById(tx, row.id)) };
+      pallet.parts = safeParseParts(pallet.parts);
+      return {
+        body: {
+          ok: true,
+          activity_id: logged.lastID,
+          reversed_activity_id: entry.id,
+          pallet,
+          message: "Action undone",
+        },
+        event: {
+          action: "reverse_action",
+          data: { pallet, reversed_action: entry.action, scanned_by: audit.scannedBy },
+        },
+      };
+    });
+  }));
+
+  // Export to CSV
+  router.get("/export", asyncRoute(async (req, res) => {
+    const scoped = requestedScope(req);
+    const rows = scoped === FORBIDDEN_SCOPE ? [] : await pallets.listActive(db, scoped);
+    const csv = toCsv([
+      CSV_HEADER,
+      ...rows.map((p) => [
+        p.customer_name,
+        p.product_id,
+        p.pallet_quantity,
+        p.product_quantity,
+        p.location,
+        p.date_added,
+        p.lot,
+        p.batch,
+        p.best_before,
+        p.expiry_date,
+      ]),
+    ]);
+
+    res.header("Content-Type", "text/csv");
+    res.attachment("inventory.csv");
+    res.send(csv);
+  }));
+
+  return router;
+};
@@ -0,0 +1,105 @@
+const express = require("express");
+const products = require("../repositories/products");
+const { asyncRoute, httpError } = require("../lib/http");
+const { readProductFields, assertCodesFree, withAliases, resolveProduct } = require("../services/products");
+const {
+  FORBIDDEN_SCOPE,
+  requireAdminRole,
+  getScopedCustomers,
+  applyCustomerScope,
+  isCustomerAllowedForUser,
+} = require("../middleware/auth");
+
+module.exports = function createProductRoutes({ db }) {
+  const router = express.Router();
+
+  async function loadProduct(dbOrTx, req) {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) throw httpError(400, "Invalid product id");
+    const product = await products.findById(dbOrTx, id);
+    if (!product || !isCustomerAllowedForUser(req, product.customer_name)) throw httpError(404, "Product not found");
+    return product;
+  }
+
+  async function productDetail(id) {
+    const [product] = await withAliases(db, [await products.findById(db, id)]);
+    return product;
+  }
+
+  // Feeds the check-in autocomplete as well as the Settings screen.
+  router.get("/products", asyncRoute(async (req, res) => {
+    const scoped = applyCustomerScope({ requestedCustomer: req.query.customer, scopedCustomers: getScopedCustomers(req) });
+    if (scoped === FORBIDDEN_SCOPE) return res.json([]);
+    const rows = await products.list(db, scoped, {
+      q: String(req.query.q || "").trim(),
+      includeInactive: ["1", "true"].includes(String(req.query.include_inactive || "").toLowerCase()),
+    });
+    return res.json(await withAliases(db, rows));
+  }));
+
+  router.get("/products/resolve", asyncRoute(async (req, res) => {
+    const customerName = String(req.query.customer || "").trim();
+    const code = String(req.query.code || "").trim();
+    if (!customerName || !code) return res.status(400).json({ error: "customer and code are required" });
+    if (!isCustomerAllowedForUser(req, customerName)) return res.status(404).json({ error: "Product not found" });
+    const { product_id, product } = await resolveProduct(db, customerName, code);
+    return res.json({ product_id, product: product ? await productDetail(product.id) : null });
+  }));
+
+  router.post("/products", requireAdminRole, asyncRoute(async (req, res) => {
+    const { fields, aliases = [] } = readProductFields(req.body, { creating: true });
+    if (!isCustomerAllowedForUser(req, fields.customer_name)) {
+      return res.status(403).json({ error: "Customer outside your scope" });
+    }
+
+    const id = await db.transaction(async (tx) => {
+      const draft = { id: null, customer_name: fields.customer_name };
+      await assertCodesFree(tx, draft, [fields.product_id, ...aliases]);
+      const created = await products.insert(tx, fields);
+      const product = { id: created.lastID, customer_name: fields.customer_name };
+      await products.replaceAliases(tx, product, aliases.filter((a) => a.toUpperCase() !== fields.product_id.toUpperCase()));
+      return product.id;
+    });
+    return res.json({ ok: true, product: await productDetail(id) });
+  }));
+
+  // The SKU itself can't be changed here: pallets already carry it.
+  router.patch("/products/:id", requireAdminRole, asyncRoute(async (req, res) => {
+    if (req.body?.product_id !== undefined || req.body?.customer_name !== undefined) {
+      return res.status(400).json({ error: "product_id and customer_name cannot be changed" });
+    }
+    const { fields, aliases } = readProductFields(req.body);
+    if (!Object.keys(fields).length && aliases === undefined) {
+      return res.status(400).json({ error: "No update fields provided" });
+    }
+
+    const id = await db.transaction(async (tx) => {
+      const product = await loadProduct(tx, req);
+      if (Object.keys(fields).length) await products.update(tx, product.id, fields);
+      if (aliases !== undefined) {
+        const extra = aliases.filter((a) => a.toUpperCase() !== product.product_id.toUpperCase());
+        await assertCodesFree(tx, product, extra);
+        await products.replaceAliases(tx, product, extra);
+      }
+      return product.id;
+    });
+    return res.json({ ok: true, product: await productDetail(id) });
+  }));
+
+  // Products still in stock can only be deactivated, so the pallets keep a
+  // catalogue entry to resolve against.
+  router.delete("/products/:id", requireAdminRole, asyncRoute(async (req, res) => {
+    await db.transaction(async (tx) => {
+      const product = await loadProduct(tx, req);
+      const inStock = await products.countActivePallets(tx, product);
+      if (inStock > 0) {
+        throw httpError(409, `${product.product_id} is on ${inStock} pallet(s) in stock; deactivate it instead`);
+      }
+      await products.removeAliases(tx, product.id);
+      await products.remove(tx, product.id);
+    });
+    return res.json({ ok: true });
+  }));
+
+  return router;
+};
@@ -0,0 +1,133 @@
+const express = require("express");
+const { requireAdminRole } = require("../middleware/auth");
+const { HELD_BILLING_MODES, readHeldBilling } = require("../services/holds");
+const { LEGACY_LABEL_POLICIES, readLegacyLabelPolicy } = require("../services/labels");
+
+function clampSyncMinutes(value) {
+  return Math.max(1, Math.min(1440, Number(value) || 15));
+}
+
+module.exports = function createSettingsRoutes({ settings, sheets }) {
+  const router = express.Router();
+
+  // Read-merge-write so each form only touches its own keys.
+  function saveSettings(res, patch, failureMessage, onSaved) {
+    try {
+      settings.write({ ...settings.read(), ...patch });
+      if (onSaved) onSaved();
+      return true;
+    } catch (e) {
+      res.status(500).json({ error: e.message || failureMessage });
+      return false;
+    }
+  }
+
+  router.get("/settings", (req, res) => {
+    const s = settings.read();
+    const heldBilling = readHeldBilling(s);
+    res.json({
+      googleSheetsUrl: s.googleSheetsUrl || s.appsScriptUrl || "",
+      appsScriptUrl: s.appsScriptUrl || s.googleSheetsUrl || "",
+      companyName: String(s.companyName || "Warehouse Tracker"),
+      appTagline: String(s.appTagline || "Live inventory • PWA"),
+      logoUrl: String(s.logoUrl || ""),
+      accentColor: String(s.accentColor || "#3b82f6"),
+      authDisabled: Number(s.authDisabled || 0),
+      autoSheetsSyncEnabled: Number(s.autoSheetsSyncEnabled || 0),
+      autoSheetsSyncMinutes: clampSyncMinutes(s.autoSheetsSyncMinutes),
+      autoSheetsSyncState: sheets.state,
+      heldStockBilling: heldBilling.mode,
+      heldStockRatePerPalletWeek: heldBilling.rate,
+      legacyLabelPolicy: readLegacyLabelPolicy(s),
+    });
+  });
+
+  router.post("/settings/google-sheets", requireAdminRole, (req, res) => {
+    const urlRaw = String(req.body?.url || "").trim();
+    if (urlRaw && !/^https:\/\//i.test(urlRaw)) {
+      return res.status(400).json({ error: "Google Sheets URL must start with https://" });
+    }
+    if (!saveSettings(res, { googleSheetsUrl: urlRaw, appsScriptUrl: urlRaw }, "Unable to save Google Sheets URL")) return;
+    return res.json({ ok: true, googleSheetsUrl: urlRaw, appsScriptUrl: urlRaw });
+  });
+
+  router.post("/settings/branding", requireAdminRole, (req, res) => {
+    const companyName = String(req.body?.companyName || "").trim() || "Warehouse Tracker";
+    const appTagline = String(req.body?.appTagline || "").trim() || "Live inventory • PWA";
+    const logoUrl = String(req.body?.logoUrl || "").trim();
+    const accentColorRaw = String(req.body?.accentColor || "").trim();
+    const accentColor = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(accentColorRaw) ? accentColorRaw : "#3b82f6";
+
+    const branding = { companyName, appTagline, logoUrl, accentColor };
+    if (!saveSettings(res, branding, "Unable to save branding settings")) return;
+    return res.json({ ok: true, ...branding });
+  });
+
+  router.post("/settings/sheets-auto", requireAdminRole, (req, res) => {
+    const enabled = Number(req.body?.enabled || 0) ? 1 : 0;
+    const minutes = clampSyncMinutes(req.body?.minutes);
+
+    const patch = { autoSheetsSyncEnabled: enabled, autoSheetsSyncMinutes: minutes };
+    if (!saveSettings(res, patch, "Unable to save settings", () => sheets.configureFromSettings())) return;
+    return res.json({
+      ok: true,
+      autoSheetsSyncEnabled: enabled,
+      autoSheetsSyncMinutes: minutes,
+      autoSheetsSyncState: sheets.state,
+    });
+  });
+
+  // How pallets on hold are billed: like other stock, not at all, or at their
+  // own weekly rate.
+  router.post("/settings/held-billing", requireAdminRole, (req, res) => {
+    const mode = String(req.body?.mode || "").trim().toLowerCase();
+    if (!HELD_BILLING_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of ${HELD_BILLING_MODES.join(", ")}` });
+    }
+    const rate = mode === "rate" ? Number(req.body?.rate_per_pallet_week) : 0;
+    if (!Number.isFinite(rate) || rate < 0) {
+      return res.status(400).json({ error: "rate_per_pallet_week must be a number >= 0" });
+    }
+
+    const patch = { heldStockBilling: mode, heldStockRatePerPalletWeek: rate };
+    if (!saveSettings(res, patch, "Unable to save held stock billing")) return;
+    return res.json({ ok: true, ...patch });
+  });
+
+  router.post("/settings/label-policy", requireAdminRole, (req, res) => {
+    const policy = String(req.body?.policy || "").trim().toLowerCase();
+    if (!LEGACY_LABEL_POLICIES.includes(policy)) {
+      return res.status(400).json({ error: `policy must be one of ${LEGACY_LABEL_POLICIES.join(", ")}` });
+    }
+    if (!saveSettings(res, { legacyLabelPolicy: policy }, "Unable to save label policy")) return;
+    return res.json({ ok: true, legacyLabelPolicy: policy });
+  });
+
+  router.post("/sheets/test", async (req, res) => {
+    const url = sheets.getUrl();
+    if (!url) {
+      return res.status(400).json({ error: "Google Sheets URL not configured in server-settings.json" });
+    }
+
+    try {
+      const response = await fetch(url, { method: "GET" });
+      if (!response.ok) {
+        return res.status(502).json({ error: `Sheets endpoint responded ${response.status}` });
+      }
+      return res.json({ ok: true, message: "Google Sheets endpoint reachable" });
+    } catch (err) {
+      return res.status(502).json({ error: err.message || "Failed to reach Google Sheets endpoint" });
+    }
+  });
+
+  router.post("/sheets/sync", async (req, res) => {
+    try {
+      await sheets.trigger("manual-sync");
+      return res.json({ ok: true, message: "Sync request sent to Google Sheets" });
+    } catch (err) {
+      return res.status(502).json({ error: err.message || "Failed to call Google Sheets sync endpoint" });
+    }
+  });
+
+  return router;
+};
@@ -4,18 +4,20 @@ set -euo pipefail
 BASE_URL="${1:-http://localhost:3000}"
 TS="$(date +%s)"
 PALLET_ID="P1-${TS}"
-FROM_LOC="A1-L1"
-TO_LOC="A1-L2"
+FROM_LOC="${WT_REGRESSION_FROM_LOC:-J18}"
+TO_LOC="${WT_REGRESSION_TO_LOC:-J19}"
+LOGIN_USER="${WT_REGRESSION_USER:-${WT_BOOTSTRAP_USER:-admin}}"
+LOGIN_PASS="${WT_REGRESSION_PASS:-${WT_BOOTSTRAP_PASS:-admin123!}}"
 
 echo "Running Phase 1 + Phase 2 regression against ${BASE_URL}"
 AUTH_TOKEN=""
 
 LOGIN_RESP="$(curl -sS -X POST "${BASE_URL}/api/auth/login" \
   -H "Content-Type: application/json" \
-  --data '{"username":"admin","password":"admin123!"}')"
+  --data "{\"username\":\"${LOGIN_USER}\",\"password\":\"${LOGIN_PASS}\"}")"
 AUTH_TOKEN="$(echo "${LOGIN_RESP}" | sed -n 's/.*"token":"\([^"]*\)".*/\1/p')"
 if [ -z "${AUTH_TOKEN}" ]; then
-  echo "Auth failed. Ensure bootstrap credentials are valid (admin / admin123!)."
+  echo "Auth failed for ${LOGIN_USER}. Set WT_REGRESSION_USER / WT_REGRESSION_PASS."
   exit 1
 fi
 
@@ -5,6 +5,10 @@ ROOT_DIR="$(cd "$(dirname "$0")/.." && pwd)"
 
 echo "1) Syntax checks"
 node --check "${ROOT_DIR}/server.js"
+node --check "${ROOT_DIR}/app.js"
+for f in "${ROOT_DIR}"/{routes,services,repositories,middleware,lib,db,db/migrations}/*.js; do
+  node --check "$f"
+done
 node --check "${ROOT_DIR}/public/app.js"
 
 echo "2) Config file checks"
@@ -21,12 +25,15 @@ else
   exit 1
 fi
 
+echo "3) API test suite"
+(cd "${ROOT_DIR}" && npm test --silent)
+
 if [ -x "${ROOT_DIR}/scripts/phase1-regression.sh" ]; then
-  echo "3) Regression script syntax"
+  echo "4) Regression script syntax"
   bash -n "${ROOT_DIR}/scripts/phase1-regression.sh"
 fi
 
-echo "4) Health endpoint checks (if server is running)"
+echo "5) Health endpoint checks (if server is running)"
 if curl -fsS "http://localhost:3000/api/health" >/dev/null 2>&1; then
   echo "Health endpoint reachable on HTTP."
 else
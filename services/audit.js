@@ -0,0 +1,36 @@
+const activity = require("../repositories/activity");
+
+function getAuditContext(req, fallbackScannedBy = "Unknown") {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const scannedBy = String(body.scanned_by || req.headers["x-scanned-by"] || fallbackScannedBy || "Unknown").trim() || "Unknown";
+  const actorId = String(body.actor_id || req.user?.username || req.headers["x-actor-id"] || "anonymous").trim() || "anonymous";
+  const clientSessionId = String(body.client_session_id || req.headers["x-client-session-id"] || "unknown").trim() || "unknown";
+  const idempotencyKey = String(body.idempotency_key || req.headers["x-idempotency-key"] || "").trim();
+  return { scannedBy, actorId, clientSessionId, idempotencyKey };
+}
+
+// Columns every audited activity_log row carries, from getAuditContext().
+function auditColumns(audit) {
+  return {
+    scanned_by: audit.scannedBy,
+    actor_id: audit.actorId,
+    client_session_id: audit.clientSessionId,
+    idempotency_key: audit.idempotencyKey || null,
+  };
+}
+
+async function isDuplicateRequest(db, idempotencyKey) {
+  if (!idempotencyKey) return false;
+  return Boolean(await activity.findByIdempotencyKey(db, idempotencyKey));
+}
+
+async function isRecentDuplicateAction(db, match) {
+  return Boolean(await activity.findRecentDuplicate(db, match));
+}
+
+module.exports = {
+  getAuditContext,
+  auditColumns,
+  isDuplicateRequest,
+  isRecentDuplicateAction,
+};
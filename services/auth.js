@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+
+function hashPassword(password, salt) {
+  const normalized = String(password || "");
+  const normalizedSalt = String(salt || "");
+  return crypto.pbkdf2Sync(normalized, normalizedSalt, 120000, 64, "sha512").toString("hex");
+}
+
+function makeSalt() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+function makeSessionToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function createLoginThrottle({ windowMs, maxAttempts, blockMs }) {
+  const attempts = new Map();
+
+  function isBlocked(key) {
+    const rec = attempts.get(key);
+    if (!rec) return false;
+    if (Date.now() > rec.blockedUntil) {
+      attempts.delete(key);
+      return false;
+    }
+    return true;
+  }
+
+  function registerFailure(key) {
+    const now = Date.now();
+    const rec = attempts.get(key) || { attempts: [], blockedUntil: 0 };
+    rec.attempts = rec.attempts.filter((t) => now - t < windowMs);
+    rec.attempts.push(now);
+    if (rec.attempts.length >= maxAttempts) {
+      rec.blockedUntil = now + blockMs;
+    }
+    attempts.set(key, rec);
+  }
+
+  function clear(key) {
+    attempts.delete(key);
+  }
+
+  return { blockMs, isBlocked, registerFailure, clear };
+}
+
+module.exports = {
+  hashPassword,
+  makeSalt,
+  makeSessionToken,
+  createLoginThrottle,
+};
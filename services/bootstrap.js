@@ -0,0 +1,41 @@
+const users = require("../repositories/users");
+const locations = require("../repositories/locations");
+const { hashPassword, makeSalt } = require("./auth");
+const { rebuildLocationsToAll4Layout } = require("./locations");
+
+// Seed data that has to exist once the schema is in place: a first owner
+// login, and the ALL4 location layout when the table is empty (or on every
+// boot with WT_RESEED_LOCATIONS_ON_BOOT=1).
+async function seedBootstrapData(db, { env = process.env, log = console.log } = {}) {
+  if ((await users.count(db)) === 0) {
+    const adminUser = String(env.WT_BOOTSTRAP_USER || "admin").trim() || "admin";
+    const adminPass = String(env.WT_BOOTSTRAP_PASS || "admin123!").trim() || "admin123!";
+    const salt = makeSalt();
+    await users.create(db, {
+      username: adminUser,
+      password_hash: hashPassword(adminPass, salt),
+      password_salt: salt,
+      role: "owner",
+      display_name: "Owner",
+      customer_scope: "*",
+      is_active: 1,
+      must_reset_password: 0,
+    });
+    log(`✓ Bootstrap login created: ${adminUser} / ${adminPass}`);
+  }
+
+  const locationCount = await locations.count(db);
+  const shouldReseedOnBoot = Number(env.WT_RESEED_LOCATIONS_ON_BOOT || 0) === 1;
+  if (locationCount === 0 || shouldReseedOnBoot) {
+    const summary = await rebuildLocationsToAll4Layout(db);
+    log(
+      `✓ ALL4 locations ready (${summary.total_locations} total, ` +
+      `${summary.normalized_pallet_locations} pallet location updates, ` +
+      `${summary.preserved_custom_locations} custom preserved)`
+    );
+  } else {
+    log(`✓ Found ${locationCount} existing locations`);
+  }
+}
+
+module.exports = { seedBootstrapData };
@@ -0,0 +1,81 @@
+const customers = require("../repositories/customers");
+const products = require("../repositories/products");
+const users = require("../repositories/users");
+const palletIdSequences = require("../repositories/palletIdSequences");
+const { httpError } = require("../lib/http");
+
+const TEXT_FIELDS = ["display_name", "contact_name", "contact_email", "contact_phone", "billing_address"];
+
+// Reads the customer record fields present in a request body; the name is
+// only read when creating (renames go through renameCustomer).
+function readCustomerFields(body, { creating = false } = {}) {
+  const fields = {};
+  if (creating) {
+    fields.name = String(body?.name || "").trim();
+    if (!fields.name) throw httpError(400, "name is required");
+  }
+  for (const key of TEXT_FIELDS) {
+    if (body?.[key] !== undefined) fields[key] = String(body[key] ?? "").trim() || null;
+  }
+  if (fields.contact_email && !/^[^\s@]+@[^\s@]+$/.test(fields.contact_email)) {
+    throw httpError(400, "Invalid contact_email");
+  }
+  if (body?.active !== undefined) fields.active = body.active === false || Number(body.active) === 0 ? 0 : 1;
+  return fields;
+}
+
+function renameScope(scope, from, to) {
+  const items = String(scope || "").split(",").map((s) => s.trim()).filter(Boolean);
+  if (!items.includes(from)) return null;
+  return [...new Set(items.map((s) => (s === from ? to : s)))].join(",");
+}
+
+// Renames customer `from` to `to` in every table that names a customer, and in
+// users' customer scopes. If `to` already exists the two are merged: the
+// target's record, rate, catalogue entries and pallet id sequence win where
+// both have one. `from` is matched exactly, so stray spellings such as "ACME "
+// can be folded in. Runs on a transaction handle.
+async function renameCustomer(tx, from, to) {
+  if (!String(from || "").trim() || !to) throw httpError(400, "from and to are required");
+  if (from === to) throw httpError(400, "from and to are the same customer");
+
+  const source = await customers.findByName(tx, from);
+  const target = await customers.findByName(tx, to);
+  const updated = {};
+  for (const table of customers.NAME_TABLES) {
+    updated[table] = (await customers.renameIn(tx, table, from, to)).changes;
+  }
+  updated.customer_rates = await customers.mergeRates(tx, from, to);
+  updated.products = await products.moveToCustomer(tx, from, to);
+
+  updated.users = 0;
+  for (const user of await users.list(tx)) {
+    const scope = renameScope(user.customer_scope, from, to);
+    if (scope === null) continue;
+    await users.update(tx, user.id, { customer_scope: scope });
+    updated.users += 1;
+  }
+
+  if (!source && !Object.values(updated).some((n) => n > 0)) throw httpError(404, `Customer ${from} not found`);
+
+  if (target && source) {
+    const fill = {};
+    for (const key of TEXT_FIELDS) {
+      if (!target[key] && source[key]) fill[key] = source[key];
+    }
+    if (Object.keys(fill).length) await customers.update(tx, target.id, fill);
+    await palletIdSequences.moveToCustomer(tx, source.id, target.id);
+    await customers.remove(tx, source.id);
+  } else if (source) {
+    await customers.update(tx, source.id, { name: to });
+  } else if (!target) {
+    await customers.insert(tx, { name: to });
+  }
+
+  return { from, to, merged: Boolean(target), updated, customer: await customers.findByName(tx, to) };
+}
+
+module.exports = {
+  readCustomerFields,
+  renameCustomer,
+};
@@ -0,0 +1,129 @@
+const pallets = require("../repositories/pallets");
+const activity = require("../repositories/activity");
+const { httpError } = require("../lib/http");
+const { nowIso } = require("../lib/util");
+const { auditColumns } = require("./audit");
+const { assertUpdated } = require("./stock");
+
+const HOLD_STATUSES = ["QUARANTINE", "DAMAGED", "CUSTOMER_HOLD", "QC_PENDING"];
+const HELD_BILLING_MODES = ["standard", "exempt", "rate"];
+
+function holdLabel(status) {
+  return String(status || "").toLowerCase().replace(/_/g, " ");
+}
+
+function readHoldStatus(value) {
+  const status = String(value || "").trim().toUpperCase().replace(/[\s-]+/g, "_");
+  if (!HOLD_STATUSES.includes(status)) throw httpError(400, `status must be one of ${HOLD_STATUSES.join(", ")}`);
+  return status;
+}
+
+function logEntry(row, action, fields, audit) {
+  const qty = Number(row.pallet_quantity) || 0;
+  return {
+    pallet_id: row.id,
+    customer_name: row.customer_name,
+    product_id: row.product_id,
+    action,
+    quantity_changed: 0,
+    quantity_before: qty,
+    quantity_after: qty,
+    location: row.location,
+    ...fields,
+    ...auditColumns(audit),
+  };
+}
+
+// Puts an active pallet on hold, or moves it from one hold state to another.
+// Each change is logged as a HOLD entry whose reason_code is the new state.
+async function placeHold(tx, row, { status, reason }, audit) {
+  if (!reason) throw httpError(400, "A reason is required to put a pallet on hold");
+  if (row.hold_status === status) throw httpError(409, `Pallet ${row.id} is already on ${holdLabel(status)} hold`);
+  assertUpdated(await pallets.updateFields(tx, row.id, row.version, {
+    hold_status: status,
+    hold_reason: reason,
+    hold_by: audit.scannedBy,
+    hold_at: nowIso(),
+  }));
+  const previous = row.hold_status ? ` (was ${holdLabel(row.hold_status)})` : "";
+  return activity.insert(tx, logEntry(row, "HOLD", { reason_code: status.toLowerCase(), notes: `${reason}${previous}` }, audit));
+}
+
+async function releaseHold(tx, row, reason, audit) {
+  if (!row.hold_status) throw httpError(409, `Pallet ${row.id} is not on hold`);
+  assertUpdated(await pallets.updateFields(tx, row.id, row.version, {
+    hold_status: null,
+    hold_reason: null,
+    hold_by: null,
+    hold_at: null,
+  }));
+  return activity.insert(tx, logEntry(row, "RELEASE", {
+    reason_code: row.hold_status.toLowerCase(),
+    notes: reason || `Released from ${holdLabel(row.hold_status)} hold`,
+  }, audit));
+}
+
+// Held pallets stay where they are unless an admin overrides the hold; the
+// override itself is logged against the pallet before the operation runs.
+async function assertNotHeld(tx, row, { override = false, operation, audit }) {
+  if (!row.hold_status) return;
+  if (!override) {
+    throw httpError(409, `Pallet ${row.id} is on ${holdLabel(row.hold_status)} hold: ${row.hold_reason || "no reason given"}`, {
+      hold_status: row.hold_status,
+    });
+  }
+  await activity.insert(tx, logEntry(row, "HOLD_OVERRIDE", {
+    reason_code: row.hold_status.toLowerCase(),
+    notes: `${holdLabel(row.hold_status)} hold overridden to ${operation}`,
+  }, audit));
+}
+
+// Held pallets per customer, with pallet counts per hold state.
+function summarizeHolds(rows) {
+  const customers = new Map();
+  for (const row of rows) {
+    if (!customers.has(row.customer_name)) {
+      customers.set(row.customer_name, {
+        customer_name: row.customer_name,
+        held_pallets: 0,
+        by_status: Object.fromEntries(HOLD_STATUSES.map((s) => [s, 0])),
+        pallets: [],
+      });
+    }
+    const group = customers.get(row.customer_name);
+    const qty = Number(row.pallet_quantity) || 0;
+    group.held_pallets += qty;
+    group.by_status[row.hold_status] = (group.by_status[row.hold_status] || 0) + qty;
+    group.pallets.push({
+      id: row.id,
+      product_id: row.product_id,
+      location: row.location,
+      pallet_quantity: row.pallet_quantity,
+      hold_status: row.hold_status,
+      hold_reason: row.hold_reason,
+      hold_by: row.hold_by,
+      hold_at: row.hold_at,
+    });
+  }
+  return [...customers.values()];
+}
+
+// How held pallet-days are billed, from server settings: "standard" bills them
+// like any other, "exempt" leaves them off, "rate" bills them at their own
+// weekly rate.
+function readHeldBilling(s) {
+  const mode = HELD_BILLING_MODES.includes(s?.heldStockBilling) ? s.heldStockBilling : "standard";
+  const rate = Number(s?.heldStockRatePerPalletWeek);
+  return { mode, rate: mode === "rate" && Number.isFinite(rate) && rate >= 0 ? rate : 0 };
+}
+
+module.exports = {
+  HOLD_STATUSES,
+  HELD_BILLING_MODES,
+  readHoldStatus,
+  placeHold,
+  releaseHold,
+  assertNotHeld,
+  summarizeHolds,
+  readHeldBilling,
+};
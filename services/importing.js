@@ -0,0 +1,292 @@
+const pallets = require("../repositories/pallets");
+const locations = require("../repositories/locations");
+const customers = require("../repositories/customers");
+const { httpError } = require("../lib/http");
+const { normalizeDateAdded } = require("../lib/util");
+const { parseCsv, toCsv } = require("../lib/csv");
+const { isZip, readFirstSheet } = require("../lib/xlsx");
+const { canonicalizeLegacyLocation } = require("./locations");
+const { locationCapacity } = require("./slotting");
+const { resolveProduct } = require("./products");
+const { readLotFields, checkInPallet } = require("./stock");
+const { resolvePalletId } = require("./palletIds");
+
+const IMPORT_MAX_ROWS = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accepted header spellings per field, after lower-casing and turning
+// anything that isn't a letter or digit into "_". The CSV export's headers
+// are among them, so an export can be fed straight back in.
+const COLUMN_ALIASES = {
+  customer_name: ["customer", "customer_name", "client"],
+  product_id: ["product", "product_id", "sku"],
+  pallet_quantity: ["pallet_qty", "pallet_quantity", "pallets", "qty"],
+  product_quantity: ["product_qty", "product_quantity", "units_per_pallet", "units"],
+  location: ["location", "loc"],
+  date_added: ["date_added", "date_in", "date"],
+  parts: ["parts"],
+  pallet_id: ["pallet_id", "pallet", "id"],
+  lot: ["lot"],
+  batch: ["batch"],
+  best_before: ["best_before", "bbe"],
+  expiry_date: ["expiry_date", "expiry"],
+};
+const REQUIRED_COLUMNS = ["customer_name", "product_id", "location"];
+const DATE_FIELDS = ["date_added", "best_before", "expiry_date"];
+
+function headerKey(value) {
+  return String(value || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+// The uploaded file as rows of cells: XLSX when it's a zip, CSV otherwise.
+function readImportFile(buffer) {
+  if (!Buffer.isBuffer(buffer) || !buffer.length) throw httpError(400, "Upload a CSV or XLSX file");
+  if (isZip(buffer)) {
+    try {
+      return readFirstSheet(buffer);
+    } catch (err) {
+      throw httpError(400, err.message);
+    }
+  }
+  return parseCsv(buffer.toString("utf8"));
+}
+
+// Maps the header row onto import fields and returns the non-blank data rows
+// with their spreadsheet line numbers (the header is line 1).
+function readImportTable(table) {
+  const [header = [], ...body] = table;
+  const columns = {};
+  header.forEach((cell, index) => {
+    const key = headerKey(cell);
+    const field = Object.keys(COLUMN_ALIASES).find((f) => COLUMN_ALIASES[f].includes(key));
+    if (field && columns[field] === undefined) columns[field] = index;
+  });
+  const missing = REQUIRED_COLUMNS.filter((f) => columns[f] === undefined);
+  if (missing.length) throw httpError(400, `Missing column(s): ${missing.join(", ")}`);
+
+  const rows = [];
+  body.forEach((cells, index) => {
+    if (!cells.some((c) => String(c || "").trim())) return;
+    const fields = {};
+    for (const [field, col] of Object.entries(columns)) fields[field] = String(cells[col] ?? "").trim();
+    rows.push({ line: index + 2, cells, fields });
+  });
+  if (!rows.length) throw httpError(400, "The file has no rows to import");
+  if (rows.length > IMPORT_MAX_ROWS) throw httpError(400, `Import at most ${IMPORT_MAX_ROWS} rows at a time`);
+  return { header, rows };
+}
+
+// Spreadsheets hand dates over as day serials counted from 1899-12-30.
+function excelDate(value) {
+  if (!/^\d{5}(\.\d+)?$/.test(value)) return value;
+  return new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(value)) * DAY_MS).toISOString().slice(0, 10);
+}
+
+// "ABC x10; DEF x2" (or "|" / line separated, "ABC:10" also works), or the
+// JSON list the pallets table stores. A part without a count is one.
+function readPartsCell(value) {
+  if (!value) return null;
+  if (value.startsWith("[")) {
+    const parsed = JSON.parse(value);
+    if (!Array.isArray(parsed)) throw new Error("parts must be a list");
+    return parsed;
+  }
+  return value.split(/[;|\n]+/).map((s) => s.trim()).filter(Boolean).map((item) => {
+    const m = item.match(/^(.+?)\s*(?:\sx|[×*:=])\s*(\d+)$/i);
+    return { part_number: (m ? m[1] : item).trim(), quantity: m ? Number(m[2]) : 1 };
+  });
+}
+
+function wholeNumber(value, fallback) {
+  if (value === "") return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : NaN;
+}
+
+// Builds the pallet a row describes; problems are pushed onto `errors` so a
+// row reports everything wrong with it at once.
+async function readImportRow(tx, { fields }, { isAllowed }, errors) {
+  const customerName = fields.customer_name;
+  const location = canonicalizeLegacyLocation(fields.location);
+  if (!customerName) errors.push("customer is required");
+  else if (!isAllowed(customerName)) errors.push(`Customer ${customerName} is outside your scope`);
+  if (!fields.product_id) errors.push("product is required");
+  if (!location) errors.push("location is required");
+
+  let productId = fields.product_id;
+  let product = null;
+  if (customerName && productId) {
+    try {
+      ({ product_id: productId, product } = await resolveProduct(tx, customerName, productId));
+    } catch (err) {
+      if (!err.status) throw err;
+      errors.push(err.message);
+    }
+  }
+
+  const palletQty = wholeNumber(fields.pallet_quantity || "", 1);
+  if (!Number.isInteger(palletQty) || palletQty < 1) errors.push("pallet quantity must be a whole number of at least 1");
+  const unitsPerPallet = wholeNumber(fields.product_quantity || "", Number(product?.units_per_pallet) || 0);
+  if (!Number.isInteger(unitsPerPallet) || unitsPerPallet < 0) errors.push("product quantity must be a whole number >= 0");
+
+  const dates = {};
+  for (const key of DATE_FIELDS) {
+    if (fields[key] !== undefined) dates[key] = excelDate(fields[key]);
+  }
+  const dateAdded = normalizeDateAdded(dates.date_added);
+  if (dates.date_added && !dateAdded) errors.push("Invalid date added. Use YYYY-MM-DD");
+
+  let lotFields = {};
+  try {
+    lotFields = readLotFields({ lot: fields.lot, batch: fields.batch, best_before: dates.best_before, expiry_date: dates.expiry_date });
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  let parts = null;
+  try {
+    parts = readPartsCell(fields.parts);
+  } catch {
+    errors.push("parts must look like \"ABC x10; DEF x2\"");
+  }
+  if (parts?.some((p) => !String(p?.part_number || "").trim() || !Number.isInteger(Number(p?.quantity)) || Number(p.quantity) < 1)) {
+    errors.push("every part needs a part number and a whole quantity of at least 1");
+  }
+
+  return {
+    id: fields.pallet_id || null,
+    customer_name: customerName,
+    product_id: productId,
+    pallet_quantity: palletQty,
+    product_quantity: unitsPerPallet,
+    location,
+    parts: parts ? JSON.stringify(parts) : null,
+    date_added: dateAdded,
+    lot: null,
+    batch: null,
+    best_before: null,
+    expiry_date: null,
+    ...lotFields,
+  };
+}
+
+// Runs every row through the same check-in as the scanner, inside one
+// transaction, with a savepoint per row so a bad row is undone on its own and
+// the rest still see the pallets before them (duplicate ids, capacity). The
+// transaction is rolled back for a dry run or when any row failed, so either
+// every row goes in or none does.
+async function importStock(db, { rows }, { commit = false, isAllowed = () => true, audit, note = null }) {
+  const rollback = new Error("Import rolled back");
+
+  const run = async (tx) => {
+    const results = [];
+    const byCustomer = new Map();
+    const byLocation = new Map();
+    const knownCustomers = new Map();
+
+    for (const row of rows) {
+      const errors = [];
+      const pallet = await readImportRow(tx, row, { isAllowed }, errors);
+      let activityId = null;
+      if (!errors.length) {
+        const before = byLocation.has(pallet.location)
+          ? null
+          : await pallets.sumActiveQuantityAt(tx, pallet.location);
+        if (!knownCustomers.has(pallet.customer_name)) {
+          knownCustomers.set(pallet.customer_name, !(await customers.findByName(tx, pallet.customer_name)));
+        }
+        await tx.run("SAVEPOINT import_row");
+        try {
+          // Rows without an id take the next from the customer's sequence;
+          // the savepoint hands the number back if the row fails.
+          pallet.id = await resolvePalletId(tx, pallet.customer_name, pallet.id);
+          const logged = await checkInPallet(tx, pallet, audit, [note, `row ${row.line}`].filter(Boolean).join(" — "), "IMPORT");
+          activityId = logged.lastID;
+          await tx.run("RELEASE import_row");
+        } catch (err) {
+          await tx.run("ROLLBACK TO import_row");
+          await tx.run("RELEASE import_row");
+          if (!err.status) throw err;
+          errors.push(err.message);
+        }
+        if (!errors.length && before != null) {
+          const loc = await locations.findById(tx, pallet.location);
+          byLocation.set(pallet.location, { location: pallet.location, before, after: before, capacity: locationCapacity(loc) });
+        }
+      }
+
+      results.push({
+        line: row.line,
+        status: errors.length ? "error" : "ok",
+        pallet_id: pallet.id,
+        customer_name: pallet.customer_name,
+        product_id: pallet.product_id,
+        pallet_quantity: pallet.pallet_quantity,
+        location: pallet.location,
+        activity_id: activityId,
+        errors,
+      });
+      if (errors.length) continue;
+
+      byLocation.get(pallet.location).after += pallet.pallet_quantity;
+      if (!byCustomer.has(pallet.customer_name)) {
+        byCustomer.set(pallet.customer_name, {
+          customer_name: pallet.customer_name,
+          rows: 0,
+          pallets: 0,
+          new_customer: knownCustomers.get(pallet.customer_name),
+        });
+      }
+      const group = byCustomer.get(pallet.customer_name);
+      group.rows += 1;
+      group.pallets += pallet.pallet_quantity;
+    }
+
+    const valid = results.filter((r) => r.status === "ok");
+    const outcome = {
+      committed: false,
+      summary: {
+        rows: results.length,
+        valid: valid.length,
+        invalid: results.length - valid.length,
+        pallets: valid.reduce((sum, r) => sum + r.pallet_quantity, 0),
+        by_customer: [...byCustomer.values()],
+        by_location: [...byLocation.values()].sort((a, b) => a.location.localeCompare(b.location)),
+      },
+      rows: results,
+    };
+    if (!commit || valid.length < results.length) {
+      rollback.outcome = outcome;
+      throw rollback;
+    }
+    return { ...outcome, committed: true };
+  };
+
+  try {
+    return await db.transaction(run);
+  } catch (err) {
+    if (err === rollback) return err.outcome;
+    throw err;
+  }
+}
+
+// The failed rows as they were uploaded, with a line number and what was
+// wrong, ready to fix and upload again.
+function buildErrorReport({ header, rows }, results) {
+  const failed = new Map(results.filter((r) => r.status === "error").map((r) => [r.line, r.errors]));
+  const lines = [["Line", ...header, "Errors"]];
+  for (const row of rows) {
+    if (!failed.has(row.line)) continue;
+    const cells = header.map((_, i) => row.cells[i] ?? "");
+    lines.push([row.line, ...cells, failed.get(row.line).join("; ")]);
+  }
+  return toCsv(lines);
+}
+
+module.exports = {
+  IMPORT_MAX_ROWS,
+  readImportFile,
+  readImportTable,
+  importStock,
+  buildErrorReport,
+};
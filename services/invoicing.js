@@ -0,0 +1,217 @@
+const activity = require("../repositories/activity");
+const invoices = require("../repositories/invoices");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECOUNT_ACTIONS = new Set(["PARTIAL_REMOVE", "ADJUST", "REVERSAL", "SPLIT_OUT", "SPLIT_IN", "MERGE_OUT", "MERGE_IN"]);
+
+function parseYmdToUtcDate(ymd) {
+  const s = String(ymd || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return null;
+  const d = new Date(`${s}T00:00:00Z`);
+  return Number.isFinite(d.getTime()) ? d : null;
+}
+
+function formatYmdUtc(dateObj) {
+  return new Date(dateObj).toISOString().slice(0, 10);
+}
+
+function addDaysYmd(ymd, daysToAdd) {
+  const d = parseYmdToUtcDate(ymd);
+  if (!d) return null;
+  d.setUTCDate(d.getUTCDate() + daysToAdd);
+  return formatYmdUtc(d);
+}
+
+function endOfDayIso(d) {
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 23, 59, 59)).toISOString();
+}
+
+function hasValue(v) {
+  return v !== undefined && v !== null && v !== "";
+}
+
+// Pallet-days are rebuilt from activity_log: replay every stock event up to the
+// end of each day in the range and sum the pallets on hand at that cut-off.
+// Pallets on hold at the cut-off are also summed as held_pallet_days.
+async function calculateInvoiceMetrics(db, customerName, startDate, endDate) {
+  const start = parseYmdToUtcDate(startDate);
+  const end = parseYmdToUtcDate(endDate);
+  if (!start || !end || end < start) throw new Error("Invalid date range");
+
+  const rows = await activity.listStockEventsUntil(db, customerName, `${endDate}T23:59:59Z`);
+
+  const state = new Map();
+  const held = new Set();
+  let idx = 0;
+  const days = Math.floor((end - start) / DAY_MS) + 1;
+  let palletDays = 0;
+  let heldPalletDays = 0;
+
+  for (let di = 0; di < days; di++) {
+    const day = new Date(start.getTime() + di * DAY_MS);
+    const cutoff = endOfDayIso(day);
+
+    while (idx < rows.length && new Date(rows[idx].timestamp).toISOString() <= cutoff) {
+      const r = rows[idx];
+      const qty = Number(r.quantity_after) || 0;
+
+      if (r.action === "HOLD") held.add(r.pallet_id);
+      else if (r.action === "RELEASE") held.delete(r.pallet_id);
+      else if (r.action === "CHECK_IN" || r.action === "IMPORT") state.set(r.pallet_id, qty);
+      else if (r.action === "CHECK_OUT") state.delete(r.pallet_id);
+      else if (RECOUNT_ACTIONS.has(r.action)) {
+        // These rows carry the resulting pallet count; 0 means the pallet left
+        // this customer's stock. Split and merge move pallets between entries
+        // without changing the total, so storage keeps billing from the
+        // original check-in.
+        if (qty > 0) state.set(r.pallet_id, qty);
+        else state.delete(r.pallet_id);
+      }
+
+      idx++;
+    }
+
+    let occ = 0;
+    for (const [palletId, q] of state) {
+      occ += (Number(q) || 0);
+      if (held.has(palletId)) heldPalletDays += (Number(q) || 0);
+    }
+    palletDays += occ;
+  }
+
+  const handled = await activity.sumCheckedIn(db, customerName, `${startDate}T00:00:00Z`, `${endDate}T23:59:59Z`);
+  return {
+    pallet_days: palletDays,
+    held_pallet_days: heldPalletDays,
+    days_in_range: days,
+    handled_pallets: handled,
+    pallet_weeks: palletDays / 7,
+  };
+}
+
+// `heldBilling` ({mode, rate}, see services/holds readHeldBilling) decides
+// whether held pallet-days are billed at the customer's rate, left off, or
+// billed at their own rate as held_total.
+async function buildInvoicePreview(db, input, heldBilling = { mode: "standard", rate: 0 }) {
+  const customerName = String(input?.customer_name || "").trim();
+  const startDate = String(input?.start_date || "").trim();
+  const endDate = String(input?.end_date || "").trim();
+  const rateOverrideRaw = input?.rate_per_pallet_week;
+  const handlingFlatOverrideRaw = input?.handling_fee_flat;
+  const handlingPerPalletOverrideRaw = input?.handling_fee_per_pallet;
+  const paymentTermsOverrideRaw = input?.payment_terms_days;
+
+  if (!customerName || !startDate || !endDate) {
+    throw new Error("customer_name, start_date, end_date are required");
+  }
+
+  const metrics = await calculateInvoiceMetrics(db, customerName, startDate, endDate);
+  const rateRow = await invoices.findRate(db, customerName);
+
+  const ratePerWeek = hasValue(rateOverrideRaw) ? Number(rateOverrideRaw) : Number(rateRow?.rate_per_pallet_week || 0);
+  const handlingFlat = hasValue(handlingFlatOverrideRaw) ? Number(handlingFlatOverrideRaw) : Number(rateRow?.handling_fee_flat || 0);
+  const handlingPerPallet = hasValue(handlingPerPalletOverrideRaw)
+    ? Number(handlingPerPalletOverrideRaw)
+    : Number(rateRow?.handling_fee_per_pallet || 0);
+  const paymentTermsDays = hasValue(paymentTermsOverrideRaw) ? Number(paymentTermsOverrideRaw) : Number(rateRow?.payment_terms_days ?? 7);
+  const currency = String(rateRow?.currency || "GBP");
+
+  if (!Number.isFinite(ratePerWeek) || ratePerWeek < 0) {
+    throw new Error("No valid customer weekly rate found. Set /api/rates first or pass rate_per_pallet_week.");
+  }
+  if (!Number.isFinite(handlingFlat) || handlingFlat < 0) {
+    throw new Error("handling_fee_flat must be a valid number >= 0");
+  }
+  if (!Number.isFinite(handlingPerPallet) || handlingPerPallet < 0) {
+    throw new Error("handling_fee_per_pallet must be a valid number >= 0");
+  }
+  if (!Number.isInteger(paymentTermsDays) || paymentTermsDays < 0 || paymentTermsDays > 365) {
+    throw new Error("payment_terms_days must be an integer between 0 and 365");
+  }
+
+  const heldSeparately = heldBilling.mode !== "standard";
+  const billedPalletDays = heldSeparately ? metrics.pallet_days - metrics.held_pallet_days : metrics.pallet_days;
+  const heldRate = heldBilling.mode === "rate" ? heldBilling.rate : 0;
+  const baseTotal = Number(((billedPalletDays / 7) * ratePerWeek).toFixed(2));
+  const heldTotal = Number(((metrics.held_pallet_days / 7) * heldRate).toFixed(2));
+  const handlingTotal = Number((handlingFlat + (handlingPerPallet * metrics.handled_pallets)).toFixed(2));
+  const grandTotal = Number((baseTotal + heldTotal + handlingTotal).toFixed(2));
+  const dueDate = addDaysYmd(endDate, paymentTermsDays);
+
+  return {
+    ok: true,
+    billing_cycle: "WEEKLY",
+    customer_name: customerName,
+    start_date: startDate,
+    end_date: endDate,
+    days_in_range: metrics.days_in_range,
+    pallet_days: metrics.pallet_days,
+    pallet_weeks: Number(metrics.pallet_weeks.toFixed(4)),
+    held_pallet_days: metrics.held_pallet_days,
+    held_billing: heldBilling.mode,
+    held_rate_per_pallet_week: heldRate,
+    handled_pallets: metrics.handled_pallets,
+    rate_per_pallet_week: ratePerWeek,
+    handling_fee_flat: handlingFlat,
+    handling_fee_per_pallet: handlingPerPallet,
+    payment_terms_days: paymentTermsDays,
+    due_date: dueDate,
+    currency,
+    base_total: baseTotal,
+    held_total: heldTotal,
+    handling_total: handlingTotal,
+    total: grandTotal,
+  };
+}
+
+// Buckets unpaid balances by how far past due_date they are on `today`.
+function summarizeAging(rows, today = new Date()) {
+  const todayUtcStart = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+  const buckets = {
+    current: { count: 0, amount: 0 },
+    d1_30: { count: 0, amount: 0 },
+    d31_60: { count: 0, amount: 0 },
+    d61_plus: { count: 0, amount: 0 },
+  };
+  const add = (bucket, balance) => {
+    bucket.count += 1;
+    bucket.amount = Number((bucket.amount + balance).toFixed(2));
+  };
+
+  for (const inv of rows || []) {
+    const total = Number(inv.total || 0);
+    const paid = Number(inv.amount_paid || 0);
+    const balance = Number((total - paid).toFixed(2));
+    const status = String(inv.status || "").toUpperCase();
+    if (balance <= 0 || status === "PAID") continue;
+
+    const due = String(inv.due_date || "").trim();
+    const dueMs = /^\d{4}-\d{2}-\d{2}$/.test(due) ? Date.parse(`${due}T00:00:00Z`) : NaN;
+    if (!Number.isFinite(dueMs) || dueMs >= todayUtcStart) {
+      add(buckets.current, balance);
+      continue;
+    }
+
+    const days = Math.floor((todayUtcStart - dueMs) / DAY_MS);
+    if (days <= 30) add(buckets.d1_30, balance);
+    else if (days <= 60) add(buckets.d31_60, balance);
+    else add(buckets.d61_plus, balance);
+  }
+
+  const total_outstanding = Number(
+    (buckets.current.amount + buckets.d1_30.amount + buckets.d31_60.amount + buckets.d61_plus.amount).toFixed(2)
+  );
+  const total_count = buckets.current.count + buckets.d1_30.count + buckets.d31_60.count + buckets.d61_plus.count;
+
+  return { buckets, total_outstanding, total_count };
+}
+
+module.exports = {
+  parseYmdToUtcDate,
+  formatYmdUtc,
+  addDaysYmd,
+  endOfDayIso,
+  calculateInvoiceMetrics,
+  buildInvoicePreview,
+  summarizeAging,
+};
@@ -0,0 +1,321 @@
+const crypto = require("crypto");
+const { httpError } = require("../lib/http");
+const { encodeQr } = require("../lib/qr");
+const { createPdfDocument, fitText, textWidth } = require("../lib/pdf");
+const { readLotFields } = require("./stock");
+
+const QR_PREFIX_V1 = "WT|PALLET|v1|";
+const QR_PREFIX_V2 = "WT|PALLET|v2|";
+const SIGNATURE_BYTES = 16;
+const MM_PER_POINT = 25.4 / 72;
+const MAX_BATCH_LABELS = 500;
+
+// Page sizes in points: A6 and the 4x6in stock thermal printers take.
+const LABEL_SIZES = {
+  a6: { width: 297.64, height: 419.53 },
+  "4x6": { width: 288, height: 432 },
+};
+const LABEL_FORMATS = ["pdf", "zpl"];
+
+// What scanning an unsigned v1 label does: check in as before, warn first, or
+// refuse it.
+const LEGACY_LABEL_POLICIES = ["allow", "warn", "block"];
+
+function readLegacyLabelPolicy(s) {
+  return LEGACY_LABEL_POLICIES.includes(s?.legacyLabelPolicy) ? s.legacyLabelPolicy : "warn";
+}
+
+async function loadLabelKey(db) {
+  const row = await db.get("SELECT value FROM app_secrets WHERE name = 'label_signing_key'");
+  if (!row) throw httpError(500, "Label signing key is missing; run the migrations");
+  return Buffer.from(row.value, "hex");
+}
+
+function signLabelBody(body, key) {
+  return crypto.createHmac("sha256", key).update(QR_PREFIX_V2 + body).digest().subarray(0, SIGNATURE_BYTES).toString("base64url");
+}
+
+function readLabelOptions(query) {
+  const format = String(query?.format || "pdf").trim().toLowerCase();
+  const size = String(query?.size || "a6").trim().toLowerCase();
+  const dpmm = Number(query?.dpmm || 8);
+  if (!LABEL_FORMATS.includes(format)) throw httpError(400, `format must be one of ${LABEL_FORMATS.join(", ")}`);
+  if (!LABEL_SIZES[size]) throw httpError(400, `size must be one of ${Object.keys(LABEL_SIZES).join(", ")}`);
+  if (![8, 12, 24].includes(dpmm)) throw httpError(400, "dpmm must be 8, 12 or 24 (203, 300 or 600 dpi)");
+  return { format, size, dpmm };
+}
+
+// The app's QR payload: base64url JSON after the prefix. v2 appends
+// ".<signature>", an HMAC of everything before it truncated to 16 bytes so
+// the QR code stays small.
+function palletQrPayload(label, key) {
+  const payload = {
+    id: label.id,
+    c: label.customer_name || "",
+    p: label.product_id || "",
+    u: Number(label.product_quantity) || 0,
+  };
+  if (label.lot) payload.l = label.lot;
+  if (label.batch) payload.b = label.batch;
+  if (label.best_before) payload.bb = label.best_before;
+  if (label.expiry_date) payload.x = label.expiry_date;
+  const body = Buffer.from(JSON.stringify(payload), "utf8").toString("base64url");
+  return `${QR_PREFIX_V2}${body}.${signLabelBody(body, key)}`;
+}
+
+// Checks a scanned WT label. v2 labels are genuine only if the signature
+// matches; v1 labels carry none, so the legacy policy decides.
+function verifyPalletQr(text, key, policy) {
+  const raw = String(text || "").trim();
+  const version = raw.startsWith(QR_PREFIX_V2) ? "v2" : raw.startsWith(QR_PREFIX_V1) ? "v1" : null;
+  if (!version) throw httpError(400, "Not a Warehouse Tracker pallet label");
+
+  const prefix = version === "v2" ? QR_PREFIX_V2 : QR_PREFIX_V1;
+  const [body, signature = ""] = raw.slice(prefix.length).split(".");
+  let fields;
+  try {
+    fields = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    fields = null;
+  }
+  if (!fields?.id) throw httpError(400, "Pallet label payload is unreadable");
+  const label = {
+    id: String(fields.id),
+    customer_name: String(fields.c || ""),
+    product_id: String(fields.p || ""),
+    product_quantity: Number(fields.u) || 0,
+  };
+
+  if (version === "v1") {
+    const verdict = policy === "allow" ? "ok" : policy;
+    const message = verdict === "ok" ? "" : `Pallet ${label.id} has an unsigned (v1) label. Reprint it to get a signed one.`;
+    return { version, signed: false, valid: false, verdict, message, label };
+  }
+  const expected = Buffer.from(signLabelBody(body, key));
+  const valid = signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), expected);
+  return {
+    version,
+    signed: true,
+    valid,
+    verdict: valid ? "ok" : "block",
+    message: valid ? "" : `The label for pallet ${label.id} was not issued by this warehouse or has been altered.`,
+    label,
+  };
+}
+
+// Check-ins and ASN receipts made from a scanned WT label send its text as
+// `label_payload`, and it is checked again here: the browser's check can be
+// skipped by calling the API directly or by a scan queued while offline.
+// `expected` is what the request puts into stock; the details the label
+// carries must match it.
+async function assertScannedLabel(db, settingsObj, payload, expected) {
+  if (payload == null || payload === "") return null;
+  const result = verifyPalletQr(payload, await loadLabelKey(db), readLegacyLabelPolicy(settingsObj));
+  if (result.verdict === "block") throw httpError(403, result.message);
+  const { label } = result;
+  if (expected.id && label.id !== expected.id) {
+    throw httpError(400, `The scanned label is for pallet ${label.id}, not ${expected.id}`);
+  }
+  const given = (value) => value != null && String(value).trim() !== "";
+  const mismatches = [];
+  if (label.customer_name && given(expected.customer_name) && label.customer_name !== String(expected.customer_name).trim()) {
+    mismatches.push(`customer ${label.customer_name}`);
+  }
+  if (label.product_id && given(expected.product_id)
+    && label.product_id.toUpperCase() !== String(expected.product_id).trim().toUpperCase()) {
+    mismatches.push(`product ${label.product_id}`);
+  }
+  if (given(expected.product_quantity) && label.product_quantity !== Number(expected.product_quantity)) {
+    mismatches.push(`${label.product_quantity} units per pallet`);
+  }
+  if (mismatches.length) {
+    throw httpError(409, `The label for pallet ${label.id} says ${mismatches.join(", ")}; check in what it describes or reprint it`);
+  }
+  return result;
+}
+
+function labelFromPallet(row) {
+  return {
+    id: row.id,
+    customer_name: row.customer_name || "",
+    product_id: row.product_id || "",
+    pallet_quantity: Number(row.pallet_quantity) || 0,
+    product_quantity: Number(row.product_quantity) || 0,
+    date: String(row.date_added || "").slice(0, 10),
+    lot: row.lot || null,
+    batch: row.batch || null,
+    best_before: row.best_before || null,
+    expiry_date: row.expiry_date || null,
+  };
+}
+
+// The next `count` ids after `firstId`: its trailing number counts up,
+// keeping any zero padding; an id without one gets -1, -2, ... appended.
+function sequentialIds(firstId, count) {
+  if (count === 1) return [firstId];
+  const m = firstId.match(/^(.*?)(\d+)$/);
+  if (!m) return Array.from({ length: count }, (_, i) => `${firstId}-${i + 1}`);
+  const start = BigInt(m[2]);
+  return Array.from({ length: count }, (_, i) => `${m[1]}${String(start + BigInt(i)).padStart(m[2].length, "0")}`);
+}
+
+// Labels for pallets that aren't checked in yet: one label, `count` labels
+// with sequential ids starting from `label.id`, or one for each of `ids`
+// (such as a block reserved through POST /pallet-ids).
+function readLabelBatch(body, today) {
+  const input = body?.label || {};
+  let ids;
+  if (Array.isArray(body?.ids)) {
+    ids = [...new Set(body.ids.map((id) => String(id || "").trim()).filter(Boolean))];
+    if (!ids.length || ids.length > MAX_BATCH_LABELS) throw httpError(400, `ids must list 1 to ${MAX_BATCH_LABELS} pallet ids`);
+  } else {
+    const firstId = String(input.id || "").trim();
+    const count = body?.count == null || body.count === "" ? 1 : Number(body.count);
+    if (!firstId) throw httpError(400, "label.id is required");
+    if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_LABELS) {
+      throw httpError(400, `count must be a whole number from 1 to ${MAX_BATCH_LABELS}`);
+    }
+    ids = sequentialIds(firstId, count);
+  }
+  const base = labelFromPallet({
+    ...input,
+    pallet_quantity: input.pallet_quantity ?? 1,
+    date_added: input.date_added || today,
+    ...readLotFields(input),
+  });
+  return ids.map((id) => ({ ...base, id }));
+}
+
+function labelLines(label) {
+  const units = label.product_quantity > 0 ? ` × ${label.product_quantity} units` : "";
+  return [
+    ["Customer", label.customer_name, true],
+    ["Product", label.product_id, true],
+    ["Qty", `${label.pallet_quantity} pallet${label.pallet_quantity === 1 ? "" : "s"}${units}`, false],
+    ["Date", label.date, false],
+    ["Lot", [label.lot, label.batch ? `Batch ${label.batch}` : null].filter(Boolean).join(" • "), false],
+    ["Dates", [label.best_before ? `BB ${label.best_before}` : null, label.expiry_date ? `Exp ${label.expiry_date}` : null]
+      .filter(Boolean).join(" • "), false],
+  ].filter(([, value]) => value);
+}
+
+// One page per label: a branded header, the pallet id as large as fits, the
+// QR code and the pallet details underneath.
+function renderPdfLabels(labels, branding, size, key) {
+  const { width, height } = LABEL_SIZES[size];
+  const margin = 14;
+  const inner = width - margin * 2;
+  const doc = createPdfDocument();
+
+  for (const label of labels) {
+    const page = doc.addPage(width, height);
+    page.rect(0, 0, width, 34, branding.accentColor);
+    page.text(fitText(branding.companyName, 15, true, inner), margin, 23, { size: 15, bold: true, color: "#ffffff" });
+
+    let idSize = 40;
+    while (idSize > 12 && textWidth(label.id, idSize, true) > inner) idSize -= 1;
+    const idBaseline = 34 + 10 + idSize * 0.8;
+    page.text(fitText(label.id, idSize, true, inner), margin, idBaseline, { size: idSize, bold: true, align: "center", width: inner });
+
+    const modules = encodeQr(palletQrPayload(label, key), { ecLevel: "M" });
+    const qrSize = Math.min(inner, height * 0.42);
+    const cell = qrSize / modules.length;
+    const qrLeft = (width - qrSize) / 2;
+    const qrTop = idBaseline + 12;
+    modules.forEach((row, y) => {
+      // Dark runs along a row are drawn as one rectangle.
+      for (let x = 0; x < row.length; x++) {
+        if (!row[x]) continue;
+        let end = x;
+        while (end + 1 < row.length && row[end + 1]) end++;
+        page.rect(qrLeft + x * cell, qrTop + y * cell, (end - x + 1) * cell, cell);
+        x = end;
+      }
+    });
+
+    let y = qrTop + qrSize + 20;
+    for (const [name, value, prominent] of labelLines(label)) {
+      const fontSize = prominent ? 14 : 11;
+      page.text(name.toUpperCase(), margin, y, { size: 7, color: "#64748b" });
+      page.text(fitText(value, fontSize, prominent, inner - 52), margin + 52, y, { size: fontSize, bold: prominent });
+      y += prominent ? 19 : 16;
+    }
+  }
+  return doc.toBuffer();
+}
+
+// Field data goes through ^FH so ^, ~ and _ in names can't end the field.
+function zplEscape(text) {
+  return String(text ?? "").replace(/[_^~]/g, (ch) => `_${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function zplField(text) {
+  return `^FH_^FD${zplEscape(text)}^FS`;
+}
+
+// The same layout in ZPL II. Thermal labels are black and white, so the
+// header bar is solid with the company name reversed out of it.
+function renderZplLabels(labels, branding, size, dpmm, key) {
+  const dots = (pt) => Math.round(pt * MM_PER_POINT * dpmm);
+  const width = dots(LABEL_SIZES[size].width);
+  const height = dots(LABEL_SIZES[size].height);
+  const margin = dots(14);
+  const inner = width - margin * 2;
+  const bar = dots(34);
+
+  return labels.map((label) => {
+    const payload = palletQrPayload(label, key);
+    const modules = encodeQr(payload, { ecLevel: "M" }).length;
+    const mag = Math.max(1, Math.min(10, Math.floor(Math.min(inner, height * 0.42) / modules)));
+    const qrTop = bar + dots(66);
+    const out = [
+      "^XA",
+      "^CI28",
+      `^PW${width}`,
+      `^LL${height}`,
+      "^LH0,0",
+      `^FO0,0^GB${width},${bar},${bar}^FS`,
+      `^FO${margin},${dots(9)}^A0N,${dots(17)},${dots(17)}^FR^FB${inner},1,0,L,0${zplField(branding.companyName)}`,
+      `^FO${margin},${bar + dots(10)}^A0N,${dots(40)},${dots(36)}^FB${inner},1,0,C,0${zplField(label.id)}`,
+      `^FO${Math.round((width - modules * mag) / 2)},${qrTop}^BQN,2,${mag}^FH_^FDMA,${zplEscape(payload)}^FS`,
+    ];
+    let y = qrTop + modules * mag + dots(24);
+    for (const [name, value, prominent] of labelLines(label)) {
+      const h = dots(prominent ? 15 : 12);
+      out.push(`^FO${margin},${y + h - dots(8)}^A0N,${dots(8)},${dots(8)}${zplField(name.toUpperCase())}`);
+      out.push(`^FO${margin + dots(52)},${y}^A0N,${h},${h}^FB${inner - dots(52)},1,0,L,0${zplField(value)}`);
+      y += dots(prominent ? 19 : 16);
+    }
+    out.push("^PQ1", "^XZ");
+    return out.join("\n");
+  }).join("\n");
+}
+
+function readBranding(s) {
+  return {
+    companyName: String(s?.companyName || "Warehouse Tracker"),
+    accentColor: String(s?.accentColor || "#3b82f6"),
+  };
+}
+
+function renderLabels(labels, settingsObj, { format, size, dpmm }, key) {
+  const branding = readBranding(settingsObj);
+  if (format === "zpl") return Buffer.from(renderZplLabels(labels, branding, size, dpmm, key), "utf8");
+  return renderPdfLabels(labels, branding, size, key);
+}
+
+module.exports = {
+  LABEL_SIZES,
+  MAX_BATCH_LABELS,
+  LEGACY_LABEL_POLICIES,
+  readLegacyLabelPolicy,
+  loadLabelKey,
+  readLabelOptions,
+  palletQrPayload,
+  verifyPalletQr,
+  assertScannedLabel,
+  labelFromPallet,
+  sequentialIds,
+  readLabelBatch,
+  renderLabels,
+};
@@ -0,0 +1,104 @@
+const pallets = require("../repositories/pallets");
+const locations = require("../repositories/locations");
+
+const ALL4_RACK_LAYOUT = {
+  A: 8,
+  B: 8,
+  C: 8,
+  D: 8,
+  E: 8,
+  F: 11,
+  G: 11,
+  H: 14,
+  I: 14,
+  J: 19,
+};
+
+function normalizeLocationId(value) {
+  return String(value || "").trim().replace(/\s+/g, " ").toUpperCase();
+}
+
+function canonicalizeLegacyLocation(value) {
+  const v = normalizeLocationId(value);
+  const m = v.match(/^([A-Z])\s*(\d+)\s*-\s*L\d+$/i);
+  if (m) return `${m[1].toUpperCase()}${Number(m[2])}`;
+  return v;
+}
+
+function parseAisleRackFromId(id) {
+  const m = String(id || "").match(/^([A-Z])(\d+)(?:\s+FLOOR)?$/);
+  if (!m) return { aisle: null, rack: null };
+  return { aisle: m[1], rack: Number(m[2]) || null };
+}
+
+function generateAll4LocationRows() {
+  const rows = [];
+  Object.entries(ALL4_RACK_LAYOUT).forEach(([aisle, maxRack]) => {
+    for (let rack = 1; rack <= Number(maxRack); rack++) {
+      const rackId = `${aisle}${rack}`;
+      const floorId = `${aisle}${rack} FLOOR`;
+      rows.push({ id: rackId, aisle, rack, level: 1, capacity_pallets: 12, floor_area_sqm: null, location_type: "rack" });
+      rows.push({ id: floorId, aisle, rack, level: 99, capacity_pallets: null, floor_area_sqm: null, location_type: "rack_floor" });
+    }
+  });
+
+  rows.push({ id: "FLOOR SPACE", aisle: "FLOOR", rack: null, level: 500, capacity_pallets: null, floor_area_sqm: null, location_type: "floor_space" });
+  return rows;
+}
+
+// Rebuilds the locations table to the ALL4 layout in one transaction. Active
+// pallets on legacy ids (e.g. "A1-L1") are moved to their canonical rack, and
+// any location still holding stock that the layout doesn't know is kept as a
+// custom location so nothing is orphaned.
+async function rebuildLocationsToAll4Layout(db) {
+  const baseRows = generateAll4LocationRows();
+  const idSet = new Set(baseRows.map((r) => r.id));
+
+  return db.transaction(async (tx) => {
+    const active = await pallets.listActiveLocations(tx);
+    const updates = [];
+    const extraRows = [];
+
+    active.forEach((p) => {
+      const raw = normalizeLocationId(p.location);
+      const finalLoc = canonicalizeLegacyLocation(raw) || raw;
+      if (finalLoc && finalLoc !== raw) updates.push({ palletId: p.id, to: finalLoc });
+
+      if (finalLoc && !idSet.has(finalLoc)) {
+        idSet.add(finalLoc);
+        const parsed = parseAisleRackFromId(finalLoc);
+        extraRows.push({
+          id: finalLoc,
+          aisle: parsed.aisle,
+          rack: parsed.rack,
+          level: 999,
+          capacity_pallets: parsed.rack ? 12 : null,
+          floor_area_sqm: null,
+          location_type: parsed.rack ? "rack" : "custom",
+        });
+      }
+    });
+
+    for (const u of updates) {
+      await pallets.setLocation(tx, u.palletId, u.to);
+    }
+
+    const allRows = [...baseRows, ...extraRows];
+    await locations.replaceAll(tx, allRows);
+
+    return {
+      total_locations: allRows.length,
+      normalized_pallet_locations: updates.length,
+      preserved_custom_locations: extraRows.length,
+    };
+  });
+}
+
+module.exports = {
+  ALL4_RACK_LAYOUT,
+  normalizeLocationId,
+  canonicalizeLegacyLocation,
+  parseAisleRackFromId,
+  generateAll4LocationRows,
+  rebuildLocationsToAll4Layout,
+};
@@ -0,0 +1,134 @@
+const orders = require("../repositories/orders");
+const pallets = require("../repositories/pallets");
+const { httpError } = require("../lib/http");
+const { removePallets, removeUnits } = require("./stock");
+
+const ORDER_UNITS = ["pallets", "units"];
+
+// Validates the requested lines and folds repeats of the same product and unit
+// into one line.
+function normalizeOrderLines(raw) {
+  if (!Array.isArray(raw) || !raw.length) throw httpError(400, "An order needs at least one line");
+  const merged = new Map();
+  for (const line of raw) {
+    const productId = String(line?.product_id || "").trim();
+    const unit = String(line?.unit || "pallets").trim().toLowerCase();
+    const quantity = Number(line?.quantity);
+    if (!productId) throw httpError(400, "Every order line needs a product_id");
+    if (!ORDER_UNITS.includes(unit)) throw httpError(400, `Invalid unit for ${productId}: use pallets or units`);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw httpError(400, `Quantity for ${productId} must be a whole number of at least 1`);
+    }
+    const key = `${productId}\u0000${unit}`;
+    const existing = merged.get(key);
+    if (existing) existing.quantity += quantity;
+    else merged.set(key, { product_id: productId, unit, quantity });
+  }
+  return [...merged.values()];
+}
+
+// What is still free on a pallet for `unit`, after other orders' open picks.
+// A pallet promised in pallets isn't also split for units, and vice versa, so
+// the two reservations can't overlap.
+function availableOn(row, unit, reserved) {
+  const taken = reserved.get(row.id) || { pallets: 0, units: 0 };
+  if (unit === "pallets") {
+    if (taken.units > 0) return 0;
+    return (Number(row.pallet_quantity) || 0) - taken.pallets;
+  }
+  if (!row.product_quantity || taken.pallets > 0) return 0;
+  return (Number(row.current_units) || 0) - taken.units;
+}
+
+// Allocates every line of a new order and writes its picks: dated stock first
+// expiry first out, then oldest date_added first. Runs on a transaction handle;
+// any shortage rolls the whole order back.
+async function allocateOrder(tx, order, lines) {
+  const shortages = [];
+  for (const line of lines) {
+    const candidates = await pallets.listActiveForProduct(tx, order.customer_name, line.product_id);
+    const reserved = new Map();
+    for (const r of await orders.listOpenReservations(tx, candidates.map((p) => p.id))) {
+      const entry = reserved.get(r.pallet_id) || { pallets: 0, units: 0 };
+      entry[r.unit] = Number(r.quantity) || 0;
+      reserved.set(r.pallet_id, entry);
+    }
+
+    let remaining = line.quantity;
+    for (const row of candidates) {
+      if (remaining === 0) break;
+      const take = Math.min(remaining, availableOn(row, line.unit, reserved));
+      if (take <= 0) continue;
+      await orders.insertPick(tx, {
+        order_id: order.id,
+        line_id: line.id,
+        pallet_id: row.id,
+        location: row.location,
+        unit: line.unit,
+        quantity: take,
+      });
+      remaining -= take;
+    }
+    if (remaining > 0) {
+      shortages.push({
+        product_id: line.product_id,
+        unit: line.unit,
+        requested: line.quantity,
+        available: line.quantity - remaining,
+      });
+    }
+  }
+
+  if (shortages.length) {
+    const detail = shortages.map((s) => `${s.product_id} needs ${s.requested} ${s.unit}, ${s.available} available`).join("; ");
+    throw httpError(409, `Not enough stock: ${detail}`, { shortages });
+  }
+}
+
+// Confirms one pick against the pallet that was scanned and takes the stock
+// off it through the same removal logic as the pallet routes. The order is
+// completed when its last open pick is confirmed.
+async function confirmPick(tx, order, pick, scannedCode, audit) {
+  if (order.status !== "OPEN") throw httpError(409, `Order #${order.id} is ${order.status.toLowerCase()}`);
+  if (pick.status === "PICKED") return { duplicate: true };
+  if (pick.status !== "OPEN") throw httpError(409, "This pick has been cancelled");
+
+  if (scannedCode !== pick.pallet_id) {
+    const scanned = await pallets.findActiveByIdOrProduct(tx, scannedCode);
+    if (scanned?.id !== pick.pallet_id) {
+      throw httpError(409, `Wrong pallet: this pick is ${pick.pallet_id}`, { expected: pick.pallet_id });
+    }
+  }
+  const row = await pallets.findById(tx, pick.pallet_id);
+  if (!row || row.status !== "active") throw httpError(409, `Pallet ${pick.pallet_id} is no longer in stock`);
+  if (row.hold_status) {
+    throw httpError(409, `Pallet ${row.id} went on hold after it was allocated; cancel the order or release the hold`, {
+      hold_status: row.hold_status,
+    });
+  }
+
+  const note = `Picked for order #${order.id}${order.reference ? ` (${order.reference})` : ""}`;
+  const qty = Number(pick.quantity);
+  const result = pick.unit === "units"
+    ? await removeUnits(tx, row, qty, audit, note)
+    : await removePallets(tx, row, qty, audit, note);
+
+  const marked = await orders.markPicked(tx, pick.id, {
+    activityId: result.logged.lastID,
+    location: row.location,
+    pickedBy: audit.scannedBy,
+  });
+  if (marked.changes === 0) throw httpError(409, "This pick was confirmed by another user. Refresh and retry.");
+  await orders.addPicked(tx, pick.line_id, qty);
+
+  const completed = (await orders.countOpenPicks(tx, order.id)) === 0;
+  if (completed) await orders.close(tx, order.id, "COMPLETED");
+  return { row, result, completed };
+}
+
+module.exports = {
+  ORDER_UNITS,
+  normalizeOrderLines,
+  allocateOrder,
+  confirmPick,
+};
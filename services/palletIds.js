@@ -0,0 +1,98 @@
+const { httpError } = require("../lib/http");
+const customers = require("../repositories/customers");
+const pallets = require("../repositories/pallets");
+const sequences = require("../repositories/palletIdSequences");
+
+const MAX_RESERVE = 500;
+const FORMAT_TOKEN_RE = /\{(seq(?::(\d{1,2}))?|check)\}/g;
+
+// A format is literal text around one {seq} (or {seq:N}, zero-padded to N
+// digits) and an optional {check}, the GS1 mod-10 check digit of the padded
+// number. "ALL4-COUNCIL-{seq:6}" issues ALL4-COUNCIL-000123.
+function readIdFormat(value) {
+  const format = String(value ?? "").trim();
+  const tokens = [...format.matchAll(FORMAT_TOKEN_RE)];
+  const seq = tokens.filter((t) => t[1].startsWith("seq"));
+  if (seq.length !== 1) throw httpError(400, "format must contain {seq} (or {seq:N} for N digits) exactly once");
+  if (tokens.length - seq.length > 1) throw httpError(400, "format may contain {check} at most once");
+  const width = Number(seq[0][2] || 0);
+  if (width > 12) throw httpError(400, "{seq:N} pads to at most 12 digits");
+  if (!/^[A-Za-z0-9._/-]*$/.test(format.replace(FORMAT_TOKEN_RE, ""))) {
+    throw httpError(400, "format text may only use letters, digits and . _ / -");
+  }
+  return format;
+}
+
+function checkDigit(digits) {
+  const sum = [...digits].reverse().reduce((acc, d, i) => acc + Number(d) * (i % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+function formatPalletId(format, n) {
+  const width = Number(format.match(/\{seq:(\d+)\}/)?.[1] || 0);
+  const digits = String(n).padStart(width, "0");
+  return format.replace(FORMAT_TOKEN_RE, (token) => (token === "{check}" ? checkDigit(digits) : digits));
+}
+
+// Matches ids written in `format`, capturing the padded number and check
+// digit. Format text is letters, digits and . _ / - only, so "." is the one
+// character to escape.
+function idPattern(format) {
+  let source = "";
+  let last = 0;
+  for (const m of format.matchAll(FORMAT_TOKEN_RE)) {
+    source += format.slice(last, m.index).replace(/\./g, "\\.");
+    source += m[1] === "check" ? "(?<check>\\d)" : `(?<seq>\\d{${Math.max(1, Number(m[2] || 0))},})`;
+    last = m.index + m[0].length;
+  }
+  return new RegExp(`^${source}${format.slice(last).replace(/\./g, "\\.")}$`);
+}
+
+// The customer's own sequence when it has one, otherwise the default.
+async function sequenceFor(db, customerName) {
+  const customer = customerName ? await customers.findByName(db, customerName) : null;
+  const own = customer ? await sequences.find(db, customer.id) : null;
+  return own?.format ? own : sequences.find(db, sequences.DEFAULT_SEQUENCE);
+}
+
+// Issues `count` ids from the customer's sequence, skipping any already on a
+// pallet (ids typed in by hand can land in a sequence's range). Runs on a
+// transaction handle, so concurrent requests never share an id.
+async function reservePalletIds(tx, customerName, count = 1) {
+  if (!Number.isInteger(count) || count < 1 || count > MAX_RESERVE) {
+    throw httpError(400, `count must be a whole number from 1 to ${MAX_RESERVE}`);
+  }
+  const sequence = await sequenceFor(tx, customerName);
+  const ids = [];
+  while (ids.length < count) {
+    const wanted = count - ids.length;
+    const first = await sequences.advance(tx, sequence.customer_id, wanted);
+    for (let n = first; n < first + wanted; n++) {
+      const id = formatPalletId(sequence.format, n);
+      if (!(await pallets.findById(tx, id))) ids.push(id);
+    }
+  }
+  return ids;
+}
+
+// The id for a pallet going into stock: the one typed or scanned, or else the
+// next from the customer's sequence. A given id written in the sequence's
+// format must carry the right check digit when the format has one.
+async function resolvePalletId(tx, customerName, requestedId) {
+  const id = String(requestedId ?? "").trim();
+  if (!id) return (await reservePalletIds(tx, customerName, 1))[0];
+  const { format } = await sequenceFor(tx, customerName);
+  const m = format.includes("{check}") ? id.match(idPattern(format)) : null;
+  if (m && m.groups.check !== checkDigit(m.groups.seq)) {
+    throw httpError(400, `Pallet id ${id} has the wrong check digit`);
+  }
+  return id;
+}
+
+module.exports = {
+  MAX_RESERVE,
+  readIdFormat,
+  formatPalletId,
+  reservePalletIds,
+  resolvePalletId,
+};
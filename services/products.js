@@ -0,0 +1,102 @@
+const products = require("../repositories/products");
+const { httpError } = require("../lib/http");
+
+const DIMENSION_FIELDS = ["length_cm", "width_cm", "height_cm", "weight_kg"];
+
+function optionalMeasure(value, key) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw httpError(400, `${key} must be a number >= 0`);
+  return n;
+}
+
+function readAliases(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw ?? "").split(",");
+  const seen = new Set();
+  const aliases = [];
+  for (const item of list) {
+    const alias = String(item ?? "").trim();
+    if (!alias || seen.has(alias.toUpperCase())) continue;
+    seen.add(alias.toUpperCase());
+    aliases.push(alias);
+  }
+  return aliases;
+}
+
+// Reads the editable product fields present in a request body. customer_name
+// and product_id are only read when creating; aliases come back separately.
+function readProductFields(body, { creating = false } = {}) {
+  const fields = {};
+  if (creating) {
+    fields.customer_name = String(body?.customer_name || "").trim();
+    fields.product_id = String(body?.product_id || "").trim();
+    if (!fields.customer_name || !fields.product_id) throw httpError(400, "customer_name and product_id are required");
+  }
+  if (body?.description !== undefined) fields.description = String(body.description ?? "").trim() || null;
+  if (body?.units_per_pallet !== undefined) {
+    const units = body.units_per_pallet === "" || body.units_per_pallet == null ? 0 : Number(body.units_per_pallet);
+    if (!Number.isInteger(units) || units < 0) throw httpError(400, "units_per_pallet must be a whole number >= 0");
+    fields.units_per_pallet = units;
+  }
+  for (const key of DIMENSION_FIELDS) {
+    if (body?.[key] !== undefined) fields[key] = optionalMeasure(body[key], key);
+  }
+  if (body?.active !== undefined) fields.active = body.active === false || Number(body.active) === 0 ? 0 : 1;
+  const aliases = body?.aliases === undefined ? undefined : readAliases(body.aliases);
+  return { fields, aliases };
+}
+
+// Every code a product answers to has to be unique within its customer, SKUs
+// and aliases alike.
+async function assertCodesFree(db, product, codes) {
+  for (const code of codes) {
+    const owner = await products.findByCode(db, product.customer_name, code);
+    if (owner && owner.id !== product.id) {
+      throw httpError(409, `${code} is already used by ${owner.product_id}`, { product_id: owner.product_id });
+    }
+  }
+}
+
+async function withAliases(db, rows) {
+  const aliases = await products.listAliases(db, rows.map((r) => r.id));
+  return rows.map((row) => ({
+    ...row,
+    aliases: aliases.filter((a) => a.product_ref === row.id).map((a) => a.alias),
+  }));
+}
+
+// Turns whatever was typed or scanned for a customer's product into its
+// catalogue SKU. Customers without a catalogue keep free-text product ids.
+async function resolveProduct(db, customerName, code) {
+  const raw = String(code ?? "").trim();
+  if (!raw) return { product_id: raw, product: null };
+  const product = await products.findByCode(db, customerName, raw);
+  if (product) {
+    if (!Number(product.active)) throw httpError(400, `Product ${product.product_id} is inactive`);
+    return { product_id: product.product_id, product };
+  }
+  if ((await products.countForCustomer(db, customerName)) > 0) {
+    throw httpError(400, `Unknown product ${raw} for ${customerName}`, { product_id: raw });
+  }
+  return { product_id: raw, product: null };
+}
+
+// Resolves the product_id of each line in place of the raw code; anything
+// that isn't a list is left for the line validation to reject.
+async function resolveLines(db, customerName, lines) {
+  if (!Array.isArray(lines)) return lines;
+  const resolved = [];
+  for (const line of lines) {
+    const { product_id } = await resolveProduct(db, customerName, line?.product_id);
+    resolved.push({ ...line, product_id });
+  }
+  return resolved;
+}
+
+module.exports = {
+  readProductFields,
+  assertCodesFree,
+  withAliases,
+  resolveProduct,
+  resolveLines,
+};
@@ -0,0 +1,116 @@
+const pallets = require("../repositories/pallets");
+const locations = require("../repositories/locations");
+const { describeFill } = require("./slotting");
+
+// Points each factor adds to a candidate's score. Co-location dominates so a
+// customer's stock stays together; type, free space and proximity break ties.
+const PUTAWAY_WEIGHTS = {
+  sameProduct: 40,
+  sameCustomer: 20,
+  otherCustomer: -10,
+  freeSpace: 10,
+  unlimited: 5,
+  proximity: 10,
+};
+
+const TYPE_PREFERENCE = {
+  rack: 15,
+  rack_floor: 8,
+  floor_space: 4,
+};
+
+function sameText(a, b) {
+  return String(a || "").trim().toUpperCase() === String(b || "").trim().toUpperCase();
+}
+
+// Walking distance in rough rack units: each aisle over counts as 4 racks.
+function aisleDistance(a, b) {
+  if (!a.aisle || !b.aisle || a.aisle.length !== 1 || b.aisle.length !== 1) return null;
+  const aisles = Math.abs(a.aisle.charCodeAt(0) - b.aisle.charCodeAt(0));
+  const racks = a.rack != null && b.rack != null ? Math.abs(Number(a.rack) - Number(b.rack)) : 0;
+  return aisles * 4 + racks;
+}
+
+// Ranks locations for `qty` incoming pallets. `rows` are locations.list() rows
+// and `stock` is pallets.listActiveStockByLocation(). Locations without room
+// are left out.
+function rankPutaway(rows, stock, { customer, productId, qty = 1 } = {}) {
+  const byLocation = new Map();
+  for (const s of stock) {
+    if (!byLocation.has(s.location)) byLocation.set(s.location, []);
+    byLocation.get(s.location).push(s);
+  }
+
+  const located = rows.map(describeFill);
+  const holdsCustomer = (loc) => customer && (byLocation.get(loc.id) || []).some((s) => sameText(s.customer_name, customer));
+  const holdsProduct = (loc) =>
+    customer && productId && (byLocation.get(loc.id) || []).some((s) => sameText(s.customer_name, customer) && sameText(s.product_id, productId));
+  const anchors = located.filter(holdsProduct);
+  if (!anchors.length) anchors.push(...located.filter(holdsCustomer));
+
+  const suggestions = [];
+  for (const loc of located) {
+    const free = loc.capacity == null ? null : loc.capacity - loc.fill_pallets;
+    if (free != null && free < qty) continue;
+
+    const reasons = [];
+    let score = 0;
+
+    const here = byLocation.get(loc.id) || [];
+    if (holdsProduct(loc)) {
+      score += PUTAWAY_WEIGHTS.sameProduct;
+      reasons.push("same product here");
+    } else if (holdsCustomer(loc)) {
+      score += PUTAWAY_WEIGHTS.sameCustomer;
+      reasons.push("customer stock here");
+    } else if (here.length && customer) {
+      score += PUTAWAY_WEIGHTS.otherCustomer;
+      reasons.push("holds another customer's stock");
+    }
+
+    score += TYPE_PREFERENCE[String(loc.location_type || "").toLowerCase()] || 0;
+
+    if (free == null) {
+      score += PUTAWAY_WEIGHTS.unlimited;
+      reasons.push("no capacity limit");
+    } else {
+      score += PUTAWAY_WEIGHTS.freeSpace * ((free - qty) / loc.capacity);
+      reasons.push(`${free} of ${loc.capacity} free`);
+    }
+
+    const distances = anchors.map((a) => aisleDistance(loc, a)).filter((d) => d != null);
+    if (distances.length) {
+      const nearest = Math.min(...distances);
+      const points = Math.max(0, PUTAWAY_WEIGHTS.proximity - nearest);
+      if (points > 0) {
+        score += points;
+        if (nearest > 0) reasons.push("near customer stock");
+      }
+    }
+
+    suggestions.push({
+      location: loc.id,
+      location_type: loc.location_type,
+      capacity: loc.capacity,
+      fill_pallets: loc.fill_pallets,
+      free,
+      score: Number(score.toFixed(1)),
+      reasons,
+    });
+  }
+
+  // Array.prototype.sort is stable, so equal scores keep locations.list() order.
+  return suggestions.sort((a, b) => b.score - a.score);
+}
+
+async function suggestPutaway(db, { customer, productId, qty = 1, limit = 5 } = {}) {
+  const rows = await locations.list(db);
+  const stock = await pallets.listActiveStockByLocation(db);
+  return rankPutaway(rows, stock, { customer, productId, qty }).slice(0, limit);
+}
+
+module.exports = {
+  PUTAWAY_WEIGHTS,
+  rankPutaway,
+  suggestPutaway,
+};
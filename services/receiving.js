@@ -0,0 +1,144 @@
+const asns = require("../repositories/asns");
+const { httpError } = require("../lib/http");
+const { readLotFields, checkInPallet } = require("./stock");
+const { resolveProduct } = require("./products");
+const { resolvePalletId } = require("./palletIds");
+
+function wholeNumber(value, fallback) {
+  if (value == null || value === "") return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : NaN;
+}
+
+// Validates the expected lines of a new ASN: one line per product.
+function normalizeAsnLines(raw) {
+  if (!Array.isArray(raw) || !raw.length) throw httpError(400, "An ASN needs at least one expected line");
+  const seen = new Set();
+  return raw.map((line) => {
+    const productId = String(line?.product_id || "").trim();
+    const pallets = wholeNumber(line?.pallets, NaN);
+    const unitsPerPallet = wholeNumber(line?.units_per_pallet, 0);
+    if (!productId) throw httpError(400, "Every ASN line needs a product_id");
+    if (seen.has(productId)) throw httpError(400, `${productId} is listed more than once`);
+    if (!Number.isInteger(pallets) || pallets < 1) {
+      throw httpError(400, `Expected pallets for ${productId} must be a whole number of at least 1`);
+    }
+    if (!Number.isInteger(unitsPerPallet) || unitsPerPallet < 0) {
+      throw httpError(400, `Units per pallet for ${productId} must be a whole number >= 0`);
+    }
+    seen.add(productId);
+    return { product_id: productId, expected_pallets: pallets, units_per_pallet: unitsPerPallet };
+  });
+}
+
+// Checks one received pallet in against an OPEN ASN. Products the ASN doesn't
+// list are still received (they show as over in the report); units per pallet
+// default to the ASN line's, then the catalogue's. Runs on a transaction handle.
+async function receivePallet(tx, asn, input, audit) {
+  if (asn.status !== "OPEN") throw httpError(409, `ASN #${asn.id} is closed`);
+  if (!String(input.product_id || "").trim()) throw httpError(400, "product_id is required");
+  if (!input.location) throw httpError(400, "location is required");
+  const { product_id: productId, product } = await resolveProduct(tx, asn.customer_name, input.product_id);
+
+  const line = (await asns.listLines(tx, asn.id)).find((l) => l.product_id === productId) || null;
+  const palletQty = wholeNumber(input.pallet_quantity, 1);
+  const unitsPerPallet = wholeNumber(input.product_quantity, line?.units_per_pallet || Number(product?.units_per_pallet) || 0);
+  if (!Number.isInteger(palletQty) || palletQty < 1) throw httpError(400, "pallet_quantity must be a whole number of at least 1");
+  if (!Number.isInteger(unitsPerPallet) || unitsPerPallet < 0) {
+    throw httpError(400, "product_quantity must be a whole number >= 0");
+  }
+
+  const damaged = input.damaged === true;
+  const extraNotes = String(input.notes || "").trim() || null;
+  const note = [
+    `Received on ASN #${asn.id}${asn.reference ? ` (${asn.reference})` : ""}`,
+    damaged ? "damaged" : null,
+    extraNotes,
+  ].filter(Boolean).join(" — ");
+
+  const pallet = {
+    id: await resolvePalletId(tx, asn.customer_name, input.pallet_id),
+    customer_name: asn.customer_name,
+    product_id: productId,
+    pallet_quantity: palletQty,
+    product_quantity: unitsPerPallet,
+    location: input.location,
+    parts: null,
+    date_added: null,
+    lot: null,
+    batch: null,
+    best_before: null,
+    expiry_date: null,
+    ...readLotFields(input),
+  };
+  const logged = await checkInPallet(tx, pallet, audit, note);
+  await asns.insertReceipt(tx, {
+    asn_id: asn.id,
+    line_id: line?.id ?? null,
+    pallet_id: pallet.id,
+    product_id: productId,
+    pallet_quantity: palletQty,
+    location: pallet.location,
+    damaged,
+    notes: extraNotes,
+    activity_id: logged.lastID,
+    received_by: audit.scannedBy,
+  });
+  return { pallet, logged, expected: Boolean(line), damaged };
+}
+
+function lineStatus(expected, received) {
+  if (received < expected) return "short";
+  if (received > expected) return "over";
+  return "ok";
+}
+
+// Expected against received pallets per product, with damaged pallets counted
+// separately (they are received, so they also count towards the total).
+async function buildReceiptReport(db, asn) {
+  const lines = await asns.listLines(db, asn.id);
+  const receipts = await asns.listReceipts(db, asn.id);
+
+  const rows = new Map(lines.map((l) => [l.product_id, {
+    product_id: l.product_id,
+    on_asn: true,
+    expected_pallets: l.expected_pallets,
+    received_pallets: 0,
+    damaged_pallets: 0,
+  }]));
+  for (const r of receipts) {
+    if (!rows.has(r.product_id)) {
+      rows.set(r.product_id, { product_id: r.product_id, on_asn: false, expected_pallets: 0, received_pallets: 0, damaged_pallets: 0 });
+    }
+    const row = rows.get(r.product_id);
+    row.received_pallets += Number(r.pallet_quantity) || 0;
+    if (r.damaged) row.damaged_pallets += Number(r.pallet_quantity) || 0;
+  }
+
+  const report = [...rows.values()].map((row) => ({
+    ...row,
+    variance: row.received_pallets - row.expected_pallets,
+    status: lineStatus(row.expected_pallets, row.received_pallets),
+  }));
+  const total = (key) => report.reduce((sum, row) => sum + row[key], 0);
+
+  return {
+    asn,
+    lines: report,
+    receipts,
+    summary: {
+      expected_pallets: total("expected_pallets"),
+      received_pallets: total("received_pallets"),
+      damaged_pallets: total("damaged_pallets"),
+      short_lines: report.filter((r) => r.status === "short").length,
+      over_lines: report.filter((r) => r.status === "over").length,
+      damaged_lines: report.filter((r) => r.damaged_pallets > 0).length,
+    },
+  };
+}
+
+module.exports = {
+  normalizeAsnLines,
+  receivePallet,
+  buildReceiptReport,
+};
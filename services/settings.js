@@ -0,0 +1,28 @@
+const fs = require("fs");
+
+// server-settings.json holds the options admins change from the Settings tab.
+function createSettingsStore(settingsPath) {
+  function read() {
+    try {
+      if (!fs.existsSync(settingsPath)) return {};
+      const raw = fs.readFileSync(settingsPath, "utf8");
+      const parsed = JSON.parse(raw);
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function write(nextSettings) {
+    const safe = nextSettings && typeof nextSettings === "object" ? nextSettings : {};
+    fs.writeFileSync(settingsPath, JSON.stringify(safe, null, 2), "utf8");
+  }
+
+  function isAuthDisabled() {
+    return Number(read().authDisabled || 0) === 1;
+  }
+
+  return { path: settingsPath, read, write, isAuthDisabled };
+}
+
+module.exports = { createSettingsStore };
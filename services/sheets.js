@@ -0,0 +1,147 @@
+const pallets = require("../repositories/pallets");
+const locations = require("../repositories/locations");
+const { nowIso, safeParseParts } = require("../lib/util");
+
+async function loadActivePalletsForSheets(db) {
+  const rows = await pallets.listActiveForSheets(db);
+  return rows.map((r) => ({
+    id: r.id,
+    customer_name: r.customer_name || "Unknown",
+    product_id: r.product_id || "",
+    location: r.location || "",
+    pallet_quantity: Number(r.pallet_quantity || 0),
+    product_quantity: Number(r.product_quantity || 0),
+    current_units: Number(r.current_units || 0),
+    parts: safeParseParts(r.parts) || [],
+    date_added: r.date_added || nowIso(),
+    scanned_by: r.scanned_by || "",
+    lot: r.lot || "",
+    batch: r.batch || "",
+    best_before: r.best_before || "",
+    expiry_date: r.expiry_date || "",
+  }));
+}
+
+// Floor areas are shared evenly between the customers with stock on them.
+async function loadFloorMetricsForSheets(db) {
+  const locationRows = await locations.listFloorUsage(db);
+  const byCustomer = {};
+  let siteFloorTotalSqm = 0;
+  let siteFloorUsedSqm = 0;
+
+  locationRows.forEach((r) => {
+    const sqm = Number(r.floor_area_sqm || 0);
+    if (!Number.isFinite(sqm) || sqm <= 0) return;
+    siteFloorTotalSqm += sqm;
+
+    const customers = String(r.customers_csv || "")
+      .split(",")
+      .map((c) => String(c || "").trim())
+      .filter(Boolean);
+
+    if (!customers.length) return;
+    siteFloorUsedSqm += sqm;
+    const share = sqm / customers.length;
+    customers.forEach((name) => {
+      if (!byCustomer[name]) byCustomer[name] = 0;
+      byCustomer[name] += share;
+    });
+  });
+
+  const roundedByCustomer = Object.fromEntries(
+    Object.entries(byCustomer).map(([k, v]) => [k, Number(v.toFixed(2))])
+  );
+
+  return {
+    site_floor_total_sqm: Number(siteFloorTotalSqm.toFixed(2)),
+    site_floor_used_sqm: Number(siteFloorUsedSqm.toFixed(2)),
+    by_customer_sqm_used: roundedByCustomer,
+  };
+}
+
+function getSheetsUrl(settings) {
+  const s = settings.read();
+  return String(s.googleSheetsUrl || s.appsScriptUrl || "").trim();
+}
+
+function createSheetsSync({ db, settings }) {
+  let timer = null;
+  const state = { enabled: false, minutes: 15, next_run_at: null, last_run_at: null, last_error: "" };
+
+  async function trigger(reason = "manual-sync") {
+    const url = getSheetsUrl(settings);
+    if (!url) throw new Error("Google Sheets URL not configured in server-settings.json");
+    const palletRows = await loadActivePalletsForSheets(db);
+    const floorMetrics = await loadFloorMetricsForSheets(db);
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        action: "sync_all",
+        data: {
+          trigger: reason,
+          source: "warehouse-tracker",
+          synced_at: nowIso(),
+          pallets: palletRows,
+          floor_metrics: floorMetrics,
+        },
+      }),
+    });
+    if (!response.ok) throw new Error(`Sheets sync failed (${response.status})`);
+    let body = null;
+    try {
+      body = await response.json();
+    } catch {
+      body = null;
+    }
+    if (body && typeof body === "object" && body.success === false) {
+      throw new Error(`Sheets sync rejected: ${body.message || "Unknown Apps Script error"}`);
+    }
+    return { ok: true, rows: palletRows.length, floor_metrics: floorMetrics, response: body };
+  }
+
+  function start(minutes) {
+    const mins = Math.max(1, Math.min(1440, Number(minutes) || 15));
+    if (timer) clearInterval(timer);
+    state.enabled = true;
+    state.minutes = mins;
+    state.next_run_at = new Date(Date.now() + mins * 60 * 1000).toISOString();
+    state.last_error = "";
+
+    timer = setInterval(async () => {
+      try {
+        await trigger("auto-interval");
+        state.last_run_at = new Date().toISOString();
+        state.last_error = "";
+      } catch (e) {
+        state.last_error = e.message || "Auto sync failed";
+      } finally {
+        state.next_run_at = new Date(Date.now() + mins * 60 * 1000).toISOString();
+      }
+    }, mins * 60 * 1000);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    state.enabled = false;
+    state.next_run_at = null;
+  }
+
+  function configureFromSettings() {
+    const s = settings.read();
+    const enabled = Number(s.autoSheetsSyncEnabled || 0) === 1;
+    const minutes = Math.max(1, Math.min(1440, Number(s.autoSheetsSyncMinutes) || 15));
+    if (enabled) start(minutes);
+    else stop();
+  }
+
+  return { state, trigger, start, stop, configureFromSettings, getUrl: () => getSheetsUrl(settings) };
+}
+
+module.exports = {
+  loadActivePalletsForSheets,
+  loadFloorMetricsForSheets,
+  createSheetsSync,
+};
@@ -0,0 +1,79 @@
+const pallets = require("../repositories/pallets");
+const locations = require("../repositories/locations");
+const { httpError } = require("../lib/http");
+
+// Floor area one standard 1200x1000 pallet takes up.
+const PALLET_FOOTPRINT_SQM = 1.2;
+
+// How many pallets a location can hold, or null when it has no limit.
+// capacity_pallets wins when set (0 closes the location); otherwise a floor
+// area gives room for as many pallets as fit on it.
+function locationCapacity(loc) {
+  if (loc?.capacity_pallets != null && Number.isFinite(Number(loc.capacity_pallets))) {
+    return Math.max(0, Math.floor(Number(loc.capacity_pallets)));
+  }
+  const sqm = Number(loc?.floor_area_sqm);
+  if (loc?.floor_area_sqm != null && Number.isFinite(sqm)) {
+    return Math.max(0, Math.floor(sqm / PALLET_FOOTPRINT_SQM));
+  }
+  return null;
+}
+
+// Adds capacity and fill level to a locations.list() row. fill_level is the
+// used share of capacity (above 1 for stock slotted before limits were set,
+// null when unlimited); free_pallets is the room left (null when unlimited);
+// is_occupied is kept for clients that still read it.
+function describeFill(loc) {
+  const { own_pallets, ...row } = loc || {};
+  const capacity = locationCapacity(row);
+  const fill = Number(row.fill_pallets) || 0;
+  let fillLevel = null;
+  if (capacity > 0) fillLevel = Number((fill / capacity).toFixed(3));
+  else if (capacity === 0) fillLevel = fill > 0 ? 1 : 0;
+  return {
+    ...row,
+    capacity,
+    fill_pallets: fill,
+    fill_level: fillLevel,
+    free_pallets: capacity == null ? null : Math.max(0, capacity - fill),
+    is_occupied: fill > 0 ? 1 : 0,
+  };
+}
+
+// What a customer-scoped user sees: the room left, but fill counted from
+// their own pallets only, so other customers' stock stays private.
+function describeOwnFill(loc) {
+  const { free_pallets } = describeFill(loc);
+  return { ...describeFill({ ...loc, fill_pallets: loc.own_pallets }), free_pallets };
+}
+
+// The one slotting rule for check-in, move, undo and quantity corrections:
+// `quantity` pallets fit if the location exists and, ignoring the pallet being
+// placed, its summed pallet_quantity stays within capacity.
+async function assertRoomFor(db, locationId, quantity, excludePalletId = null) {
+  const loc = await locations.findById(db, locationId);
+  if (!loc) throw httpError(400, `Unknown location: ${locationId}`);
+
+  const capacity = locationCapacity(loc);
+  if (capacity == null) return loc;
+
+  const used = await pallets.sumActiveQuantityAt(db, locationId, excludePalletId);
+  const requested = Number(quantity) || 0;
+  if (used + requested > capacity) {
+    const free = Math.max(0, capacity - used);
+    throw httpError(
+      409,
+      `Location ${locationId} is over capacity: ${used} of ${capacity} pallets used, room for ${free}, ${requested} needed`,
+      { location: locationId, capacity, used, requested }
+    );
+  }
+  return loc;
+}
+
+module.exports = {
+  PALLET_FOOTPRINT_SQM,
+  locationCapacity,
+  describeFill,
+  describeOwnFill,
+  assertRoomFor,
+};
@@ -0,0 +1,378 @@
+const pallets = require("../repositories/pallets");
+const activity = require("../repositories/activity");
+const customers = require("../repositories/customers");
+const orders = require("../repositories/orders");
+const { httpError } = require("../lib/http");
+const { normalizeDay, safeParseParts } = require("../lib/util");
+const { auditColumns } = require("./audit");
+const { assertRoomFor } = require("./slotting");
+
+const CONFLICT_MESSAGE = "Pallet was updated by another user. Refresh and retry.";
+
+function assertUpdated(result) {
+  if (result.changes === 0) throw httpError(409, CONFLICT_MESSAGE);
+}
+
+const LOT_TEXT_FIELDS = ["lot", "batch"];
+const LOT_DATE_FIELDS = ["best_before", "expiry_date"];
+
+// Reads the lot/batch/date attributes present in a request body. Blank values
+// clear the attribute; only the keys that were sent are returned.
+function readLotFields(body) {
+  const fields = {};
+  for (const key of LOT_TEXT_FIELDS) {
+    if (body?.[key] === undefined) continue;
+    fields[key] = String(body[key] ?? "").trim() || null;
+  }
+  for (const key of LOT_DATE_FIELDS) {
+    if (body?.[key] === undefined) continue;
+    const raw = String(body[key] ?? "").trim();
+    fields[key] = raw ? normalizeDay(raw) : null;
+    if (raw && !fields[key]) throw httpError(400, `Invalid ${key} format. Use YYYY-MM-DD`);
+  }
+  return fields;
+}
+
+function withNote(text, note) {
+  return [text, note].filter(Boolean).join(" — ") || null;
+}
+
+// Puts a new pallet row into stock and logs its CHECK_IN; check-in, ASN
+// receiving and stock imports (logged as IMPORT) all come through here.
+// `pallet` carries the pallets columns, with current_units worked out from the
+// pallet and unit counts. A customer name not seen before gets a customer
+// record.
+async function checkInPallet(tx, pallet, audit, note = null, action = "CHECK_IN") {
+  if (await pallets.findById(tx, pallet.id)) throw httpError(409, `Pallet ${pallet.id} already exists`);
+  await assertRoomFor(tx, pallet.location, pallet.pallet_quantity);
+  await customers.ensure(tx, pallet.customer_name);
+  await pallets.insert(tx, {
+    ...pallet,
+    current_units: pallet.pallet_quantity * pallet.product_quantity,
+    scanned_by: audit.scannedBy,
+  });
+  return activity.insert(tx, {
+    pallet_id: pallet.id,
+    customer_name: pallet.customer_name,
+    product_id: pallet.product_id,
+    action,
+    quantity_changed: pallet.pallet_quantity,
+    quantity_after: pallet.pallet_quantity,
+    location: pallet.location,
+    notes: note,
+    ...auditColumns(audit),
+  });
+}
+
+// Takes whole pallets off an active pallet row and logs a PARTIAL_REMOVE; the
+// row is marked removed when nothing is left. Runs on a transaction handle.
+// `note` is appended to the log entry (e.g. the order a pick was for).
+async function removePallets(tx, row, qtyToRemove, audit, note = null) {
+  const quantityBefore = Number(row.pallet_quantity) || 0;
+  const quantityAfter = quantityBefore - qtyToRemove;
+  if (quantityAfter < 0) throw httpError(400, "Cannot remove more than available quantity");
+
+  const emptied = quantityAfter === 0;
+  assertUpdated(
+    emptied
+      ? await pallets.markRemoved(tx, row.id, row.version, { pallet_quantity: 0 })
+      : await pallets.updateFields(tx, row.id, row.version, { pallet_quantity: quantityAfter })
+  );
+  const logged = await activity.insert(tx, {
+    pallet_id: row.id,
+    customer_name: row.customer_name,
+    product_id: row.product_id,
+    action: "PARTIAL_REMOVE",
+    quantity_changed: qtyToRemove,
+    quantity_before: quantityBefore,
+    quantity_after: quantityAfter,
+    location: row.location,
+    notes: withNote(emptied ? "Pallet emptied and removed" : null, note),
+    ...auditColumns(audit),
+  });
+  return { logged, quantityBefore, quantityAfter, emptied };
+}
+
+// Picks units off an active pallet row and logs a UNITS_REMOVE. An emptied
+// pallet keeps its pallet and unit counts so an undo can bring it back as it was.
+async function removeUnits(tx, row, unitsToRemove, audit, note = null) {
+  if (!row.product_quantity || row.product_quantity === 0) {
+    throw httpError(400, "This pallet does not track individual units. Use remove-quantity endpoint instead.");
+  }
+  const unitsBefore = Number(row.current_units) || 0;
+  const unitsAfter = unitsBefore - unitsToRemove;
+  if (unitsAfter < 0) {
+    throw httpError(400, `Cannot remove ${unitsToRemove} units. Only ${unitsBefore} units available.`);
+  }
+
+  const emptied = unitsAfter === 0;
+  assertUpdated(
+    emptied
+      ? await pallets.markRemoved(tx, row.id, row.version, { current_units: 0 })
+      : await pallets.updateFields(tx, row.id, row.version, { current_units: unitsAfter })
+  );
+  const logged = await activity.insert(tx, {
+    pallet_id: row.id,
+    customer_name: row.customer_name,
+    product_id: row.product_id,
+    action: "UNITS_REMOVE",
+    quantity_changed: unitsToRemove,
+    quantity_before: unitsBefore,
+    quantity_after: unitsAfter,
+    location: row.location,
+    notes: withNote(
+      emptied ? "All units removed. Pallet cleared." : `Removed ${unitsToRemove} units. ${unitsAfter} total units remaining.`,
+      note
+    ),
+    ...auditColumns(audit),
+  });
+  return { logged, unitsBefore, unitsAfter, emptied };
+}
+
+async function openReservations(tx, palletId) {
+  const reserved = { pallets: 0, units: 0 };
+  for (const r of await orders.listOpenReservations(tx, [palletId])) reserved[r.unit] = Number(r.quantity) || 0;
+  return reserved;
+}
+
+// Guards stock changes made outside the pick flow. Open picks must still fit
+// on what is left; checking a pallet out or moving it (pick lists name the
+// location) needs none at all.
+async function assertPicksFit(tx, row, { palletsAfter, unitsAfter, emptied = false, doing = null }) {
+  const reserved = await openReservations(tx, row.id);
+  if (!reserved.pallets && !reserved.units) return;
+  if (doing) throw httpError(409, `Pallet ${row.id} has open picks; confirm or cancel them before you ${doing}`);
+  if (emptied || reserved.pallets > palletsAfter || reserved.units > unitsAfter) {
+    throw httpError(409, `Pallet ${row.id} has open picks that would no longer fit; confirm or cancel them first`);
+  }
+}
+
+// Moves `quantity` of a pallet entry's pallets to a new entry, optionally at
+// another location. The new entry keeps the original date_added and lot
+// details; units already picked stay with the source. Open picks on the source
+// must still fit on what is left. Runs on a transaction handle.
+async function splitPallet(tx, row, { quantity, newId, location }, audit) {
+  const before = Number(row.pallet_quantity) || 0;
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity >= before) {
+    throw httpError(400, before > 1
+      ? `Split quantity must be a whole number from 1 to ${before - 1}`
+      : `Pallet ${row.id} holds a single pallet and can't be split`);
+  }
+  if (await pallets.findById(tx, newId)) throw httpError(409, `Pallet ${newId} already exists`);
+
+  const remaining = before - quantity;
+  const unitsBefore = Number(row.current_units) || 0;
+  const movedUnits = Math.min(quantity * (Number(row.product_quantity) || 0), unitsBefore);
+  const reserved = await openReservations(tx, row.id);
+  if (reserved.pallets > remaining || reserved.units > unitsBefore - movedUnits) {
+    throw httpError(409, `Pallet ${row.id} has open picks that would no longer fit after the split`);
+  }
+  if (location !== row.location) await assertRoomFor(tx, location, quantity);
+
+  assertUpdated(await pallets.updateFields(tx, row.id, row.version, {
+    pallet_quantity: remaining,
+    current_units: unitsBefore - movedUnits,
+  }));
+  const pallet = {
+    id: newId,
+    customer_name: row.customer_name,
+    product_id: row.product_id,
+    pallet_quantity: quantity,
+    product_quantity: Number(row.product_quantity) || 0,
+    current_units: movedUnits,
+    location,
+    parts: null,
+    date_added: row.date_added,
+    lot: row.lot,
+    batch: row.batch,
+    best_before: row.best_before,
+    expiry_date: row.expiry_date,
+  };
+  await pallets.insert(tx, { ...pallet, scanned_by: audit.scannedBy });
+
+  const entry = { customer_name: row.customer_name, product_id: row.product_id, quantity_changed: quantity, ...auditColumns(audit) };
+  const out = await activity.insert(tx, {
+    ...entry,
+    pallet_id: row.id,
+    action: "SPLIT_OUT",
+    quantity_before: before,
+    quantity_after: remaining,
+    location: row.location,
+    notes: `Split ${quantity} pallet(s) off to ${newId}${location !== row.location ? ` at ${location}` : ""}`,
+  });
+  const into = await activity.insert(tx, {
+    ...entry,
+    pallet_id: newId,
+    action: "SPLIT_IN",
+    quantity_before: 0,
+    quantity_after: quantity,
+    location,
+    notes: `Split from ${row.id}`,
+    related_activity_id: out.lastID,
+  });
+  await activity.setRelated(tx, out.lastID, into.lastID);
+  return { pallet, remaining, unitsRemaining: unitsBefore - movedUnits, activityIds: [out.lastID, into.lastID] };
+}
+
+function mergeParts(a, b) {
+  const totals = new Map();
+  for (const part of [...(safeParseParts(a) || []), ...(safeParseParts(b) || [])]) {
+    const key = String(part?.part_number || "");
+    if (!key) continue;
+    totals.set(key, (totals.get(key) || 0) + (Number(part.quantity) || 0));
+  }
+  if (!totals.size) return null;
+  return JSON.stringify([...totals].map(([part_number, quantity]) => ({ part_number, quantity })));
+}
+
+const MERGE_MUST_MATCH = ["customer_name", "product_id", "product_quantity", "lot", "batch", "best_before", "expiry_date"];
+
+// Folds `source` into `target`: the target takes its pallets, units and parts
+// and keeps the earlier date_added, and the source entry is closed. Only
+// entries that are the same stock (customer, product, units per pallet and lot
+// details) can be merged. Runs on a transaction handle.
+async function mergePallets(tx, source, target, audit) {
+  if (source.id === target.id) throw httpError(400, "A pallet can't be merged into itself");
+  const differs = MERGE_MUST_MATCH.filter((key) => String(source[key] ?? "") !== String(target[key] ?? ""));
+  if (differs.length) {
+    throw httpError(409, `${source.id} and ${target.id} differ in ${differs.join(", ")} and can't be merged`, { differs });
+  }
+  const reserved = await openReservations(tx, source.id);
+  if (reserved.pallets || reserved.units) throw httpError(409, `Pallet ${source.id} has open picks; confirm or cancel them first`);
+  if (source.location !== target.location) await assertRoomFor(tx, target.location, source.pallet_quantity);
+
+  const added = Number(source.pallet_quantity) || 0;
+  const before = Number(target.pallet_quantity) || 0;
+  const fields = {
+    pallet_quantity: before + added,
+    current_units: (Number(target.current_units) || 0) + (Number(source.current_units) || 0),
+    parts: mergeParts(target.parts, source.parts),
+  };
+  if (source.date_added && (!target.date_added || String(source.date_added) < String(target.date_added))) {
+    fields.date_added = source.date_added;
+  }
+  assertUpdated(await pallets.markRemoved(tx, source.id, source.version, { pallet_quantity: 0, current_units: 0 }));
+  assertUpdated(await pallets.updateFields(tx, target.id, target.version, fields));
+
+  const entry = { customer_name: target.customer_name, product_id: target.product_id, quantity_changed: added, ...auditColumns(audit) };
+  const out = await activity.insert(tx, {
+    ...entry,
+    pallet_id: source.id,
+    action: "MERGE_OUT",
+    quantity_before: added,
+    quantity_after: 0,
+    location: source.location,
+    notes: `Merged into ${target.id}`,
+  });
+  const into = await activity.insert(tx, {
+    ...entry,
+    pallet_id: target.id,
+    action: "MERGE_IN",
+    quantity_before: before,
+    quantity_after: before + added,
+    location: target.location,
+    notes: `Merged from ${source.id}${source.location !== target.location ? ` at ${source.location}` : ""}`,
+    related_activity_id: out.lastID,
+  });
+  await activity.setRelated(tx, out.lastID, into.lastID);
+  return { fields, activityIds: [out.lastID, into.lastID] };
+}
+
+// Folds a requested removal list into one quantity per part number, matched
+// against the pallet's parts list ignoring case.
+function readPartRemovals(raw, parts) {
+  if (!Array.isArray(raw) || !raw.length) throw httpError(400, "parts must list at least one part_number and quantity");
+  const byKey = new Map(parts.map((p) => [String(p.part_number).toUpperCase(), p]));
+  const removals = new Map();
+  for (const item of raw) {
+    const key = String(item?.part_number || "").trim().toUpperCase();
+    const quantity = Number(item?.quantity ?? 1);
+    if (!key) throw httpError(400, "Every part needs a part_number");
+    const part = byKey.get(key);
+    if (!part) throw httpError(400, `Part ${String(item.part_number).trim()} is not on this pallet`);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw httpError(400, `Quantity for part ${part.part_number} must be a whole number of at least 1`);
+    }
+    const taken = (removals.get(part) || 0) + quantity;
+    const onPallet = Number(part.quantity) || 0;
+    if (taken > onPallet) throw httpError(400, `Cannot remove ${taken} of part ${part.part_number}. Only ${onPallet} on the pallet.`);
+    removals.set(part, taken);
+  }
+  return removals;
+}
+
+// Notes on the CHECK_OUT logged when the last parts come off. The parts list
+// and units are gone by then, so that checkout can't be undone.
+const PARTS_EMPTIED_NOTE = "All parts removed";
+
+// Takes part quantities off a pallet's parts list, logging one PARTS_REMOVE
+// per part number. Unit-tracked pallets lose the same number of units. When
+// the last part is gone the pallet is checked out like a full removal, so
+// storage billing stops there. Runs on a transaction handle.
+async function removeParts(tx, row, requested, audit, note = null) {
+  const parts = (safeParseParts(row.parts) || []).filter((p) => p?.part_number);
+  if (!parts.length) throw httpError(400, `Pallet ${row.id} has no parts list`);
+  const removals = readPartRemovals(requested, parts);
+
+  const removedTotal = [...removals.values()].reduce((sum, qty) => sum + qty, 0);
+  const remaining = parts
+    .map((p) => ({ ...p, quantity: (Number(p.quantity) || 0) - (removals.get(p) || 0) }))
+    .filter((p) => p.quantity > 0);
+  const tracksUnits = Number(row.product_quantity) > 0;
+  const unitsBefore = Number(row.current_units) || 0;
+  const unitsAfter = tracksUnits ? Math.max(0, unitsBefore - removedTotal) : unitsBefore;
+  const emptied = remaining.length === 0;
+
+  const reserved = await openReservations(tx, row.id);
+  if ((emptied && (reserved.pallets || reserved.units)) || reserved.units > unitsAfter) {
+    throw httpError(409, `Pallet ${row.id} has open picks that would no longer fit; confirm or cancel them first`);
+  }
+
+  const fields = { parts: emptied ? null : JSON.stringify(remaining), current_units: unitsAfter };
+  assertUpdated(emptied
+    ? await pallets.markRemoved(tx, row.id, row.version, fields)
+    : await pallets.updateFields(tx, row.id, row.version, fields));
+
+  const base = { pallet_id: row.id, customer_name: row.customer_name, product_id: row.product_id, location: row.location };
+  const activityIds = [];
+  for (const [part, qty] of removals) {
+    const before = Number(part.quantity) || 0;
+    const logged = await activity.insert(tx, {
+      ...base,
+      action: "PARTS_REMOVE",
+      part_number: part.part_number,
+      quantity_changed: qty,
+      quantity_before: before,
+      quantity_after: before - qty,
+      notes: withNote(`Removed ${qty} × part ${part.part_number}`, note),
+      ...auditColumns(audit),
+    });
+    activityIds.push(logged.lastID);
+  }
+  if (emptied) {
+    const checkedOut = await activity.insert(tx, {
+      ...base,
+      action: "CHECK_OUT",
+      quantity_changed: row.pallet_quantity,
+      quantity_before: row.pallet_quantity,
+      notes: PARTS_EMPTIED_NOTE,
+      ...auditColumns(audit),
+    });
+    activityIds.push(checkedOut.lastID);
+  }
+  return { parts: emptied ? [] : remaining, unitsAfter, emptied, activityIds };
+}
+
+module.exports = {
+  CONFLICT_MESSAGE,
+  PARTS_EMPTIED_NOTE,
+  assertUpdated,
+  readLotFields,
+  assertPicksFit,
+  checkInPallet,
+  removePallets,
+  removeUnits,
+  removeParts,
+  splitPallet,
+  mergePallets,
+};
@@ -0,0 +1,227 @@
+const counts = require("../repositories/counts");
+const pallets = require("../repositories/pallets");
+const locations = require("../repositories/locations");
+const activity = require("../repositories/activity");
+const { httpError } = require("../lib/http");
+const { recountUnits } = require("../lib/util");
+const { auditColumns } = require("./audit");
+const { assertNotHeld } = require("./holds");
+
+// Order variances are listed and posted in: a pallet's location is corrected
+// before its quantity.
+const VARIANCE_ORDER = ["missing", "unexpected", "wrong_location", "quantity"];
+
+function sessionAisles(session) {
+  try {
+    const aisles = JSON.parse(session.aisles || "[]");
+    return Array.isArray(aisles) ? aisles : [];
+  } catch {
+    return [];
+  }
+}
+
+function variance(type, fields) {
+  return { key: `${type}:${fields.pallet_id}`, type, ...fields };
+}
+
+// Compares what was counted in `session` with the active pallets in its
+// aisles. A pallet that wasn't scanned is only "missing" once its location has
+// been counted; otherwise its location is listed as uncounted.
+async function buildVarianceReport(db, session) {
+  const sessionLocations = await locations.listByAisles(db, sessionAisles(session));
+  const expected = await pallets.listActiveInLocations(db, sessionLocations.map((l) => l.id));
+  const counted = new Set((await counts.listCountedLocations(db, session.id)).map((r) => r.location));
+  const scans = await counts.listScans(db, session.id);
+  const scanByPallet = new Map(scans.map((s) => [s.pallet_id, s]));
+  const expectedIds = new Set(expected.map((p) => p.id));
+
+  const variances = [];
+  const uncounted = new Set();
+  const compare = (p, scan) => {
+    const base = {
+      pallet_id: p.id,
+      customer_name: p.customer_name,
+      product_id: p.product_id,
+      expected_location: p.location,
+      counted_location: scan.location,
+      expected_quantity: Number(p.pallet_quantity) || 0,
+      counted_quantity: Number(scan.quantity) || 0,
+      postable: true,
+    };
+    if (scan.location !== p.location) variances.push(variance("wrong_location", base));
+    if (base.counted_quantity !== base.expected_quantity) variances.push(variance("quantity", base));
+  };
+
+  for (const p of expected) {
+    const scan = scanByPallet.get(p.id);
+    if (scan) {
+      compare(p, scan);
+    } else if (counted.has(p.location)) {
+      variances.push(variance("missing", {
+        pallet_id: p.id,
+        customer_name: p.customer_name,
+        product_id: p.product_id,
+        expected_location: p.location,
+        counted_location: null,
+        expected_quantity: Number(p.pallet_quantity) || 0,
+        counted_quantity: 0,
+        postable: true,
+      }));
+    } else {
+      uncounted.add(p.location);
+    }
+  }
+
+  for (const scan of scans) {
+    if (expectedIds.has(scan.pallet_id)) continue;
+    const p = await pallets.findById(db, scan.pallet_id);
+    if (p && p.status === "active") {
+      compare(p, scan);
+      continue;
+    }
+    // A removed pallet can be booked back in from its old record; an id the
+    // system has never seen needs a proper check-in.
+    variances.push(variance("unexpected", {
+      pallet_id: scan.pallet_id,
+      customer_name: p?.customer_name || null,
+      product_id: p?.product_id || null,
+      expected_location: null,
+      counted_location: scan.location,
+      expected_quantity: 0,
+      counted_quantity: Number(scan.quantity) || 0,
+      postable: Boolean(p),
+    }));
+  }
+
+  variances.sort((a, b) =>
+    String(a.pallet_id).localeCompare(String(b.pallet_id)) || VARIANCE_ORDER.indexOf(a.type) - VARIANCE_ORDER.indexOf(b.type)
+  );
+  const summary = Object.fromEntries(VARIANCE_ORDER.map((t) => [t, variances.filter((v) => v.type === t).length]));
+
+  return {
+    session,
+    locations_total: sessionLocations.length,
+    locations_counted: counted.size,
+    pallets_counted: scans.length,
+    uncounted_locations: [...uncounted].sort(),
+    summary,
+    variances,
+  };
+}
+
+function assertUpdated(result) {
+  if (result.changes === 0) throw httpError(409, "Pallet changed while the count was being posted. Refresh and retry.");
+}
+
+// Writes one approved variance to `pallets` and logs it as an ADJUST.
+async function postVariance(tx, session, v, audit) {
+  const row = await pallets.findById(tx, v.pallet_id);
+  const label = `Stock count #${session.id}`;
+  const entry = {
+    pallet_id: row.id,
+    customer_name: row.customer_name,
+    product_id: row.product_id,
+    action: "ADJUST",
+    ...auditColumns(audit),
+    idempotency_key: null,
+  };
+  const qty = Number(row.pallet_quantity) || 0;
+
+  if (v.type === "missing") {
+    assertUpdated(await pallets.markRemoved(tx, row.id, row.version));
+    return activity.insert(tx, {
+      ...entry,
+      quantity_changed: -qty,
+      quantity_before: qty,
+      quantity_after: 0,
+      location: row.location,
+      notes: `${label}: not found at ${row.location}`,
+      reason_code: "stock_count",
+    });
+  }
+
+  if (v.type === "unexpected") {
+    const found = v.counted_quantity;
+    assertUpdated(await pallets.updateFields(tx, row.id, row.version, {
+      status: "active",
+      date_removed: null,
+      location: v.counted_location,
+      pallet_quantity: found,
+      current_units: found * (Number(row.product_quantity) || 0),
+    }));
+    return activity.insert(tx, {
+      ...entry,
+      quantity_changed: found,
+      quantity_before: 0,
+      quantity_after: found,
+      location: v.counted_location,
+      notes: `${label}: found at ${v.counted_location}`,
+      reason_code: "found",
+    });
+  }
+
+  // Counted stock is where it physically is, so capacity isn't enforced here.
+  if (v.type === "wrong_location") {
+    assertUpdated(await pallets.updateFields(tx, row.id, row.version, { location: v.counted_location }));
+    return activity.insert(tx, {
+      ...entry,
+      quantity_changed: 0,
+      quantity_before: qty,
+      quantity_after: qty,
+      location: v.counted_location,
+      notes: `${label}: location: ${row.location} → ${v.counted_location}`,
+      reason_code: "stock_count",
+    });
+  }
+
+  const counted = v.counted_quantity;
+  assertUpdated(await pallets.updateFields(tx, row.id, row.version, {
+    pallet_quantity: counted,
+    current_units: recountUnits(row, counted),
+  }));
+  return activity.insert(tx, {
+    ...entry,
+    quantity_changed: counted - qty,
+    quantity_before: qty,
+    quantity_after: counted,
+    location: row.location,
+    notes: `${label}: pallet_quantity: ${qty} → ${counted}`,
+    reason_code: "stock_count",
+  });
+}
+
+// Posts the approved variance keys of an OPEN session and closes it. Runs on a
+// transaction handle; the report is rebuilt inside it so nothing posts against
+// stale numbers.
+async function postApprovedVariances(tx, session, approvedKeys, audit, { overrideHold = false } = {}) {
+  if (session.status !== "OPEN") throw httpError(409, "This count has already been posted");
+
+  const report = await buildVarianceReport(tx, session);
+  const byKey = new Map(report.variances.map((v) => [v.key, v]));
+  const approved = new Set(approvedKeys);
+  for (const key of approved) {
+    const v = byKey.get(key);
+    if (!v) throw httpError(409, `Variance ${key} is no longer in the report. Refresh and retry.`);
+    if (!v.postable) throw httpError(400, `Pallet ${v.pallet_id} is not on file; check it in instead`);
+  }
+
+  const posted = report.variances.filter((v) => approved.has(v.key));
+  const palletIds = [...new Set(posted.map((v) => v.pallet_id))];
+  for (const id of palletIds) {
+    const row = await pallets.findById(tx, id);
+    await assertNotHeld(tx, row, { override: overrideHold, operation: `post stock count #${session.id}`, audit });
+  }
+  for (const v of posted) {
+    await postVariance(tx, session, v, audit);
+  }
+  const closed = await counts.markPosted(tx, session.id, audit.actorId, posted.length);
+  if (closed.changes === 0) throw httpError(409, "This count has already been posted");
+
+  return { posted, pallet_ids: palletIds };
+}
+
+module.exports = {
+  sessionAisles,
+  buildVarianceReport,
+  postApprovedVariances,
+};
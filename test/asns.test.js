@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+test("receiving against an ASN", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+
+  let asnId;
+  const receive = (body) => ctx.request("POST", `/asns/${asnId}/receipts`, { token, body: { scanned_by: "Dock 1", ...body } });
+
+  await t.test("an ASN lists the pallets expected per product", async () => {
+    const dup = await ctx.request("POST", "/asns", {
+      token,
+      body: { customer_name: "ACME", lines: [{ product_id: "SKU-A", pallets: 1 }, { product_id: "SKU-A", pallets: 2 }] },
+    });
+    assert.equal(dup.status, 400);
+
+    const res = await ctx.request("POST", "/asns", {
+      token,
+      body: {
+        customer_name: "ACME",
+        reference: "DEL-7",
+        expected_date: "2026-05-04",
+        lines: [
+          { product_id: "SKU-A", pallets: 3, units_per_pallet: 20 },
+          { product_id: "SKU-B", pallets: 2 },
+        ],
+      },
+    });
+    assert.equal(res.status, 200);
+    asnId = res.body.asn.id;
+    assert.equal(res.body.asn.expected_date, "2026-05-04");
+    assert.deepEqual(res.body.lines.map((l) => [l.product_id, l.expected_pallets]), [["SKU-A", 3], ["SKU-B", 2]]);
+  });
+
+  await t.test("received pallets are checked in like any other", async () => {
+    const first = await receive({ pallet_id: "R-1", product_id: "SKU-A", location: "a1" });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.expected, true);
+    assert.equal(first.body.location, "A1");
+
+    const row = await ctx.db.get("SELECT customer_name, pallet_quantity, product_quantity, current_units, status FROM pallets WHERE id = 'R-1'");
+    assert.deepEqual(row, { customer_name: "ACME", pallet_quantity: 1, product_quantity: 20, current_units: 20, status: "active" });
+    const log = await ctx.db.get("SELECT action, scanned_by, notes FROM activity_log WHERE pallet_id = 'R-1'");
+    assert.equal(log.action, "CHECK_IN");
+    assert.equal(log.scanned_by, "Dock 1");
+    assert.equal(log.notes, "Received on ASN #1 (DEL-7)");
+    assert.ok(ctx.broadcasts.some((b) => b.action === "add_pallet" && b.data.asn_id === asnId));
+
+    assert.equal((await receive({ pallet_id: "R-2", product_id: "SKU-A", location: "A2", damaged: true, notes: "crushed corner" })).status, 200);
+    assert.equal((await receive({ pallet_id: "R-3", product_id: "SKU-B", location: "A3", pallet_quantity: 3 })).status, 200);
+    const surprise = await receive({ pallet_id: "R-4", product_id: "SKU-Z", location: "A4" });
+    assert.equal(surprise.body.expected, false);
+  });
+
+  await t.test("receipts reuse the check-in checks", async () => {
+    assert.equal((await receive({ pallet_id: "R-1", product_id: "SKU-A", location: "A5" })).status, 409);
+    assert.equal((await receive({ pallet_id: "R-5", product_id: "SKU-A", location: "NOWHERE" })).status, 400);
+    assert.equal((await receive({ pallet_id: "R-5", product_id: "SKU-A" })).status, 400);
+
+    const keyed = { pallet_id: "R-6", product_id: "SKU-A", location: "A6", idempotency_key: "asn-r6" };
+    assert.equal((await receive(keyed)).status, 200);
+    assert.equal((await receive(keyed)).body.deduped, true);
+  });
+
+  await t.test("a received check-in can't be undone from the activity log", async () => {
+    const log = await ctx.db.get("SELECT id FROM activity_log WHERE pallet_id = 'R-6' AND action = 'CHECK_IN'");
+    const res = await ctx.request("POST", `/activity/${log.id}/reverse`, { token });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, `This was received on ASN #${asnId} and can't be undone here`);
+    assert.equal((await ctx.db.get("SELECT status FROM pallets WHERE id = 'R-6'")).status, "active");
+  });
+
+  await t.test("closing reports over, short and damaged pallets", async () => {
+    const res = await ctx.request("POST", `/asns/${asnId}/close`, { token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.asn.status, "CLOSED");
+    assert.deepEqual(
+      res.body.lines.map((l) => [l.product_id, l.expected_pallets, l.received_pallets, l.damaged_pallets, l.status]),
+      [["SKU-A", 3, 3, 1, "ok"], ["SKU-B", 2, 3, 0, "over"], ["SKU-Z", 0, 1, 0, "over"]]
+    );
+    assert.deepEqual(res.body.summary, {
+      expected_pallets: 5,
+      received_pallets: 7,
+      damaged_pallets: 1,
+      short_lines: 0,
+      over_lines: 2,
+      damaged_lines: 1,
+    });
+
+    assert.equal((await receive({ pallet_id: "R-7", product_id: "SKU-A", location: "A7" })).status, 409);
+    assert.equal((await ctx.request("POST", `/asns/${asnId}/close`, { token })).status, 409);
+  });
+
+  await t.test("an ASN received short shows it", async () => {
+    const created = await ctx.request("POST", "/asns", {
+      token,
+      body: { customer_name: "ACME", lines: [{ product_id: "SKU-C", pallets: 4 }] },
+    });
+    const id = created.body.asn.id;
+    await ctx.request("POST", `/asns/${id}/receipts`, { token, body: { pallet_id: "S-1", product_id: "SKU-C", location: "B1" } });
+    const report = await ctx.request("GET", `/asns/${id}/report`, { token });
+    assert.deepEqual(report.body.lines.map((l) => [l.status, l.variance]), [["short", -3]]);
+
+    const open = await ctx.request("GET", "/asns?status=open", { token });
+    assert.deepEqual(open.body.map((a) => [a.id, a.expected_pallets, a.received_pallets]), [[id, 4, 1]]);
+  });
+});
+
+test("ASNs respect customer scope", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  const created = await ctx.request("POST", "/asns", {
+    token,
+    body: { customer_name: "OTHER", lines: [{ product_id: "SKU-S", pallets: 1 }] },
+  });
+  await ctx.request("POST", "/auth/users", {
+    token,
+    body: { username: "acme-ops", password: "acme-ops-pass", role: "ops", customer_scope: "ACME" },
+  });
+  const scoped = await ctx.login("acme-ops", "acme-ops-pass");
+
+  const res = await ctx.request("POST", "/asns", {
+    token: scoped,
+    body: { customer_name: "OTHER", lines: [{ product_id: "SKU-S", pallets: 1 }] },
+  });
+  assert.equal(res.status, 403);
+  const receipt = await ctx.request("POST", `/asns/${created.body.asn.id}/receipts`, {
+    token: scoped,
+    body: { pallet_id: "X-1", product_id: "SKU-S", location: "A1" },
+  });
+  assert.equal(receipt.status, 404);
+  assert.deepEqual((await ctx.request("GET", "/asns", { token: scoped })).body, []);
+});
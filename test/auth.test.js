@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, ADMIN_PASS } = require("./helpers/testApp");
+
+test("auth and sessions", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+
+  await t.test("rejects API calls without a token", async () => {
+    const res = await ctx.request("GET", "/pallets");
+    assert.equal(res.status, 401);
+  });
+
+  await t.test("rejects a wrong password", async () => {
+    const res = await ctx.request("POST", "/auth/login", { body: { username: "admin", password: "nope-nope" } });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Invalid credentials");
+  });
+
+  await t.test("logs in and resolves the session user", async () => {
+    const login = await ctx.request("POST", "/auth/login", { body: { username: "admin", password: ADMIN_PASS } });
+    assert.equal(login.status, 200);
+    assert.ok(login.body.token);
+    assert.ok(Date.parse(login.body.expires_at) > Date.now());
+
+    const me = await ctx.request("GET", "/auth/me", { token: login.body.token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.username, "admin");
+    assert.equal(me.body.user.role, "owner");
+  });
+
+  await t.test("expired sessions are rejected and deleted", async () => {
+    const token = await ctx.login();
+    await ctx.db.run("UPDATE user_sessions SET expires_at = ? WHERE token = ?", [
+      new Date(Date.now() - 1000).toISOString(),
+      token,
+    ]);
+
+    const res = await ctx.request("GET", "/auth/me", { token });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Session expired");
+
+    const again = await ctx.request("GET", "/auth/me", { token });
+    assert.equal(again.body.error, "Invalid session");
+  });
+
+  await t.test("logout ends the session", async () => {
+    const token = await ctx.login();
+    assert.equal((await ctx.request("POST", "/auth/logout", { token })).status, 200);
+    assert.equal((await ctx.request("GET", "/auth/me", { token })).status, 401);
+  });
+
+  await t.test("viewers cannot write", async () => {
+    const admin = await ctx.login();
+    const created = await ctx.request("POST", "/auth/users", {
+      token: admin,
+      body: { username: "viewer1", password: "viewer-pass", role: "viewer" },
+    });
+    assert.equal(created.status, 200);
+
+    const viewer = await ctx.login("viewer1", "viewer-pass");
+    const res = await ctx.request("POST", "/pallets", {
+      token: viewer,
+      body: { customer_name: "ACME", product_id: "SKU-1", location: "A1" },
+    });
+    assert.equal(res.status, 403);
+  });
+
+  await t.test("the last active owner cannot be demoted", async () => {
+    const admin = await ctx.login();
+    const me = await ctx.request("GET", "/auth/me", { token: admin });
+    const res = await ctx.request("PATCH", `/auth/users/${me.body.user.id}`, { token: admin, body: { role: "ops" } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "At least one active owner is required");
+  });
+});
+
+test("shared no-login mode", async (t) => {
+  const ctx = await startTestApp({ settings: { authDisabled: 1 } });
+  t.after(() => ctx.close());
+
+  const res = await ctx.request("GET", "/auth/me");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.username, "shared");
+});
@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+test("stock counts", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+
+  const stock = [
+    { id: "C-OK", pallet_quantity: 2, location: "E1" },
+    { id: "C-QTY", pallet_quantity: 3, location: "E1" },
+    { id: "C-GONE", pallet_quantity: 1, location: "E2" },
+    { id: "C-MOVED", pallet_quantity: 1, location: "E3" },
+    { id: "C-SKIPPED", pallet_quantity: 1, location: "E4" },
+    { id: "C-STRAY", pallet_quantity: 1, location: "F1" },
+    { id: "C-FOUND", pallet_quantity: 1, location: "E5" },
+  ];
+  for (const p of stock) {
+    await ctx.request("POST", "/pallets", { token, body: { customer_name: "ACME", product_id: `SKU-${p.id}`, ...p } });
+  }
+  await ctx.request("DELETE", "/pallets/C-FOUND", { token });
+
+  let countId;
+  const scan = (pallet_id, location, quantity) =>
+    ctx.request("POST", `/counts/${countId}/scans`, { token, body: { pallet_id, location, quantity } });
+
+  await t.test("a count is created for known aisles", async () => {
+    const bad = await ctx.request("POST", "/counts", { token, body: { aisles: ["E", "QQ"] } });
+    assert.equal(bad.status, 400);
+
+    const res = await ctx.request("POST", "/counts", { token, body: { aisles: "e" } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.session.aisles, ["E"]);
+    assert.equal(res.body.session.status, "OPEN");
+    countId = res.body.session.id;
+  });
+
+  await t.test("scans are recorded per location", async () => {
+    assert.equal((await scan("C-OK", "e1", 2)).status, 200);
+    assert.equal((await scan("C-QTY", "E1", 2)).status, 200);
+    assert.equal((await scan("C-MOVED", "E1")).status, 200);
+    assert.equal((await scan("C-STRAY", "E2")).status, 200);
+    assert.equal((await scan("C-FOUND", "E2")).status, 200);
+    const ghost = await scan("C-GHOST", "E3");
+    assert.equal(ghost.status, 200);
+    assert.equal(ghost.body.known, false);
+
+    const outside = await scan("C-STRAY", "F1");
+    assert.equal(outside.status, 400);
+    const badQty = await scan("C-OK", "E1", 0);
+    assert.equal(badQty.status, 400);
+
+    const detail = await ctx.request("GET", `/counts/${countId}`, { token });
+    assert.deepEqual(detail.body.locations.map((l) => l.location), ["E1", "E2", "E3"]);
+    assert.equal(detail.body.scans.length, 6);
+  });
+
+  await t.test("the variance report compares counts with stock", async () => {
+    const res = await ctx.request("GET", `/counts/${countId}/variances`, { token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.summary, { missing: 1, unexpected: 2, wrong_location: 2, quantity: 1 });
+    assert.deepEqual(res.body.uncounted_locations, ["E4"]);
+    assert.deepEqual(
+      res.body.variances.map((v) => v.key),
+      ["unexpected:C-FOUND", "unexpected:C-GHOST", "missing:C-GONE", "wrong_location:C-MOVED", "quantity:C-QTY", "wrong_location:C-STRAY"]
+    );
+    const ghost = res.body.variances.find((v) => v.pallet_id === "C-GHOST");
+    assert.equal(ghost.postable, false);
+  });
+
+  await t.test("approved variances post as adjustments", async () => {
+    const unknown = await ctx.request("POST", `/counts/${countId}/post`, { token, body: { approve: ["unexpected:C-GHOST"] } });
+    assert.equal(unknown.status, 400);
+
+    await ctx.request("POST", "/auth/users", {
+      token,
+      body: { username: "ops1", password: "ops1-password", role: "ops" },
+    });
+    const ops = await ctx.login("ops1", "ops1-password");
+    const forbidden = await ctx.request("POST", `/counts/${countId}/post`, { token: ops, body: { approve: [] } });
+    assert.equal(forbidden.status, 403);
+
+    await ctx.request("POST", "/pallets/C-QTY/hold", { token, body: { status: "qc_pending", reason: "Recount" } });
+    const approve = ["quantity:C-QTY", "missing:C-GONE", "wrong_location:C-MOVED", "unexpected:C-FOUND"];
+    const held = await ctx.request("POST", `/counts/${countId}/post`, { token, body: { approve } });
+    assert.equal(held.status, 409);
+    assert.equal(held.body.hold_status, "QC_PENDING");
+    assert.equal((await ctx.db.get("SELECT COUNT(*) AS n FROM activity_log WHERE action = 'ADJUST'")).n, 0);
+
+    const res = await ctx.request("POST", `/counts/${countId}/post`, { token, body: { approve, override_hold: true } });
+    assert.equal(res.status, 200);
+    const override = await ctx.db.get("SELECT pallet_id, notes FROM activity_log WHERE action = 'HOLD_OVERRIDE'");
+    assert.deepEqual(override, { pallet_id: "C-QTY", notes: `qc pending hold overridden to post stock count #${countId}` });
+    assert.equal(res.body.posted, 4);
+    assert.equal(res.body.session.status, "POSTED");
+    assert.equal(res.body.session.posted_variances, 4);
+
+    const row = (id) => ctx.db.get("SELECT status, location, pallet_quantity FROM pallets WHERE id = ?", [id]);
+    assert.equal((await row("C-QTY")).pallet_quantity, 2);
+    assert.equal((await row("C-GONE")).status, "removed");
+    assert.equal((await row("C-MOVED")).location, "E1");
+    assert.deepEqual(await row("C-FOUND"), { status: "active", location: "E2", pallet_quantity: 1 });
+    assert.equal((await row("C-STRAY")).location, "F1");
+
+    const adjustments = await ctx.db.all(
+      "SELECT pallet_id, reason_code, quantity_before, quantity_after FROM activity_log WHERE action = 'ADJUST' ORDER BY pallet_id"
+    );
+    assert.deepEqual(
+      adjustments.map((a) => [a.pallet_id, a.reason_code, a.quantity_before, a.quantity_after]),
+      [["C-FOUND", "found", 0, 1], ["C-GONE", "stock_count", 1, 0], ["C-MOVED", "stock_count", 1, 1], ["C-QTY", "stock_count", 3, 2]]
+    );
+
+    const event = ctx.broadcasts.find((b) => b.action === "stock_count_posted");
+    assert.deepEqual(event.data.pallet_ids.sort(), ["C-FOUND", "C-GONE", "C-MOVED", "C-QTY"]);
+  });
+
+  await t.test("a posted count is closed", async () => {
+    const again = await ctx.request("POST", `/counts/${countId}/post`, { token, body: { approve: [] } });
+    assert.equal(again.status, 409);
+    assert.equal((await scan("C-OK", "E1")).status, 409);
+  });
+});
+
+test("customer-scoped accounts cannot run counts", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  await ctx.request("POST", "/auth/users", {
+    token,
+    body: { username: "acme-ops", password: "acme-ops-pass", role: "ops", customer_scope: "ACME" },
+  });
+  const scoped = await ctx.login("acme-ops", "acme-ops-pass");
+  const res = await ctx.request("POST", "/counts", { token: scoped, body: { aisles: ["A"] } });
+  assert.equal(res.status, 403);
+});
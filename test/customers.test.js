@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+test("customer records", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+
+  await t.test("customers stay listed without stock", async () => {
+    const created = await ctx.request("POST", "/customers/records", {
+      token,
+      body: { name: "NEWCO", display_name: "New Co Ltd", contact_email: "ops@newco.example", billing_address: "1 Dock Road" },
+    });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.customer.display_name, "New Co Ltd");
+    assert.equal((await ctx.request("POST", "/customers/records", { token, body: { name: "NEWCO" } })).status, 409);
+    assert.equal((await ctx.request("POST", "/customers/records", { token, body: { name: "X", contact_email: "nope" } })).status, 400);
+
+    await ctx.request("POST", "/pallets", {
+      token,
+      body: { id: "C-1", customer_name: "ACME", product_id: "SKU-1", location: "A1" },
+    });
+    await ctx.request("DELETE", "/pallets/C-1", { token });
+    assert.deepEqual((await ctx.request("GET", "/customers", { token })).body, ["ACME", "NEWCO"]);
+
+    const records = await ctx.request("GET", "/customers/records", { token });
+    assert.deepEqual(records.body.map((c) => [c.name, c.active_pallets]), [["ACME", 0], ["NEWCO", 0]]);
+  });
+
+  await t.test("records are edited in place; the name only through rename", async () => {
+    const [acme] = (await ctx.request("GET", "/customers/records?customer=ACME", { token })).body;
+    const res = await ctx.request("PATCH", `/customers/records/${acme.id}`, { token, body: { contact_name: "Jo", active: false } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.customer.contact_name, "Jo");
+    assert.equal((await ctx.request("PATCH", `/customers/records/${acme.id}`, { token, body: { name: "ACME2" } })).status, 400);
+
+    assert.deepEqual((await ctx.request("GET", "/customers", { token })).body, ["NEWCO"]);
+    assert.equal((await ctx.request("GET", "/customers/records?include_inactive=1", { token })).body.length, 2);
+    await ctx.request("PATCH", `/customers/records/${acme.id}`, { token, body: { active: true } });
+  });
+});
+
+test("renaming and merging customers", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+
+  for (const [id, customer, location] of [["M-1", "Acme Ltd", "A1"], ["M-2", "ACME", "A2"]]) {
+    await ctx.request("POST", "/pallets", { token, body: { id, customer_name: customer, product_id: "SKU-M", location } });
+  }
+  await ctx.request("POST", "/rates", { token, body: { customer_name: "Acme Ltd", rate_per_pallet_week: 3 } });
+  await ctx.request("POST", "/rates", { token, body: { customer_name: "ACME", rate_per_pallet_week: 5 } });
+  await ctx.request("POST", "/products", { token, body: { customer_name: "Acme Ltd", product_id: "SKU-M", aliases: "OLD-M" } });
+  await ctx.request("POST", "/products", { token, body: { customer_name: "Acme Ltd", product_id: "SKU-N" } });
+  await ctx.request("POST", "/products", { token, body: { customer_name: "ACME", product_id: "SKU-M" } });
+  await ctx.request("POST", "/orders", { token, body: { customer_name: "Acme Ltd", lines: [{ product_id: "SKU-M", quantity: 1 }] } });
+  await ctx.request("POST", "/auth/users", {
+    token,
+    body: { username: "acme-ops", password: "acme-ops-pass", role: "ops", customer_scope: "Acme Ltd,OTHER" },
+  });
+
+  await t.test("merging folds one spelling into the other everywhere", async () => {
+    const res = await ctx.request("POST", "/customers/rename", { token, body: { from: "Acme Ltd", to: "ACME" } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.merged, true);
+    assert.deepEqual(res.body.updated, {
+      pallets: 1,
+      activity_log: 1,
+      invoices: 0,
+      orders: 1,
+      asns: 0,
+      customer_rates: 1,
+      products: 2,
+      users: 1,
+    });
+
+    const count = async (sql) => (await ctx.db.get(sql)).n;
+    assert.equal(await count("SELECT COUNT(*) AS n FROM pallets WHERE customer_name = 'ACME'"), 2);
+    assert.equal(await count("SELECT COUNT(*) AS n FROM activity_log WHERE customer_name = 'Acme Ltd'"), 0);
+    assert.equal((await ctx.db.get("SELECT rate_per_pallet_week FROM customer_rates WHERE customer_name = 'ACME'")).rate_per_pallet_week, 5);
+    assert.equal(await count("SELECT COUNT(*) AS n FROM customers WHERE name = 'Acme Ltd'"), 0);
+
+    const catalogue = (await ctx.request("GET", "/products?customer=ACME", { token })).body;
+    assert.deepEqual(catalogue.map((p) => [p.product_id, p.aliases]), [["SKU-M", ["OLD-M"]], ["SKU-N", []]]);
+
+    const scoped = await ctx.login("acme-ops", "acme-ops-pass");
+    assert.deepEqual((await ctx.request("GET", "/customers", { token: scoped })).body, ["ACME", "OTHER"]);
+    assert.ok(ctx.broadcasts.some((b) => b.action === "customer_renamed" && b.data.to === "ACME"));
+  });
+
+  await t.test("renaming to a new name keeps the record", async () => {
+    const before = await ctx.db.get("SELECT id FROM customers WHERE name = 'ACME'");
+    const res = await ctx.request("POST", "/customers/rename", { token, body: { from: "ACME", to: "Acme Corporation" } });
+    assert.equal(res.body.merged, false);
+    assert.equal(res.body.customer.id, before.id);
+    assert.equal(res.body.customer.name, "Acme Corporation");
+    assert.equal((await ctx.db.get("SELECT COUNT(*) AS n FROM pallets WHERE customer_name = 'Acme Corporation'")).n, 2);
+  });
+
+  await t.test("rename checks its input", async () => {
+    assert.equal((await ctx.request("POST", "/customers/rename", { token, body: { from: "GHOST", to: "ACME" } })).status, 404);
+    assert.equal((await ctx.request("POST", "/customers/rename", { token, body: { from: "OTHER", to: "OTHER" } })).status, 400);
+    assert.equal((await ctx.request("POST", "/customers/rename", { token, body: { from: "OTHER" } })).status, 400);
+
+    const scoped = await ctx.login("acme-ops", "acme-ops-pass");
+    const res = await ctx.request("POST", "/customers/rename", { token: scoped, body: { from: "Acme Corporation", to: "X" } });
+    assert.equal(res.status, 403);
+  });
+});
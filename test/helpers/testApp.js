@@ -0,0 +1,81 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { Database } = require("../../db/database");
+const { runMigrations } = require("../../db/migrate");
+const { createApp } = require("../../app");
+const { createSettingsStore } = require("../../services/settings");
+const { seedBootstrapData } = require("../../services/bootstrap");
+
+const ADMIN_USER = "admin";
+const ADMIN_PASS = "test-admin-pass";
+
+// Boots the real app against an in-memory database and a throwaway settings
+// file, listening on a random local port. Nothing touches the network beyond
+// 127.0.0.1, and the tracked server-settings.json is never read.
+async function startTestApp({ settings: initialSettings = { authDisabled: 0 } } = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "wt-test-"));
+  const settingsPath = path.join(tmpDir, "server-settings.json");
+  fs.writeFileSync(settingsPath, JSON.stringify(initialSettings));
+
+  const db = await Database.open(":memory:");
+  await runMigrations(db, { log: () => {} });
+  await seedBootstrapData(db, {
+    env: { WT_BOOTSTRAP_USER: ADMIN_USER, WT_BOOTSTRAP_PASS: ADMIN_PASS },
+    log: () => {},
+  });
+
+  const settings = createSettingsStore(settingsPath);
+  const broadcasts = [];
+  const app = createApp({
+    db,
+    settings,
+    sheets: { state: {}, trigger() {}, configureFromSettings() {}, getUrl: () => "" },
+    broadcastInventoryChange: (action, data) => broadcasts.push({ action, data }),
+    trustProxy: false,
+    rateLimit: { windowMs: 60000, max: 100000 },
+    backupDir: path.join(tmpDir, "backups"),
+  });
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, urlPath, { body, token, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}/api${urlPath}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = null;
+    }
+    return { status: res.status, body: json, text };
+  }
+
+  async function login(username = ADMIN_USER, password = ADMIN_PASS) {
+    const res = await request("POST", "/auth/login", { body: { username, password } });
+    if (res.status !== 200) throw new Error(`Login failed for ${username}: ${res.text}`);
+    return res.body.token;
+  }
+
+  async function close() {
+    await new Promise((resolve) => server.close(resolve));
+    await db.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  return { db, settings, broadcasts, baseUrl, request, login, close };
+}
+
+module.exports = { startTestApp, ADMIN_USER, ADMIN_PASS };
@@ -0,0 +1,157 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+function backdate(ctx, palletId, action, iso) {
+  return ctx.db.run("UPDATE activity_log SET timestamp = ? WHERE pallet_id = ? AND action = ?", [iso, palletId, action]);
+}
+
+test("pallets on hold", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  await ctx.request("POST", "/auth/users", {
+    token,
+    body: { username: "floor", password: "floor-pass-1", role: "ops" },
+  });
+  const ops = await ctx.login("floor", "floor-pass-1");
+  for (const p of [
+    { id: "H-1", product_id: "SKU-H", pallet_quantity: 2, location: "A1" },
+    { id: "H-2", product_id: "SKU-H", pallet_quantity: 1, location: "A2" },
+  ]) {
+    await ctx.request("POST", "/pallets", { token, body: { customer_name: "ACME", ...p } });
+  }
+  const hold = (id, body, as = ops) => ctx.request("POST", `/pallets/${id}/hold`, { token: as, body: { scanned_by: "QC 1", ...body } });
+
+  await t.test("a hold needs a known state and a reason", async () => {
+    assert.equal((await hold("H-1", { status: "lost", reason: "?" })).status, 400);
+    assert.equal((await hold("H-1", { status: "quarantine" })).status, 400);
+
+    const res = await hold("H-1", { status: "quarantine", reason: "Pest sighting" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.hold_status, "QUARANTINE");
+    assert.equal(res.body.hold_by, "QC 1");
+    assert.ok(res.body.hold_at);
+    assert.equal((await hold("H-1", { status: "QUARANTINE", reason: "again" })).status, 409);
+
+    const changed = await hold("H-1", { status: "qc pending", reason: "Sample sent" });
+    assert.equal(changed.body.hold_status, "QC_PENDING");
+    const log = await ctx.db.all("SELECT action, reason_code, notes, scanned_by FROM activity_log WHERE action = 'HOLD' ORDER BY id");
+    assert.deepEqual(log.map((l) => [l.reason_code, l.notes, l.scanned_by]), [
+      ["quarantine", "Pest sighting", "QC 1"],
+      ["qc_pending", "Sample sent (was quarantine)", "QC 1"],
+    ]);
+  });
+
+  await t.test("held pallets can't be moved or shipped without an admin override", async () => {
+    const move = await ctx.request("POST", "/pallets/H-1/move", { token: ops, body: { to_location: "B1" } });
+    assert.equal(move.status, 409);
+    assert.equal(move.body.hold_status, "QC_PENDING");
+    assert.equal((await ctx.request("DELETE", "/pallets/H-1", { token: ops })).status, 409);
+    assert.equal((await ctx.request("POST", "/pallets/H-1/remove-quantity", { token: ops, body: { quantity_to_remove: 1 } })).status, 409);
+    assert.equal((await ctx.request("POST", "/pallets/H-2/merge", { token: ops, body: { into: "H-1" } })).status, 409);
+
+    const sneaky = await ctx.request("POST", "/pallets/H-1/move", { token: ops, body: { to_location: "B1", override_hold: true } });
+    assert.equal(sneaky.status, 403);
+
+    const overridden = await ctx.request("POST", "/pallets/H-1/move", { token, body: { to_location: "B1", override_hold: true } });
+    assert.equal(overridden.status, 200);
+    const override = await ctx.db.get("SELECT notes FROM activity_log WHERE action = 'HOLD_OVERRIDE'");
+    assert.equal(override.notes, "qc pending hold overridden to move to B1");
+  });
+
+  await t.test("undoing on a held pallet needs the same override", async () => {
+    const moved = await ctx.db.get("SELECT id FROM activity_log WHERE pallet_id = 'H-1' AND action = 'MOVE'");
+    const undo = (as, body) => ctx.request("POST", `/activity/${moved.id}/reverse`, { token: as, body });
+    const blocked = await undo(ops);
+    assert.equal(blocked.status, 409);
+    assert.equal(blocked.body.hold_status, "QC_PENDING");
+    assert.equal((await undo(ops, { override_hold: true })).status, 403);
+
+    const res = await undo(token, { override_hold: true });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.pallet.location, "A1");
+    const override = await ctx.db.get("SELECT notes FROM activity_log WHERE action = 'HOLD_OVERRIDE' ORDER BY id DESC");
+    assert.equal(override.notes, `qc pending hold overridden to undo MOVE #${moved.id}`);
+  });
+
+  await t.test("orders don't allocate held stock", async () => {
+    const res = await ctx.request("POST", "/orders", {
+      token,
+      body: { customer_name: "ACME", lines: [{ product_id: "SKU-H", quantity: 2 }] },
+    });
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.shortages, [{ product_id: "SKU-H", unit: "pallets", requested: 2, available: 1 }]);
+  });
+
+  await t.test("the hold report groups held pallets per customer", async () => {
+    await hold("H-2", { status: "damaged", reason: "Forklift strike" });
+    const res = await ctx.request("GET", "/pallets/holds", { token });
+    assert.equal(res.status, 200);
+    const [acme] = res.body.customers;
+    assert.equal(acme.customer_name, "ACME");
+    assert.equal(acme.held_pallets, 3);
+    assert.deepEqual(acme.by_status, { QUARANTINE: 0, DAMAGED: 1, CUSTOMER_HOLD: 0, QC_PENDING: 2 });
+    assert.deepEqual(acme.pallets.map((p) => p.id).sort(), ["H-1", "H-2"]);
+  });
+
+  await t.test("releasing logs the state it came off", async () => {
+    const res = await ctx.request("POST", "/pallets/H-2/release", { token: ops, body: { reason: "Rewrapped" } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.released_from, "DAMAGED");
+    assert.equal((await ctx.request("POST", "/pallets/H-2/release", { token: ops })).status, 409);
+    const row = await ctx.db.get("SELECT hold_status, hold_reason, hold_by FROM pallets WHERE id = 'H-2'");
+    assert.deepEqual(row, { hold_status: null, hold_reason: null, hold_by: null });
+    const log = await ctx.db.get("SELECT reason_code, notes FROM activity_log WHERE action = 'RELEASE'");
+    assert.deepEqual(log, { reason_code: "damaged", notes: "Rewrapped" });
+    assert.equal((await ctx.request("DELETE", "/pallets/H-2", { token: ops })).status, 200);
+  });
+});
+
+test("held stock billing follows the setting", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+
+  // 1 pallet all week (7 pallet-days), on hold from Jan 3 to Jan 5 (3 days).
+  await ctx.request("POST", "/pallets", {
+    token,
+    body: { id: "HB-1", customer_name: "BILLCO", product_id: "SKU-1", pallet_quantity: 1, location: "F1" },
+  });
+  await ctx.request("POST", "/pallets/HB-1/hold", { token, body: { status: "customer_hold", reason: "Awaiting paperwork" } });
+  await ctx.request("POST", "/pallets/HB-1/release", { token });
+  await backdate(ctx, "HB-1", "CHECK_IN", "2025-01-01T10:00:00Z");
+  await backdate(ctx, "HB-1", "HOLD", "2025-01-03T10:00:00Z");
+  await backdate(ctx, "HB-1", "RELEASE", "2025-01-06T10:00:00Z");
+  await ctx.request("POST", "/rates", { token, body: { customer_name: "BILLCO", rate_per_pallet_week: 14 } });
+  const preview = () => ctx.request("POST", "/invoices/preview", {
+    token,
+    body: { customer_name: "BILLCO", start_date: "2025-01-01", end_date: "2025-01-07" },
+  });
+
+  await t.test("held pallet-days are billed normally by default", async () => {
+    const res = await preview();
+    assert.equal(res.body.pallet_days, 7);
+    assert.equal(res.body.held_pallet_days, 3);
+    assert.equal(res.body.held_billing, "standard");
+    assert.equal(res.body.base_total, 14);
+    assert.equal(res.body.held_total, 0);
+  });
+
+  await t.test("they can be left off or billed at their own rate", async () => {
+    const bad = await ctx.request("POST", "/settings/held-billing", { token, body: { mode: "rate", rate_per_pallet_week: -1 } });
+    assert.equal(bad.status, 400);
+
+    await ctx.request("POST", "/settings/held-billing", { token, body: { mode: "exempt" } });
+    let res = await preview();
+    assert.equal(res.body.base_total, 8);
+    assert.equal(res.body.total, 8);
+
+    await ctx.request("POST", "/settings/held-billing", { token, body: { mode: "rate", rate_per_pallet_week: 28 } });
+    res = await preview();
+    assert.equal(res.body.base_total, 8);
+    assert.equal(res.body.held_total, 12);
+    assert.equal(res.body.total, 20);
+    assert.equal((await ctx.request("GET", "/settings", { token })).body.heldStockRatePerPalletWeek, 28);
+  });
+});
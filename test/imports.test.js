@@ -0,0 +1,230 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { startTestApp } = require("./helpers/testApp");
+
+function upload(ctx, token, content, query = "", headers = {}) {
+  return fetch(`${ctx.baseUrl}/api/import/stock${query}`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "text/csv", ...headers },
+    body: content,
+  });
+}
+
+async function uploadJson(ctx, token, content, query, headers) {
+  const res = await upload(ctx, token, content, query, headers);
+  return { status: res.status, body: await res.json() };
+}
+
+// A bare-bones workbook: one sheet, deflated entries, strings inline except
+// the first column, which goes through the shared string table. `padding`
+// blanks out the sheet and `declaredSize` overrides the sizes in the headers.
+function buildXlsx(rows, { padding = 0, declaredSize } = {}) {
+  const col = (i) => String.fromCharCode(65 + i);
+  const shared = [];
+  const sheetRows = rows.map((cells, r) => `<row r="${r + 1}">${cells.map((value, c) => {
+    const ref = `${col(c)}${r + 1}`;
+    if (typeof value === "number") return `<c r="${ref}"><v>${value}</v></c>`;
+    if (c === 0) {
+      shared.push(value);
+      return `<c r="${ref}" t="s"><v>${shared.length - 1}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t>${value.replace(/&/g, "&amp;")}</t></is></c>`;
+  }).join("")}</row>`).join("");
+  const files = {
+    "xl/workbook.xml": '<workbook><sheets><sheet name="Stock" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    "xl/_rels/workbook.xml.rels": '<Relationships><Relationship Id="rId1" Target="worksheets/stock.xml"/></Relationships>',
+    "xl/sharedStrings.xml": `<sst>${shared.map((s) => `<si><t>${s}</t></si>`).join("")}</sst>`,
+    "xl/worksheets/stock.xml": `<worksheet><sheetData>${sheetRows}</sheetData>${" ".repeat(padding)}</worksheet>`,
+  };
+
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name);
+    const data = zlib.deflateRawSync(Buffer.from(text));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(declaredSize ?? text.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(declaredSize ?? text.length, 24);
+    entry.writeUInt16LE(nameBuf.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, data);
+    central.push(entry, nameBuf);
+    offset += local.length + nameBuf.length + data.length;
+  }
+  const dir = Buffer.concat(central);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(dir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, eocd]);
+}
+
+const GOOD_CSV = [
+  "Customer,Product ID,Pallet Qty,Product Qty,Location,Date Added,Parts,Pallet ID",
+  "ACME,SKU-1,2,10,A1,2024-05-01,,IMP-1",
+  "ACME,SKU-2,1,,A2,,\"P-1 x4; P-2 x1\",IMP-2",
+  "NEWCO,SKU-9,1,5,a3,,,",
+].join("\r\n");
+
+test("importing opening stock", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+
+  await t.test("only admins can import", async () => {
+    await ctx.request("POST", "/auth/users", { token, body: { username: "floor", password: "floor-pass-1", role: "ops" } });
+    const ops = await ctx.login("floor", "floor-pass-1");
+    assert.equal((await upload(ctx, ops, GOOD_CSV)).status, 403);
+  });
+
+  await t.test("the file needs the customer, product and location columns", async () => {
+    const res = await uploadJson(ctx, token, "Customer,SKU\nACME,SKU-1");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Missing column(s): location");
+  });
+
+  await t.test("a dry run shows the diff and saves nothing", async () => {
+    const res = await uploadJson(ctx, token, GOOD_CSV);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.committed, false);
+    assert.deepEqual(
+      { rows: res.body.summary.rows, valid: res.body.summary.valid, pallets: res.body.summary.pallets },
+      { rows: 3, valid: 3, pallets: 4 }
+    );
+    assert.deepEqual(res.body.summary.by_customer, [
+      { customer_name: "ACME", rows: 2, pallets: 3, new_customer: true },
+      { customer_name: "NEWCO", rows: 1, pallets: 1, new_customer: true },
+    ]);
+    assert.deepEqual(res.body.summary.by_location.map((l) => [l.location, l.before, l.after]), [["A1", 0, 2], ["A2", 0, 1], ["A3", 0, 1]]);
+    const { n } = await ctx.db.get("SELECT COUNT(*) AS n FROM pallets");
+    assert.equal(n, 0);
+    assert.equal(ctx.broadcasts.length, 0);
+  });
+
+  const badCsv = [
+    "customer,product,location,pallet_qty,date_added",
+    "ACME,SKU-1,A5,1,",
+    "ACME,SKU-1,Z99,1,",
+    "ACME,,B1,0,not a date",
+  ].join("\n");
+
+  await t.test("every failing row is reported with all of its problems", async () => {
+    const res = await uploadJson(ctx, token, badCsv);
+    assert.equal(res.body.summary.invalid, 2);
+    const [ok, unknownLoc, broken] = res.body.rows;
+    assert.equal(ok.status, "ok");
+    assert.deepEqual(unknownLoc.errors, ["Unknown location: Z99"]);
+    assert.equal(broken.line, 4);
+    assert.deepEqual(broken.errors, [
+      "product is required",
+      "pallet quantity must be a whole number of at least 1",
+      "Invalid date added. Use YYYY-MM-DD",
+    ]);
+  });
+
+  await t.test("a commit with bad rows imports nothing", async () => {
+    const res = await uploadJson(ctx, token, badCsv, "?commit=1");
+    assert.equal(res.status, 422);
+    assert.equal(res.body.error, "2 row(s) have errors; nothing was imported");
+    assert.equal(res.body.rows.length, 3);
+    const { n } = await ctx.db.get("SELECT COUNT(*) AS n FROM pallets");
+    assert.equal(n, 0);
+  });
+
+  await t.test("the error report lists the failed rows as uploaded", async () => {
+    const res = await upload(ctx, token, badCsv, "?report=csv");
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-disposition"), /import-errors\.csv/);
+    const lines = (await res.text()).split("\n");
+    assert.equal(lines[0], "Line,customer,product,location,pallet_qty,date_added,Errors");
+    assert.equal(lines[1], "3,ACME,SKU-1,Z99,1,,Unknown location: Z99");
+    assert.equal(lines.length, 3);
+  });
+
+  await t.test("a clean commit checks every row in with an IMPORT entry", async () => {
+    const res = await uploadJson(ctx, token, GOOD_CSV, "?commit=1", { "X-File-Name": "opening.csv", "X-Idempotency-Key": "imp-1" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.committed, true);
+
+    const imp2 = await ctx.db.get("SELECT * FROM pallets WHERE id = 'IMP-2'");
+    assert.deepEqual(JSON.parse(imp2.parts), [{ part_number: "P-1", quantity: 4 }, { part_number: "P-2", quantity: 1 }]);
+    const imp1 = await ctx.db.get("SELECT date_added, current_units FROM pallets WHERE id = 'IMP-1'");
+    assert.deepEqual(imp1, { date_added: "2024-05-01 00:00:00", current_units: 20 });
+    const newco = await ctx.db.get("SELECT id, location FROM pallets WHERE customer_name = 'NEWCO'");
+    assert.equal(newco.id, "PLT-000001");
+    assert.equal(newco.location, "A3");
+
+    const log = await ctx.db.all("SELECT pallet_id, action, quantity_changed, notes FROM activity_log ORDER BY id");
+    assert.deepEqual(log.map((l) => l.action), ["IMPORT", "IMPORT", "IMPORT"]);
+    assert.equal(log[0].notes, "Imported from opening.csv — row 2");
+    assert.ok(await ctx.db.get("SELECT 1 FROM customers WHERE name = 'NEWCO'"));
+    assert.equal(ctx.broadcasts.at(-1).action, "import_stock");
+
+    const again = await uploadJson(ctx, token, GOOD_CSV, "?commit=1", { "X-Idempotency-Key": "imp-1" });
+    assert.equal(again.body.deduped, true);
+    const rerun = await uploadJson(ctx, token, GOOD_CSV);
+    assert.deepEqual(rerun.body.rows[0].errors, ["Pallet IMP-1 already exists"]);
+  });
+
+  await t.test("rows outside the admin's customer scope are rejected", async () => {
+    await ctx.request("POST", "/auth/users", {
+      token,
+      body: { username: "acme-admin", password: "acme-pass-1", role: "admin", customer_scope: "ACME" },
+    });
+    const scoped = await ctx.login("acme-admin", "acme-pass-1");
+    const csv = "Customer,Product,Location\nACME,SKU-3,B2\nOTHER,SKU-3,B3";
+    const res = await uploadJson(ctx, scoped, csv);
+    assert.deepEqual(res.body.rows.map((r) => r.errors), [[], ["Customer OTHER is outside your scope"]]);
+  });
+});
+
+test("importing from an XLSX workbook", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+
+  const xlsx = buildXlsx([
+    ["Customer", "Product", "Pallets", "Location", "Date Added", "Best Before"],
+    ["ACME", "SKU-X", 3, "C1", 45444, "2025-01-31"],
+    ["B&B", "SKU-Y", 1, "C2", "", ""],
+  ]);
+  const res = await uploadJson(ctx, token, xlsx, "?commit=1", {
+    "Content-Type": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.summary.pallets, 4);
+  const rows = await ctx.db.all("SELECT customer_name, pallet_quantity, location, best_before FROM pallets ORDER BY location");
+  assert.deepEqual(rows, [
+    { customer_name: "ACME", pallet_quantity: 3, location: "C1", best_before: "2025-01-31" },
+    { customer_name: "B&B", pallet_quantity: 1, location: "C2", best_before: null },
+  ]);
+  const acme = await ctx.db.get("SELECT date_added FROM pallets WHERE location = 'C1'");
+  assert.equal(acme.date_added, "2024-06-01 00:00:00");
+});
+
+test("XLSX files that unzip too large are refused", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  const rows = [["Customer", "Product", "Pallets", "Location"], ["ACME", "SKU-X", 1, "C1"]];
+  const padding = 51 * 1024 * 1024;
+
+  for (const xlsx of [buildXlsx(rows, { padding }), buildXlsx(rows, { padding, declaredSize: 100 })]) {
+    const res = await uploadJson(ctx, token, xlsx);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "XLSX file is too large once unzipped");
+  }
+  assert.equal((await ctx.db.get("SELECT COUNT(*) AS n FROM pallets")).n, 0);
+});
@@ -0,0 +1,225 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+const { summarizeAging } = require("../services/invoicing");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function ymdDaysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Activity rows are stamped with CURRENT_TIMESTAMP; billing replays them by
+// time, so the fixture pins each event to a known moment.
+function backdate(ctx, palletId, action, iso) {
+  return ctx.db.run("UPDATE activity_log SET timestamp = ? WHERE pallet_id = ? AND action = ?", [iso, palletId, action]);
+}
+
+test("invoice preview, generate, payments and aging", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+
+  // Jan 1-2: 2 pallets, Jan 3-4: 3, Jan 5: 2, Jan 6-7: 1 => 14 pallet-days.
+  await ctx.request("POST", "/pallets", {
+    token,
+    body: { id: "INV-1", customer_name: "BILLCO", product_id: "SKU-1", pallet_quantity: 2, location: "F1" },
+  });
+  await ctx.request("POST", "/pallets", {
+    token,
+    body: { id: "INV-2", customer_name: "BILLCO", product_id: "SKU-2", pallet_quantity: 1, location: "F2" },
+  });
+  await ctx.request("POST", "/pallets/INV-1/remove-quantity", { token, body: { quantity_to_remove: 1 } });
+  await ctx.request("DELETE", "/pallets/INV-2", { token });
+  await backdate(ctx, "INV-1", "CHECK_IN", "2025-01-01T10:00:00Z");
+  await backdate(ctx, "INV-2", "CHECK_IN", "2025-01-03T09:00:00Z");
+  await backdate(ctx, "INV-1", "PARTIAL_REMOVE", "2025-01-05T12:00:00Z");
+  await backdate(ctx, "INV-2", "CHECK_OUT", "2025-01-06T08:00:00Z");
+
+  const rate = await ctx.request("POST", "/rates", {
+    token,
+    body: {
+      customer_name: "BILLCO",
+      rate_per_pallet_week: 10,
+      handling_fee_flat: 5,
+      handling_fee_per_pallet: 1.5,
+      payment_terms_days: 14,
+    },
+  });
+  assert.equal(rate.status, 200);
+
+  let invoiceId;
+
+  await t.test("preview replays activity into pallet-days", async () => {
+    const res = await ctx.request("POST", "/invoices/preview", {
+      token,
+      body: { customer_name: "BILLCO", start_date: "2025-01-01", end_date: "2025-01-07" },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.days_in_range, 7);
+    assert.equal(res.body.pallet_days, 14);
+    assert.equal(res.body.pallet_weeks, 2);
+    assert.equal(res.body.handled_pallets, 3);
+    assert.equal(res.body.base_total, 20);
+    assert.equal(res.body.handling_total, 9.5);
+    assert.equal(res.body.total, 29.5);
+    assert.equal(res.body.due_date, "2025-01-21");
+  });
+
+  await t.test("preview overrides take precedence over the stored rate", async () => {
+    const res = await ctx.request("POST", "/invoices/preview", {
+      token,
+      body: {
+        customer_name: "BILLCO",
+        start_date: "2025-01-03",
+        end_date: "2025-01-04",
+        rate_per_pallet_week: 7,
+        handling_fee_flat: 0,
+        handling_fee_per_pallet: 0,
+        payment_terms_days: 0,
+      },
+    });
+    assert.equal(res.body.pallet_days, 6);
+    assert.equal(res.body.handled_pallets, 1);
+    assert.equal(res.body.base_total, 6);
+    assert.equal(res.body.total, 6);
+    assert.equal(res.body.due_date, "2025-01-04");
+  });
+
+  await t.test("preview rejects bad ranges", async () => {
+    const res = await ctx.request("POST", "/invoices/preview", {
+      token,
+      body: { customer_name: "BILLCO", start_date: "2025-01-07", end_date: "2025-01-01" },
+    });
+    assert.equal(res.status, 400);
+  });
+
+  await t.test("generate from week_start stores a draft with the previewed totals", async () => {
+    const res = await ctx.request("POST", "/invoices/generate", {
+      token,
+      body: { customer_name: "BILLCO", week_start: "2025-01-01" },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.end_date, "2025-01-07");
+    assert.equal(res.body.total, 29.5);
+    invoiceId = res.body.invoice_id;
+
+    const list = await ctx.request("GET", "/invoices?customer=BILLCO", { token });
+    const inv = list.body.find((i) => i.id === invoiceId);
+    assert.equal(inv.status, "DRAFT");
+    assert.equal(inv.total, 29.5);
+    assert.equal(inv.pallet_days, 14);
+  });
+
+  await t.test("partial then full payment settles the invoice", async () => {
+    const partial = await ctx.request("POST", `/invoices/${invoiceId}/payments`, { token, body: { amount: 10, note: "part" } });
+    assert.equal(partial.status, 200);
+    assert.equal(partial.body.balance_due, 19.5);
+    assert.equal(partial.body.invoice.status, "SENT");
+    assert.equal(partial.body.invoice.payment_status, "PARTIAL");
+
+    const aging = await ctx.request("GET", "/invoices/aging", { token });
+    assert.equal(aging.body.buckets.d61_plus.count, 1);
+    assert.equal(aging.body.buckets.d61_plus.amount, 19.5);
+
+    const rest = await ctx.request("POST", `/invoices/${invoiceId}/payments`, { token, body: { amount: 19.5 } });
+    assert.equal(rest.body.balance_due, 0);
+    assert.equal(rest.body.invoice.status, "PAID");
+    assert.equal(rest.body.invoice.payment_status, "PAID");
+
+    const bad = await ctx.request("POST", `/invoices/${invoiceId}/payments`, { token, body: { amount: 0 } });
+    assert.equal(bad.status, 400);
+  });
+
+  await t.test("aging buckets unpaid balances by days past due", async () => {
+    const generate = (endDaysAgo, terms, fee) =>
+      ctx.request("POST", "/invoices/generate", {
+        token,
+        body: {
+          customer_name: "AGECO",
+          start_date: ymdDaysAgo(endDaysAgo + 6),
+          end_date: ymdDaysAgo(endDaysAgo),
+          rate_per_pallet_week: 0,
+          handling_fee_flat: fee,
+          handling_fee_per_pallet: 0,
+          payment_terms_days: terms,
+        },
+      });
+    await generate(0, 7, 40);
+    await generate(20, 0, 30);
+    await generate(45, 0, 20);
+
+    const res = await ctx.request("GET", "/invoices/aging", { token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.buckets, {
+      current: { count: 1, amount: 40 },
+      d1_30: { count: 1, amount: 30 },
+      d31_60: { count: 1, amount: 20 },
+      d61_plus: { count: 0, amount: 0 },
+    });
+    assert.equal(res.body.total_outstanding, 90);
+    assert.equal(res.body.total_count, 3);
+  });
+
+  await t.test("invoice routes need an admin role", async () => {
+    await ctx.request("POST", "/auth/users", {
+      token,
+      body: { username: "ops1", password: "ops1-password", role: "ops" },
+    });
+    const ops = await ctx.login("ops1", "ops1-password");
+    const res = await ctx.request("GET", "/invoices", { token: ops });
+    assert.equal(res.status, 403);
+  });
+});
+
+test("adjustments are replayed into pallet-days", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+
+  // 4 pallets from Jan 1, counted down to 2 on Jan 3, then found to belong to
+  // another customer on Jan 5: OLDCO bills 4+4+2+2 = 12, NEWCO 2+2+2 = 6.
+  await ctx.request("POST", "/pallets", {
+    token,
+    body: { id: "ADJ-1", customer_name: "OLDCO", product_id: "SKU-1", pallet_quantity: 4, location: "G1" },
+  });
+  await ctx.request("PATCH", "/pallets/ADJ-1", { token, body: { version: 0, reason: "stock_count", pallet_quantity: 2 } });
+  await ctx.request("PATCH", "/pallets/ADJ-1", { token, body: { version: 1, reason: "miskey", customer_name: "NEWCO" } });
+  await backdate(ctx, "ADJ-1", "CHECK_IN", "2025-01-01T10:00:00Z");
+  await ctx.db.run(
+    "UPDATE activity_log SET timestamp = CASE WHEN notes LIKE 'pallet_quantity%' THEN '2025-01-03T10:00:00Z' ELSE '2025-01-05T10:00:00Z' END WHERE pallet_id = 'ADJ-1' AND action = 'ADJUST'"
+  );
+
+  const preview = (customer) =>
+    ctx.request("POST", "/invoices/preview", {
+      token,
+      body: { customer_name: customer, start_date: "2025-01-01", end_date: "2025-01-07", rate_per_pallet_week: 7 },
+    });
+  const oldco = await preview("OLDCO");
+  assert.equal(oldco.body.pallet_days, 12);
+  assert.equal(oldco.body.handled_pallets, 4);
+  const newco = await preview("NEWCO");
+  assert.equal(newco.body.pallet_days, 6);
+  assert.equal(newco.body.handled_pallets, 0);
+});
+
+test("summarizeAging bucket boundaries", () => {
+  const today = new Date("2025-06-30T15:00:00Z");
+  const rows = [
+    { total: 10, amount_paid: 0, status: "SENT", due_date: "2025-06-30" },
+    { total: 10, amount_paid: 0, status: "SENT", due_date: "2025-05-31" },
+    { total: 10, amount_paid: 0, status: "SENT", due_date: "2025-05-30" },
+    { total: 10, amount_paid: 0, status: "SENT", due_date: "2025-05-01" },
+    { total: 10, amount_paid: 0, status: "SENT", due_date: "2025-04-30" },
+    { total: 10, amount_paid: 4, status: "SENT", due_date: "" },
+    { total: 10, amount_paid: 10, status: "SENT", due_date: "2025-01-01" },
+    { total: 10, amount_paid: 0, status: "PAID", due_date: "2025-01-01" },
+  ];
+  const { buckets, total_outstanding, total_count } = summarizeAging(rows, today);
+  assert.deepEqual(buckets.current, { count: 2, amount: 16 });
+  assert.deepEqual(buckets.d1_30, { count: 1, amount: 10 });
+  assert.deepEqual(buckets.d31_60, { count: 2, amount: 20 });
+  assert.deepEqual(buckets.d61_plus, { count: 1, amount: 10 });
+  assert.equal(total_outstanding, 56);
+  assert.equal(total_count, 6);
+});
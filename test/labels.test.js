@@ -0,0 +1,243 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { startTestApp } = require("./helpers/testApp");
+
+function fetchLabel(ctx, token, path, { method = "GET", body } = {}) {
+  return fetch(`${ctx.baseUrl}/api${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+}
+
+// The text drawn on each page of one of our PDFs, from its content streams.
+function pdfPages(buf) {
+  const raw = buf.toString("latin1");
+  const pages = [];
+  for (const m of raw.matchAll(/<< \/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g)) {
+    const start = m.index + m[0].length;
+    const ops = zlib.inflateSync(buf.subarray(start, start + Number(m[1]))).toString("latin1");
+    pages.push([...ops.matchAll(/\((.*?)\) Tj/g)].map((t) => t[1]).join(" | "));
+  }
+  return pages;
+}
+
+function v1Payload(fields) {
+  return `WT|PALLET|v1|${Buffer.from(JSON.stringify(fields)).toString("base64url")}`;
+}
+
+async function verify(ctx, token, payload) {
+  return (await ctx.request("POST", "/labels/verify", { token, body: { payload } })).body;
+}
+
+test("pallet labels", async (t) => {
+  const ctx = await startTestApp({ settings: { companyName: "ACME Storage", accentColor: "#cf2e2e" } });
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  await ctx.request("POST", "/pallets", {
+    token,
+    body: {
+      id: "LBL-1",
+      customer_name: "ACME",
+      product_id: "SKU-1",
+      pallet_quantity: 2,
+      product_quantity: 12,
+      location: "A1",
+      date_added: "2025-03-04",
+      lot: "L42",
+    },
+  });
+
+  await t.test("a pallet's PDF label carries branding, details and the pallet id", async () => {
+    const res = await fetchLabel(ctx, token, "/pallets/LBL-1/label");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "application/pdf");
+    const pdf = Buffer.from(await res.arrayBuffer());
+    assert.equal(pdf.subarray(0, 8).toString(), "%PDF-1.4");
+    assert.match(pdf.toString("latin1"), /\/MediaBox \[0 0 297\.64 419\.53\]/);
+    const [page] = pdfPages(pdf);
+    for (const text of ["ACME Storage", "LBL-1", "ACME", "SKU-1", "2 pallets \\327 12 units", "2025-03-04", "L42"]) {
+      assert.ok(page.includes(text), `${text} missing from ${page}`);
+    }
+  });
+
+  await t.test("ZPL labels encode a signed QR payload the scanner accepts", async () => {
+    const res = await fetchLabel(ctx, token, "/pallets/LBL-1/label?format=zpl&size=4x6");
+    assert.equal(res.status, 200);
+    const zpl = await res.text();
+    assert.match(zpl, /^\^XA/);
+    assert.match(zpl, /\^PW813\n\^LL1219/);
+    assert.ok(zpl.includes(`^BQN,2,`), zpl);
+    assert.ok(zpl.includes("^FH_^FDACME Storage^FS"));
+
+    const escaped = zpl.match(/\^FH_\^FDMA,(WT\|PALLET\|v2\|[\w-]+\.[\w-]+)\^FS/)[1];
+    const payload = escaped.replace(/_([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    assert.ok(!/[\^~]/.test(escaped));
+    const [body] = payload.slice("WT|PALLET|v2|".length).split(".");
+    assert.deepEqual(JSON.parse(Buffer.from(body, "base64url")), { id: "LBL-1", c: "ACME", p: "SKU-1", u: 12, l: "L42" });
+    const result = await verify(ctx, token, payload);
+    assert.deepEqual(
+      { version: result.version, signed: result.signed, valid: result.valid, verdict: result.verdict },
+      { version: "v2", signed: true, valid: true, verdict: "ok" }
+    );
+    assert.equal(result.label.customer_name, "ACME");
+  });
+
+  await t.test("bad options and unknown pallets are rejected", async () => {
+    assert.equal((await fetchLabel(ctx, token, "/pallets/LBL-1/label?format=png")).status, 400);
+    assert.equal((await fetchLabel(ctx, token, "/pallets/LBL-1/label?size=a4")).status, 400);
+    assert.equal((await fetchLabel(ctx, token, "/pallets/NOPE/label")).status, 404);
+  });
+
+  await t.test("a batch prints sequential ids for pallets not checked in yet", async () => {
+    const res = await fetchLabel(ctx, token, "/labels", {
+      method: "POST",
+      body: { label: { id: "P-0098", customer_name: "ACME", product_id: "SKU-2" }, count: 3 },
+    });
+    assert.equal(res.status, 200);
+    const pages = pdfPages(Buffer.from(await res.arrayBuffer()));
+    assert.equal(pages.length, 3);
+    assert.deepEqual(pages.map((p) => p.match(/P-\d+/)[0]), ["P-0098", "P-0099", "P-0100"]);
+
+    const zpl = await (await fetchLabel(ctx, token, "/labels?format=zpl", {
+      method: "POST",
+      body: { label: { id: "BOX", customer_name: "ACME" }, count: 2 },
+    })).text();
+    assert.equal(zpl.match(/\^XA/g).length, 2);
+    assert.ok(zpl.includes("^FDBOX-2^FS"));
+
+    const tooMany = await fetchLabel(ctx, token, "/labels", { method: "POST", body: { label: { id: "P-1" }, count: 501 } });
+    assert.equal(tooMany.status, 400);
+    const noCustomer = await fetchLabel(ctx, token, "/labels", { method: "POST", body: { label: { id: "P-1" } } });
+    assert.equal(noCustomer.status, 400);
+  });
+
+  await t.test("existing pallets can be reprinted together", async () => {
+    await ctx.request("POST", "/pallets", { token, body: { id: "LBL-2", customer_name: "OTHER", product_id: "SKU-9", location: "A2" } });
+    const res = await fetchLabel(ctx, token, "/labels", { method: "POST", body: { pallet_ids: ["LBL-1", "LBL-2"] } });
+    assert.equal(pdfPages(Buffer.from(await res.arrayBuffer())).length, 2);
+
+    await ctx.request("POST", "/auth/users", {
+      token,
+      body: { username: "acme-viewer", password: "acme-pass-1", role: "ops", customer_scope: "ACME" },
+    });
+    const scoped = await ctx.login("acme-viewer", "acme-pass-1");
+    assert.equal((await fetchLabel(ctx, scoped, "/pallets/LBL-2/label")).status, 403);
+    assert.equal((await fetchLabel(ctx, scoped, "/labels", { method: "POST", body: { pallet_ids: ["LBL-1", "LBL-2"] } })).status, 403);
+  });
+
+  await t.test("only write roles in scope can print or sign labels", async () => {
+    const scoped = await ctx.login("acme-viewer", "acme-pass-1");
+    const sign = (as, label) => ctx.request("POST", "/labels/sign", { token: as, body: { label } });
+    assert.equal((await sign(scoped, { id: "X-1", customer_name: "OTHER" })).status, 403);
+    assert.equal((await sign(scoped, { id: "X-1" })).status, 400);
+    assert.equal((await sign(scoped, { id: "X-1", customer_name: "ACME" })).status, 200);
+
+    await ctx.request("POST", "/auth/users", { token, body: { username: "viewer", password: "viewer-pass-1", role: "viewer" } });
+    const viewer = await ctx.login("viewer", "viewer-pass-1");
+    assert.equal((await sign(viewer, { id: "X-1", customer_name: "ACME" })).status, 403);
+    assert.equal((await fetchLabel(ctx, viewer, "/pallets/LBL-1/label")).status, 403);
+    assert.equal((await fetchLabel(ctx, viewer, "/labels", { method: "POST", body: { pallet_ids: ["LBL-1"] } })).status, 403);
+  });
+});
+
+test("signed label payloads", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+
+  await t.test("issued payloads verify and edited ones are blocked", async () => {
+    const res = await ctx.request("POST", "/labels/sign", {
+      token,
+      body: { label: { id: "NEW-01", customer_name: "ACME", product_id: "SKU-1", product_quantity: 5 }, count: 2 },
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.payloads.map((p) => p.id), ["NEW-01", "NEW-02"]);
+    const [{ payload }] = res.body.payloads;
+    assert.equal((await verify(ctx, token, payload)).verdict, "ok");
+
+    // Same signature, different customer.
+    const [, signature] = payload.split(".");
+    const forged = `WT|PALLET|v2|${Buffer.from(JSON.stringify({ id: "NEW-01", c: "OTHER", p: "SKU-1", u: 5 })).toString("base64url")}.${signature}`;
+    const result = await verify(ctx, token, forged);
+    assert.equal(result.valid, false);
+    assert.equal(result.verdict, "block");
+    assert.match(result.message, /not issued by this warehouse or has been altered/);
+    assert.equal((await verify(ctx, token, payload.split(".")[0])).verdict, "block");
+  });
+
+  await t.test("the legacy policy decides what unsigned v1 labels do", async () => {
+    const v1 = v1Payload({ id: "OLD-1", c: "ACME", p: "SKU-1", u: 0 });
+    const warned = await verify(ctx, token, v1);
+    assert.deepEqual({ version: warned.version, verdict: warned.verdict, policy: warned.policy }, { version: "v1", verdict: "warn", policy: "warn" });
+    assert.match(warned.message, /unsigned \(v1\) label/);
+
+    for (const [policy, verdict] of [["block", "block"], ["allow", "ok"]]) {
+      const saved = await ctx.request("POST", "/settings/label-policy", { token, body: { policy } });
+      assert.equal(saved.status, 200);
+      assert.equal((await verify(ctx, token, v1)).verdict, verdict);
+    }
+    assert.equal((await ctx.request("GET", "/settings", { token })).body.legacyLabelPolicy, "allow");
+    assert.equal((await ctx.request("POST", "/settings/label-policy", { token, body: { policy: "ignore" } })).status, 400);
+
+    await ctx.request("POST", "/auth/users", { token, body: { username: "floor", password: "floor-pass-1", role: "ops" } });
+    const ops = await ctx.login("floor", "floor-pass-1");
+    assert.equal((await ctx.request("POST", "/settings/label-policy", { token: ops, body: { policy: "block" } })).status, 403);
+  });
+
+  await t.test("check-ins and receipts check the scanned label again under block", async () => {
+    await ctx.request("POST", "/settings/label-policy", { token, body: { policy: "block" } });
+    const signed = await ctx.request("POST", "/labels/sign", {
+      token,
+      body: { label: { id: "SCAN-1", customer_name: "ACME", product_id: "SKU-1" } },
+    });
+    const [{ payload }] = signed.body.payloads;
+    const [, signature] = payload.split(".");
+    const forged = `WT|PALLET|v2|${Buffer.from(JSON.stringify({ id: "SCAN-2", c: "ACME", p: "SKU-1", u: 0 })).toString("base64url")}.${signature}`;
+    const checkIn = (id, labelPayload) => ctx.request("POST", "/pallets", {
+      token,
+      body: { id, customer_name: "ACME", product_id: "SKU-1", location: "A1", label_payload: labelPayload },
+    });
+
+    const rejected = await checkIn("SCAN-2", forged);
+    assert.equal(rejected.status, 403);
+    assert.match(rejected.body.error, /not issued by this warehouse/);
+    assert.equal((await checkIn("OLD-1", v1Payload({ id: "OLD-1", c: "ACME", p: "SKU-1" }))).status, 403);
+    assert.equal((await checkIn("SCAN-3", payload)).status, 400);
+    const pallets = (await ctx.request("GET", "/pallets", { token })).body;
+    assert.deepEqual(pallets.map((p) => p.id), []);
+
+    // A genuine label only vouches for what it describes.
+    const mismatched = await ctx.request("POST", "/pallets", {
+      token,
+      body: { id: "SCAN-1", customer_name: "EVIL", product_id: "OTHER", product_quantity: 4, location: "A1", label_payload: payload },
+    });
+    assert.equal(mismatched.status, 409);
+    assert.match(mismatched.body.error, /says customer ACME, product SKU-1, 0 units per pallet/);
+    assert.equal((await checkIn("SCAN-1", payload)).status, 200);
+
+    const asn = await ctx.request("POST", "/asns", { token, body: { customer_name: "ACME", lines: [{ product_id: "SKU-1", pallets: 2 }] } });
+    const receipt = await ctx.request("POST", `/asns/${asn.body.asn.id}/receipts`, {
+      token,
+      body: { pallet_id: "SCAN-2", product_id: "SKU-1", location: "A2", label_payload: forged },
+    });
+    assert.equal(receipt.status, 403);
+
+    const other = await ctx.request("POST", "/labels/sign", {
+      token,
+      body: { label: { id: "SCAN-4", customer_name: "ACME", product_id: "SKU-9" } },
+    });
+    const wrongProduct = await ctx.request("POST", `/asns/${asn.body.asn.id}/receipts`, {
+      token,
+      body: { pallet_id: "SCAN-4", product_id: "SKU-1", location: "A2", label_payload: other.body.payloads[0].payload },
+    });
+    assert.equal(wrongProduct.status, 409);
+  });
+
+  await t.test("anything that isn't a WT label is rejected", async () => {
+    const res = await ctx.request("POST", "/labels/verify", { token, body: { payload: "PLT-123" } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Not a Warehouse Tracker pallet label");
+  });
+});
@@ -0,0 +1,186 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+test("orders and pick lists", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+
+  const stock = [
+    { id: "O-NEW", product_id: "SKU-O", pallet_quantity: 2, location: "A1", date_added: "2026-03-01" },
+    { id: "O-OLD", product_id: "SKU-O", pallet_quantity: 3, location: "J5", date_added: "2026-01-01" },
+    { id: "O-MID", product_id: "SKU-O", pallet_quantity: 1, location: "B2", date_added: "2026-02-01" },
+    { id: "O-UNITS", product_id: "SKU-U", pallet_quantity: 1, product_quantity: 10, location: "C3", date_added: "2026-01-15" },
+  ];
+  for (const p of stock) {
+    await ctx.request("POST", "/pallets", { token, body: { customer_name: "ACME", ...p } });
+  }
+
+  const createOrder = (lines, reference) =>
+    ctx.request("POST", "/orders", { token, body: { customer_name: "ACME", reference, lines } });
+  const confirm = (orderId, pickId, pallet_id) =>
+    ctx.request("POST", `/orders/${orderId}/picks/${pickId}/confirm`, { token, body: { pallet_id, scanned_by: "Picker 1" } });
+
+  let order;
+  let second;
+
+  await t.test("an order that can't be covered is rejected whole", async () => {
+    const bad = await createOrder([{ product_id: "SKU-O", quantity: 0 }]);
+    assert.equal(bad.status, 400);
+
+    const res = await createOrder([
+      { product_id: "SKU-O", quantity: 4 },
+      { product_id: "SKU-U", quantity: 15, unit: "units" },
+    ]);
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.shortages, [{ product_id: "SKU-U", unit: "units", requested: 15, available: 10 }]);
+    assert.deepEqual((await ctx.request("GET", "/orders", { token })).body, []);
+  });
+
+  await t.test("stock is allocated FIFO and listed in walk order", async () => {
+    const res = await createOrder([
+      { product_id: "SKU-O", quantity: 4 },
+      { product_id: "SKU-U", quantity: 6, unit: "units" },
+    ], "PO-1");
+    assert.equal(res.status, 200);
+    order = res.body;
+    assert.equal(order.order.status, "OPEN");
+    assert.deepEqual(
+      order.picks.map((p) => [p.location, p.pallet_id, p.unit, p.quantity]),
+      [["B2", "O-MID", "pallets", 1], ["C3", "O-UNITS", "units", 6], ["J5", "O-OLD", "pallets", 3]]
+    );
+  });
+
+  await t.test("open picks reserve stock for later orders", async () => {
+    const res = await createOrder([{ product_id: "SKU-O", quantity: 2 }]);
+    assert.equal(res.status, 200);
+    second = res.body;
+    assert.deepEqual(second.picks.map((p) => [p.pallet_id, p.quantity]), [["O-NEW", 2]]);
+
+    const none = await createOrder([{ product_id: "SKU-O", quantity: 1 }]);
+    assert.equal(none.status, 409);
+  });
+
+  await t.test("a pick only confirms against the listed pallet", async () => {
+    const pick = order.picks[0];
+    const wrong = await confirm(order.order.id, pick.id, "O-NEW");
+    assert.equal(wrong.status, 409);
+    assert.equal(wrong.body.expected, "O-MID");
+    assert.equal((await ctx.db.get("SELECT pallet_quantity FROM pallets WHERE id = 'O-MID'")).pallet_quantity, 1);
+  });
+
+  await t.test("confirmed picks take stock off through the activity log", async () => {
+    const [palletPick, unitPick, lastPick] = order.picks;
+    const res = await confirm(order.order.id, palletPick.id, "O-MID");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.completed, false);
+    assert.equal((await ctx.db.get("SELECT status FROM pallets WHERE id = 'O-MID'")).status, "removed");
+
+    const again = await confirm(order.order.id, palletPick.id, "O-MID");
+    assert.equal(again.body.deduped, true);
+
+    const units = await confirm(order.order.id, unitPick.id, "O-UNITS");
+    assert.equal(units.status, 200);
+    assert.equal((await ctx.db.get("SELECT current_units FROM pallets WHERE id = 'O-UNITS'")).current_units, 4);
+
+    const done = await confirm(order.order.id, lastPick.id, "O-OLD");
+    assert.equal(done.body.completed, true);
+    assert.equal(done.body.order.status, "COMPLETED");
+    assert.deepEqual(done.body.lines.map((l) => l.picked_quantity), [4, 6]);
+
+    const log = await ctx.db.all(
+      "SELECT pallet_id, action, quantity_changed, scanned_by, notes FROM activity_log WHERE notes LIKE '%Picked for order%' ORDER BY id"
+    );
+    assert.deepEqual(
+      log.map((l) => [l.pallet_id, l.action, l.quantity_changed, l.scanned_by]),
+      [["O-MID", "PARTIAL_REMOVE", 1, "Picker 1"], ["O-UNITS", "UNITS_REMOVE", 6, "Picker 1"], ["O-OLD", "PARTIAL_REMOVE", 3, "Picker 1"]]
+    );
+    assert.match(log[0].notes, /order #\d+ \(PO-1\)/);
+    assert.equal(ctx.broadcasts.filter((b) => b.action === "order_pick").length, 3);
+  });
+
+  await t.test("a pick can't be undone from the activity log", async () => {
+    const { id } = await ctx.db.get("SELECT id FROM activity_log WHERE pallet_id = 'O-UNITS' AND action = 'UNITS_REMOVE'");
+    const res = await ctx.request("POST", `/activity/${id}/reverse`, { token, body: {} });
+    assert.equal(res.status, 409);
+    assert.match(res.body.error, /picked for order #\d+/);
+    assert.equal((await ctx.db.get("SELECT current_units FROM pallets WHERE id = 'O-UNITS'")).current_units, 4);
+    assert.equal((await ctx.request("GET", `/orders/${order.order.id}`, { token })).body.order.status, "COMPLETED");
+  });
+
+  await t.test("stock promised to open picks stays put", async () => {
+    const [pick] = second.picks;
+    const blocked = [
+      await ctx.request("DELETE", `/pallets/${pick.pallet_id}`, { token }),
+      await ctx.request("POST", `/pallets/${pick.pallet_id}/move`, { token, body: { to_location: "D4" } }),
+      await ctx.request("POST", `/pallets/${pick.pallet_id}/remove-quantity`, { token, body: { quantity_to_remove: 1 } }),
+    ];
+    assert.deepEqual(blocked.map((r) => r.status), [409, 409, 409]);
+    assert.match(blocked[0].body.error, /open picks; confirm or cancel them before you check it out/);
+    assert.match(blocked[2].body.error, /would no longer fit/);
+    const row = await ctx.db.get("SELECT status, location, pallet_quantity FROM pallets WHERE id = ?", [pick.pallet_id]);
+    assert.deepEqual(row, { status: "active", location: "A1", pallet_quantity: 2 });
+  });
+
+  await t.test("cancelling releases open picks", async () => {
+    const res = await ctx.request("POST", `/orders/${second.order.id}/cancel`, { token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.order.status, "CANCELLED");
+    assert.deepEqual(res.body.picks.map((p) => p.status), ["CANCELLED"]);
+
+    const again = await ctx.request("POST", `/orders/${second.order.id}/cancel`, { token });
+    assert.equal(again.status, 409);
+    const released = await createOrder([{ product_id: "SKU-O", quantity: 2 }]);
+    assert.equal(released.status, 200);
+
+    const open = await ctx.request("GET", "/orders?status=open", { token });
+    assert.deepEqual(open.body.map((o) => [o.id, o.picks_total, o.picks_done]), [[released.body.order.id, 1, 0]]);
+  });
+});
+
+test("orders respect customer scope", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  await ctx.request("POST", "/pallets", {
+    token,
+    body: { id: "S-1", customer_name: "OTHER", product_id: "SKU-S", pallet_quantity: 1, location: "A1" },
+  });
+  const created = await ctx.request("POST", "/orders", {
+    token,
+    body: { customer_name: "OTHER", lines: [{ product_id: "SKU-S", quantity: 1 }] },
+  });
+  await ctx.request("POST", "/auth/users", {
+    token,
+    body: { username: "acme-ops", password: "acme-ops-pass", role: "ops", customer_scope: "ACME" },
+  });
+  const scoped = await ctx.login("acme-ops", "acme-ops-pass");
+
+  const res = await ctx.request("POST", "/orders", {
+    token: scoped,
+    body: { customer_name: "OTHER", lines: [{ product_id: "SKU-S", quantity: 1 }] },
+  });
+  assert.equal(res.status, 403);
+  assert.equal((await ctx.request("GET", `/orders/${created.body.order.id}`, { token: scoped })).status, 404);
+  assert.deepEqual((await ctx.request("GET", "/orders", { token: scoped })).body, []);
+});
+
+test("allocation takes the first expiry before the oldest pallet", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  const stock = [
+    { id: "F-OLD-UNDATED", date_added: "2026-01-01", location: "A1" },
+    { id: "F-LATE", date_added: "2026-01-02", expiry_date: "2027-06-01", location: "A2" },
+    { id: "F-SOON", date_added: "2026-03-01", expiry_date: "2027-01-01", location: "A3" },
+  ];
+  for (const p of stock) {
+    await ctx.request("POST", "/pallets", { token, body: { customer_name: "ACME", product_id: "SKU-F", ...p } });
+  }
+  const res = await ctx.request("POST", "/orders", {
+    token,
+    body: { customer_name: "ACME", lines: [{ product_id: "SKU-F", quantity: 2 }] },
+  });
+  assert.deepEqual(res.body.picks.map((p) => p.pallet_id).sort(), ["F-LATE", "F-SOON"]);
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+test("pallet id sequences", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  const reserve = (body, as = token) => ctx.request("POST", "/pallet-ids", { token: as, body });
+  const setSequence = (body) => ctx.request("POST", "/pallet-ids/sequences", { token, body });
+
+  await t.test("the default sequence numbers reservations and check-ins alike", async () => {
+    const res = await reserve({ count: 3 });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.ids, ["PLT-000001", "PLT-000002", "PLT-000003"]);
+
+    const checkIn = await ctx.request("POST", "/pallets", { token, body: { customer_name: "ACME", product_id: "SKU-1", location: "A1" } });
+    assert.equal(checkIn.status, 200);
+    assert.equal(checkIn.body.id, "PLT-000004");
+  });
+
+  await t.test("a reserved id checks in once and is rejected after that", async () => {
+    const body = { id: "PLT-000001", customer_name: "ACME", product_id: "SKU-1", location: "A2" };
+    assert.equal((await ctx.request("POST", "/pallets", { token, body })).status, 200);
+    const again = await ctx.request("POST", "/pallets", { token, body: { ...body, location: "A3" } });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, "Pallet PLT-000001 already exists");
+  });
+
+  await t.test("ids already on a pallet are skipped", async () => {
+    await ctx.request("POST", "/pallets", { token, body: { id: "PLT-000005", customer_name: "ACME", product_id: "SKU-1", location: "A4" } });
+    assert.deepEqual((await reserve({})).body.ids, ["PLT-000006"]);
+  });
+
+  await t.test("customers can have their own format and check digit", async () => {
+    await ctx.request("POST", "/customers/records", { token, body: { name: "COUNCIL" } });
+    const saved = await setSequence({ customer_name: "COUNCIL", format: "ALL4-COUNCIL-{seq:6}", next_value: 123 });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.next_id, "ALL4-COUNCIL-000123");
+    assert.deepEqual((await reserve({ customer_name: "COUNCIL", count: 2 })).body.ids, ["ALL4-COUNCIL-000123", "ALL4-COUNCIL-000124"]);
+
+    await setSequence({ customer_name: "COUNCIL", format: "AC{seq:5}{check}" });
+    assert.deepEqual((await reserve({ customer_name: "COUNCIL" })).body.ids, ["AC001250"]);
+    // Customers without a sequence of their own use the default.
+    assert.deepEqual((await reserve({ customer_name: "ACME" })).body.ids, ["PLT-000007"]);
+
+    // Ids typed or scanned in the customer's format must carry the right check digit.
+    const checkIn = (id) => ctx.request("POST", "/pallets", { token, body: { id, customer_name: "COUNCIL", product_id: "SKU-1", location: "B1" } });
+    const mistyped = await checkIn("AC001251");
+    assert.equal(mistyped.status, 400);
+    assert.equal(mistyped.body.error, "Pallet id AC001251 has the wrong check digit");
+    assert.equal((await checkIn("AC001250")).status, 200);
+    assert.equal((await checkIn("OLD-77")).status, 200);
+
+    const list = (await ctx.request("GET", "/pallet-ids/sequences", { token })).body;
+    assert.deepEqual(list.map((s) => [s.customer_name, s.next_id]), [[null, "PLT-000008"], ["COUNCIL", "AC001267"]]);
+
+    await setSequence({ customer_name: "COUNCIL", format: "" });
+    assert.deepEqual((await reserve({ customer_name: "COUNCIL" })).body.ids, ["PLT-000008"]);
+  });
+
+  await t.test("a cleared format keeps its numbering for when a format is set again", async () => {
+    const list = (await ctx.request("GET", "/pallet-ids/sequences", { token })).body;
+    assert.deepEqual(list.map((s) => [s.customer_name, s.format, s.next_id]), [[null, "PLT-{seq:6}", "PLT-000009"], ["COUNCIL", null, null]]);
+
+    const rewind = await setSequence({ customer_name: "COUNCIL", format: "AC{seq:5}{check}", next_value: 1 });
+    assert.equal(rewind.status, 400);
+    assert.match(rewind.body.error, /can't go back below 126/);
+
+    const saved = await setSequence({ customer_name: "COUNCIL", format: "AC{seq:5}{check}" });
+    assert.equal(saved.body.next_id, "AC001267");
+    assert.deepEqual((await reserve({ customer_name: "COUNCIL" })).body.ids, ["AC001267"]);
+  });
+
+  await t.test("bad formats, rewinds and other roles are rejected", async () => {
+    assert.equal((await setSequence({ format: "PLT-{seq}-{seq}" })).status, 400);
+    assert.equal((await setSequence({ format: "PLT {seq}" })).status, 400);
+    const rewind = await setSequence({ format: "PLT-{seq:6}", next_value: 2 });
+    assert.equal(rewind.status, 400);
+    assert.match(rewind.body.error, /can't go back below 9/);
+    assert.equal((await setSequence({ customer_name: "NOBODY", format: "X{seq}" })).status, 404);
+    assert.equal((await reserve({ count: 501 })).status, 400);
+
+    await ctx.request("POST", "/auth/users", {
+      token,
+      body: { username: "acme-ops", password: "acme-pass-1", role: "ops", customer_scope: "ACME" },
+    });
+    const ops = await ctx.login("acme-ops", "acme-pass-1");
+    assert.equal((await ctx.request("POST", "/pallet-ids/sequences", { token: ops, body: { format: "X{seq}" } })).status, 403);
+    assert.equal((await reserve({ customer_name: "COUNCIL" }, ops)).status, 403);
+    assert.equal((await reserve({ customer_name: "ACME" }, ops)).status, 200);
+  });
+
+  await t.test("reserved blocks print as one label batch", async () => {
+    const { ids } = (await reserve({ count: 2 })).body;
+    const res = await ctx.request("POST", "/labels/sign", { token, body: { label: { customer_name: "ACME" }, ids } });
+    assert.deepEqual(res.body.payloads.map((p) => p.id), ids);
+  });
+});
@@ -0,0 +1,723 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+const { parseCsv } = require("../lib/csv");
+
+function checkIn(ctx, token, pallet, idempotencyKey) {
+  return ctx.request("POST", "/pallets", {
+    token,
+    body: pallet,
+    headers: idempotencyKey ? { "X-Idempotency-Key": idempotencyKey } : {},
+  });
+}
+
+async function locationFill(ctx, token, id) {
+  const res = await ctx.request("GET", "/locations", { token });
+  return res.body.find((l) => l.id === id);
+}
+
+async function activityFor(ctx, palletId) {
+  return ctx.db.all("SELECT action, quantity_changed, quantity_before, quantity_after FROM activity_log WHERE pallet_id = ? ORDER BY id", [palletId]);
+}
+
+test("pallet operations", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+
+  await t.test("check-in is idempotent on the idempotency key", async () => {
+    const pallet = { id: "P-IDEM", customer_name: "ACME", product_id: "SKU-1", pallet_quantity: 2, location: "A1" };
+    const first = await checkIn(ctx, token, pallet, "idem-1");
+    assert.equal(first.status, 200);
+    assert.equal(first.body.id, "P-IDEM");
+
+    const replay = await checkIn(ctx, token, pallet, "idem-1");
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.deduped, true);
+
+    const rows = await activityFor(ctx, "P-IDEM");
+    assert.deepEqual(rows.map((r) => r.action), ["CHECK_IN"]);
+    const loc = await locationFill(ctx, token, "A1");
+    assert.equal(loc.fill_pallets, 2);
+    assert.equal(loc.is_occupied, 1);
+  });
+
+  await t.test("check-in validates required fields and dates", async () => {
+    const missing = await checkIn(ctx, token, { customer_name: "ACME", location: "A2" });
+    assert.equal(missing.status, 400);
+
+    const badDate = await checkIn(ctx, token, {
+      customer_name: "ACME",
+      product_id: "SKU-1",
+      location: "A2",
+      date_added: "31/12/2025",
+    });
+    assert.equal(badDate.status, 400);
+  });
+
+  await t.test("moves stack up to capacity and refuse full and unknown targets", async () => {
+    await checkIn(ctx, token, { id: "P-MOVE", customer_name: "ACME", product_id: "SKU-2", location: "B1" });
+    await checkIn(ctx, token, { id: "P-BLOCK", customer_name: "ACME", product_id: "SKU-3", pallet_quantity: 12, location: "B2" });
+    await checkIn(ctx, token, { id: "P-STACK", customer_name: "ACME", product_id: "SKU-3", pallet_quantity: 11, location: "B3" });
+
+    const full = await ctx.request("POST", "/pallets/P-MOVE/move", { token, body: { to_location: "B2" } });
+    assert.equal(full.status, 409);
+    assert.match(full.body.error, /over capacity/);
+    assert.equal(full.body.capacity, 12);
+    assert.equal(full.body.used, 12);
+    assert.equal(full.body.requested, 1);
+
+    const unknown = await ctx.request("POST", "/pallets/P-MOVE/move", { token, body: { to_location: "Z99" } });
+    assert.equal(unknown.status, 400);
+
+    const moved = await ctx.request("POST", "/pallets/P-MOVE/move", { token, body: { to_location: "b3" } });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.from_location, "B1");
+    assert.equal(moved.body.to_location, "B3");
+
+    const from = await locationFill(ctx, token, "B1");
+    const to = await locationFill(ctx, token, "B3");
+    assert.equal(from.fill_pallets, 0);
+    assert.equal(to.fill_pallets, 12);
+    assert.equal(to.fill_level, 1);
+
+    const same = await ctx.request("POST", "/pallets/P-MOVE/move", { token, body: { to_location: "B3" } });
+    assert.equal(same.status, 200);
+    assert.equal(same.body.message, "Pallet already in that location");
+  });
+
+  await t.test("partial pallet removals count down and free the location when emptied", async () => {
+    await checkIn(ctx, token, { id: "P-QTY", customer_name: "ACME", product_id: "SKU-4", pallet_quantity: 3, location: "C1" });
+
+    const tooMany = await ctx.request("POST", "/pallets/P-QTY/remove-quantity", { token, body: { quantity_to_remove: 4 } });
+    assert.equal(tooMany.status, 400);
+
+    const partial = await ctx.request("POST", "/pallets/P-QTY/remove-quantity", { token, body: { quantity_to_remove: 2 } });
+    assert.equal(partial.status, 200);
+    assert.equal(partial.body.quantity_remaining, 1);
+    assert.equal(partial.body.pallet_removed, false);
+
+    const rest = await ctx.request("POST", "/pallets/P-QTY/remove-quantity", {
+      token,
+      body: { quantity_to_remove: 1 },
+      headers: { "X-Idempotency-Key": "qty-rest" },
+    });
+    assert.equal(rest.status, 200);
+    assert.equal(rest.body.pallet_removed, true);
+
+    const row = await ctx.db.get("SELECT status, pallet_quantity FROM pallets WHERE id = 'P-QTY'");
+    assert.equal(row.status, "removed");
+    const loc = await locationFill(ctx, token, "C1");
+    assert.equal(loc.fill_pallets, 0);
+    assert.equal(loc.is_occupied, 0);
+
+    const rows = await activityFor(ctx, "P-QTY");
+    assert.deepEqual(
+      rows.map((r) => [r.action, r.quantity_before, r.quantity_after]),
+      [["CHECK_IN", null, 3], ["PARTIAL_REMOVE", 3, 1], ["PARTIAL_REMOVE", 1, 0]]
+    );
+  });
+
+  await t.test("unit removals track current_units", async () => {
+    await checkIn(ctx, token, {
+      id: "P-UNITS",
+      customer_name: "ACME",
+      product_id: "SKU-5",
+      pallet_quantity: 2,
+      product_quantity: 10,
+      location: "C2",
+    });
+
+    const partial = await ctx.request("POST", "/pallets/P-UNITS/remove-units", { token, body: { units_to_remove: 7 } });
+    assert.equal(partial.status, 200);
+    assert.equal(partial.body.units_remaining, 13);
+
+    const tooMany = await ctx.request("POST", "/pallets/P-UNITS/remove-units", { token, body: { units_to_remove: 14 } });
+    assert.equal(tooMany.status, 400);
+
+    const rest = await ctx.request("POST", "/pallets/P-UNITS/remove-units", { token, body: { units_to_remove: 13 } });
+    assert.equal(rest.status, 200);
+    assert.equal(rest.body.pallet_removed, true);
+
+    const untracked = await checkIn(ctx, token, { id: "P-NOUNITS", customer_name: "ACME", product_id: "SKU-6", location: "C3" });
+    assert.equal(untracked.status, 200);
+    const res = await ctx.request("POST", "/pallets/P-NOUNITS/remove-units", { token, body: { units_to_remove: 1 } });
+    assert.equal(res.status, 400);
+  });
+
+  await t.test("a failed audit write rolls back the stock change", async (st) => {
+    await checkIn(ctx, token, { id: "P-ATOMIC", customer_name: "ACME", product_id: "SKU-7", pallet_quantity: 4, location: "C4" });
+    await ctx.db.run(
+      "CREATE TRIGGER fail_activity BEFORE INSERT ON activity_log WHEN NEW.pallet_id = 'P-ATOMIC' BEGIN SELECT RAISE(ABORT, 'audit unavailable'); END"
+    );
+    st.after(() => ctx.db.run("DROP TRIGGER fail_activity"));
+    const before = ctx.broadcasts.length;
+
+    const res = await ctx.request("POST", "/pallets/P-ATOMIC/remove-quantity", { token, body: { quantity_to_remove: 1 } });
+    assert.equal(res.status, 500);
+
+    const row = await ctx.db.get("SELECT pallet_quantity, version FROM pallets WHERE id = 'P-ATOMIC'");
+    assert.equal(row.pallet_quantity, 4);
+    assert.equal(row.version, 0);
+    assert.equal(ctx.broadcasts.length, before);
+  });
+
+  await t.test("edits need a reason and the current version", async () => {
+    await checkIn(ctx, token, {
+      id: "P-EDIT",
+      customer_name: "ACME",
+      product_id: "SKU-TYPO",
+      pallet_quantity: 2,
+      product_quantity: 10,
+      location: "D2",
+    });
+    await ctx.request("POST", "/pallets/P-EDIT/remove-units", { token, body: { units_to_remove: 3 } });
+
+    const noReason = await ctx.request("PATCH", "/pallets/P-EDIT", { token, body: { version: 1, product_id: "SKU-9" } });
+    assert.equal(noReason.status, 400);
+
+    const stale = await ctx.request("PATCH", "/pallets/P-EDIT", {
+      token,
+      body: { version: 0, reason: "miskey", product_id: "SKU-9" },
+    });
+    assert.equal(stale.status, 409);
+
+    const res = await ctx.request("PATCH", "/pallets/P-EDIT", {
+      token,
+      body: { version: 1, reason: "stock count", product_id: "SKU-9", pallet_quantity: 3, notes: "recounted" },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.pallet.product_id, "SKU-9");
+    assert.equal(res.body.pallet.pallet_quantity, 3);
+    assert.equal(res.body.pallet.current_units, 27);
+    assert.equal(res.body.pallet.version, 2);
+    assert.equal(ctx.broadcasts.at(-1).action, "update_pallet");
+
+    const adjust = await ctx.db.get("SELECT * FROM activity_log WHERE pallet_id = 'P-EDIT' AND action = 'ADJUST'");
+    assert.equal(adjust.reason_code, "stock_count");
+    assert.equal(adjust.quantity_before, 2);
+    assert.equal(adjust.quantity_after, 3);
+    assert.equal(adjust.quantity_changed, 1);
+    assert.match(adjust.notes, /product_id: SKU-TYPO → SKU-9/);
+    assert.match(adjust.notes, /recounted/);
+
+    const noop = await ctx.request("PATCH", "/pallets/P-EDIT", { token, body: { version: 2, reason: "miskey", product_id: "SKU-9" } });
+    assert.equal(noop.status, 400);
+  });
+
+  await t.test("a customer correction moves the pallet between customer histories", async () => {
+    await checkIn(ctx, token, { id: "P-CUST", customer_name: "ACME", product_id: "SKU-1", pallet_quantity: 2, location: "D3" });
+    const res = await ctx.request("PATCH", "/pallets/P-CUST", {
+      token,
+      body: { version: 0, reason: "miskey", customer_name: "BETA" },
+    });
+    assert.equal(res.status, 200);
+
+    const rows = await ctx.db.all(
+      "SELECT customer_name, quantity_before, quantity_after FROM activity_log WHERE pallet_id = 'P-CUST' AND action = 'ADJUST' ORDER BY id"
+    );
+    assert.deepEqual(rows.map((r) => [r.customer_name, r.quantity_before, r.quantity_after]), [
+      ["ACME", 2, 0],
+      ["BETA", 0, 2],
+    ]);
+    assert.ok(await ctx.db.get("SELECT id FROM customers WHERE name = 'BETA'"));
+  });
+
+  await t.test("a customer correction stays within the user's scope", async () => {
+    await ctx.request("POST", "/auth/users", {
+      token,
+      body: { username: "beta-ops", password: "beta-pass-1", role: "ops", customer_scope: "BETA" },
+    });
+    const scoped = await ctx.login("beta-ops", "beta-pass-1");
+    const res = await ctx.request("PATCH", "/pallets/P-CUST", {
+      token: scoped,
+      body: { version: 1, reason: "miskey", customer_name: "GAMMA" },
+    });
+    assert.equal(res.status, 403);
+    assert.equal(await ctx.db.get("SELECT id FROM customers WHERE name = 'GAMMA'"), undefined);
+  });
+
+  await t.test("check-out removes the pallet and a second check-out is a 404", async () => {
+    await checkIn(ctx, token, { id: "P-OUT", customer_name: "ACME", product_id: "SKU-8", location: "D1" });
+    const out = await ctx.request("DELETE", "/pallets/P-OUT", { token });
+    assert.equal(out.status, 200);
+    assert.equal((await ctx.request("DELETE", "/pallets/P-OUT", { token })).status, 404);
+    assert.equal(ctx.broadcasts.at(-1).action, "delete_pallet");
+  });
+});
+
+test("customer scoping", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const admin = await ctx.login();
+
+  await checkIn(ctx, admin, { id: "P-ACME", customer_name: "ACME", product_id: "SKU-1", location: "E1" });
+  await checkIn(ctx, admin, { id: "P-OTHER", customer_name: "OTHER", product_id: "SKU-1", location: "E2" });
+  await ctx.request("POST", "/auth/users", {
+    token: admin,
+    body: { username: "acme-ops", password: "acme-ops-pass", role: "ops", customer_scope: "ACME" },
+  });
+  const scoped = await ctx.login("acme-ops", "acme-ops-pass");
+
+  await t.test("lists only in-scope pallets", async () => {
+    const res = await ctx.request("GET", "/pallets", { token: scoped });
+    assert.deepEqual(res.body.map((p) => p.id), ["P-ACME"]);
+
+    const other = await ctx.request("GET", "/pallets?customer=OTHER", { token: scoped });
+    assert.deepEqual(other.body, []);
+
+    const search = await ctx.request("GET", "/pallets/search?q=SKU-1", { token: scoped });
+    assert.deepEqual(search.body.map((p) => p.id), ["P-ACME"]);
+  });
+
+  await t.test("refuses writes outside scope", async () => {
+    const checkInOther = await checkIn(ctx, scoped, { customer_name: "OTHER", product_id: "SKU-2", location: "E3" });
+    assert.equal(checkInOther.status, 403);
+
+    const move = await ctx.request("POST", "/pallets/P-OTHER/move", { token: scoped, body: { to_location: "E4" } });
+    assert.equal(move.status, 403);
+
+    const out = await ctx.request("DELETE", "/pallets/P-OTHER", { token: scoped });
+    assert.equal(out.status, 403);
+    const row = await ctx.db.get("SELECT status FROM pallets WHERE id = 'P-OTHER'");
+    assert.equal(row.status, "active");
+  });
+
+  await t.test("activity and customer lists are scoped", async () => {
+    const activity = await ctx.request("GET", "/activity", { token: scoped });
+    assert.ok(activity.body.length > 0);
+    assert.ok(activity.body.every((a) => a.customer_name === "ACME"));
+
+    const customers = await ctx.request("GET", "/customers", { token: scoped });
+    assert.deepEqual(customers.body, ["ACME"]);
+  });
+});
+
+test("undo", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  const undo = (activityId) => ctx.request("POST", `/activity/${activityId}/reverse`, { token });
+  const pallet = (id) => ctx.db.get("SELECT * FROM pallets WHERE id = ?", [id]);
+  const occupied = async (id) => (await locationFill(ctx, token, id)).is_occupied;
+
+  await t.test("restores a checked-out pallet", async () => {
+    await checkIn(ctx, token, { id: "U-OUT", customer_name: "ACME", product_id: "SKU-1", pallet_quantity: 3, location: "H1" });
+    const out = await ctx.request("DELETE", "/pallets/U-OUT", { token });
+    assert.ok(out.body.activity_id);
+    assert.equal(await occupied("H1"), 0);
+
+    const res = await undo(out.body.activity_id);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.reversed_activity_id, out.body.activity_id);
+    const row = await pallet("U-OUT");
+    assert.equal(row.status, "active");
+    assert.equal(row.date_removed, null);
+    assert.equal(row.pallet_quantity, 3);
+    assert.equal(await occupied("H1"), 1);
+
+    const log = await ctx.db.get("SELECT * FROM activity_log WHERE id = ?", [res.body.activity_id]);
+    assert.equal(log.action, "REVERSAL");
+    assert.equal(log.reverses_activity_id, out.body.activity_id);
+    assert.equal(log.quantity_after, 3);
+
+    const again = await undo(out.body.activity_id);
+    assert.equal(again.status, 409);
+  });
+
+  await t.test("moves a pallet back", async () => {
+    await checkIn(ctx, token, { id: "U-MOVE", customer_name: "ACME", product_id: "SKU-2", location: "H2 FLOOR" });
+    const moved = await ctx.request("POST", "/pallets/U-MOVE/move", { token, body: { to_location: "H3" } });
+    const res = await undo(moved.body.activity_id);
+    assert.equal(res.status, 200);
+    assert.equal((await pallet("U-MOVE")).location, "H2 FLOOR");
+    assert.equal(await occupied("H2 FLOOR"), 1);
+    assert.equal(await occupied("H3"), 0);
+  });
+
+  await t.test("refuses when the original location has filled up", async () => {
+    await checkIn(ctx, token, { id: "U-TAKEN", customer_name: "ACME", product_id: "SKU-3", location: "H4" });
+    const out = await ctx.request("DELETE", "/pallets/U-TAKEN", { token });
+    await checkIn(ctx, token, { id: "U-TAKER", customer_name: "ACME", product_id: "SKU-4", pallet_quantity: 12, location: "H4" });
+    const res = await undo(out.body.activity_id);
+    assert.equal(res.status, 409);
+    assert.match(res.body.error, /over capacity/);
+    assert.equal((await pallet("U-TAKEN")).status, "removed");
+  });
+
+  await t.test("puts back partial and emptying removals", async () => {
+    await checkIn(ctx, token, {
+      id: "U-UNITS",
+      customer_name: "ACME",
+      product_id: "SKU-5",
+      pallet_quantity: 1,
+      product_quantity: 12,
+      location: "H5",
+    });
+    const partial = await ctx.request("POST", "/pallets/U-UNITS/remove-units", { token, body: { units_to_remove: 5 } });
+    assert.equal((await undo(partial.body.activity_id)).status, 200);
+    assert.equal((await pallet("U-UNITS")).current_units, 12);
+
+    const emptied = await ctx.request("POST", "/pallets/U-UNITS/remove-units", { token, body: { units_to_remove: 12 } });
+    assert.equal(emptied.body.pallet_removed, true);
+    assert.equal((await undo(emptied.body.activity_id)).status, 200);
+    const row = await pallet("U-UNITS");
+    assert.equal(row.status, "active");
+    assert.equal(row.current_units, 12);
+    assert.equal(row.product_quantity, 12);
+    assert.equal(await occupied("H5"), 1);
+
+    await checkIn(ctx, token, { id: "U-QTY", customer_name: "ACME", product_id: "SKU-6", pallet_quantity: 2, location: "H6" });
+    const removed = await ctx.request("POST", "/pallets/U-QTY/remove-quantity", { token, body: { quantity_to_remove: 2 } });
+    assert.equal((await undo(removed.body.activity_id)).status, 200);
+    assert.equal((await pallet("U-QTY")).pallet_quantity, 2);
+  });
+
+  await t.test("only the latest action on a pallet can be undone", async () => {
+    const first = await checkIn(ctx, token, { id: "U-OLD", customer_name: "ACME", product_id: "SKU-7", location: "H7" });
+    await ctx.request("POST", "/pallets/U-OLD/move", { token, body: { to_location: "H8" } });
+    const res = await undo(first.body.activity_id);
+    assert.equal(res.status, 409);
+    assert.equal((await pallet("U-OLD")).status, "active");
+  });
+
+  await t.test("an undone check-in is not billed as handled", async () => {
+    const added = await checkIn(ctx, token, { id: "U-IN", customer_name: "UNDOCO", product_id: "SKU-8", pallet_quantity: 5, location: "H9" });
+    assert.equal((await undo(added.body.activity_id)).status, 200);
+    assert.equal((await pallet("U-IN")).status, "removed");
+    assert.equal(await occupied("H9"), 0);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const preview = await ctx.request("POST", "/invoices/preview", {
+      token,
+      body: { customer_name: "UNDOCO", start_date: today, end_date: today, rate_per_pallet_week: 7, handling_fee_per_pallet: 1 },
+    });
+    assert.equal(preview.body.handled_pallets, 0);
+    assert.equal(preview.body.pallet_days, 0);
+  });
+
+  await t.test("adjustments cannot be undone", async () => {
+    await checkIn(ctx, token, { id: "U-ADJ", customer_name: "ACME", product_id: "SKU-9", location: "H10" });
+    await ctx.request("PATCH", "/pallets/U-ADJ", { token, body: { version: 0, reason: "miskey", product_id: "SKU-10" } });
+    const adjust = await ctx.db.get("SELECT id FROM activity_log WHERE pallet_id = 'U-ADJ' AND action = 'ADJUST'");
+    assert.equal((await undo(adjust.id)).status, 400);
+  });
+});
+
+test("slotting", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  const upsertLocation = (loc) => ctx.request("POST", "/admin/locations/upsert", { token, body: loc });
+
+  await t.test("check-in stacks a rack up to its pallet capacity", async () => {
+    const first = await checkIn(ctx, token, { id: "S-1", customer_name: "ACME", product_id: "SKU-1", pallet_quantity: 10, location: "A1" });
+    assert.equal(first.status, 200);
+    const second = await checkIn(ctx, token, { id: "S-2", customer_name: "ACME", product_id: "SKU-1", pallet_quantity: 2, location: "A1" });
+    assert.equal(second.status, 200);
+
+    const over = await checkIn(ctx, token, { id: "S-3", customer_name: "ACME", product_id: "SKU-1", location: "A1" });
+    assert.equal(over.status, 409);
+    assert.match(over.body.error, /A1 is over capacity: 12 of 12 pallets used/);
+    assert.equal(await ctx.db.get("SELECT id FROM pallets WHERE id = 'S-3'"), undefined);
+
+    const loc = await locationFill(ctx, token, "A1");
+    assert.equal(loc.capacity, 12);
+    assert.equal(loc.fill_pallets, 12);
+    assert.equal(loc.fill_level, 1);
+  });
+
+  await t.test("check-in normalises the location and rejects unknown ones", async () => {
+    const legacy = await checkIn(ctx, token, { id: "S-LEGACY", customer_name: "ACME", product_id: "SKU-2", location: " a2-l1 " });
+    assert.equal(legacy.status, 200);
+    assert.equal(legacy.body.location, "A2");
+
+    const unknown = await checkIn(ctx, token, { id: "S-NOWHERE", customer_name: "ACME", product_id: "SKU-2", location: "Z99" });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /Unknown location/);
+  });
+
+  await t.test("floor space takes pallets up to its floor area", async () => {
+    const open = await locationFill(ctx, token, "FLOOR SPACE");
+    assert.equal(open.capacity, null);
+    assert.equal(open.fill_level, null);
+
+    await upsertLocation({ id: "FLOOR SPACE", aisle: "FLOOR", level: 500, location_type: "floor_space", floor_area_sqm: 6 });
+    const fits = await checkIn(ctx, token, { id: "S-FLOOR", customer_name: "ACME", product_id: "SKU-3", pallet_quantity: 5, location: "FLOOR SPACE" });
+    assert.equal(fits.status, 200);
+    const over = await checkIn(ctx, token, { id: "S-FLOOR-2", customer_name: "ACME", product_id: "SKU-3", location: "floor  space" });
+    assert.equal(over.status, 409);
+    assert.equal(over.body.capacity, 5);
+  });
+
+  await t.test("a zero capacity closes a location", async () => {
+    await upsertLocation({ id: "A3", aisle: "A", rack: 3, level: 1, location_type: "rack", capacity_pallets: 0 });
+    const res = await checkIn(ctx, token, { id: "S-CLOSED", customer_name: "ACME", product_id: "SKU-4", location: "A3" });
+    assert.equal(res.status, 409);
+  });
+
+  await t.test("quantity corrections are held to the same capacity", async () => {
+    await checkIn(ctx, token, { id: "S-ADJ", customer_name: "ACME", product_id: "SKU-5", pallet_quantity: 11, location: "A4" });
+    const over = await ctx.request("PATCH", "/pallets/S-ADJ", { token, body: { version: 0, reason: "stock_count", pallet_quantity: 13 } });
+    assert.equal(over.status, 409);
+    const ok = await ctx.request("PATCH", "/pallets/S-ADJ", { token, body: { version: 0, reason: "stock_count", pallet_quantity: 12 } });
+    assert.equal(ok.status, 200);
+  });
+
+  await t.test("stats count locations holding stock", async () => {
+    const stats = await ctx.request("GET", "/stats", { token });
+    assert.equal(stats.body.occupied_locations, 4);
+    assert.equal(stats.body.total_pallets, 5);
+  });
+});
+
+test("location fill for customer-scoped users", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+
+  await t.test("they see their own fill and the room left", async () => {
+    await checkIn(ctx, token, { id: "S-OWN-1", customer_name: "ACME", product_id: "SKU-1", pallet_quantity: 3, location: "A3" });
+    await checkIn(ctx, token, { id: "S-OWN-2", customer_name: "OTHER", product_id: "SKU-1", pallet_quantity: 2, location: "A3" });
+    await ctx.request("POST", "/auth/users", {
+      token,
+      body: { username: "other-ops", password: "other-pass-1", role: "ops", customer_scope: "OTHER" },
+    });
+    const scoped = await ctx.login("other-ops", "other-pass-1");
+
+    const own = await locationFill(ctx, scoped, "A3");
+    assert.deepEqual(
+      { fill_pallets: own.fill_pallets, fill_level: own.fill_level, free_pallets: own.free_pallets, own_pallets: own.own_pallets },
+      { fill_pallets: 2, fill_level: 0.167, free_pallets: 7, own_pallets: undefined }
+    );
+    const all = await locationFill(ctx, token, "A3");
+    assert.deepEqual([all.fill_pallets, all.free_pallets], [5, 7]);
+
+    await checkIn(ctx, token, { id: "S-OWN-3", customer_name: "ACME", product_id: "SKU-1", location: "A4" });
+    const theirs = await locationFill(ctx, scoped, "A4");
+    assert.deepEqual([theirs.fill_pallets, theirs.is_occupied, theirs.free_pallets], [0, 0, 11]);
+  });
+});
+
+test("lots and expiry dates", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  const day = (offset) => new Date(Date.now() + offset * 86400000).toISOString().slice(0, 10);
+
+  await t.test("check-in records lot, batch and dates", async () => {
+    const res = await checkIn(ctx, token, {
+      id: "L-1",
+      customer_name: "ACME",
+      product_id: "MILK",
+      location: "A1",
+      lot: " L42 ",
+      batch: "B7",
+      best_before: day(20),
+      expiry_date: day(5),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.lot, "L42");
+    const row = await ctx.db.get("SELECT lot, batch, best_before, expiry_date FROM pallets WHERE id = 'L-1'");
+    assert.deepEqual(row, { lot: "L42", batch: "B7", best_before: day(20), expiry_date: day(5) });
+
+    const bad = await checkIn(ctx, token, { id: "L-BAD", customer_name: "ACME", product_id: "MILK", location: "A1", expiry_date: "soon" });
+    assert.equal(bad.status, 400);
+  });
+
+  await t.test("lots are searchable, editable and exported", async () => {
+    const found = await ctx.request("GET", "/pallets/search?q=L42", { token });
+    assert.deepEqual(found.body.map((p) => p.id), ["L-1"]);
+
+    const edit = await ctx.request("PATCH", "/pallets/L-1", { token, body: { version: 0, reason: "miskey", batch: "B8" } });
+    assert.equal(edit.status, 200);
+    const log = await ctx.db.get("SELECT notes FROM activity_log WHERE pallet_id = 'L-1' AND action = 'ADJUST'");
+    assert.equal(log.notes, "batch: B7 → B8");
+
+    const csv = await ctx.request("GET", "/export", { token });
+    const [header, line] = csv.text.split("\n");
+    assert.match(header, /,Lot,Batch,Best Before,Expiry Date$/);
+    assert.match(line, new RegExp(`,L42,B8,${day(20)},${day(5)}$`));
+  });
+
+  await t.test("exported cells with commas or quotes stay in their column", async () => {
+    const lot = 'L42, "north"';
+    assert.equal((await ctx.request("PATCH", "/pallets/L-1", { token, body: { version: 1, reason: "miskey", lot } })).status, 200);
+
+    const csv = await ctx.request("GET", "/export", { token });
+    const [header, row] = parseCsv(csv.text);
+    assert.equal(row.length, header.length);
+    assert.deepEqual(row.slice(header.indexOf("Lot")), [lot, "B8", day(20), day(5)]);
+  });
+
+  await t.test("the expiring report groups dated stock per customer", async () => {
+    await checkIn(ctx, token, { id: "L-OLD", customer_name: "ACME", product_id: "MILK", location: "A2", best_before: day(-2) });
+    await checkIn(ctx, token, { id: "L-LATER", customer_name: "ACME", product_id: "MILK", location: "A3", expiry_date: day(90) });
+    await checkIn(ctx, token, { id: "L-OTHER", customer_name: "DAIRY", product_id: "CHEESE", location: "A4", pallet_quantity: 2, expiry_date: day(1) });
+    await checkIn(ctx, token, { id: "L-UNDATED", customer_name: "ACME", product_id: "MILK", location: "A5" });
+
+    const res = await ctx.request("GET", "/pallets/expiring?days=30", { token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.customers.map((c) => [c.customer_name, c.expired, c.expiring, c.pallets.map((p) => [p.id, p.days_left])]),
+      [["ACME", 1, 1, [["L-OLD", -2], ["L-1", 5]]], ["DAIRY", 0, 2, [["L-OTHER", 1]]]]
+    );
+    const scoped = await ctx.request("GET", "/pallets/expiring?customer=DAIRY&days=0", { token });
+    assert.deepEqual(scoped.body.customers.map((c) => c.customer_name), []);
+    assert.equal((await ctx.request("GET", "/pallets/expiring?days=-1", { token })).status, 400);
+  });
+
+  await t.test("scanning a product id picks the first expiry", async () => {
+    const res = await ctx.request("POST", "/pallets/MILK/remove-quantity", { token, body: { quantity_to_remove: 1 } });
+    assert.equal(res.status, 200);
+    assert.equal((await ctx.db.get("SELECT status FROM pallets WHERE id = 'L-OLD'")).status, "removed");
+  });
+});
+
+test("split and merge", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  await checkIn(ctx, token, {
+    id: "SP-1", customer_name: "ACME", product_id: "SKU-S", pallet_quantity: 5, product_quantity: 10,
+    location: "A1", date_added: "2026-01-05", lot: "L7",
+  });
+  await ctx.request("POST", "/pallets/SP-1/remove-units", { token, body: { units_to_remove: 4 } });
+
+  const split = (id, body) => ctx.request("POST", `/pallets/${id}/split`, { token, body });
+  const merge = (id, into) => ctx.request("POST", `/pallets/${id}/merge`, { token, body: { into } });
+
+  await t.test("a split keeps the date added and lot on the new entry", async () => {
+    assert.equal((await split("SP-1", { quantity: 5 })).status, 400);
+    assert.equal((await split("SP-1", { quantity: 2, to_location: "NOWHERE" })).status, 400);
+
+    const res = await split("SP-1", { quantity: 2, to_location: "b1", new_pallet_id: "SP-2" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.source_remaining, 3);
+    assert.equal(res.body.source_units_remaining, 26);
+    assert.equal(res.body.pallet.location, "B1");
+
+    const row = await ctx.db.get("SELECT pallet_quantity, current_units, date_added, lot, location FROM pallets WHERE id = 'SP-2'");
+    assert.deepEqual(row, { pallet_quantity: 2, current_units: 20, date_added: "2026-01-05 00:00:00", lot: "L7", location: "B1" });
+    assert.equal((await ctx.db.get("SELECT pallet_quantity FROM pallets WHERE id = 'SP-1'")).pallet_quantity, 3);
+
+    const [out, into] = await ctx.db.all(
+      "SELECT id, pallet_id, action, quantity_after, related_activity_id FROM activity_log WHERE action LIKE 'SPLIT_%' ORDER BY id"
+    );
+    assert.deepEqual([out.pallet_id, out.action, out.quantity_after], ["SP-1", "SPLIT_OUT", 3]);
+    assert.deepEqual([into.pallet_id, into.action, into.quantity_after], ["SP-2", "SPLIT_IN", 2]);
+    assert.equal(out.related_activity_id, into.id);
+    assert.equal(into.related_activity_id, out.id);
+    assert.ok(ctx.broadcasts.some((b) => b.action === "split_pallet"));
+
+    assert.equal((await split("SP-1", { quantity: 1, new_pallet_id: "SP-2" })).status, 409);
+  });
+
+  await t.test("merging needs the same stock and folds the entries together", async () => {
+    await checkIn(ctx, token, { id: "SP-X", customer_name: "ACME", product_id: "SKU-S", product_quantity: 10, location: "C1", lot: "L8" });
+    const mismatch = await merge("SP-X", "SP-1");
+    assert.equal(mismatch.status, 409);
+    assert.deepEqual(mismatch.body.differs, ["lot"]);
+    assert.equal((await merge("SP-1", "SP-1")).status, 400);
+    assert.equal((await merge("SP-1", "NOPE")).status, 404);
+
+    const res = await merge("SP-2", "SP-1");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.pallet.pallet_quantity, 5);
+    assert.equal(res.body.pallet.current_units, 46);
+    assert.equal(res.body.pallet.date_added, "2026-01-05 00:00:00");
+    assert.equal((await ctx.db.get("SELECT status FROM pallets WHERE id = 'SP-2'")).status, "removed");
+    assert.deepEqual(
+      (await activityFor(ctx, "SP-2")).map((a) => [a.action, a.quantity_after]),
+      [["SPLIT_IN", 2], ["MERGE_OUT", 0]]
+    );
+  });
+
+  await t.test("storage billing continues across a split and merge", async () => {
+    await ctx.db.run("UPDATE activity_log SET timestamp = '2025-03-01T10:00:00Z' WHERE pallet_id = 'SP-1' AND action = 'CHECK_IN'");
+    await ctx.db.run("UPDATE activity_log SET timestamp = '2025-03-03T10:00:00Z' WHERE action IN ('SPLIT_OUT', 'SPLIT_IN')");
+    await ctx.db.run("UPDATE activity_log SET timestamp = '2025-03-04T10:00:00Z' WHERE action IN ('MERGE_OUT', 'MERGE_IN')");
+    await ctx.db.run("UPDATE activity_log SET timestamp = '2025-04-01T10:00:00Z' WHERE pallet_id = 'SP-X'");
+    const preview = await ctx.request("POST", "/invoices/preview", {
+      token,
+      body: { customer_name: "ACME", start_date: "2025-03-01", end_date: "2025-03-05", rate_per_pallet_week: 7 },
+    });
+    assert.equal(preview.body.pallet_days, 25);
+    assert.equal(preview.body.handled_pallets, 5);
+  });
+
+  await t.test("open picks hold a pallet back from merging", async () => {
+    await split("SP-1", { quantity: 1, new_pallet_id: "SP-3" });
+    const order = await ctx.request("POST", "/orders", {
+      token,
+      body: { customer_name: "ACME", lines: [{ product_id: "SKU-S", quantity: 5 }] },
+    });
+    assert.equal(order.status, 200);
+    assert.equal((await merge("SP-3", "SP-1")).status, 409);
+    assert.equal((await split("SP-1", { quantity: 1 })).status, 409);
+  });
+});
+
+test("removing parts from a multi-part pallet", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  await ctx.request("POST", "/pallets", {
+    token,
+    body: {
+      id: "MP-1",
+      customer_name: "ACME",
+      product_id: "KIT",
+      pallet_quantity: 1,
+      product_quantity: 15,
+      location: "A1",
+      parts: [{ part_number: "BRK-10", quantity: 10 }, { part_number: "PAD-4", quantity: 5 }],
+    },
+  });
+  const removeParts = (parts, extra = {}) =>
+    ctx.request("POST", "/pallets/MP-1/remove-parts", { token, body: { parts, scanned_by: "Picker 2", ...extra } });
+
+  await t.test("only parts on the pallet can be taken, up to what is there", async () => {
+    assert.equal((await removeParts([])).status, 400);
+    assert.equal((await removeParts([{ part_number: "NOPE", quantity: 1 }])).status, 400);
+    assert.equal((await removeParts([{ part_number: "PAD-4", quantity: 3 }, { part_number: "pad-4", quantity: 3 }])).status, 400);
+    assert.equal((await removeParts([{ part_number: "BRK-10", quantity: 0 }])).status, 400);
+  });
+
+  await t.test("each part number is logged and units follow", async () => {
+    const res = await removeParts([{ part_number: "brk-10", quantity: 4 }, { part_number: "PAD-4", quantity: 5 }], { idempotency_key: "parts-1" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.pallet_removed, false);
+    assert.deepEqual(res.body.parts, [{ part_number: "BRK-10", quantity: 6 }]);
+    assert.equal(res.body.current_units, 6);
+
+    const again = await removeParts([{ part_number: "BRK-10", quantity: 4 }], { idempotency_key: "parts-1" });
+    assert.equal(again.body.deduped, true);
+
+    const log = await ctx.db.all("SELECT action, part_number, quantity_changed, quantity_after, scanned_by FROM activity_log WHERE action = 'PARTS_REMOVE' ORDER BY id");
+    assert.deepEqual(log.map((l) => [l.part_number, l.quantity_changed, l.quantity_after, l.scanned_by]), [
+      ["BRK-10", 4, 6, "Picker 2"],
+      ["PAD-4", 5, 0, "Picker 2"],
+    ]);
+    assert.ok(ctx.broadcasts.some((b) => b.action === "remove_parts"));
+  });
+
+  await t.test("the last part out checks the pallet out", async () => {
+    const res = await removeParts([{ part_number: "BRK-10", quantity: 6 }]);
+    assert.equal(res.body.pallet_removed, true);
+    const row = await ctx.db.get("SELECT status, parts, current_units FROM pallets WHERE id = 'MP-1'");
+    assert.deepEqual(row, { status: "removed", parts: null, current_units: 0 });
+    const last = await ctx.db.get("SELECT action, notes FROM activity_log WHERE pallet_id = 'MP-1' ORDER BY id DESC LIMIT 1");
+    assert.deepEqual(last, { action: "CHECK_OUT", notes: "All parts removed" });
+    assert.equal((await removeParts([{ part_number: "BRK-10", quantity: 1 }])).status, 404);
+  });
+
+  await t.test("that check-out can't be undone into a pallet with no parts", async () => {
+    const { id } = await ctx.db.get("SELECT id FROM activity_log WHERE pallet_id = 'MP-1' AND action = 'CHECK_OUT'");
+    const res = await ctx.request("POST", `/activity/${id}/reverse`, { token, body: {} });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "A check-out from removing the last parts cannot be undone");
+    const row = await ctx.db.get("SELECT status FROM pallets WHERE id = 'MP-1'");
+    assert.equal(row.status, "removed");
+  });
+});
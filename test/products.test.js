@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+test("product catalogue", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+
+  let productId;
+  const checkIn = (body) => ctx.request("POST", "/pallets", { token, body: { customer_name: "ACME", location: "A1", ...body } });
+
+  await t.test("admins add products with aliases", async () => {
+    const res = await ctx.request("POST", "/products", {
+      token,
+      body: {
+        customer_name: "ACME",
+        product_id: "715326",
+        description: "Blue widgets",
+        units_per_pallet: 48,
+        weight_kg: "310.5",
+        aliases: "SKU715326, 05012345678900, sku715326",
+      },
+    });
+    assert.equal(res.status, 200);
+    productId = res.body.product.id;
+    assert.equal(res.body.product.units_per_pallet, 48);
+    assert.equal(res.body.product.weight_kg, 310.5);
+    assert.deepEqual(res.body.product.aliases, ["05012345678900", "SKU715326"]);
+
+    const clash = await ctx.request("POST", "/products", {
+      token,
+      body: { customer_name: "ACME", product_id: "sku715326" },
+    });
+    assert.equal(clash.status, 409);
+    assert.equal(clash.body.product_id, "715326");
+    const bad = await ctx.request("POST", "/products", {
+      token,
+      body: { customer_name: "ACME", product_id: "X", units_per_pallet: -1 },
+    });
+    assert.equal(bad.status, 400);
+  });
+
+  await t.test("check-in resolves codes to the catalogue SKU", async () => {
+    const aliased = await checkIn({ id: "P-ALIAS", product_id: " sku715326 " });
+    assert.equal(aliased.status, 200);
+    assert.equal(aliased.body.product_id, "715326");
+    assert.equal(aliased.body.product_quantity, 48);
+
+    const explicit = await checkIn({ id: "P-PADDED", product_id: "715326 ", product_quantity: 10 });
+    assert.equal(explicit.body.product_id, "715326");
+    assert.equal(explicit.body.product_quantity, 10);
+
+    const unknown = await checkIn({ id: "P-UNKNOWN", product_id: "999999" });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /Unknown product 999999/);
+
+    const other = await ctx.request("POST", "/pallets", {
+      token,
+      body: { id: "P-OTHER", customer_name: "OTHER", product_id: "free text", location: "A2" },
+    });
+    assert.equal(other.body.product_id, "free text");
+  });
+
+  await t.test("lookups, edits and deactivation", async () => {
+    const resolved = await ctx.request("GET", "/products/resolve?customer=ACME&code=05012345678900", { token });
+    assert.equal(resolved.body.product_id, "715326");
+    assert.equal(resolved.body.product.description, "Blue widgets");
+
+    const search = await ctx.request("GET", "/products?q=widget", { token });
+    assert.deepEqual(search.body.map((p) => p.product_id), ["715326"]);
+
+    const edited = await ctx.request("PATCH", `/products/${productId}`, { token, body: { aliases: ["OLD-715"], active: false } });
+    assert.equal(edited.status, 200);
+    assert.deepEqual(edited.body.product.aliases, ["OLD-715"]);
+    assert.equal((await ctx.request("PATCH", `/products/${productId}`, { token, body: { product_id: "NEW" } })).status, 400);
+
+    assert.deepEqual((await ctx.request("GET", "/products", { token })).body, []);
+    assert.equal((await ctx.request("GET", "/products?include_inactive=1", { token })).body.length, 1);
+    const inactive = await checkIn({ id: "P-INACTIVE", product_id: "OLD-715" });
+    assert.equal(inactive.status, 400);
+    assert.match(inactive.body.error, /inactive/);
+  });
+
+  await t.test("products in stock can't be deleted", async () => {
+    assert.equal((await ctx.request("DELETE", `/products/${productId}`, { token })).status, 409);
+
+    const spare = await ctx.request("POST", "/products", { token, body: { customer_name: "ACME", product_id: "SPARE" } });
+    assert.equal((await ctx.request("DELETE", `/products/${spare.body.product.id}`, { token })).status, 200);
+    assert.equal((await ctx.request("GET", `/products/resolve?customer=ACME&code=SPARE`, { token })).status, 400);
+  });
+
+  await t.test("ASNs and orders take catalogue codes", async () => {
+    await ctx.request("PATCH", `/products/${productId}`, { token, body: { active: true } });
+    const asn = await ctx.request("POST", "/asns", {
+      token,
+      body: { customer_name: "ACME", lines: [{ product_id: "OLD-715", pallets: 1 }] },
+    });
+    assert.deepEqual(asn.body.lines.map((l) => l.product_id), ["715326"]);
+    const receipt = await ctx.request("POST", `/asns/${asn.body.asn.id}/receipts`, {
+      token,
+      body: { pallet_id: "P-ASN", product_id: "old-715", location: "B1" },
+    });
+    assert.equal(receipt.body.expected, true);
+    const row = await ctx.db.get("SELECT product_id, product_quantity FROM pallets WHERE id = 'P-ASN'");
+    assert.deepEqual(row, { product_id: "715326", product_quantity: 48 });
+
+    const order = await ctx.request("POST", "/orders", {
+      token,
+      body: { customer_name: "ACME", lines: [{ product_id: "OLD-715", quantity: 1 }, { product_id: "715326", quantity: 1 }] },
+    });
+    assert.equal(order.status, 200);
+    assert.deepEqual(order.body.lines.map((l) => [l.product_id, l.quantity]), [["715326", 2]]);
+  });
+});
+
+test("product catalogue is admin-managed and customer-scoped", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  await ctx.request("POST", "/products", { token, body: { customer_name: "OTHER", product_id: "SKU-O" } });
+  const own = await ctx.request("POST", "/products", { token, body: { customer_name: "ACME", product_id: "SKU-A" } });
+  await ctx.request("POST", "/auth/users", {
+    token,
+    body: { username: "acme-ops", password: "acme-ops-pass", role: "ops", customer_scope: "ACME" },
+  });
+  const scoped = await ctx.login("acme-ops", "acme-ops-pass");
+
+  assert.deepEqual((await ctx.request("GET", "/products", { token: scoped })).body.map((p) => p.product_id), ["SKU-A"]);
+  assert.equal((await ctx.request("GET", "/products/resolve?customer=OTHER&code=SKU-O", { token: scoped })).status, 404);
+  const create = await ctx.request("POST", "/products", { token: scoped, body: { customer_name: "ACME", product_id: "SKU-B" } });
+  assert.equal(create.status, 403);
+  assert.equal((await ctx.request("DELETE", `/products/${own.body.product.id}`, { token: scoped })).status, 403);
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+const { rankPutaway } = require("../services/putaway");
+
+test("putaway suggestions", async (t) => {
+  const ctx = await startTestApp();
+  t.after(() => ctx.close());
+  const token = await ctx.login();
+  const suggest = (query) => ctx.request("GET", `/putaway/suggest?${new URLSearchParams(query)}`, { token });
+
+  const stock = [
+    { id: "PA-1", customer_name: "ACME", product_id: "SKU-1", pallet_quantity: 2, location: "C5" },
+    { id: "PA-2", customer_name: "ACME", product_id: "SKU-2", pallet_quantity: 1, location: "C6" },
+    { id: "PA-3", customer_name: "OTHER", product_id: "SKU-9", pallet_quantity: 1, location: "C4" },
+  ];
+  for (const p of stock) {
+    await ctx.request("POST", "/pallets", { token, body: p });
+  }
+
+  await t.test("ranks the product's own location first, then the customer's", async () => {
+    const res = await suggest({ customer: "acme", product_id: "SKU-1", qty: 1 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.suggestions.length, 5);
+    const [first, second] = res.body.suggestions;
+    assert.equal(first.location, "C5");
+    assert.deepEqual(first.reasons, ["same product here", "10 of 12 free"]);
+    assert.equal(second.location, "C6");
+    assert.ok(!res.body.suggestions.some((s) => s.location === "C4"));
+  });
+
+  await t.test("leaves out locations without room for the pallets", async () => {
+    const res = await suggest({ customer: "ACME", product_id: "SKU-1", qty: 11 });
+    assert.equal(res.body.suggestions[0].location, "C6");
+    assert.ok(!res.body.suggestions.some((s) => s.location === "C5"));
+  });
+
+  await t.test("validates qty, limit and customer scope", async () => {
+    assert.equal((await suggest({ qty: 0 })).status, 400);
+    assert.equal((await suggest({ limit: 50 })).status, 400);
+    assert.equal((await suggest({ limit: 2 })).body.suggestions.length, 2);
+
+    await ctx.request("POST", "/auth/users", {
+      token,
+      body: { username: "acme1", password: "acme1-password", role: "ops", customer_scope: "ACME" },
+    });
+    const scoped = await ctx.login("acme1", "acme1-password");
+    const res = await ctx.request("GET", "/putaway/suggest?customer=OTHER", { token: scoped });
+    assert.equal(res.status, 403);
+  });
+});
+
+test("rankPutaway prefers racks, free space and nearby aisles", () => {
+  const rows = [
+    { id: "A1", aisle: "A", rack: 1, location_type: "rack", capacity_pallets: 12, fill_pallets: 0 },
+    { id: "A1 FLOOR", aisle: "A", rack: 1, location_type: "rack_floor", capacity_pallets: null, fill_pallets: 0 },
+    { id: "B1", aisle: "B", rack: 1, location_type: "rack", capacity_pallets: 12, fill_pallets: 6 },
+    { id: "D1", aisle: "D", rack: 1, location_type: "rack", capacity_pallets: 12, fill_pallets: 3 },
+    { id: "D2", aisle: "D", rack: 2, location_type: "rack", capacity_pallets: 12, fill_pallets: 0 },
+    { id: "FLOOR SPACE", aisle: "FLOOR", rack: null, location_type: "floor_space", floor_area_sqm: 12, fill_pallets: 6 },
+  ];
+  const stock = [{ location: "D1", customer_name: "ACME", product_id: "SKU-1", qty: 3 }];
+
+  const anyone = rankPutaway(rows, [], { qty: 2 }).map((s) => s.location);
+  assert.deepEqual(anyone, ["A1", "D2", "D1", "B1", "A1 FLOOR", "FLOOR SPACE"]);
+
+  const acme = rankPutaway(rows, stock, { customer: "ACME", productId: "SKU-2", qty: 2 }).map((s) => s.location);
+  assert.deepEqual(acme.slice(0, 3), ["D1", "D2", "A1"]);
+
+  const big = rankPutaway(rows, [], { qty: 7 }).map((s) => s.location);
+  assert.ok(!big.includes("B1"));
+  assert.ok(!big.includes("FLOOR SPACE"));
+});
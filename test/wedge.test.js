@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MAX_GAP_MS, createWedgeReader, textField, insertIntoField } = require("../public/wedge");
+
+function fakeClock() {
+  let time = 1000;
+  let nextId = 1;
+  const pending = new Map();
+  return {
+    now: () => time,
+    timers: {
+      setTimeout(fn, ms) {
+        pending.set(nextId, { fn, at: time + ms });
+        return nextId++;
+      },
+      clearTimeout(id) {
+        pending.delete(id);
+      },
+    },
+    advance(ms) {
+      time += ms;
+      for (const [id, timer] of [...pending]) {
+        if (timer.at > time) continue;
+        pending.delete(id);
+        timer.fn();
+      }
+    },
+  };
+}
+
+function keyEvent(key, mods = {}) {
+  return {
+    key,
+    code: "",
+    shiftKey: false,
+    ctrlKey: false,
+    altKey: false,
+    metaKey: false,
+    ...mods,
+    target: "body",
+    prevented: false,
+    stopped: false,
+    preventDefault() {
+      this.prevented = true;
+    },
+    stopPropagation() {
+      this.stopped = true;
+    },
+  };
+}
+
+function setup() {
+  const clock = fakeClock();
+  const scans = [];
+  const released = [];
+  const reader = createWedgeReader({
+    onScan: (text) => scans.push(text),
+    release: (held) => released.push(held.char),
+    now: clock.now,
+    timers: clock.timers,
+  });
+  const type = (key, gap, mods) => {
+    clock.advance(gap);
+    const e = keyEvent(key, mods);
+    reader.onKey(e);
+    return e;
+  };
+  return { clock, scans, released, type };
+}
+
+test("a scanner burst is read as one scan and reaches nothing else", () => {
+  const { scans, released, type } = setup();
+  const keys = ["P", "L", "T", "-", "1"].map((k) => type(k, 5));
+  const gs = type("]", 5, { ctrlKey: true });
+  type("7", 5);
+  const enter = type("Enter", 5);
+
+  assert.deepEqual(scans, ["PLT-1\u001d7"]);
+  assert.deepEqual(released, []);
+  assert.ok(keys.every((e) => e.prevented) && gs.prevented);
+  assert.ok(enter.prevented && enter.stopped);
+});
+
+test("slow typing gets every held key back", () => {
+  const { clock, scans, released, type } = setup();
+  type("a", 200);
+  assert.deepEqual(released, []);
+  clock.advance(MAX_GAP_MS);
+  assert.deepEqual(released, ["a"]);
+
+  // A key after a long gap sends the one before on at once.
+  type("b", 200);
+  type("c", 100);
+  assert.deepEqual(released, ["a", "b"]);
+  const enter = type("Enter", 100);
+  assert.deepEqual(released, ["a", "b", "c"]);
+  assert.equal(enter.prevented, false);
+  assert.deepEqual(scans, []);
+});
+
+test("a fast key and Enter are too short to be a scan", () => {
+  const { scans, released, type } = setup();
+  type("x", 200);
+  type("Enter", 5);
+  assert.deepEqual(scans, []);
+  assert.deepEqual(released, ["x"]);
+});
+
+test("a released character is typed into a focused text field", () => {
+  const field = new EventTarget();
+  Object.assign(field, {
+    tagName: "INPUT",
+    type: "text",
+    value: "PLT1",
+    selectionStart: 3,
+    selectionEnd: 3,
+    setRangeText(text, start, end) {
+      this.value = this.value.slice(0, start) + text + this.value.slice(end);
+      this.selectionStart = this.selectionEnd = start + text.length;
+    },
+  });
+  let inputs = 0;
+  field.addEventListener("input", () => inputs++);
+
+  assert.equal(textField(field), field);
+  insertIntoField(textField(field), "-");
+  assert.equal(field.value, "PLT-1");
+  assert.equal(field.selectionStart, 4);
+  assert.equal(inputs, 1);
+
+  assert.equal(textField({ tagName: "INPUT", type: "number" }), null);
+  assert.equal(textField({ tagName: "TEXTAREA", readOnly: true }), null);
+  assert.equal(textField({ tagName: "BUTTON" }), null);
+});